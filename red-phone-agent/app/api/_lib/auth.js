@@ -0,0 +1,50 @@
+// API authentication for Red Phone Agent
+// Bearer tokens mapped to named identities through CASES_API_TOKENS="token:name:role,..."
+
+import crypto from 'crypto';
+
+// Reps create, edit, submit and cancel their own cases; reviewers (Deal Desk) work any case through review
+export const API_ROLES = ['rep', 'reviewer'];
+export const REP_STATUSES = ['Submitted', 'Cancelled'];
+
+// Reps may edit the description and customer details until review starts; priority, assignee,
+// routing, compliance and deal terms are left to reviewers
+export const REP_EDITABLE_STATUSES = ['Draft', 'Submitted'];
+export const REP_EDITABLE_FIELDS = [
+  'title', 'description', 'businessJustification', 'customerName', 'customerInfo',
+  'primaryContact', 'contactEmail', 'contactPhone', 'competitorInfo'
+];
+
+export const parseApiTokens = (value = '') => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [token, name, role = 'rep'] = entry.split(':').map(part => part.trim());
+    return { token, name, role };
+  })
+  .filter(identity => identity.token && identity.name && API_ROLES.includes(identity.role));
+
+const tokensMatch = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// { success, identity: { name, role } } or { success: false, status, error }
+export const authenticate = (req, env = process.env) => {
+  const identities = parseApiTokens(env.CASES_API_TOKENS);
+  if (identities.length === 0) {
+    return { success: false, status: 503, error: 'Case API authentication is not configured' };
+  }
+
+  const [scheme, token] = String(req.headers?.authorization || '').split(' ');
+  const identity = scheme === 'Bearer' && token
+    ? identities.find(candidate => tokensMatch(candidate.token, token))
+    : null;
+  if (!identity) {
+    return { success: false, status: 401, error: 'A valid API token is required' };
+  }
+
+  return { success: true, identity: { name: identity.name, role: identity.role } };
+};
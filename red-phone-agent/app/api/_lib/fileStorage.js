@@ -0,0 +1,52 @@
+// File storage for Red Phone Agent API functions
+// Same load/save/remove interface as the browser storage adapters, one JSON file per key
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const getCaseStoreDir = () => (
+  process.env.CASE_STORE_DIR || path.join(os.tmpdir(), 'red-phone-agent')
+);
+
+const safeKey = key => String(key).replace(/[^a-zA-Z0-9_-]/g, '_');
+
+export const createFileStorage = (directory = getCaseStoreDir()) => {
+  const fileFor = key => path.join(directory, `${safeKey(key)}.json`);
+
+  return {
+    type: 'file',
+    directory,
+    load(key) {
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Unable to read ${key} from ${directory}:`, error.message);
+        }
+        return null;
+      }
+    },
+    save(key, value) {
+      try {
+        fs.mkdirSync(directory, { recursive: true });
+        // Write then rename so a crash never leaves a half-written store behind
+        const target = fileFor(key);
+        const temp = `${target}.${process.pid}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(value, null, 2));
+        fs.renameSync(temp, target);
+        return true;
+      } catch (error) {
+        console.warn(`Unable to persist ${key} to ${directory}:`, error.message);
+        return false;
+      }
+    },
+    remove(key) {
+      try {
+        fs.unlinkSync(fileFor(key));
+      } catch (error) {
+        // Nothing to remove
+      }
+    }
+  };
+};
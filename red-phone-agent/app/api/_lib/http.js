@@ -0,0 +1,67 @@
+// HTTP helpers for Red Phone Agent API functions
+// Small request/response utilities shared by the serverless handlers
+
+export const sendJson = (res, statusCode, body, headers = {}) => {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+  res.end(JSON.stringify(body));
+};
+
+// Reject anything other than the listed methods with a 405
+export const allowMethods = (req, res, methods) => {
+  if (methods.includes(req.method)) return true;
+
+  res.setHeader('Allow', methods.join(', '));
+  sendJson(res, 405, {
+    success: false,
+    error: `Method ${req.method} not allowed`
+  });
+  return false;
+};
+
+const requireObject = (body) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new TypeError('Request body must be a JSON object');
+  }
+  return body;
+};
+
+// Vercel pre-parses JSON bodies; plain Node servers hand us the raw stream.
+// Throws for invalid JSON and for bodies that are not objects (null, arrays, primitives).
+export const readJsonBody = async (req) => {
+  if (req.body !== undefined) {
+    return requireObject(typeof req.body === 'string' ? JSON.parse(req.body || '{}') : req.body);
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+
+  const raw = Buffer.concat(chunks).toString('utf8');
+  return requireObject(raw ? JSON.parse(raw) : {});
+};
+
+// Rate-limit key from the client address; session ids come from the client and are not trusted.
+// Vercel (VERCEL=1) overwrites x-forwarded-for with the caller's address, so it is only read
+// there; anywhere else the header is client-controlled and the socket address is used instead.
+export const getClientKey = (req, env = process.env) => {
+  const forwardedFor = env.VERCEL ? req.headers?.['x-forwarded-for'] : null;
+  const address = forwardedFor ? forwardedFor.split(',')[0].trim() : req.socket?.remoteAddress;
+  return `ip:${address || 'unknown'}`;
+};
+
+// Server-sent events: open the stream, then write one JSON payload per event
+export const startEventStream = (res, headers = {}) => {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Connection', 'keep-alive');
+  Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+};
+
+export const sendEvent = (res, data) => {
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
@@ -0,0 +1,113 @@
+// Mock OpenAI-compatible upstream for offline development and tests
+// Serves /models, /embeddings and /chat/completions (including SSE streaming) with deterministic answers
+
+import http from 'http';
+
+const buildMockReply = (messages = []) => {
+  const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+  const question = lastUserMessage?.content || '';
+  return `[mock] Red Phone Agent received: ${question}`;
+};
+
+// Sends the reply word by word as OpenAI-style chat.completion.chunk events
+const streamMockReply = (res, content, model, delayMs) => {
+  const words = content.split(/(?<=\s)/);
+  res.setHeader('Content-Type', 'text/event-stream');
+
+  const writeChunk = (delta, finishReason = null) => {
+    res.write(`data: ${JSON.stringify({
+      object: 'chat.completion.chunk',
+      model,
+      choices: [{ index: 0, delta: delta ? { content: delta } : {}, finish_reason: finishReason }]
+    })}\n\n`);
+  };
+
+  let index = 0;
+  const next = () => {
+    if (res.destroyed) return;
+    if (index < words.length) {
+      writeChunk(words[index++]);
+      setTimeout(next, delayMs);
+      return;
+    }
+    writeChunk(null, 'stop');
+    res.end('data: [DONE]\n\n');
+  };
+  next();
+};
+
+export const startMockUpstream = ({ port = 0, models = ['mock-gpt'], streamDelayMs = 0, apiKey: apiKeyOverride } = {}) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      res.setHeader('Content-Type', 'application/json');
+
+      // Accept OpenAI-style bearer auth or the Azure api-key header
+      const pathname = new URL(req.url, 'http://localhost').pathname;
+      const apiKey = req.headers['api-key'] || (req.headers.authorization || '').replace(/^Bearer /, '');
+      if (apiKey !== (apiKeyOverride ?? process.env.OPENAI_API_KEY)) {
+        res.statusCode = 401;
+        res.end(JSON.stringify({ error: { message: 'Invalid API key' } }));
+        return;
+      }
+
+      if (req.method === 'GET' && pathname.endsWith('/models')) {
+        res.end(JSON.stringify({ object: 'list', data: models.map(id => ({ id, object: 'model' })) }));
+        return;
+      }
+
+      if (req.method === 'POST' && pathname.endsWith('/embeddings')) {
+        const inputs = Array.isArray(body.input) ? body.input : [body.input];
+        res.end(JSON.stringify({
+          object: 'list',
+          model: body.model,
+          data: inputs.map((text, index) => ({
+            object: 'embedding',
+            index,
+            embedding: [text.length, text.split(/\s+/).length, index]
+          }))
+        }));
+        return;
+      }
+
+      if (req.method === 'POST' && pathname.endsWith('/chat/completions')) {
+        const content = buildMockReply(body.messages);
+        if (body.stream) {
+          streamMockReply(res, content, body.model, streamDelayMs);
+          return;
+        }
+        res.end(JSON.stringify({
+          id: `chatcmpl-mock-${requests.length}`,
+          object: 'chat.completion',
+          model: body.model,
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 0, completion_tokens: content.split(/\s+/).length, total_tokens: 0 }
+        }));
+        return;
+      }
+
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: { message: `No mock route for ${req.method} ${req.url}` } }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const { port: boundPort } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${boundPort}/v1`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+};
+
+export default startMockUpstream;
@@ -0,0 +1,28 @@
+// Azure OpenAI provider for Red Phone Agent API functions
+// Models are addressed by deployment name and authenticated with the api-key header
+
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+export const createAzureOpenAIProvider = (env = process.env) => {
+  const endpoint = (env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, '');
+  const apiVersion = env.AZURE_OPENAI_API_VERSION || '2024-06-01';
+  const deployment = env.AZURE_OPENAI_DEPLOYMENT || '';
+  const embeddingDeployment = env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT || '';
+
+  return createOpenAICompatibleProvider({
+    name: 'azure',
+    baseUrl: endpoint && deployment ? endpoint : '',
+    apiKey: env.AZURE_OPENAI_API_KEY || '',
+    model: deployment,
+    embeddingModel: embeddingDeployment,
+    timeout: parseInt(env.LLM_TIMEOUT) || 30000,
+    authHeaders: key => ({ 'api-key': key }),
+    buildUrl: (operation, targetDeployment) => (
+      `${endpoint}/openai/deployments/${encodeURIComponent(targetDeployment)}/${operation}?api-version=${apiVersion}`
+    ),
+    // Azure exposes deployments rather than a model list; report the configured ones
+    listModels: async () => [deployment, embeddingDeployment].filter(Boolean)
+  });
+};
+
+export default createAzureOpenAIProvider;
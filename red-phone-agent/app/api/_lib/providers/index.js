@@ -0,0 +1,38 @@
+// LLM provider registry for Red Phone Agent API functions
+// LLM_PROVIDER selects openai (default), azure, self-hosted or mock
+//
+// Every provider implements the same interface:
+//   name, model, embeddingModel
+//   isConfigured() -> boolean
+//   chat({ messages, temperature, maxTokens }) -> { content, finishReason, model, usage }
+//   stream({ messages, temperature, maxTokens, onDelta }) -> { promise, abort }
+//   embed(input) -> { embeddings, model }
+//   listModels() -> string[]
+
+import { createOpenAIProvider } from './openai.js';
+import { createAzureOpenAIProvider } from './azure.js';
+import { createSelfHostedProvider } from './selfHosted.js';
+import { createMockProvider } from './mock.js';
+
+export const providerFactories = {
+  openai: createOpenAIProvider,
+  azure: createAzureOpenAIProvider,
+  'self-hosted': createSelfHostedProvider,
+  mock: createMockProvider
+};
+
+export const getProviderName = (env = process.env) => (env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+
+// Providers are cheap to build, so read the environment on every call
+export const getProvider = (env = process.env) => {
+  const name = getProviderName(env);
+  const factory = providerFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`);
+  }
+
+  return factory(env);
+};
+
+export default getProvider;
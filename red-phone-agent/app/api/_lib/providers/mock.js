@@ -0,0 +1,81 @@
+// Deterministic offline LLM provider for Red Phone Agent API functions
+// Echoes the last user message and derives embeddings from hashed tokens; no network access
+
+const EMBEDDING_DIMENSIONS = 64;
+
+const buildReply = (messages = []) => {
+  const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+  return `[mock] Red Phone Agent received: ${lastUserMessage?.content || ''}`;
+};
+
+const hashToken = (token) => {
+  let hash = 0;
+  for (let i = 0; i < token.length; i++) {
+    hash = (hash * 31 + token.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+};
+
+const embedText = (text) => {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  (text.toLowerCase().match(/[a-z0-9]+/g) || []).forEach(token => {
+    vector[hashToken(token) % EMBEDDING_DIMENSIONS] += 1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+};
+
+export const createMockProvider = (env = process.env) => {
+  const model = env.LLM_MODEL || 'mock-gpt';
+
+  return {
+    name: 'mock',
+    model,
+    embeddingModel: 'mock-embedding',
+
+    isConfigured() {
+      return true;
+    },
+
+    async chat({ messages }) {
+      const content = buildReply(messages);
+      return { content, finishReason: 'stop', model, usage: null };
+    },
+
+    stream({ messages, onDelta = () => {} }) {
+      const words = buildReply(messages).split(/(?<=\s)/);
+      let content = '';
+      let aborted = false;
+
+      const promise = (async () => {
+        for (const word of words) {
+          if (aborted) return { content, finishReason: 'aborted', model };
+          await new Promise(resolve => setImmediate(resolve));
+          if (aborted) return { content, finishReason: 'aborted', model };
+          content += word;
+          onDelta(word);
+        }
+        return { content, finishReason: 'stop', model };
+      })();
+
+      return {
+        promise,
+        abort: () => {
+          aborted = true;
+        }
+      };
+    },
+
+    async embed(input) {
+      const inputs = Array.isArray(input) ? input : [input];
+      return { embeddings: inputs.map(embedText), model: 'mock-embedding' };
+    },
+
+    async listModels() {
+      return [model, 'mock-embedding'];
+    }
+  };
+};
+
+export default createMockProvider;
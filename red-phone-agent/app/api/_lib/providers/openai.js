@@ -0,0 +1,15 @@
+// OpenAI provider for Red Phone Agent API functions
+// Configured with OPENAI_API_KEY, OPENAI_MODEL, OPENAI_EMBEDDING_MODEL and optional OPENAI_BASE_URL
+
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+export const createOpenAIProvider = (env = process.env) => createOpenAICompatibleProvider({
+  name: 'openai',
+  baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  apiKey: env.OPENAI_API_KEY || '',
+  model: env.OPENAI_MODEL || 'gpt-4o-mini',
+  embeddingModel: env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+  timeout: parseInt(env.LLM_TIMEOUT || env.OPENAI_TIMEOUT) || 30000
+});
+
+export default createOpenAIProvider;
@@ -0,0 +1,202 @@
+// OpenAI-compatible LLM provider for Red Phone Agent API functions
+// Shared by the OpenAI, Azure OpenAI and self-hosted providers; only URLs and auth differ
+
+import http from 'http';
+import https from 'https';
+
+const isPlaceholderKey = (apiKey) => !apiKey || apiKey.startsWith('your_');
+
+// options: name, baseUrl, apiKey, model, embeddingModel, timeout,
+// requiresApiKey, authHeaders(apiKey), buildUrl(operation, model), listModels()
+export const createOpenAICompatibleProvider = (options) => {
+  const {
+    name,
+    baseUrl,
+    apiKey = '',
+    model,
+    embeddingModel = 'text-embedding-3-small',
+    timeout = 30000,
+    requiresApiKey = true,
+    authHeaders = key => (key ? { 'Authorization': `Bearer ${key}` } : {}),
+    buildUrl = (operation) => `${baseUrl.replace(/\/+$/, '')}/${operation}`
+  } = options;
+
+  const openRequest = (method, operation, body, targetModel, onResponse, onError) => {
+    const url = new URL(buildUrl(operation, targetModel));
+    const transport = url.protocol === 'http:' ? http : https;
+    const payload = body ? JSON.stringify(body) : null;
+
+    const req = transport.request(url, {
+      method,
+      headers: {
+        ...authHeaders(apiKey),
+        'Content-Type': 'application/json',
+        ...(body?.stream ? { 'Accept': 'text/event-stream' } : {}),
+        ...(payload ? { 'Content-Length': Buffer.byteLength(payload) } : {})
+      },
+      timeout
+    }, onResponse);
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`${name} request timed out after ${timeout}ms`));
+    });
+    req.on('error', onError);
+
+    if (payload) req.write(payload);
+    req.end();
+    return req;
+  };
+
+  const readError = (res, reject) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => {
+      let message = `${name} request failed with status ${res.statusCode}`;
+      try {
+        message = JSON.parse(Buffer.concat(chunks).toString('utf8')).error?.message || message;
+      } catch (error) {
+        // Keep the generic message for non-JSON error bodies
+      }
+      const error = new Error(message);
+      error.status = res.statusCode;
+      reject(error);
+    });
+  };
+
+  const requestJson = (method, operation, body, targetModel) => new Promise((resolve, reject) => {
+    openRequest(method, operation, body, targetModel, (res) => {
+      if (res.statusCode >= 400) {
+        readError(res, reject);
+        return;
+      }
+
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        try {
+          resolve(raw ? JSON.parse(raw) : null);
+        } catch (error) {
+          reject(new Error(`${name} returned invalid JSON`));
+        }
+      });
+    }, reject);
+  });
+
+  return {
+    name,
+    model,
+    embeddingModel,
+
+    isConfigured() {
+      if (!baseUrl) return false;
+      return requiresApiKey ? !isPlaceholderKey(apiKey) : true;
+    },
+
+    async chat({ messages, temperature = 0.3, maxTokens = 800 }) {
+      const data = await requestJson('POST', 'chat/completions', {
+        model,
+        messages,
+        temperature,
+        max_tokens: maxTokens
+      }, model);
+
+      const choice = data?.choices?.[0];
+      return {
+        content: choice?.message?.content || '',
+        finishReason: choice?.finish_reason || null,
+        model: data?.model || model,
+        usage: data?.usage || null
+      };
+    },
+
+    // Calls onDelta for each content fragment and resolves with the full content
+    // once the upstream finishes; abort() cancels the request and keeps the partial content.
+    stream({ messages, temperature = 0.3, maxTokens = 800, onDelta = () => {} }) {
+      const result = { content: '', finishReason: null, model };
+      let req;
+      let aborted = false;
+
+      const promise = new Promise((resolve, reject) => {
+        const settleAborted = () => resolve({ ...result, finishReason: 'aborted' });
+
+        req = openRequest('POST', 'chat/completions', {
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          stream: true
+        }, model, (res) => {
+          if (res.statusCode >= 400) {
+            readError(res, reject);
+            return;
+          }
+
+          let buffer = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            lines.forEach(line => {
+              const trimmed = line.trim();
+              if (!trimmed.startsWith('data:')) return;
+
+              const data = trimmed.slice(5).trim();
+              if (data === '[DONE]') return;
+
+              try {
+                const event = JSON.parse(data);
+                const choice = event.choices?.[0];
+                const delta = choice?.delta?.content;
+                result.model = event.model || result.model;
+                if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+                if (delta) {
+                  result.content += delta;
+                  onDelta(delta);
+                }
+              } catch (error) {
+                // Ignore keep-alive comments and malformed fragments
+              }
+            });
+          });
+          res.on('end', () => resolve(result));
+          res.on('error', (error) => (aborted ? settleAborted() : reject(error)));
+          res.on('close', () => aborted && settleAborted());
+        }, (error) => (aborted ? settleAborted() : reject(error)));
+      });
+
+      return {
+        promise,
+        abort: () => {
+          aborted = true;
+          if (req) req.destroy();
+        }
+      };
+    },
+
+    async embed(input) {
+      const inputs = Array.isArray(input) ? input : [input];
+      const data = await requestJson('POST', 'embeddings', {
+        model: embeddingModel,
+        input: inputs
+      }, embeddingModel);
+
+      return {
+        embeddings: (data?.data || [])
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding),
+        model: data?.model || embeddingModel
+      };
+    },
+
+    async listModels() {
+      if (options.listModels) return options.listModels();
+      const data = await requestJson('GET', 'models', null, model);
+      return (data?.data || []).map(entry => entry.id);
+    }
+  };
+};
+
+export default createOpenAICompatibleProvider;
@@ -0,0 +1,16 @@
+// Self-hosted OpenAI-compatible provider for Red Phone Agent API functions
+// Works with llama.cpp server, vLLM, Ollama and similar; the API key is optional
+
+import { createOpenAICompatibleProvider } from './openaiCompatible.js';
+
+export const createSelfHostedProvider = (env = process.env) => createOpenAICompatibleProvider({
+  name: 'self-hosted',
+  baseUrl: env.LLM_BASE_URL || '',
+  apiKey: env.LLM_API_KEY || '',
+  model: env.LLM_MODEL || 'local-model',
+  embeddingModel: env.LLM_EMBEDDING_MODEL || env.LLM_MODEL || 'local-model',
+  timeout: parseInt(env.LLM_TIMEOUT) || 60000,
+  requiresApiKey: false
+});
+
+export default createSelfHostedProvider;
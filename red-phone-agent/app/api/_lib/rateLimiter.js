@@ -0,0 +1,52 @@
+// Per-client rate limiter for Red Phone Agent API functions
+// Sliding window counter kept in memory for the lifetime of the function instance
+
+class RateLimiter {
+  constructor(options = {}) {
+    this.maxRequests = options.maxRequests || parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 20;
+    this.windowMs = options.windowMs || parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+    this.requests = new Map(); // clientKey -> [timestamps]
+  }
+
+  // Record a request and report whether it is allowed
+  consume(clientKey, now = Date.now()) {
+    const windowStart = now - this.windowMs;
+    const timestamps = (this.requests.get(clientKey) || []).filter(time => time > windowStart);
+
+    if (timestamps.length >= this.maxRequests) {
+      this.requests.set(clientKey, timestamps);
+      return {
+        allowed: false,
+        remaining: 0,
+        retryAfterMs: timestamps[0] + this.windowMs - now
+      };
+    }
+
+    timestamps.push(now);
+    this.requests.set(clientKey, timestamps);
+    this.pruneExpired(windowStart);
+
+    return {
+      allowed: true,
+      remaining: this.maxRequests - timestamps.length,
+      retryAfterMs: 0
+    };
+  }
+
+  pruneExpired(windowStart) {
+    for (const [clientKey, timestamps] of this.requests.entries()) {
+      if (timestamps.length === 0 || timestamps[timestamps.length - 1] <= windowStart) {
+        this.requests.delete(clientKey);
+      }
+    }
+  }
+
+  reset() {
+    this.requests.clear();
+  }
+}
+
+// Shared instance so limits apply across requests handled by the same instance
+export const rateLimiter = new RateLimiter();
+
+export default RateLimiter;
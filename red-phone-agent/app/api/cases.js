@@ -0,0 +1,135 @@
+// Cases endpoint for Red Phone Agent API
+// Create, read, list, update and move cases through their lifecycle in the server-side file store
+
+import { allowMethods, readJsonBody, sendJson, getClientKey } from './_lib/http.js';
+import { authenticate, REP_STATUSES, REP_EDITABLE_STATUSES, REP_EDITABLE_FIELDS } from './_lib/auth.js';
+import { rateLimiter } from './_lib/rateLimiter.js';
+import { createFileStorage } from './_lib/fileStorage.js';
+import { CaseRepository } from '../../src/services/caseRepository.js';
+
+const LIST_FILTERS = ['status', 'category', 'priority', 'createdBy'];
+
+// Resolved per request so CASE_STORE_DIR is read at call time
+export const getCaseRepository = () => new CaseRepository({ storage: createFileStorage() });
+
+const sendResult = (res, result, successStatus = 200) => {
+  if (result.success) {
+    sendJson(res, successStatus, result);
+    return;
+  }
+  sendJson(res, /not found/.test(result.error) ? 404 : 400, result);
+};
+
+// Reviewers see every case; reps only the cases they created
+const canAccess = (identity, caseRecord) => identity.role === 'reviewer' || caseRecord.createdBy === identity.name;
+
+const handleGet = (req, res, repository, identity) => {
+  const params = new URL(req.url || '/', 'http://localhost').searchParams;
+  const id = params.get('id');
+
+  if (id) {
+    const caseRecord = repository.get(id);
+    if (!caseRecord || !canAccess(identity, caseRecord)) {
+      sendJson(res, 404, { success: false, error: `Case ${id} not found` });
+      return;
+    }
+    sendJson(res, 200, { success: true, case: caseRecord });
+    return;
+  }
+
+  const filters = Object.fromEntries(LIST_FILTERS.map(field => [field, params.get(field)]));
+  if (identity.role !== 'reviewer') {
+    filters.createdBy = identity.name;
+  }
+  const cases = repository.list(filters);
+  sendJson(res, 200, { success: true, cases, total: cases.length });
+};
+
+const getRepChangesError = (caseRecord, changes) => {
+  if (!REP_EDITABLE_STATUSES.includes(caseRecord.status)) {
+    return `Case ${caseRecord.id} is ${caseRecord.status}; only reviewers can change it now`;
+  }
+  const restricted = Object.keys(changes).filter(field => !REP_EDITABLE_FIELDS.includes(field));
+  return restricted.length > 0 ? `Only reviewers can change ${restricted.join(', ')}` : null;
+};
+
+// PATCH applies field changes first, then the status change, so both land in one request.
+// The audit trail records the authenticated identity, never an actor named in the body.
+const handlePatch = (res, repository, body, identity) => {
+  if (!body.id) {
+    sendJson(res, 400, { success: false, error: 'id is required' });
+    return;
+  }
+
+  const caseRecord = repository.get(body.id);
+  if (!caseRecord || !canAccess(identity, caseRecord)) {
+    sendJson(res, 404, { success: false, error: `Case ${body.id} not found` });
+    return;
+  }
+  if (body.status && identity.role !== 'reviewer' && !REP_STATUSES.includes(body.status)) {
+    sendJson(res, 403, { success: false, error: `Only reviewers can move a case to ${body.status}` });
+    return;
+  }
+
+  const changes = body.changes && typeof body.changes === 'object' ? body.changes : null;
+  const changesError = changes && identity.role !== 'reviewer' ? getRepChangesError(caseRecord, changes) : null;
+  if (changesError) {
+    sendJson(res, 403, { success: false, error: changesError });
+    return;
+  }
+
+  const options = { actor: identity.name, note: body.note };
+  let result = { success: true, case: caseRecord };
+
+  if (changes) {
+    result = repository.update(body.id, changes, options);
+  }
+  if (result.success && body.status) {
+    result = repository.transition(body.id, body.status, options);
+  }
+
+  sendResult(res, result);
+};
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET', 'POST', 'PATCH'])) return;
+
+  const auth = authenticate(req);
+  if (!auth.success) {
+    sendJson(res, auth.status, { success: false, error: auth.error }, auth.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {});
+    return;
+  }
+
+  const repository = getCaseRepository();
+
+  if (req.method === 'GET') {
+    handleGet(req, res, repository, auth.identity);
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { success: false, error: 'Request body must be a valid JSON object' });
+    return;
+  }
+
+  const limit = rateLimiter.consume(getClientKey(req));
+  if (!limit.allowed) {
+    sendJson(res, 429, {
+      success: false,
+      error: 'Rate limit exceeded for this client. Please wait before sending more requests.',
+      retryAfterMs: limit.retryAfterMs
+    }, { 'Retry-After': Math.ceil(limit.retryAfterMs / 1000) });
+    return;
+  }
+
+  if (req.method === 'POST') {
+    const result = repository.create(body.case, { actor: auth.identity.name, submit: Boolean(body.submit) });
+    sendResult(res, result, 201);
+    return;
+  }
+
+  handlePatch(res, repository, body, auth.identity);
+}
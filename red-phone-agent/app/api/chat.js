@@ -0,0 +1,136 @@
+// Chat completion proxy for Red Phone Agent
+// Keeps the LLM API key on the server and enforces per-client rate limits
+
+import { allowMethods, readJsonBody, sendJson, getClientKey, startEventStream, sendEvent } from './_lib/http.js';
+import { rateLimiter } from './_lib/rateLimiter.js';
+import { getProvider } from './_lib/providers/index.js';
+
+const VALID_ROLES = ['system', 'user', 'assistant'];
+const MAX_MESSAGES = 60;
+const MAX_CONTENT_LENGTH = 20000;
+
+export const validateMessages = (messages) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'messages must be a non-empty array';
+  }
+  if (messages.length > MAX_MESSAGES) {
+    return `messages cannot contain more than ${MAX_MESSAGES} entries`;
+  }
+
+  for (const message of messages) {
+    if (!message || !VALID_ROLES.includes(message.role)) {
+      return `message role must be one of: ${VALID_ROLES.join(', ')}`;
+    }
+    if (typeof message.content !== 'string' || message.content.length > MAX_CONTENT_LENGTH) {
+      return `message content must be a string under ${MAX_CONTENT_LENGTH} characters`;
+    }
+  }
+
+  return null;
+};
+
+// Relay upstream deltas as SSE: {delta} per fragment, then {done} or {error}.
+// Closing the client connection aborts the upstream request.
+const streamCompletion = async (res, body, limit, provider) => {
+  startEventStream(res, { 'X-RateLimit-Remaining': limit.remaining });
+
+  const stream = provider.stream({
+    messages: body.messages,
+    temperature: typeof body.temperature === 'number' ? body.temperature : undefined,
+    onDelta: delta => sendEvent(res, { delta })
+  });
+  const handleClose = () => {
+    if (!res.writableEnded) stream.abort();
+  };
+  if (typeof res.on === 'function') res.on('close', handleClose);
+
+  try {
+    const completion = await stream.promise;
+    sendEvent(res, {
+      done: true,
+      provider: provider.name,
+      model: completion.model,
+      finishReason: completion.finishReason
+    });
+  } catch (error) {
+    console.error('Chat proxy upstream stream error:', error.message);
+    sendEvent(res, {
+      error: 'The language model service is unavailable. Please try again shortly.',
+      upstreamStatus: error.status || null
+    });
+  } finally {
+    if (typeof res.off === 'function') res.off('close', handleClose);
+    res.end();
+  }
+};
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { success: false, error: 'Request body must be a valid JSON object' });
+    return;
+  }
+
+  const validationError = validateMessages(body.messages);
+  if (validationError) {
+    sendJson(res, 400, { success: false, error: validationError });
+    return;
+  }
+
+  const limit = rateLimiter.consume(getClientKey(req));
+  if (!limit.allowed) {
+    sendJson(res, 429, {
+      success: false,
+      error: 'Rate limit exceeded for this client. Please wait before sending more messages.',
+      retryAfterMs: limit.retryAfterMs
+    }, { 'Retry-After': Math.ceil(limit.retryAfterMs / 1000) });
+    return;
+  }
+
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    sendJson(res, 500, { success: false, error: error.message });
+    return;
+  }
+
+  if (!provider.isConfigured()) {
+    sendJson(res, 503, { success: false, error: 'LLM upstream is not configured', provider: provider.name, mode: 'mock' });
+    return;
+  }
+
+  if (body.stream === true) {
+    await streamCompletion(res, body, limit, provider);
+    return;
+  }
+
+  try {
+    const completion = await provider.chat({
+      messages: body.messages,
+      temperature: typeof body.temperature === 'number' ? body.temperature : undefined
+    });
+
+    sendJson(res, 200, {
+      success: true,
+      message: { role: 'assistant', content: completion.content },
+      provider: provider.name,
+      model: completion.model,
+      finishReason: completion.finishReason,
+      usage: completion.usage
+    }, { 'X-RateLimit-Remaining': limit.remaining });
+  } catch (error) {
+    console.error('Chat proxy upstream error:', error.message);
+    sendJson(res, 502, {
+      success: false,
+      error: 'The language model service is unavailable. Please try again shortly.',
+      upstreamStatus: error.status || null,
+      provider: provider.name,
+      model: provider.model
+    });
+  }
+}
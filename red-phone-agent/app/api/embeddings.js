@@ -0,0 +1,79 @@
+// Embeddings proxy for Red Phone Agent
+// Embeds one or more texts with the active LLM provider; shares the chat rate limit
+
+import { allowMethods, readJsonBody, sendJson, getClientKey } from './_lib/http.js';
+import { rateLimiter } from './_lib/rateLimiter.js';
+import { getProvider } from './_lib/providers/index.js';
+
+const MAX_INPUTS = 64;
+const MAX_INPUT_LENGTH = 8000;
+
+export const validateInput = (input) => {
+  const inputs = Array.isArray(input) ? input : [input];
+  if (inputs.length === 0 || inputs.length > MAX_INPUTS) {
+    return `input must contain between 1 and ${MAX_INPUTS} texts`;
+  }
+  if (inputs.some(text => typeof text !== 'string' || !text.trim() || text.length > MAX_INPUT_LENGTH)) {
+    return `each input must be a non-empty string under ${MAX_INPUT_LENGTH} characters`;
+  }
+  return null;
+};
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['POST'])) return;
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (error) {
+    sendJson(res, 400, { success: false, error: 'Request body must be a valid JSON object' });
+    return;
+  }
+
+  const validationError = validateInput(body.input);
+  if (validationError) {
+    sendJson(res, 400, { success: false, error: validationError });
+    return;
+  }
+
+  const limit = rateLimiter.consume(getClientKey(req));
+  if (!limit.allowed) {
+    sendJson(res, 429, {
+      success: false,
+      error: 'Rate limit exceeded for this client. Please wait before sending more requests.',
+      retryAfterMs: limit.retryAfterMs
+    }, { 'Retry-After': Math.ceil(limit.retryAfterMs / 1000) });
+    return;
+  }
+
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    sendJson(res, 500, { success: false, error: error.message });
+    return;
+  }
+
+  if (!provider.isConfigured()) {
+    sendJson(res, 503, { success: false, error: 'LLM upstream is not configured', provider: provider.name, mode: 'mock' });
+    return;
+  }
+
+  try {
+    const result = await provider.embed(body.input);
+    sendJson(res, 200, {
+      success: true,
+      provider: provider.name,
+      model: result.model,
+      embeddings: result.embeddings
+    });
+  } catch (error) {
+    console.error('Embeddings proxy upstream error:', error.message);
+    sendJson(res, 502, {
+      success: false,
+      error: 'The embedding service is unavailable. Please try again shortly.',
+      upstreamStatus: error.status || null,
+      provider: provider.name
+    });
+  }
+}
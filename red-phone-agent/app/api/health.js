@@ -0,0 +1,50 @@
+// Health endpoint for Red Phone Agent API
+// Reports the active LLM provider and model and, with ?deep=1, whether it is reachable
+
+import { allowMethods, sendJson } from './_lib/http.js';
+import { getProvider, getProviderName } from './_lib/providers/index.js';
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ['GET'])) return;
+
+  const deep = new URL(req.url || '/', 'http://localhost').searchParams.get('deep') === '1';
+
+  let provider;
+  try {
+    provider = getProvider();
+  } catch (error) {
+    sendJson(res, 200, {
+      status: 'degraded',
+      timestamp: new Date().toISOString(),
+      upstream: { provider: getProviderName(), configured: false, model: null, reachable: null, error: error.message }
+    });
+    return;
+  }
+
+  const configured = provider.isConfigured();
+  const health = {
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    upstream: {
+      provider: provider.name,
+      configured,
+      model: configured ? provider.model : null,
+      embeddingModel: configured ? provider.embeddingModel : null,
+      reachable: null
+    }
+  };
+
+  if (configured && deep) {
+    try {
+      const models = await provider.listModels();
+      health.upstream.reachable = true;
+      health.upstream.modelAvailable = models.includes(provider.model);
+    } catch (error) {
+      health.status = 'degraded';
+      health.upstream.reachable = false;
+      health.upstream.error = error.message;
+    }
+  }
+
+  sendJson(res, 200, health);
+}
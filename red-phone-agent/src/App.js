@@ -2,6 +2,7 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import SolutionBuilder from './components/SolutionBuilder';
 import ChatInterface from './components/ChatInterface';
+import ApprovalInbox from './components/ApprovalInbox';
 import './styles/App.css';
 
 function App() {
@@ -20,6 +21,7 @@ function App() {
             </>
           } />
           <Route path="/chat" element={<ChatInterface />} />
+          <Route path="/approvals" element={<ApprovalInbox />} />
           <Route path="*" element={<Navigate to="/solution-builder" replace />} />
         </Routes>
       </div>
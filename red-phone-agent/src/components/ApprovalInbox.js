@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import approvalInbox, { APPROVER_ROLES, INBOX_TEAMS, INBOX_SLA_STATES } from '../services/approvalInbox';
+import { CASE_PRIORITIES } from '../utils/caseLifecycle';
+import '../styles/ApprovalInbox.css';
+
+const REFRESH_MS = 60000;
+
+const SLA_LABELS = { on_track: 'On track', due_soon: 'Due soon', breached: 'Breached' };
+
+const formatTeam = (team) => team.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase());
+
+const formatMoney = (value) => (
+  value ? `$${Number(value).toLocaleString('en-US')}` : '—'
+);
+
+// The inline and full case forms store the discount under different names
+const getDiscount = (caseRecord) => {
+  const discount = caseRecord.requestedDiscount ?? caseRecord.discountRequested;
+  return discount === undefined || discount === '' ? null : discount;
+};
+
+const ApprovalInbox = () => {
+  const [role, setRole] = useState(APPROVER_ROLES[0]);
+  const [filters, setFilters] = useState({ team: '', priority: '', sla: '' });
+  const [items, setItems] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [feedback, setFeedback] = useState(null);
+
+  const refresh = useCallback(() => {
+    setItems(approvalInbox.list(role, filters));
+  }, [role, filters]);
+
+  // Reload on filter changes and periodically so SLA breaches and escalations show up
+  useEffect(() => {
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [refresh]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleAction = (item, action) => {
+    const note = notes[item.caseId]?.trim();
+    const result = approvalInbox.act(item.caseId, action, { role, note });
+    const labels = { approve: 'approved', reject: 'rejected', request_info: 'sent back for more information' };
+
+    setFeedback({
+      caseId: item.caseId,
+      success: result.success,
+      message: result.success ? `${item.caseId} ${labels[action]}.` : result.error
+    });
+    if (result.success) {
+      setNotes(prev => ({ ...prev, [item.caseId]: '' }));
+      refresh();
+    }
+  };
+
+  const renderCompliance = (compliance) => (
+    <div className="approval-panel">
+      <h4>Policy compliance</h4>
+      <div className={`approval-compliance compliance-${compliance.overallCompliance}`}>
+        {compliance.overallCompliance.replace(/_/g, ' ')} · score {compliance.score}
+      </div>
+      {compliance.violations.length > 0 && (
+        <ul className="approval-list violations">
+          {compliance.violations.map((violation, index) => <li key={index}>{violation.message}</li>)}
+        </ul>
+      )}
+      {compliance.warnings.length > 0 && (
+        <ul className="approval-list warnings">
+          {compliance.warnings.map((warning, index) => <li key={index}>{warning.message}</li>)}
+        </ul>
+      )}
+      {compliance.violations.length === 0 && compliance.warnings.length === 0 && (
+        <p className="approval-empty-note">No policy issues found.</p>
+      )}
+      {compliance.policyVersion && (
+        <div className="approval-policy-version">
+          Checked against ROE v{compliance.policyVersion.version}
+          {compliance.policyVersion.effectiveFrom && ` (effective ${compliance.policyVersion.effectiveFrom})`}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderRouting = (item) => (
+    <div className="approval-panel">
+      <h4>Why it's with you</h4>
+      <ul className="approval-list">
+        {item.routingRationale.map((reason, index) => <li key={index}>{reason}</li>)}
+      </ul>
+    </div>
+  );
+
+  const renderPrecedents = (precedents) => (
+    <div className="approval-panel">
+      <h4>Similar cases</h4>
+      {precedents.foundSimilar ? (
+        <>
+          <div className="approval-precedent-rate">{precedents.successRate}% won or retained</div>
+          <ul className="approval-list precedents">
+            {precedents.similarCases.map(similar => (
+              <li key={similar.id}>
+                <strong>{similar.id}</strong> {formatMoney(similar.dealValue)}
+                {similar.requestedDiscount !== undefined && `, ${similar.requestedDiscount}% asked`}
+                <div className="approval-precedent-outcome">{similar.resolution} — {similar.outcome}</div>
+              </li>
+            ))}
+          </ul>
+        </>
+      ) : (
+        <p className="approval-empty-note">No comparable historical cases.</p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="approval-inbox">
+      <header className="approvals-header">
+        <h1>Approvals</h1>
+        <label className="approvals-role">
+          Approving as
+          <select value={role} onChange={(e) => setRole(e.target.value)}>
+            {APPROVER_ROLES.map(option => <option key={option} value={option}>{option}</option>)}
+          </select>
+        </label>
+      </header>
+
+      <div className="approvals-filters">
+        <select value={filters.team} onChange={(e) => handleFilterChange('team', e.target.value)} aria-label="Team">
+          <option value="">All teams</option>
+          {INBOX_TEAMS.map(team => <option key={team} value={team}>{formatTeam(team)}</option>)}
+        </select>
+        <select value={filters.priority} onChange={(e) => handleFilterChange('priority', e.target.value)} aria-label="Priority">
+          <option value="">All priorities</option>
+          {CASE_PRIORITIES.map(priority => <option key={priority} value={priority}>{priority}</option>)}
+        </select>
+        <select value={filters.sla} onChange={(e) => handleFilterChange('sla', e.target.value)} aria-label="SLA">
+          <option value="">Any SLA</option>
+          {INBOX_SLA_STATES.map(state => <option key={state} value={state}>{SLA_LABELS[state]}</option>)}
+        </select>
+        <span className="approvals-count">{items.length} waiting</span>
+      </div>
+
+      {feedback?.success && <div className="approvals-feedback">{feedback.message}</div>}
+
+      {items.length === 0 ? (
+        <div className="approvals-empty">Nothing is waiting on {role} right now.</div>
+      ) : (
+        items.map(item => (
+          <div key={item.caseId} className="approval-card">
+            <div className="approval-card-header">
+              <div>
+                <div className="approval-case-id">{item.caseId}</div>
+                <div className="approval-case-title">{item.case.title}</div>
+              </div>
+              <div className="approval-card-meta">
+                <span className="approval-step">Step {item.step.number} of {item.step.stepCount}: {item.step.title}</span>
+                <span className={`approval-sla sla-${item.sla.state}`}>{item.sla.label}</span>
+              </div>
+            </div>
+
+            <div className="approval-case-details">
+              <span><strong>Team:</strong> {formatTeam(item.team)}</span>
+              <span><strong>Priority:</strong> {item.priority}</span>
+              <span><strong>Customer:</strong> {item.case.customerName || '—'}</span>
+              <span><strong>Deal value:</strong> {formatMoney(item.case.dealValue)}</span>
+              {getDiscount(item.case) !== null && <span><strong>Discount:</strong> {getDiscount(item.case)}%</span>}
+              {item.approval?.delegatedTo && <span><strong>Delegated by:</strong> {item.approval.role}</span>}
+              {item.step.escalations > 0 && <span className="approval-escalated">Escalated from {item.approval?.role}</span>}
+            </div>
+
+            {item.case.description && <p className="approval-description">{item.case.description}</p>}
+
+            <div className="approval-analysis">
+              {renderCompliance(item.compliance)}
+              {renderRouting(item)}
+              {renderPrecedents(item.precedents)}
+            </div>
+
+            <div className="approval-actions">
+              <textarea
+                value={notes[item.caseId] || ''}
+                onChange={(e) => setNotes(prev => ({ ...prev, [item.caseId]: e.target.value }))}
+                rows={2}
+                placeholder="Note for the rep (required to reject or request information)"
+              />
+              <div className="approval-buttons">
+                <button className="approval-btn approve" onClick={() => handleAction(item, 'approve')}>Approve</button>
+                <button className="approval-btn info" onClick={() => handleAction(item, 'request_info')}>Request info</button>
+                <button className="approval-btn reject" onClick={() => handleAction(item, 'reject')}>Reject</button>
+              </div>
+              {feedback && !feedback.success && feedback.caseId === item.caseId && (
+                <span className="approval-error">{feedback.message}</span>
+              )}
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
+export default ApprovalInbox;
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import caseRouter from '../utils/caseRouter.js';
 import casePrePopulator from '../utils/casePrePopulator.js';
 import policyChecker from '../utils/policyChecker.js';
+import caseRepository from '../services/caseRepository.js';
 import '../styles/Chat.css';
 
 const CaseCreationForm = ({ initialData, onSubmit, onCancel }) => {
@@ -178,7 +179,7 @@ const CaseCreationForm = ({ initialData, onSubmit, onCancel }) => {
     setShowPreview(true);
   };
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
     
     if (!validateForm()) {
@@ -188,18 +189,17 @@ const CaseCreationForm = ({ initialData, onSubmit, onCancel }) => {
     setIsSubmitting(true);
     
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      const submissionData = {
+      const result = caseRepository.create({
         ...formData,
         routing: routingInfo?.routing,
-        compliance: complianceCheck?.compliance,
-        submittedAt: new Date().toISOString(),
-        id: `case_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-      };
+        compliance: complianceCheck?.compliance
+      }, { submit: true });
+      if (!result.success) {
+        setErrors(prev => ({ ...prev, submit: result.error }));
+        return;
+      }
       
-      onSubmit(submissionData);
+      onSubmit({ ...result.case, caseId: result.case.id });
     } catch (error) {
       console.error('Error submitting case:', error);
     } finally {
@@ -345,6 +345,8 @@ const CaseCreationForm = ({ initialData, onSubmit, onCancel }) => {
             </div>
           )}
 
+          {errors.submit && <span className="form-error">{errors.submit}</span>}
+
           <div className="form-actions">
             <button 
               type="button" 
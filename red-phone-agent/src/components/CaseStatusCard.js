@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { getSlaStatus } from '../utils/caseLifecycle';
+import '../styles/Chat.css';
+
+const SLA_REFRESH_MS = 60000;
+
+const formatTimelineDate = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+};
+
+const CaseStatusCard = ({ caseSummary, onAction }) => {
+  const [now, setNow] = useState(() => Date.now());
+  const [showTimeline, setShowTimeline] = useState(false);
+  const [isCommenting, setIsCommenting] = useState(false);
+  const [comment, setComment] = useState('');
+
+  // Keep the SLA countdown current while the card is on screen
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), SLA_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  const sla = getSlaStatus(caseSummary, new Date(now));
+  const statusClass = caseSummary.status.toLowerCase().replace(/\s+/g, '-');
+
+  const handleCommentSubmit = () => {
+    if (!comment.trim()) return;
+    onAction({ type: 'case_comment', data: { caseId: caseSummary.id, text: comment.trim() } });
+    setComment('');
+    setIsCommenting(false);
+  };
+
+  return (
+    <div className="case-status-card">
+      <div className="case-status-header">
+        <div>
+          <div className="case-status-id">{caseSummary.id}</div>
+          <div className="case-status-title">{caseSummary.title}</div>
+        </div>
+        <span className={`case-status-badge status-${statusClass}`}>{caseSummary.status}</span>
+      </div>
+
+      <div className="case-status-details">
+        <div><strong>Assignee:</strong> {caseSummary.assignee}</div>
+        {caseSummary.priority && <div><strong>Priority:</strong> {caseSummary.priority}</div>}
+        <div className={`case-status-sla sla-${sla.state}`} title={sla.dueAt ? `Due ${formatTimelineDate(sla.dueAt)}` : undefined}>
+          <strong>SLA:</strong> {sla.label}
+        </div>
+        {caseSummary.approval?.infoRequest && (
+          <div className="case-status-info-request">
+            <strong>{caseSummary.approval.infoRequest.role} asks:</strong> {caseSummary.approval.infoRequest.note}
+          </div>
+        )}
+        {caseSummary.approval?.currentStep && !caseSummary.approval.infoRequest && (
+          <div>
+            <strong>Approval:</strong> Step {caseSummary.approval.currentStep.number} of {caseSummary.approval.stepCount} · waiting on {caseSummary.approval.currentStep.waitingOn.join(' and ')}
+          </div>
+        )}
+      </div>
+
+      <button className="case-status-toggle" onClick={() => setShowTimeline(!showTimeline)}>
+        {showTimeline ? 'Hide history' : `Show history (${caseSummary.timeline.length})`}
+      </button>
+
+      {showTimeline && (
+        <ol className="case-status-timeline">
+          {caseSummary.timeline.map((entry, index) => (
+            <li key={`${entry.at}_${index}`}>
+              <span className="timeline-time">{formatTimelineDate(entry.at)}</span>
+              <span className="timeline-label">{entry.label}</span>
+              <span className="timeline-actor">{entry.actor}</span>
+              {entry.note && <div className="timeline-note">{entry.note}</div>}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {isCommenting ? (
+        <div className="case-status-comment">
+          <textarea
+            className="inline-form-input"
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            rows={2}
+            placeholder="Add a comment for the case team"
+          />
+          <div className="case-status-actions">
+            <button className="action-btn" onClick={() => setIsCommenting(false)}>Cancel</button>
+            <button className="action-btn" onClick={handleCommentSubmit} disabled={!comment.trim()}>Add Comment</button>
+          </div>
+        </div>
+      ) : (
+        <div className="case-status-actions">
+          <button className="action-btn" onClick={() => setIsCommenting(true)}>💬 Comment</button>
+          {caseSummary.canEscalate && (
+            <button
+              className="action-btn escalate-btn"
+              onClick={() => onAction({ type: 'case_escalate', data: { caseId: caseSummary.id } })}
+            >
+              ⬆️ Escalate
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaseStatusCard;
@@ -0,0 +1,62 @@
+import React from 'react';
+import '../styles/Chat.css';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'number') return value.toLocaleString();
+  return String(value);
+};
+
+const CaseUpdateProposal = ({ proposal, onAction }) => {
+  const isPending = proposal.status === 'pending';
+
+  return (
+    <div className={`case-update-proposal update-${proposal.status}`}>
+      <div className="case-update-header">
+        Update to <strong>{proposal.caseId}</strong>
+      </div>
+
+      <table className="case-update-diff">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Current</th>
+            <th>Proposed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {proposal.changes.map(change => (
+            <tr key={change.field}>
+              <td>{change.label}</td>
+              <td className="diff-from">{formatValue(change.from)}</td>
+              <td className="diff-to">{formatValue(change.to)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {isPending ? (
+        <div className="case-status-actions">
+          <button
+            className="action-btn"
+            onClick={() => onAction({ type: 'case_update_confirm', data: { proposalId: proposal.id } })}
+          >
+            ✅ Apply Update
+          </button>
+          <button
+            className="action-btn secondary-btn"
+            onClick={() => onAction({ type: 'case_update_discard', data: { proposalId: proposal.id } })}
+          >
+            Discard
+          </button>
+        </div>
+      ) : (
+        <div className="case-update-result">
+          {proposal.status === 'applied' ? 'Applied to the case' : 'Update discarded'}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CaseUpdateProposal;
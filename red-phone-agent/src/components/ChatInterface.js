@@ -3,70 +3,143 @@ import MessageBubble from './MessageBubble';
 import MessageInput from './MessageInput';
 import CaseCreationForm from './CaseCreationForm';
 import SmartCaseCreationForm from './SmartCaseCreationForm';
-import simpleAiService from '../services/simpleAiService.js';
+import RecentConversations from './RecentConversations';
+import agentOrchestrator from '../services/agentOrchestrator.js';
+import caseTracker from '../services/caseTracker.js';
+import caseUpdateService from '../services/caseUpdateService.js';
+import slotFillingService from '../services/slotFillingService.js';
+import approvalWorkflow from '../services/approvalWorkflow.js';
+import quoteStore, { describeQuoteSwitch } from '../services/quoteStore.js';
+import chatBridge from '../services/chatBridge.js';
+import contextManager from '../utils/contextManager.js';
+import { quoteToPageData } from '../utils/pageDataExtractor.js';
 import '../styles/Chat.css';
 
+const createSessionId = () => `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const createWelcomeMessage = () => ({
+  id: 'welcome',
+  role: 'assistant',
+  content: `Hello! I'm your Red Phone Agent. I can help you with:
+
+• Compensation and commission questions
+• Finding invoices and billing info
+• Deal structure and pricing guidance
+• Legal terms and contract questions
+• System issues and opportunity management
+• Creating cases for approval
+
+What would you like assistance with today?`,
+  timestamp: Date.now(),
+  type: 'welcome',
+  followUpSuggestions: [
+    "Can you help me with HEP pricing?",
+    "How do I find an invoice for my customer?"
+  ]
+});
+
+// The agent reads the quote open in Solution Builder from the session's deal context
+const rememberActiveQuote = (sessionId, activeQuote) => {
+  const { deal, quote } = quoteToPageData(activeQuote);
+  contextManager.setActiveQuote(sessionId, { id: quote.id, name: quote.name, ...deal });
+};
+
 const ChatInterface = () => {
   const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
-  const [sessionId] = useState(() => `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+  // Pick up the conversation the rep had open before the page was reloaded
+  const [sessionId, setSessionId] = useState(() => contextManager.getLastSessionId() || createSessionId());
+  const [recentConversations, setRecentConversations] = useState(null);
+  const [initError, setInitError] = useState(false);
   const [showCaseForm, setShowCaseForm] = useState(false);
   const [showSmartCaseForm, setShowSmartCaseForm] = useState(false);
   const [caseFormData, setCaseFormData] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
   const [isMinimized, setIsMinimized] = useState(false);
+  const [streamingMessageId, setStreamingMessageId] = useState(null);
   const messagesEndRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  const loadedSessionRef = useRef(null);
 
-  // Initialize with real AI service
+  // Initialize the agent pipeline
   useEffect(() => {
     const initializeChat = async () => {
       try {
-        // Initialize simple AI service
-        const initResult = await simpleAiService.initialize();
-        console.log('Simple AI Service initialized:', initResult.mode);
-
-        // Add welcome message
-        const welcomeMessage = {
-          id: 'welcome',
-          role: 'assistant',
-          content: `Hello! I'm your Red Phone Agent. I can help you with:
-
-• Compensation and commission questions
-• Finding invoices and billing info
-• Deal structure and pricing guidance
-• Legal terms and contract questions
-• System issues and opportunity management
-• Creating cases for approval
-
-What would you like assistance with today?`,
-          timestamp: Date.now(),
-          type: 'welcome',
-          followUpSuggestions: [
-            "Can you help me with HEP pricing?",
-            "How do I find an invoice for my customer?"
-          ]
-        };
-
-        setMessages([welcomeMessage]);
-        setIsInitialized(true);
+        const initResult = await agentOrchestrator.initialize();
+        console.log('Agent orchestrator initialized:', initResult.mode, initResult.provider || '');
       } catch (error) {
         console.error('Failed to initialize chat:', error);
-        const errorMessage = {
-          id: 'init_error',
-          role: 'assistant',
-          content: 'Sorry, I\'m having trouble starting up. Please refresh the page and try again.',
-          timestamp: Date.now(),
-          type: 'error',
-          error: true
-        };
-        
-        setMessages([errorMessage]);
-        setIsInitialized(true);
+        setInitError(true);
       }
+      setIsInitialized(true);
     };
 
     initializeChat();
-  }, [sessionId]);
+  }, []);
+
+  // Save the transcript once each answer is complete. Nothing is saved until the session's own
+  // transcript has loaded, and this runs before the load below so a switch never writes the
+  // previous conversation's messages into the new one
+  useEffect(() => {
+    if (loadedSessionRef.current !== sessionId || isLoading) return;
+    contextManager.saveTranscript(sessionId, messages);
+  }, [messages, sessionId, isLoading]);
+
+  // Show the session's saved transcript, or a welcome message for a new conversation
+  useEffect(() => {
+    if (!isInitialized) return;
+
+    if (initError) {
+      setMessages([{
+        id: 'init_error',
+        role: 'assistant',
+        content: 'Sorry, I\'m having trouble starting up. Please refresh the page and try again.',
+        timestamp: Date.now(),
+        type: 'error',
+        error: true
+      }]);
+      return;
+    }
+
+    const activeQuote = quoteStore.getActiveQuote();
+    if (activeQuote) rememberActiveQuote(sessionId, activeQuote);
+
+    const transcript = contextManager.getTranscript(sessionId);
+    setMessages(transcript.length > 0 ? transcript : [createWelcomeMessage()]);
+    loadedSessionRef.current = sessionId;
+  }, [sessionId, isInitialized, initError]);
+
+  // Keep the session's deal context on the active quote, and tell the rep which quote the agent
+  // is now working from when they switch tabs in Solution Builder
+  useEffect(() => quoteStore.subscribe((event, state) => {
+    if (event.quote.id !== state.activeQuoteId) return;
+
+    rememberActiveQuote(sessionId, event.quote);
+    if (event.type !== 'quote_switched') return;
+
+    setMessages(prev => [...prev, {
+      id: `quote_${event.quote.id}_${Date.now()}`,
+      role: 'assistant',
+      content: describeQuoteSwitch(event.quote),
+      timestamp: Date.now(),
+      type: 'quote_switched',
+      followUpSuggestions: ["What's the standard discount policy?", 'What if we go to 20% discount?']
+    }]);
+  }), [sessionId]);
+
+  // Other parts of the page (e.g. the guardrail badges in Solution Builder) open the chat with a message
+  useEffect(() => chatBridge.subscribe(message => {
+    setIsMinimized(false);
+    setMessages(prev => [...prev, {
+      id: `bridge_${Date.now()}`,
+      role: 'assistant',
+      timestamp: Date.now(),
+      ...message
+    }]);
+  }), []);
+
+  // Cancel any in-flight stream when the chat unmounts
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
 
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
@@ -91,42 +164,77 @@ What would you like assistance with today?`,
     setMessages(prev => [...prev, userMessage]);
     setIsLoading(true);
 
-    try {
-      // Process message with simple AI service
-      const response = await simpleAiService.processMessage(messageText, {
-        sessionId
-      });
-
-      if (response.success) {
-        const aiMessage = {
-          id: `msg_${Date.now()}_ai`,
-          role: 'assistant',
-          content: response.response,
-          timestamp: Date.now(),
-          type: response.responseType,
-          confidence: response.confidence,
-          scenarioId: response.scenarioId,
-          category: response.category,
-          actions: response.actions,
-          followUpSuggestions: response.followUpSuggestions
-        };
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const aiMessageId = `msg_${Date.now()}_ai`;
+    let streamedContent = '';
 
-        setMessages(prev => [...prev, aiMessage]);
-
-        // Handle case creation if suggested
-        if (response.requiresCase && response.actions) {
-          const caseAction = response.actions.find(action => action.type === 'create_case');
-          if (caseAction) {
-            setCaseFormData(caseAction.data);
+    try {
+      // Stream the answer so partial content renders as it arrives
+      for await (const event of agentOrchestrator.streamMessage(messageText, {
+        sessionId,
+        signal: controller.signal
+      })) {
+        if (event.type === 'delta') {
+          const isFirstDelta = !streamedContent;
+          streamedContent += event.delta;
+          const content = streamedContent;
+
+          if (isFirstDelta) {
+            setStreamingMessageId(aiMessageId);
+            setMessages(prev => [...prev, {
+              id: aiMessageId,
+              role: 'assistant',
+              content,
+              timestamp: Date.now(),
+              streaming: true
+            }]);
+          } else {
+            setMessages(prev => prev.map(message => (
+              message.id === aiMessageId ? { ...message, content } : message
+            )));
           }
+          continue;
         }
 
-      } else {
-        // Handle error
-        const errorMessage = {
-          id: `msg_${Date.now()}_error`,
-          role: 'assistant',
-          content: `I'm having trouble processing your request. Please try rephrasing your question or ask for help.
+        const { response, aborted } = event;
+
+        if (response.success) {
+          const aiMessage = {
+            id: aiMessageId,
+            role: 'assistant',
+            content: aborted && !response.response ? '_Response stopped._' : response.response,
+            timestamp: Date.now(),
+            type: response.responseType,
+            confidence: response.confidence,
+            scenarioId: response.scenarioId,
+            category: response.category,
+            actions: response.actions,
+            followUpSuggestions: response.followUpSuggestions,
+            cases: response.cases,
+            caseUpdate: response.caseUpdate,
+            whatIf: response.whatIf,
+            caseCategory: response.caseForm?.category,
+            casePrefill: response.caseForm?.prefill,
+            aborted
+          };
+
+          setMessages(prev => [...prev.filter(message => message.id !== aiMessageId), aiMessage]);
+
+          // Handle case creation if suggested
+          if (!aborted && response.requiresCase && response.actions) {
+            const caseAction = response.actions.find(action => action.type === 'create_case');
+            if (caseAction) {
+              setCaseFormData(caseAction.data);
+            }
+          }
+
+        } else {
+          // Handle error
+          const errorMessage = {
+            id: `msg_${Date.now()}_error`,
+            role: 'assistant',
+            content: `I'm having trouble processing your request. Please try rephrasing your question or ask for help.
 
 You can ask me about:
 • Compensation issues
@@ -135,12 +243,13 @@ You can ask me about:
 • Pricing help
 • Legal terms
 • System errors`,
-          timestamp: Date.now(),
-          type: 'error',
-          error: true
-        };
+            timestamp: Date.now(),
+            type: 'error',
+            error: true
+          };
 
-        setMessages(prev => [...prev, errorMessage]);
+          setMessages(prev => [...prev.filter(message => message.id !== aiMessageId), errorMessage]);
+        }
       }
 
     } catch (error) {
@@ -157,10 +266,17 @@ You can ask me about:
 
       setMessages(prev => [...prev, errorMessage]);
     } finally {
+      abortControllerRef.current = null;
+      setStreamingMessageId(null);
       setIsLoading(false);
     }
   };
 
+  // Stop the in-flight answer; whatever has streamed so far is kept
+  const handleStopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleRetryMessage = async (messageId) => {
     // Simplified retry for debugging mode
     console.log('Retry requested for message:', messageId);
@@ -175,6 +291,18 @@ You can ask me about:
         setShowCaseForm(true);
         break;
         
+      case 'create_exception_case':
+        setMessages(prev => [...prev, {
+          id: `inline_case_form_${Date.now()}`,
+          role: 'assistant',
+          content: `I'll help you create a case right here. The policy details are filled in from your current quote:`,
+          timestamp: Date.now(),
+          type: 'inline_case_form',
+          caseCategory: action.data.category,
+          casePrefill: action.data.prefill
+        }]);
+        break;
+
       case 'retry_message':
         handleRetryMessage(messageId);
         break;
@@ -190,13 +318,31 @@ You can ask me about:
         break;
 
       case 'inline_case_submitted':
+        closeInlineCaseForm(messageId);
         handleInlineCaseSubmit(action.data);
         break;
 
       case 'inline_case_cancelled':
+        closeInlineCaseForm(messageId);
         handleInlineCaseCancel();
         break;
 
+      case 'case_comment':
+        handleCaseTrackingResult(caseTracker.addComment(action.data.caseId, action.data.text));
+        break;
+
+      case 'case_escalate':
+        handleCaseTrackingResult(caseTracker.escalate(action.data.caseId), true);
+        break;
+
+      case 'case_update_confirm':
+        handleCaseUpdateResult(caseUpdateService.applyProposal(action.data.proposalId));
+        break;
+
+      case 'case_update_discard':
+        handleCaseUpdateResult(caseUpdateService.discardProposal(action.data.proposalId));
+        break;
+
       case 'open_dynamics':
         // Open Dynamics in a new tab for demo purposes
         if (action.data && action.data.url) {
@@ -223,7 +369,33 @@ You can ask me about:
     }
   };
 
+  // New cases enter their approval workflow, follow-up messages may amend them,
+  // and any field collection in progress is done
+  const trackCreatedCase = (caseData) => {
+    const approval = approvalWorkflow.start(caseData.caseId);
+    caseUpdateService.trackCase(caseData.caseId, { sessionId });
+    slotFillingService.cancel(sessionId);
+
+    if (!approval.success) {
+      return { status: caseData.status, approvalPath: 'Not started' };
+    }
+    const { workflow } = approval;
+    return {
+      status: workflow.status === 'approved' ? 'Approved' : 'In Review',
+      approvalPath: workflow.steps.map(step => step.title).join(' → ') || 'Auto-approved within policy'
+    };
+  };
+
+  // A restored conversation should only reopen case forms the rep never finished
+  const closeInlineCaseForm = (messageId) => {
+    setMessages(prev => prev.map(message => (
+      message.id === messageId ? { ...message, caseFormClosed: true } : message
+    )));
+  };
+
   const handleInlineCaseSubmit = (caseData) => {
+    const { status, approvalPath } = trackCreatedCase(caseData);
+
     // Create success message with case details
     const confirmationMessage = {
       id: `inline_case_confirmation_${Date.now()}`,
@@ -231,6 +403,8 @@ You can ask me about:
       content: `✅ **Case Created Successfully!**
 
 **Case ID:** ${caseData.caseId}
+**Status:** ${status}
+**Approval:** ${approvalPath}
 **Title:** ${caseData.title}
 **Category:** ${caseData.category}
 **Priority:** ${caseData.priority}
@@ -255,6 +429,69 @@ Is there anything else I can help you with?`,
     setMessages(prev => [...prev, confirmationMessage]);
   };
 
+  // Refresh every status card showing the case; escalations also get a confirmation message
+  const handleCaseTrackingResult = (result, announce = false) => {
+    if (!result.success) {
+      setMessages(prev => [...prev, {
+        id: `case_action_error_${Date.now()}`,
+        role: 'assistant',
+        content: `⚠️ ${result.error}`,
+        timestamp: Date.now(),
+        type: 'error'
+      }]);
+      return;
+    }
+
+    const updated = result.case;
+    setMessages(prev => {
+      const refreshed = prev.map(message => (
+        message.cases?.some(caseSummary => caseSummary.id === updated.id)
+          ? { ...message, cases: message.cases.map(caseSummary => (caseSummary.id === updated.id ? updated : caseSummary)) }
+          : message
+      ));
+
+      if (!announce) return refreshed;
+      return [...refreshed, {
+        id: `case_escalated_${Date.now()}`,
+        role: 'assistant',
+        content: `⬆️ **${updated.id}** escalated to **${updated.assignee}** at ${updated.priority} priority. SLA: ${updated.sla.label}.`,
+        timestamp: Date.now(),
+        type: 'confirmation'
+      }];
+    });
+  };
+
+  // Mark the proposal applied or discarded in place and confirm applied amendments
+  const handleCaseUpdateResult = (result) => {
+    if (!result.success) {
+      setMessages(prev => [...prev, {
+        id: `case_update_error_${Date.now()}`,
+        role: 'assistant',
+        content: `⚠️ ${result.error}`,
+        timestamp: Date.now(),
+        type: 'error'
+      }]);
+      return;
+    }
+
+    const { proposal } = result;
+    setMessages(prev => {
+      const refreshed = prev.map(message => (
+        message.caseUpdate?.id === proposal.id ? { ...message, caseUpdate: proposal } : message
+      ));
+
+      if (proposal.status !== 'applied') return refreshed;
+      return [...refreshed, {
+        id: `case_updated_${Date.now()}`,
+        role: 'assistant',
+        content: `✅ **${proposal.caseId}** updated: ${proposal.changes.map(change => change.label).join(', ')}. The amendment is logged in the case history.`,
+        timestamp: Date.now(),
+        type: 'confirmation',
+        followUpSuggestions: ['Track my case status']
+      }];
+    });
+  };
+
   const handleInlineCaseCancel = () => {
     const cancelMessage = {
       id: `case_cancelled_${Date.now()}`,
@@ -278,14 +515,16 @@ If you need help with anything else, just let me know!`,
     if (suggestion.toLowerCase().includes('create the required case now') || 
         suggestion.toLowerCase().includes('create required case')) {
       
-      // Create an inline case form message
+      // Create an inline case form message, carrying over any details collected so far
+      const slotState = slotFillingService.getState(sessionId);
       const caseFormMessage = {
         id: `inline_case_form_${Date.now()}`,
         role: 'assistant',
         content: `I'll help you create a case right here. Most information has been pre-filled from your current quote:`,
         timestamp: Date.now(),
         type: 'inline_case_form',
-        caseCategory: 'Pricing' // Default category, can be made dynamic
+        caseCategory: slotState?.category || 'Pricing',
+        casePrefill: slotState ? slotFillingService.buildPrefill(slotState) : undefined
       };
 
       setMessages(prev => [...prev, caseFormMessage]);
@@ -296,11 +535,12 @@ If you need help with anything else, just let me know!`,
   };
 
   const handleCaseFormSubmit = (caseData) => {
-    // Simplified case submission for debugging
+    const { status, approvalPath } = trackCreatedCase(caseData);
+
     const confirmationMessage = {
       id: `case_confirmation_${Date.now()}`,
       role: 'assistant',
-      content: `✅ **Case Created Successfully** (Debug Mode)\n\nYour case has been formatted:\n\n**Title**: ${caseData.title}\n**Category**: ${caseData.category}\n**Priority**: ${caseData.priority}\n\nNote: Full case processing is disabled for debugging.`,
+      content: `✅ **Case Created Successfully!**\n\n**Case ID:** ${caseData.caseId}\n**Status:** ${status}\n**Approval:** ${approvalPath}\n**Title:** ${caseData.title}\n**Category:** ${caseData.category}\n**Priority:** ${caseData.priority}\n\nYour case has been submitted and routed to the appropriate team.`,
       timestamp: Date.now(),
       type: 'confirmation'
     };
@@ -316,6 +556,8 @@ If you need help with anything else, just let me know!`,
   };
 
   const handleSmartCaseFormSubmit = (caseData) => {
+    const { status, approvalPath } = trackCreatedCase(caseData);
+
     // Create success message with case details
     const confirmationMessage = {
       id: `smart_case_confirmation_${Date.now()}`,
@@ -323,6 +565,8 @@ If you need help with anything else, just let me know!`,
       content: `✅ **Case Created Successfully!**
 
 **Case ID:** ${caseData.caseId}
+**Status:** ${status}
+**Approval:** ${approvalPath}
 **Title:** ${caseData.title}
 **Category:** ${caseData.category}
 **Priority:** ${caseData.priority}
@@ -358,6 +602,22 @@ Is there anything else I can help you with?`,
     setIsMinimized(true);
   };
 
+  const toggleRecentConversations = () => {
+    setRecentConversations(prev => (prev ? null : contextManager.listConversations()));
+  };
+
+  const handleSwitchConversation = (nextSessionId) => {
+    setRecentConversations(null);
+    if (nextSessionId === sessionId) return;
+    setShowCaseForm(false);
+    setCaseFormData(null);
+    setSessionId(nextSessionId);
+  };
+
+  const handleNewConversation = () => {
+    handleSwitchConversation(createSessionId());
+  };
+
   const handleReopen = () => {
     setIsMinimized(false);
   };
@@ -380,10 +640,27 @@ Is there anything else I can help you with?`,
           <div className="chat-header-main">
             <h2>☎️ Red Phone Agent</h2>
           </div>
+          <button
+            className="chat-history-btn"
+            title="Recent conversations"
+            onClick={toggleRecentConversations}
+            disabled={isLoading}
+          >
+            🕘
+          </button>
           <button className="chat-close-btn" onClick={handleMinimize}>
             ✕
           </button>
         </div>
+
+        {recentConversations && (
+          <RecentConversations
+            conversations={recentConversations}
+            activeSessionId={sessionId}
+            onSelect={handleSwitchConversation}
+            onNew={handleNewConversation}
+          />
+        )}
         
         <div className="chat-messages">
           {messages.map((message) => (
@@ -395,7 +672,7 @@ Is there anything else I can help you with?`,
             />
           ))}
           
-          {isLoading && (
+          {isLoading && !streamingMessageId && (
             <div className="message ai-message loading">
               <div className="message-content">
                 <div className="typing-indicator">
@@ -413,12 +690,14 @@ Is there anything else I can help you with?`,
         
         <MessageInput
           onSendMessage={handleSendMessage}
+          onStop={handleStopGeneration}
+          isGenerating={isLoading}
           disabled={!isInitialized || isLoading}
           placeholder={
             !isInitialized 
               ? "Initializing..." 
               : isLoading 
-                ? "Processing..." 
+                ? (streamingMessageId ? "Responding..." : "Processing...") 
                 : "Ask about policies, cases, or get guidance..."
           }
         />
@@ -0,0 +1,76 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import dealSimulator, { baseDealFromPage } from '../services/dealSimulator';
+import useQuoteStore from '../hooks/useQuoteStore';
+import { quoteToPageData } from '../utils/pageDataExtractor';
+import WhatIfTable from './WhatIfTable';
+import '../styles/SolutionBuilder.css';
+
+const REGIONS = ['namer', 'latam', 'emea', 'apac'];
+
+// "10, 15 20" -> [10, 15, 20]
+const parseList = (text) => text
+  .split(/[\s,]+/)
+  .map(value => parseFloat(value))
+  .filter(value => !Number.isNaN(value));
+
+const DealSimulatorPanel = () => {
+  const { quotes, activeQuoteId } = useQuoteStore();
+  const activeQuote = quotes.find(quote => quote.id === activeQuoteId);
+  const baseDeal = useMemo(() => baseDealFromPage(quoteToPageData(activeQuote)), [activeQuote]);
+  const [discounts, setDiscounts] = useState('10, 20, 30');
+  const [seats, setSeats] = useState('');
+  const [terms, setTerms] = useState('');
+  const [regions, setRegions] = useState([]);
+  const [result, setResult] = useState(null);
+
+  // A grid for another quote would be misleading
+  useEffect(() => setResult(null), [baseDeal]);
+
+  const toggleRegion = (region) => {
+    setRegions(prev => (prev.includes(region) ? prev.filter(value => value !== region) : [...prev, region]));
+  };
+
+  const handleRun = () => {
+    setResult(dealSimulator.simulate(baseDeal, {
+      discounts: parseList(discounts),
+      seats: parseList(seats),
+      terms: parseList(terms),
+      regions
+    }));
+  };
+
+  return (
+    <div className="deal-simulator">
+      <h3>🧮 Deal desk simulator</h3>
+      <p className="deal-simulator-base">
+        Current quote: ${baseDeal.dealValue.toLocaleString()} · {baseDeal.discount}% discount · {baseDeal.seats ?? '-'} seats · {baseDeal.termYears} yr · {baseDeal.region.toUpperCase()}
+      </p>
+      <div className="deal-simulator-inputs">
+        <label>
+          Discounts (%)
+          <input type="text" value={discounts} onChange={(e) => setDiscounts(e.target.value)} placeholder="10, 20, 30" />
+        </label>
+        <label>
+          Seats
+          <input type="text" value={seats} onChange={(e) => setSeats(e.target.value)} placeholder="200, 300" />
+        </label>
+        <label>
+          Term (years)
+          <input type="text" value={terms} onChange={(e) => setTerms(e.target.value)} placeholder="1, 2" />
+        </label>
+        <div className="deal-simulator-regions">
+          {REGIONS.filter(region => region !== baseDeal.region).map(region => (
+            <label key={region}>
+              <input type="checkbox" checked={regions.includes(region)} onChange={() => toggleRegion(region)} />
+              {region.toUpperCase()}
+            </label>
+          ))}
+        </div>
+        <button className="manage-btn" onClick={handleRun}>Run what-if</button>
+      </div>
+      <WhatIfTable result={result} />
+    </div>
+  );
+};
+
+export default DealSimulatorPanel;
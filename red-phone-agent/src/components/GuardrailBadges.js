@@ -0,0 +1,30 @@
+import React from 'react';
+import '../styles/SolutionBuilder.css';
+
+const BADGE_ICONS = {
+  violation: '⚠️',
+  approval: '🔏'
+};
+
+// Policy badges for a line item or the quote totals; clicking one explains it in the chat
+const GuardrailBadges = ({ badges = [], onSelect }) => {
+  if (badges.length === 0) return null;
+
+  return (
+    <div className="guardrail-badges">
+      {badges.map(badge => (
+        <button
+          key={badge.id}
+          type="button"
+          className={`guardrail-badge guardrail-${badge.kind}`}
+          title={badge.explanation}
+          onClick={() => onSelect(badge)}
+        >
+          {BADGE_ICONS[badge.kind]} {badge.label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default GuardrailBadges;
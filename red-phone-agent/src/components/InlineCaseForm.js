@@ -1,8 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { extractSolutionBuilderData, generateCaseTitle } from '../utils/pageDataExtractor';
+import caseRepository from '../services/caseRepository';
+import { formatSlotValue } from '../services/slotFillingService';
+import { caseSlotDefinitions } from '../data/caseSlots';
 import '../styles/Chat.css';
 
-const InlineCaseForm = ({ caseCategory, onSubmit, onCancel }) => {
+const InlineCaseForm = ({ caseCategory, prefill, onSubmit, onCancel }) => {
   const [formData, setFormData] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
@@ -36,11 +39,16 @@ const InlineCaseForm = ({ caseCategory, onSubmit, onCancel }) => {
       businessJustification: getDefaultJustification(caseCategory, pageData),
       
       // Category-specific fields with dummy data
-      ...getCategorySpecificDefaults(caseCategory, pageData)
+      ...getCategorySpecificDefaults(caseCategory, pageData),
+
+      // Answers collected in the chat take precedence over the dummy defaults
+      ...prefill
     };
 
     setFormData(prePopulatedData);
-  }, [caseCategory]);
+  }, [caseCategory, prefill]);
+
+  const collectedDetails = Object.values(caseSlotDefinitions).filter(slot => prefill?.[slot.field] !== undefined);
 
   const getDefaultDescription = (category, pageData) => {
     const descriptions = {
@@ -134,7 +142,7 @@ const InlineCaseForm = ({ caseCategory, onSubmit, onCancel }) => {
     return Object.keys(newErrors).length === 0;
   };
 
-  const handleSubmit = async () => {
+  const handleSubmit = () => {
     if (!validateForm()) {
       return;
     }
@@ -142,17 +150,13 @@ const InlineCaseForm = ({ caseCategory, onSubmit, onCancel }) => {
     setIsSubmitting(true);
 
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 1500));
-
-      const caseData = {
-        ...formData,
-        caseId: `CASE-${Date.now()}`,
-        status: 'Submitted',
-        submittedAt: new Date().toISOString()
-      };
+      const result = caseRepository.create(formData, { submit: true });
+      if (!result.success) {
+        setErrors(prev => ({ ...prev, submit: result.error }));
+        return;
+      }
 
-      onSubmit(caseData);
+      onSubmit({ ...result.case, caseId: result.case.id });
     } catch (error) {
       console.error('Error submitting case:', error);
     } finally {
@@ -232,6 +236,11 @@ const InlineCaseForm = ({ caseCategory, onSubmit, onCancel }) => {
           <strong>Customer:</strong> {formData.customerName}<br/>
           <strong>Deal Value:</strong> ${formData.dealValue?.toLocaleString()} USD<br/>
           <strong>Quote ID:</strong> {formData.quoteId}
+          {collectedDetails.map(slot => (
+            <React.Fragment key={slot.field}>
+              <br/><strong>{slot.label}:</strong> {formatSlotValue(slot, prefill[slot.field])}
+            </React.Fragment>
+          ))}
         </div>
 
         <div className="inline-form-row">
@@ -280,6 +289,8 @@ const InlineCaseForm = ({ caseCategory, onSubmit, onCancel }) => {
         )}
       </div>
 
+      {errors.submit && <span className="inline-form-error">{errors.submit}</span>}
+
       <div className="inline-form-actions">
         <button 
           type="button" 
@@ -1,11 +1,22 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import InlineCaseForm from './InlineCaseForm';
+import CaseStatusCard from './CaseStatusCard';
+import CaseUpdateProposal from './CaseUpdateProposal';
+import WhatIfTable from './WhatIfTable';
 import '../styles/Chat.css';
 
 const MessageBubble = ({ message, onAction, onFollowUp }) => {
   const [showActions, setShowActions] = useState(false);
   const [showMetadata, setShowMetadata] = useState(false);
-  const [showInlineCaseForm, setShowInlineCaseForm] = useState(message.type === 'inline_case_form');
+  const isOpenCaseForm = message.type === 'inline_case_form' && !message.caseFormClosed;
+  const [showInlineCaseForm, setShowInlineCaseForm] = useState(isOpenCaseForm);
+
+  // Streamed replies start as plain text and only get their final type when complete
+  useEffect(() => {
+    if (isOpenCaseForm) {
+      setShowInlineCaseForm(true);
+    }
+  }, [isOpenCaseForm]);
 
   const formatTimestamp = (timestamp) => {
     const date = new Date(timestamp);
@@ -29,13 +40,31 @@ const MessageBubble = ({ message, onAction, onFollowUp }) => {
     const roleClass = message.role === 'user' ? 'user-message' : 'ai-message';
     const typeClass = message.type ? `message-type-${message.type}` : '';
     const errorClass = message.error ? 'message-error' : '';
+    const streamingClass = message.streaming ? 'message-streaming' : '';
     
-    return `${baseClass} ${roleClass} ${typeClass} ${errorClass}`.trim();
+    return `${baseClass} ${roleClass} ${typeClass} ${errorClass} ${streamingClass}`.replace(/\s+/g, ' ').trim();
   };
 
   // Removed confidence indicator for cleaner UI
 
   const renderSources = () => {
+    if (message.citations && message.citations.length > 0) {
+      return (
+        <div className="message-sources">
+          <small>
+            <strong>Sources:</strong>
+            <ul className="message-citations">
+              {message.citations.map(citation => (
+                <li key={citation.id} title={citation.source}>
+                  <code>[{citation.id}]</code> {citation.title}
+                </li>
+              ))}
+            </ul>
+          </small>
+        </div>
+      );
+    }
+
     if (!message.sources || message.sources.length === 0) return null;
     
     return (
@@ -164,16 +193,37 @@ const MessageBubble = ({ message, onAction, onFollowUp }) => {
         {showInlineCaseForm && message.caseCategory && (
           <InlineCaseForm
             caseCategory={message.caseCategory}
+            prefill={message.casePrefill}
             onSubmit={handleInlineCaseSubmit}
             onCancel={handleInlineCaseCancel}
           />
         )}
         
+        {message.cases && message.cases.length > 0 && (
+          <div className="case-status-list">
+            {message.cases.map(caseSummary => (
+              <CaseStatusCard key={caseSummary.id} caseSummary={caseSummary} onAction={onAction} />
+            ))}
+          </div>
+        )}
+        
+        {message.caseUpdate && (
+          <CaseUpdateProposal proposal={message.caseUpdate} onAction={onAction} />
+        )}
+        
+        {message.whatIf && (
+          <WhatIfTable result={message.whatIf} />
+        )}
+        
         <div className="message-footer">
           <div className="message-info">
             <span className="message-time">
               {formatTimestamp(message.timestamp)}
             </span>
+
+            {message.aborted && (
+              <span className="message-stopped">Stopped</span>
+            )}
             
             {/* Metadata toggle for AI messages */}
             {message.role === 'assistant' && message.metadata && (
@@ -196,8 +246,8 @@ const MessageBubble = ({ message, onAction, onFollowUp }) => {
         {(showActions || message.type === 'suggestion' || message.error || 
           ['dynamics_access_help', 'intelligent_pricing', 'intelligent_compensation', 'intelligent_invoice', 'intelligent_system', 'intelligent_legal'].includes(message.responseType)) && renderActions()}
         
-        {/* Follow-up suggestions for AI messages - hide when inline form is showing */}
-        {message.role === 'assistant' && !showInlineCaseForm && renderFollowUpSuggestions()}
+        {/* Follow-up suggestions for AI messages - hide when inline form is showing or still streaming */}
+        {message.role === 'assistant' && !showInlineCaseForm && !message.streaming && renderFollowUpSuggestions()}
       </div>
     </div>
   );
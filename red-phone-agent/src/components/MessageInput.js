@@ -1,7 +1,7 @@
 import React, { useState, useRef, useEffect } from 'react';
 import '../styles/Chat.css';
 
-const MessageInput = ({ onSendMessage, disabled = false, placeholder = "Type your message..." }) => {
+const MessageInput = ({ onSendMessage, onStop, isGenerating = false, disabled = false, placeholder = "Type your message..." }) => {
   const [inputValue, setInputValue] = useState('');
   const [isComposing, setIsComposing] = useState(false);
   const textareaRef = useRef(null);
@@ -90,15 +90,26 @@ const MessageInput = ({ onSendMessage, disabled = false, placeholder = "Type you
           aria-label="Type your message"
         />
         
-        <button
-          onClick={handleSend}
-          disabled={disabled || !inputValue.trim()}
-          className={`send-button ${!inputValue.trim() || disabled ? 'disabled' : ''}`}
-          aria-label="Send message"
-          title="Send message (Enter)"
-        >
-          <SendIcon />
-        </button>
+        {isGenerating && onStop ? (
+          <button
+            onClick={onStop}
+            className="send-button stop-button"
+            aria-label="Stop generating"
+            title="Stop generating"
+          >
+            <StopIcon />
+          </button>
+        ) : (
+          <button
+            onClick={handleSend}
+            disabled={disabled || !inputValue.trim()}
+            className={`send-button ${!inputValue.trim() || disabled ? 'disabled' : ''}`}
+            aria-label="Send message"
+            title="Send message (Enter)"
+          >
+            <SendIcon />
+          </button>
+        )}
       </div>
       
       {/* Simplified - removed quick suggestions section */}
@@ -123,6 +134,13 @@ const SendIcon = () => (
   </svg>
 );
 
+// Stop icon component
+const StopIcon = () => (
+  <svg width="16" height="16" viewBox="0 0 24 24" fill="currentColor">
+    <rect x="5" y="5" width="14" height="14" rx="2"></rect>
+  </svg>
+);
+
 // Removed QuickSuggestions component for simplified UI
 
 export default MessageInput;
@@ -0,0 +1,86 @@
+import React, { useRef, useState } from 'react';
+import quoteGuardrails from '../services/quoteGuardrails';
+import { importSolutionBuilderData } from '../utils/pageDataExtractor';
+import { exportQuote, EXPORT_FORMATS } from '../utils/quoteTransfer';
+import '../styles/SolutionBuilder.css';
+
+const downloadFile = ({ filename, mimeType, content }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Import a quote from a spreadsheet or another CPQ tool, or export the open quote with its policy check
+const QuoteTransferBar = ({ quote }) => {
+  const fileInputRef = useRef(null);
+  const [result, setResult] = useState(null);
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = importSolutionBuilderData(await file.text(), { filename: file.name });
+      setResult({ ...imported, filename: file.name });
+    } catch (error) {
+      setResult({ success: false, filename: file.name, errors: [`Unable to read the file: ${error.message}`] });
+    }
+  };
+
+  const handleExport = (format) => {
+    const exported = exportQuote(quote, format, { policyCheck: quoteGuardrails.summarize(quote) });
+    if (exported.success) {
+      downloadFile(exported);
+      setResult(null);
+    } else {
+      setResult({ success: false, errors: [exported.error] });
+    }
+  };
+
+  return (
+    <div className="quote-transfer">
+      <div className="quote-transfer-actions">
+        <button className="manage-btn" onClick={() => fileInputRef.current?.click()}>Import quote</button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          className="hidden-field"
+          onChange={handleImport}
+        />
+        <span className="quote-transfer-label">Export:</span>
+        {Object.keys(EXPORT_FORMATS).map(format => (
+          <button key={format} className="manage-btn" onClick={() => handleExport(format)}>
+            {format.toUpperCase()}
+          </button>
+        ))}
+      </div>
+
+      {result && !result.success && (
+        <div className="quote-edit-error" role="alert">
+          {result.filename ? `Couldn't import ${result.filename}:` : "Couldn't export the quote:"}
+          <ul>
+            {(result.errors || [result.error]).map(error => <li key={error}>{error}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {result?.success && (
+        <div className="quote-transfer-notice">
+          Imported <strong>{result.quote.name}</strong> from {result.filename} with {result.quote.lineItems.length} product{result.quote.lineItems.length === 1 ? '' : 's'}.
+          {result.warnings.length > 0 && (
+            <ul>
+              {result.warnings.map(warning => <li key={warning}>{warning}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuoteTransferBar;
@@ -0,0 +1,41 @@
+import React from 'react';
+import '../styles/Chat.css';
+
+const formatLastActive = (timestamp) => {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+// Saved conversations the rep can switch back to; they are kept until the context expires
+const RecentConversations = ({ conversations, activeSessionId, onSelect, onNew }) => (
+  <div className="recent-conversations">
+    <div className="recent-conversations-header">
+      <span>Recent conversations</span>
+      <button className="recent-conversations-new" onClick={onNew}>+ New conversation</button>
+    </div>
+
+    {conversations.length === 0 ? (
+      <div className="recent-conversations-empty">No saved conversations yet</div>
+    ) : (
+      <ul>
+        {conversations.map(conversation => (
+          <li key={conversation.sessionId}>
+            <button
+              className={`recent-conversation ${conversation.sessionId === activeSessionId ? 'active' : ''}`}
+              onClick={() => onSelect(conversation.sessionId)}
+            >
+              <span className="recent-conversation-title">{conversation.title}</span>
+              <span className="recent-conversation-meta">
+                {formatLastActive(conversation.lastAccessed)} · {conversation.messageCount} messages
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default RecentConversations;
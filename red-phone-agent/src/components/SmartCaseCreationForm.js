@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { extractSolutionBuilderData, getCaseRequiredFields, generateCaseTitle } from '../utils/pageDataExtractor';
+import caseRepository from '../services/caseRepository';
 import '../styles/Chat.css';
 
 const SmartCaseCreationForm = ({ initialData, onSubmit, onCancel }) => {
@@ -92,7 +93,7 @@ const SmartCaseCreationForm = ({ initialData, onSubmit, onCancel }) => {
     setCurrentStep(1);
   };
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
     
     if (!validateStep(2)) {
@@ -102,21 +103,15 @@ const SmartCaseCreationForm = ({ initialData, onSubmit, onCancel }) => {
     setIsSubmitting(true);
 
     try {
-      // Simulate API call delay
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      const result = caseRepository.create({ ...formData, extractedData }, { submit: true });
+      if (!result.success) {
+        setErrors(prev => ({ ...prev, submit: result.error }));
+        return;
+      }
 
-      const caseData = {
-        ...formData,
-        caseId: `CASE-${Date.now()}`,
-        status: 'Submitted',
-        submittedAt: new Date().toISOString(),
-        extractedData: extractedData
-      };
-
-      onSubmit(caseData);
+      onSubmit({ ...result.case, caseId: result.case.id });
     } catch (error) {
       console.error('Error submitting case:', error);
-      // Handle error
     } finally {
       setIsSubmitting(false);
     }
@@ -255,6 +250,8 @@ const SmartCaseCreationForm = ({ initialData, onSubmit, onCancel }) => {
             {currentStep === 1 && renderStep1()}
             {currentStep === 2 && renderStep2()}
 
+            {errors.submit && <span className="form-error">{errors.submit}</span>}
+
             <div className="form-actions">
               {currentStep === 2 && (
                 <button type="button" className="btn btn-secondary" onClick={handleBack}>
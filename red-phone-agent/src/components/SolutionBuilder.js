@@ -1,7 +1,43 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
+import DealSimulatorPanel from './DealSimulatorPanel';
+import GuardrailBadges from './GuardrailBadges';
+import QuoteTransferBar from './QuoteTransferBar';
+import useQuoteStore from '../hooks/useQuoteStore';
+import quoteStore from '../services/quoteStore';
+import quoteGuardrails from '../services/quoteGuardrails';
+import chatBridge from '../services/chatBridge';
+import policyRulesEngine from '../utils/policyRulesEngine';
+import { getQuoteTotals, getLineNetPrice, getEndDate, formatCurrency, formatTerm } from '../utils/quoteModel';
 import '../styles/SolutionBuilder.css';
 
+const TERM_OPTIONS = [1, 2, 3, 4, 5];
+
+const formatDate = (isoDate) => {
+  const [year, month, day] = String(isoDate || '').split('-');
+  return year ? `${Number(month)}/${Number(day)}/${year}` : '';
+};
+
 const SolutionBuilder = () => {
+  const { quotes, activeQuoteId, dirtyQuoteIds } = useQuoteStore();
+  const [editError, setEditError] = useState(null);
+  const quote = quotes.find(candidate => candidate.id === activeQuoteId);
+  // Re-checked on every edit; the store replaces the quote object whenever it changes
+  const guardrails = useMemo(() => quoteGuardrails.evaluate(quote), [quote]);
+  if (!quote) return null;
+
+  const { customer } = quote;
+  const { labels } = policyRulesEngine.ruleSet;
+  const isDirty = dirtyQuoteIds.includes(quote.id);
+
+  // Store updates validate their input; show the reason when one is rejected
+  const apply = (result) => setEditError(result.success ? null : result.error);
+  const updateQuote = (field, value) => apply(quoteStore.updateQuote(quote.id, { [field]: value }));
+  const updateLine = (lineId, field, value) => apply(quoteStore.updateLineItem(quote.id, lineId, { [field]: value }));
+  const totals = getQuoteTotals(quote);
+  const money = value => formatCurrency(value, quote.currency);
+  const endDate = quote.endDate || getEndDate(quote.startDate, quote.termYears);
+  const openGuardrail = badge => chatBridge.open(quoteGuardrails.buildChatSeed(badge, quote));
+
   return (
     <div className="solution-builder">
       {/* Header */}
@@ -24,10 +60,10 @@ const SolutionBuilder = () => {
         <div className="quote-info">
           <div className="quote-id">
             <span className="quote-icon">📋</span>
-            <span className="quote-name">Pellegrino E2E Test 2fcol3xsi8ljg</span>
+            <span className="quote-name" data-quote-field="customer.name">{customer.name}</span>
           </div>
           <div className="quote-title">
-            <h1>Pellegrino E2E Test 2fcol3xsi8ljg-Abacus test opport...</h1>
+            <h1 title={quote.opportunityName}>{quote.opportunityName}</h1>
             <span className="oracle-badge">Oracle</span>
           </div>
         </div>
@@ -35,11 +71,17 @@ const SolutionBuilder = () => {
           <div className="amount-section">
             <div className="amount-label">Amount in CRM</div>
             <div className="amount-values">
-              <span className="amount">$0.00</span>
-              <span className="outlook">$0.00 Outlook</span>
+              <span className="amount">{money(totals.subtotal)}</span>
+              <span className="outlook">{money(totals.total)} after tax</span>
             </div>
           </div>
-          <button className="saved-btn">Saved</button>
+          <button
+            className={`saved-btn ${isDirty ? 'unsaved' : ''}`}
+            disabled={!isDirty}
+            onClick={() => apply(quoteStore.saveQuote(quote.id))}
+          >
+            {isDirty ? 'Save' : 'Saved'}
+          </button>
         </div>
       </div>
 
@@ -48,41 +90,77 @@ const SolutionBuilder = () => {
       <div className="main-content">
         {/* Left Section - Quote Details */}
         <div className="quote-section">
-          <div className="quote-tabs">
-            <div className="tab-item active">
-              <span className="tab-amount">$0.00</span>
-              <span className="tab-label">New Abacus Quote</span>
-            </div>
-            <div className="tab-item">
-              <span className="tab-amount">$487,500.00</span>
-              <span className="tab-label">HEP new Enterprise Agreem...</span>
-            </div>
-            <button className="add-tab">+</button>
+          <div className="quote-tabs" role="tablist">
+            {quotes.map(tab => (
+              <div
+                key={tab.id}
+                role="tab"
+                tabIndex={0}
+                aria-selected={tab.id === quote.id}
+                data-quote-tab={tab.id}
+                className={`tab-item ${tab.id === quote.id ? 'active' : ''}`}
+                onClick={() => quoteStore.setActiveQuote(tab.id)}
+                onKeyDown={(e) => e.key === 'Enter' && quoteStore.setActiveQuote(tab.id)}
+              >
+                <span className="tab-amount">{formatCurrency(getQuoteTotals(tab).subtotal, tab.currency)}</span>
+                <span className="tab-label" title={tab.name}>{tab.name}</span>
+              </div>
+            ))}
+            <button className="add-tab" title="Add a quote" onClick={() => apply(quoteStore.addQuote())}>+</button>
           </div>
 
           <div className="quote-content">
             <h2>Quote details</h2>
+            <span className="hidden-field" data-quote-field="quote.status">{quote.status}</span>
             
             <div className="warning-banner">
               <span className="warning-icon">⚠️</span>
               Price is pending and subject to change until approvals are complete. Do not share with customers.
             </div>
 
+            <QuoteTransferBar quote={quote} />
+
             <div className="quote-form">
+              {editError && (
+                <div className="quote-edit-error" role="alert">{editError}</div>
+              )}
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Quote name</label>
+                  <input
+                    type="text"
+                    value={quote.name}
+                    className="text-input"
+                    data-quote-field="quote.name"
+                    onChange={(e) => updateQuote('name', e.target.value)}
+                  />
+                </div>
+              </div>
+
               <div className="form-row">
                 <div className="form-group form-group-small">
                   <label>Req start date</label>
-                  <input type="date" value="2025-07-21" className="date-input" />
+                  <input
+                    type="date"
+                    value={quote.startDate}
+                    className="date-input"
+                    data-quote-field="deal.startDate"
+                    onChange={(e) => updateQuote('startDate', e.target.value)}
+                  />
                 </div>
                 <div className="form-group form-group-small">
                   <label>Subscription term</label>
-                  <select className="select-input">
-                    <option>3 years</option>
+                  <select className="select-input" value={quote.termYears} onChange={(e) => updateQuote('termYears', e.target.value)}>
+                    {[...new Set([...TERM_OPTIONS, quote.termYears])].map(years => (
+                      <option key={years} value={years}>{formatTerm(years)}</option>
+                    ))}
                   </select>
+                  <span className="hidden-field" data-quote-field="deal.timeline">{formatTerm(quote.termYears)}</span>
                 </div>
                 <div className="form-group form-group-small">
                   <label>End date</label>
-                  <span className="end-date">7/20/2028</span>
+                  <span className="end-date" data-quote-field="deal.endDate" data-value={endDate}>{formatDate(endDate)}</span>
                 </div>
               </div>
 
@@ -93,71 +171,116 @@ const SolutionBuilder = () => {
                   <div className="col-discount">Rep discount</div>
                   <div className="col-unit-price">Unit price</div>
                   <div className="col-net-price">Net price</div>
+                  <div className="col-remove"></div>
                 </div>
 
-                <div className="product-row">
-                  <div className="product-info">
-                    <div className="product-name">Hiring Enterprise Program</div>
-                    <div className="product-status">Price adjustment applied</div>
-                    <div className="subsidiary">1 subsidiary included</div>
-                    <button className="review-config">📝 Review configuration</button>
-                  </div>
-                  <div className="quantity">1</div>
-                  <div className="discount">N/A</div>
-                  <div className="unit-price">$487,500.00</div>
-                  <div className="net-price">$487,500.00</div>
-                </div>
+                {quote.lineItems.map(item => (
+                  <div key={item.id} data-line-item={item.id}>
+                    <div className="product-row">
+                      <div className="product-info">
+                        <input
+                          type="text"
+                          className="product-name product-name-input"
+                          placeholder="Product name"
+                          value={item.name}
+                          data-line-field="name"
+                          onChange={(e) => updateLine(item.id, 'name', e.target.value)}
+                        />
+                        {item.note && <div className="product-status">{item.note}</div>}
+                        <GuardrailBadges badges={guardrails.lineBadges[item.id]} onSelect={openGuardrail} />
+                      </div>
+                      <input
+                        type="number"
+                        min="0"
+                        step="1"
+                        className="quantity line-input"
+                        value={item.quantity}
+                        data-line-field="quantity"
+                        onChange={(e) => updateLine(item.id, 'quantity', e.target.value)}
+                      />
+                      <div className="discount">
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          className="line-input"
+                          value={item.discount || 0}
+                          data-line-field="discount"
+                          onChange={(e) => updateLine(item.id, 'discount', e.target.value)}
+                        />%
+                      </div>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        className="unit-price line-input"
+                        value={item.unitPrice}
+                        data-line-field="unitPrice"
+                        onChange={(e) => updateLine(item.id, 'unitPrice', e.target.value)}
+                      />
+                      <div className="net-price">{money(getLineNetPrice(item))}</div>
+                      <button
+                        className="remove-line"
+                        title="Remove product"
+                        onClick={() => apply(quoteStore.removeLineItem(quote.id, item.id))}
+                      >
+                        ✕
+                      </button>
+                    </div>
 
-                <div className="product-features">
-                  <div className="feature-row">
-                    <span className="feature-icon">└</span>
-                    <span className="feature-name">Job Slot</span>
-                    <span className="feature-value">Unlimited</span>
-                  </div>
-                  <div className="feature-row">
-                    <span className="feature-icon">└</span>
-                    <span className="feature-name">Recruiter Corporate</span>
-                    <span className="feature-value">Unlimited</span>
+                    {item.features?.length > 0 && (
+                      <div className="product-features">
+                        {item.features.map(feature => (
+                          <div
+                            key={feature.name}
+                            className="feature-row"
+                            data-line-feature={feature.value ? `${feature.name} - ${feature.value}` : feature.name}
+                          >
+                            <span className="feature-icon">└</span>
+                            <span className="feature-name">{feature.name}</span>
+                            {feature.value
+                              ? <span className="feature-value">{feature.value}</span>
+                              : <span className="feature-quantity">{feature.quantity}</span>}
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </div>
-                  <div className="feature-row">
-                    <span className="feature-icon">└</span>
-                    <span className="feature-name">Career Pages - Enterprise basic package</span>
-                    <span className="feature-quantity">1</span>
-                  </div>
-                </div>
+                ))}
 
-                <button className="add-product">+ Add a product</button>
+                {quote.lineItems.length === 0 && (
+                  <div className="empty-products">No products on this quote yet</div>
+                )}
+
+                <button className="add-product" onClick={() => apply(quoteStore.addLineItem(quote.id))}>+ Add a product</button>
               </div>
 
               <div className="pricing-summary">
-                <div className="pricing-row">
-                  <span>Year 1 (12 months) before tax</span>
-                  <span>$162,500.00</span>
-                </div>
-                <div className="pricing-row">
-                  <span>Year 2 (12 months) before tax</span>
-                  <span>$162,500.00</span>
-                </div>
-                <div className="pricing-row">
-                  <span>Year 3 (12 months) before tax</span>
-                  <span>$162,500.00</span>
-                </div>
+                {totals.yearly.map(({ year, amount }) => (
+                  <div key={year} className="pricing-row">
+                    <span>Year {year} (12 months) before tax</span>
+                    <span>{money(amount)}</span>
+                  </div>
+                ))}
                 <div className="pricing-row total">
                   <span>Total before tax</span>
-                  <span>$487,500.00</span>
-                </div>
-                <div className="pricing-row adjustment">
-                  <span>- Price adjustment applied</span>
-                  <span></span>
+                  <span data-quote-field="quote.totalBeforeTax" data-value={totals.subtotal}>{money(totals.subtotal)}</span>
                 </div>
+                <GuardrailBadges badges={guardrails.quoteBadges} onSelect={openGuardrail} />
+                {totals.discountAmount > 0 && (
+                  <div className="pricing-row adjustment">
+                    <span>- Price adjustment applied</span>
+                    <span>-{money(totals.discountAmount)}</span>
+                  </div>
+                )}
                 <div className="pricing-row">
                   <span>Estimated tax</span>
-                  <span>$0.00</span>
+                  <span data-quote-field="quote.estimatedTax" data-value={totals.tax}>{money(totals.tax)}</span>
                 </div>
                 <div className="pricing-row final">
-                  <span>Total after tax (USD)</span>
-                  <span className="pending-badge">Pending</span>
-                  <span>$487,500.00</span>
+                  <span>Total after tax ({quote.currency})</span>
+                  <span className="pending-badge">{quote.status}</span>
+                  <span data-quote-field="quote.totalAfterTax" data-value={totals.total}>{money(totals.total)}</span>
                 </div>
               </div>
             </div>
@@ -196,6 +319,8 @@ const SolutionBuilder = () => {
               </div>
             </div>
 
+            <DealSimulatorPanel />
+
             <div className="form-actions">
               <button className="btn-secondary">Update CRM ▼</button>
               <button className="btn-primary">Review order form</button>
@@ -212,11 +337,21 @@ const SolutionBuilder = () => {
             </div>
             <div className="section-content">
               <div className="field">
-                <span className="label">USD $</span>
+                <span className="label" data-quote-field="deal.currency">{quote.currency}</span>
               </div>
               <div className="field">
-                <span className="label">Taxable</span>
-                <span className="info-icon">ℹ️</span>
+                <span className="label">Tax rate</span>
+                <span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="99"
+                    step="0.1"
+                    className="line-input"
+                    value={Math.round((quote.taxRate || 0) * 1000) / 10}
+                    onChange={(e) => updateQuote('taxRate', e.target.value === '' ? 0 : Number(e.target.value) / 100)}
+                  />%
+                </span>
               </div>
               <div className="field">
                 <span className="label">Manual credit review required</span>
@@ -225,6 +360,36 @@ const SolutionBuilder = () => {
             </div>
           </div>
 
+          <div className="sidebar-section">
+            <div className="section-header">
+              <h3>Deal details</h3>
+            </div>
+            <div className="section-content">
+              <div className="deal-details">
+                {[['dealType', 'Deal type', labels.dealTypes], ['segment', 'Segment', labels.segments], ['region', 'Region', labels.regions]].map(([field, label, options]) => (
+                  <label key={field}>
+                    <span className="label">{label}</span>
+                    <select value={quote[field] || ''} data-quote-field={`deal.${field}`} onChange={(e) => updateQuote(field, e.target.value)}>
+                      {!quote[field] && <option value="">Select…</option>}
+                      {Object.values(options).map(option => <option key={option} value={option}>{option}</option>)}
+                    </select>
+                  </label>
+                ))}
+                <label>
+                  <span className="label">Seats</span>
+                  <input
+                    type="number"
+                    min="1"
+                    className="line-input"
+                    value={quote.seats ?? ''}
+                    data-quote-field="deal.seats"
+                    onChange={(e) => updateQuote('seats', e.target.value)}
+                  />
+                </label>
+              </div>
+            </div>
+          </div>
+
           <div className="sidebar-section">
             <div className="section-header">
               <h3>Primary contact</h3>
@@ -232,9 +397,9 @@ const SolutionBuilder = () => {
             </div>
             <div className="section-content">
               <div className="contact-info">
-                <div>firstname lastname</div>
-                <div>linkedin.ei@gmail.com</div>
-                <div>363199424</div>
+                <div data-quote-field="customer.primaryContact.name">{customer.primaryContact.name}</div>
+                <div data-quote-field="customer.primaryContact.email">{customer.primaryContact.email}</div>
+                <div data-quote-field="customer.primaryContact.phone">{customer.primaryContact.phone}</div>
               </div>
             </div>
           </div>
@@ -246,9 +411,9 @@ const SolutionBuilder = () => {
             </div>
             <div className="section-content">
               <div className="contact-info">
-                <div>firstname lastname</div>
-                <div>linkedin.ei@gmail.com</div>
-                <div>363199424</div>
+                <div data-quote-field="customer.billingContact.name">{customer.billingContact.name}</div>
+                <div data-quote-field="customer.billingContact.email">{customer.billingContact.email}</div>
+                <div data-quote-field="customer.billingContact.phone">{customer.billingContact.phone}</div>
               </div>
             </div>
           </div>
@@ -260,10 +425,14 @@ const SolutionBuilder = () => {
             </div>
             <div className="section-content">
               <div className="address-info">
-                <div>Pellegrino E2E Test 2fcol3xsi8ljg</div>
-                <div>999 N Mathilda Ave</div>
-                <div>Sunnyvale CA 94085-3505</div>
-                <div>United States</div>
+                <div data-quote-field="customer.address.company">{customer.address.company}</div>
+                <div data-quote-field="customer.address.street">{customer.address.street}</div>
+                <div>
+                  <span data-quote-field="customer.address.city">{customer.address.city}</span>{' '}
+                  <span data-quote-field="customer.address.state">{customer.address.state}</span>{' '}
+                  <span data-quote-field="customer.address.zipCode">{customer.address.zipCode}</span>
+                </div>
+                <div data-quote-field="customer.address.country">{customer.address.country}</div>
               </div>
             </div>
           </div>
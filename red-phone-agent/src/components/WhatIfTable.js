@@ -0,0 +1,57 @@
+import React from 'react';
+import '../styles/Chat.css';
+
+const REGION_LABELS = { namer: 'NAMER', latam: 'LATAM', emea: 'EMEA', apac: 'APAC' };
+
+const WhatIfTable = ({ result }) => {
+  if (!result || result.scenarios.length === 0) return null;
+
+  return (
+    <div className="what-if-table-wrapper">
+      <table className="what-if-table">
+        <thead>
+          <tr>
+            <th>Discount</th>
+            <th>Seats</th>
+            <th>Term</th>
+            <th>Region</th>
+            <th>Net value</th>
+            <th>Approval</th>
+            <th>Score</th>
+            <th>Violations</th>
+            <th>Turnaround</th>
+          </tr>
+        </thead>
+        <tbody>
+          {result.scenarios.map(row => (
+            <tr key={row.id} className={`${row.isBase ? 'what-if-base' : ''} ${row.withinPolicy ? '' : 'what-if-outside'}`.trim()}>
+              <td>
+                {row.discount}%
+                {row.policyLimit !== null && <span className="what-if-limit"> / {row.policyLimit}%</span>}
+              </td>
+              <td>{row.seats ?? '-'}</td>
+              <td>{row.termYears} yr</td>
+              <td>{REGION_LABELS[row.region] || row.region}</td>
+              <td>${row.dealValue.toLocaleString()}</td>
+              <td title={row.approvers.join(' + ')}>
+                <span className={`what-if-level level-${row.approvalLevel}`}>L{row.approvalLevel}</span> {row.approvers.join(' + ')}
+              </td>
+              <td>{row.score}</td>
+              <td className="what-if-violations">
+                {row.violations.length > 0 ? row.violations.join('; ') : 'None'}
+              </td>
+              <td>{row.turnaround}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {result.truncated && (
+        <div className="what-if-note">
+          Showing {result.scenarios.length} of {result.totalCombinations} combinations
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WhatIfTable;
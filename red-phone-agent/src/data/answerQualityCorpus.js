@@ -0,0 +1,127 @@
+// Answer-quality regression corpus for Red Phone Agent
+// Realistic rep questions with expectations derived from the Rules of Engagement, so policy edits flow into the suite
+
+import { getDiscountPolicy, getApprovalRequirement, rulesOfEngagement } from './rulesOfEngagement.js';
+
+const approverFor = (discountPercent, dealSize = 0) => getApprovalRequirement(discountPercent, dealSize).discountApproval.approver;
+
+// expect: {
+//   mentions:     strings the answer must contain (case-insensitive)
+//   approver:     approval level the answer must name
+//   requiresCase: whether the answer should ask for a case
+//   followUps:    patterns that must each match at least one suggested follow-up
+//   scenarioId:   realScenarios ID for services that match scenarios (null = no scenario)
+// }
+export const answerQualityCorpus = [
+  {
+    id: 'max-discount-enterprise-new-business',
+    question: 'What is the max discount for enterprise new business?',
+    expect: {
+      mentions: [`${getDiscountPolicy('newBusiness', 'enterprise').max}%`],
+      requiresCase: false,
+      scenarioId: null
+    }
+  },
+  {
+    id: 'max-discount-smb-renewal',
+    question: 'What is the maximum discount for an smb renewal?',
+    expect: {
+      mentions: [`${getDiscountPolicy('renewal', 'smb').max}%`],
+      requiresCase: false,
+      scenarioId: null
+    }
+  },
+  {
+    id: 'approval-25-percent',
+    question: 'I need a 25% discount for an enterprise new business deal worth $120,000',
+    expect: {
+      approver: approverFor(25, 120000),
+      requiresCase: true,
+      followUps: [/case/i],
+      scenarioId: null
+    }
+  },
+  {
+    id: 'approval-15-percent',
+    question: 'Can I offer a 15% discount on this quote?',
+    expect: {
+      approver: approverFor(15),
+      followUps: [/case|policy/i]
+    }
+  },
+  {
+    id: 'approval-35-percent',
+    question: 'Customer wants 35% discount, need approval',
+    expect: {
+      approver: approverFor(35),
+      requiresCase: true,
+      followUps: [/case/i],
+      scenarioId: null
+    }
+  },
+  {
+    id: 'auto-approved-discount',
+    question: 'Is a 5% discount on an enterprise new business deal auto-approved?',
+    expect: {
+      mentions: ['auto-approved'],
+      requiresCase: false
+    }
+  },
+  {
+    id: 'enterprise-pilot-duration',
+    question: 'How long can an enterprise pilot run?',
+    expect: {
+      mentions: [rulesOfEngagement.pilotPrograms.enterprise.duration],
+      requiresCase: false,
+      scenarioId: null
+    }
+  },
+  {
+    id: 'minimum-seats-smb',
+    question: 'What are the minimum seats for smb new business?',
+    expect: {
+      mentions: [`${rulesOfEngagement.dealTypes.newBusiness.minimumCommitment.smb.seats}`],
+      requiresCase: false,
+      scenarioId: null
+    }
+  },
+  {
+    id: 'compensation-missing',
+    question: 'Why is my compensation missing on this opportunity?',
+    expect: {
+      mentions: ['refresh'],
+      requiresCase: false,
+      followUps: [/escalate|refresh/i],
+      scenarioId: 'compensation-missing'
+    }
+  },
+  {
+    id: 'find-invoice',
+    question: 'How do I find an invoice for my customer?',
+    expect: {
+      mentions: ['CSP Order'],
+      requiresCase: false,
+      scenarioId: 'find-invoice'
+    }
+  },
+  {
+    id: 'legal-terms',
+    question: 'Customer wants non-standard legal terms in the order form',
+    expect: {
+      mentions: ['legal counsel'],
+      requiresCase: true,
+      followUps: [/case/i],
+      scenarioId: 'legal-terms'
+    }
+  },
+  {
+    id: 'competitive-threat',
+    question: 'Competitor is offering a price 30% lower, what can I do?',
+    expect: {
+      followUps: [/compet|case/i],
+      scenarioId: null
+    }
+  }
+];
+
+export default answerQualityCorpus;
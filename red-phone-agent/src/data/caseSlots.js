@@ -0,0 +1,73 @@
+// Case Slot Definitions for Red Phone Agent
+// How to ask for, validate and store each caseInfo.requiredFields entry used by realScenarios
+
+// type:     slotValidators key (date, currency, percent, years, boolean, text)
+// field:    case record field the answer is stored in
+// options:  validator options
+export const caseSlotDefinitions = {
+  customer_start_date: {
+    field: 'customerStartDate',
+    label: 'Customer start date',
+    type: 'date',
+    options: { future: true },
+    prompt: "What is the customer's intended start date?"
+  },
+  annual_spend_usd: {
+    field: 'annualSpendUsd',
+    label: 'Average annual spend (USD)',
+    type: 'currency',
+    prompt: 'What is the intended average spend per year in USD?'
+  },
+  max_first_year_spend: {
+    field: 'maxFirstYearSpend',
+    label: 'Maximum first-year spend (USD)',
+    type: 'currency',
+    prompt: 'What is the maximum the customer is willing to spend in the first year?'
+  },
+  deal_length: {
+    field: 'dealLength',
+    label: 'Deal length (years)',
+    type: 'years',
+    options: { allowed: [2, 3] },
+    prompt: 'Is the client looking at a 2 or 3-year deal?'
+  },
+  requested_terms: {
+    field: 'requestedTerms',
+    label: 'Requested terms',
+    type: 'text',
+    prompt: 'Which non-standard terms is the customer asking for?'
+  },
+  legal_counsel_approval: {
+    field: 'legalCounselApproval',
+    label: 'Legal counsel approval',
+    type: 'boolean',
+    prompt: 'Has your legal counsel already approved these terms? (yes/no)'
+  },
+  target_stage: {
+    field: 'targetStage',
+    label: 'Target stage',
+    type: 'text',
+    prompt: 'Which stage are you trying to move the opportunity to?'
+  },
+  error_message: {
+    field: 'errorMessage',
+    label: 'Error message',
+    type: 'text',
+    prompt: 'What error message do you see?'
+  },
+  opportunity_id: {
+    field: 'opportunityId',
+    label: 'Opportunity ID',
+    type: 'text',
+    options: { pattern: /\bOPP-\d{4}-\d+\b/i, example: 'OPP-2025-001234' },
+    prompt: 'What is the opportunity ID (for example OPP-2025-001234)?'
+  }
+};
+
+// Fallback for required fields without a definition: ask for free text
+export const getSlotDefinition = (requiredField) => caseSlotDefinitions[requiredField] || {
+  field: requiredField.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()),
+  label: requiredField.replace(/_/g, ' ').replace(/^./, char => char.toUpperCase()),
+  type: 'text',
+  prompt: `What is the ${requiredField.replace(/_/g, ' ')}?`
+};
@@ -0,0 +1,78 @@
+// Sample Quotes for Red Phone Agent
+// The quotes Solution Builder opens with until quotes are loaded from CPQ
+
+const pellegrino = {
+  name: "Pellegrino E2E Test 2fcol3xsi8ljg",
+  primaryContact: {
+    name: "firstname lastname",
+    email: "linkedin.ei@gmail.com",
+    phone: "363199424"
+  },
+  billingContact: {
+    name: "firstname lastname",
+    email: "linkedin.ei@gmail.com",
+    phone: "363199424"
+  },
+  address: {
+    company: "Pellegrino E2E Test 2fcol3xsi8ljg",
+    street: "999 N Mathilda Ave",
+    city: "Sunnyvale",
+    state: "CA",
+    zipCode: "94085-3505",
+    country: "United States"
+  }
+};
+
+const opportunityName = "Pellegrino E2E Test 2fcol3xsi8ljg-Abacus test opportunity";
+
+// Deal type, segment and region use the ROE display labels
+export const sampleQuotes = [
+  {
+    id: "abacus-new",
+    name: "New Abacus Quote",
+    opportunityName,
+    status: "Draft",
+    customer: pellegrino,
+    dealType: "New Business",
+    segment: "Enterprise",
+    region: "NAMER",
+    currency: "USD",
+    seats: null,
+    startDate: "2025-07-21",
+    termYears: 1,
+    taxRate: 0,
+    lineItems: []
+  },
+  {
+    id: "2fcol3xsi8ljg",
+    name: "HEP new Enterprise Agreement",
+    opportunityName,
+    status: "Pending",
+    customer: pellegrino,
+    dealType: "New Business",
+    segment: "Enterprise",
+    region: "NAMER",
+    currency: "USD",
+    seats: 250,
+    startDate: "2025-07-21",
+    termYears: 3,
+    taxRate: 0,
+    lineItems: [
+      {
+        id: "line-1",
+        name: "Hiring Enterprise Program",
+        quantity: 1,
+        unitPrice: 487500.00,
+        discount: 0,
+        note: "Price adjustment applied",
+        features: [
+          { name: "Job Slot", value: "Unlimited" },
+          { name: "Recruiter Corporate", value: "Unlimited" },
+          { name: "Career Pages - Enterprise basic package", quantity: 1 }
+        ]
+      }
+    ]
+  }
+];
+
+export const defaultActiveQuoteId = "2fcol3xsi8ljg";
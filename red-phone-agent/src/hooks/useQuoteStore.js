@@ -0,0 +1,11 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import quoteStore from '../services/quoteStore';
+
+// Current quote store state; re-renders whenever a quote changes or the rep switches tabs
+const useQuoteStore = (store = quoteStore) => {
+  const subscribe = useCallback(listener => store.subscribe(listener), [store]);
+  const getSnapshot = useCallback(() => store.getState(), [store]);
+  return useSyncExternalStore(subscribe, getSnapshot);
+};
+
+export default useQuoteStore;
@@ -0,0 +1,159 @@
+// Agent Orchestrator for Red Phone Agent
+// Runs every chat message through an ordered, pluggable pipeline of stages
+
+import simpleAiService from './simpleAiService.js';
+import aiService from './aiService.js';
+import { createEnvelope, defaultStages } from './orchestratorStages.js';
+import { simulateStream } from '../utils/streamUtils.js';
+
+class AgentOrchestrator {
+  constructor(stages = defaultStages) {
+    this.stages = [...stages];
+    this.isInitialized = false;
+    this.streamChunkDelay = 15; // ms between chunks when replaying non-streamed answers
+  }
+
+  async initialize() {
+    await simpleAiService.initialize();
+    const llm = await aiService.initialize();
+    this.isInitialized = true;
+
+    return {
+      success: true,
+      mode: llm.mode === 'live' ? 'live' : 'scenarios',
+      provider: llm.provider,
+      model: llm.model
+    };
+  }
+
+  // Stage registry: insert before/after an existing stage, replace or remove by name
+  useStage(stage, { before, after } = {}) {
+    const anchor = before || after;
+    const index = anchor ? this.stages.findIndex(existing => existing.name === anchor) : -1;
+
+    if (anchor && index === -1) {
+      throw new Error(`Unknown pipeline stage: ${anchor}`);
+    }
+
+    if (!anchor) this.stages.push(stage);
+    else this.stages.splice(before ? index : index + 1, 0, stage);
+    return this;
+  }
+
+  replaceStage(name, stage) {
+    const index = this.stages.findIndex(existing => existing.name === name);
+    if (index === -1) {
+      throw new Error(`Unknown pipeline stage: ${name}`);
+    }
+    this.stages[index] = stage;
+    return this;
+  }
+
+  removeStage(name) {
+    this.stages = this.stages.filter(stage => stage.name !== name);
+    return this;
+  }
+
+  getStageNames() {
+    return this.stages.map(stage => stage.name);
+  }
+
+  createContext(messageText, options = {}) {
+    const { signal, ...stageOptions } = options;
+    return {
+      message: messageText,
+      sessionId: options.sessionId || null,
+      options: stageOptions,
+      signal,
+      state: {}
+    };
+  }
+
+  async processMessage(messageText, options = {}) {
+    const events = this.runPipeline(messageText, options, false);
+    let result = null;
+    for await (const event of events) {
+      if (event.type === 'done') result = event.response;
+    }
+    return result;
+  }
+
+  // Same event shape as simpleAiService.streamMessage: deltas, then {type: 'done', response, aborted}
+  async *streamMessage(messageText, options = {}) {
+    yield* this.runPipeline(messageText, options, true);
+  }
+
+  async *runPipeline(messageText, options, streaming) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const context = this.createContext(messageText, options);
+    const envelope = createEnvelope(context.sessionId);
+    let streamed = '';
+
+    try {
+      for (const stage of this.stages) {
+        if (context.signal?.aborted) break;
+
+        const startedAt = Date.now();
+        const record = { name: stage.name, durationMs: 0 };
+
+        try {
+          if (streaming && typeof stage.stream === 'function') {
+            for await (const delta of stage.stream(envelope, context)) {
+              streamed += delta;
+              yield { type: 'delta', delta };
+            }
+          } else {
+            await stage.run(envelope, context);
+          }
+        } catch (error) {
+          if (!stage.optional) throw error;
+          console.warn(`Pipeline stage "${stage.name}" failed:`, error.message);
+          record.error = error.message;
+        }
+
+        record.durationMs = Date.now() - startedAt;
+        envelope.metadata.stages.push(record);
+      }
+
+      if (!envelope.response && !context.signal?.aborted) {
+        throw new Error('No pipeline stage produced a response');
+      }
+    } catch (error) {
+      console.error('Agent orchestrator error:', error);
+      yield {
+        type: 'done',
+        aborted: false,
+        response: { ...envelope, success: false, error: error.message, response: streamed || envelope.response }
+      };
+      return;
+    }
+
+    if (streaming && !streamed) {
+      for await (const delta of simulateStream(envelope.response, { signal: context.signal, chunkDelay: this.streamChunkDelay })) {
+        streamed += delta;
+        yield { type: 'delta', delta };
+      }
+    }
+
+    const aborted = Boolean(context.signal?.aborted);
+    if (aborted) {
+      yield {
+        type: 'done',
+        aborted: true,
+        response: { ...envelope, response: streamed, actions: [], followUpSuggestions: [], requiresCase: false }
+      };
+      return;
+    }
+
+    yield { type: 'done', aborted: false, response: envelope };
+  }
+}
+
+// Create singleton instance
+const agentOrchestrator = new AgentOrchestrator();
+
+export { AgentOrchestrator };
+export default agentOrchestrator;
@@ -0,0 +1,113 @@
+// Approval Inbox for Red Phone Agent
+// Pre-analysed cases waiting on an approver: compliance, routing rationale and precedents side by side
+
+import approvalWorkflow, { canActOn } from './approvalWorkflow.js';
+import caseRepository from './caseRepository.js';
+import caseRouter from '../utils/caseRouter.js';
+import policyChecker from '../utils/policyChecker.js';
+import { getSlaStatus, normalizePriority } from '../utils/caseLifecycle.js';
+
+// Everyone who can appear on an approval step, lowest level first
+export const APPROVER_ROLES = [...new Set(
+  caseRouter.routingRules.approvalLevels
+    .filter(level => level.level > 1)
+    .flatMap(level => level.title.split(' + '))
+)];
+
+export const INBOX_TEAMS = Object.keys(caseRouter.routingRules.teams);
+
+export const INBOX_SLA_STATES = ['on_track', 'due_soon', 'breached'];
+
+class ApprovalInbox {
+  constructor({
+    workflows = approvalWorkflow,
+    repository = caseRepository,
+    router = caseRouter,
+    checker = policyChecker,
+    clock = () => new Date()
+  } = {}) {
+    this.workflows = workflows;
+    this.repository = repository;
+    this.router = router;
+    this.checker = checker;
+    this.clock = clock;
+  }
+
+  // Compliance (against the rules in effect when the case was submitted), routing explanation and similar past cases
+  analyze(caseRecord) {
+    const input = this.router.toRoutingInput(caseRecord);
+    const check = this.checker.checkCompliance(input, { asOf: caseRecord.submittedAt || caseRecord.createdAt });
+    const compliance = check.success ? check.compliance : check.fallback;
+    const routed = this.router.routeCase(input);
+
+    return {
+      compliance: {
+        overallCompliance: compliance.overallCompliance,
+        score: compliance.score,
+        violations: compliance.violations,
+        warnings: compliance.warnings.filter(warning => warning.type !== 'system'),
+        recommendations: compliance.recommendations || [],
+        policyVersion: compliance.policyVersion || null
+      },
+      routingRationale: routed.success ? routed.routing_rationale : [routed.fallback.message],
+      precedents: compliance.precedentAnalysis || { foundSimilar: false, similarCases: [] }
+    };
+  }
+
+  buildItem(workflow, role) {
+    const caseRecord = this.repository.get(workflow.caseId);
+    if (!caseRecord) return null;
+
+    const step = this.workflows.getCurrentStep(workflow);
+    return {
+      caseId: caseRecord.id,
+      case: caseRecord,
+      team: this.router.getTeamKey(this.router.normalizeCategory(caseRecord.category)),
+      priority: normalizePriority(caseRecord.priority),
+      step: {
+        number: step.index + 1,
+        title: step.title,
+        stepCount: workflow.steps.length,
+        dueAt: step.dueAt,
+        escalations: step.escalations
+      },
+      approval: step.approvals.find(approval => approval.status === 'pending' && canActOn(approval, role)),
+      sla: getSlaStatus({ status: caseRecord.status, slaDueAt: step.dueAt }, this.clock())
+    };
+  }
+
+  // Cases waiting on `role`, most urgent approval deadline first
+  list(role, { team, priority, sla } = {}) {
+    this.workflows.checkSlas();
+
+    return this.workflows.listPendingFor(role)
+      .map(workflow => this.buildItem(workflow, role))
+      .filter(Boolean)
+      .filter(item => !team || item.team === team)
+      .filter(item => !priority || item.priority === priority)
+      .filter(item => !sla || item.sla.state === sla)
+      .sort((a, b) => (a.step.dueAt || '9999').localeCompare(b.step.dueAt || '9999'))
+      .map(item => ({ ...item, ...this.analyze(item.case) }));
+  }
+
+  // approve | reject | request_info, written back to the workflow and the case
+  act(caseId, action, { role, note } = {}) {
+    const options = { role, actor: role, note };
+    switch (action) {
+      case 'approve':
+        return this.workflows.approve(caseId, options);
+      case 'reject':
+        return this.workflows.reject(caseId, options);
+      case 'request_info':
+        return this.workflows.requestInfo(caseId, options);
+      default:
+        return { success: false, error: `Unknown approval action "${action}"` };
+    }
+  }
+}
+
+// Create singleton instance
+const approvalInbox = new ApprovalInbox();
+
+export { ApprovalInbox };
+export default approvalInbox;
@@ -0,0 +1,334 @@
+// Approval Workflow for Red Phone Agent
+// Turns a routed case into ordered approval steps with parallel approvers, delegation and SLA auto-escalation
+
+import { createDefaultStorage } from '../utils/storageAdapters.js';
+import caseRouter from '../utils/caseRouter.js';
+import caseRepository from './caseRepository.js';
+
+const STORE_KEY = 'approvals';
+const STORE_VERSION = 1;
+const DEFAULT_ACTOR = 'rep';
+const SYSTEM_ACTOR = 'system';
+const HOUR_MS = 60 * 60 * 1000;
+
+// Workflows only start once the rep has submitted the case
+const STARTABLE_STATUSES = ['Submitted', 'In Review'];
+
+const emptyStore = () => ({ version: STORE_VERSION, workflows: {} });
+
+const addHours = (from, hours) => new Date(new Date(from).getTime() + hours * HOUR_MS).toISOString();
+
+// An approval can be decided by its role, the delegate it was handed to, or the level it escalated to
+export const canActOn = (approval, role) => (
+  approval.role === role ||
+  approval.delegatedTo === role ||
+  Boolean(approval.escalatedTo && approval.escalatedTo.split(' + ').includes(role))
+);
+
+class ApprovalWorkflow {
+  constructor({ storage = createDefaultStorage(), repository = caseRepository, router = caseRouter, clock = () => new Date() } = {}) {
+    this.storage = storage;
+    this.repository = repository;
+    this.router = router;
+    this.clock = clock;
+  }
+
+  loadStore() {
+    const store = this.storage.load(STORE_KEY);
+    return store && store.version === STORE_VERSION ? store : emptyStore();
+  }
+
+  commit(store, workflow) {
+    if (this.storage.save(STORE_KEY, store) === false) {
+      return { success: false, error: 'Unable to persist the approval store' };
+    }
+    return { success: true, workflow };
+  }
+
+  record(workflow, entry) {
+    const at = this.clock().toISOString();
+    workflow.history.push({ at, ...entry });
+    workflow.updatedAt = at;
+  }
+
+  // Stored routing from CaseCreationForm is reused; other cases are routed now
+  getRouting(caseRecord) {
+    if (caseRecord.routing?.escalationPath) {
+      return caseRecord.routing;
+    }
+    const routed = this.router.routeCase(this.router.toRoutingInput(caseRecord));
+    return routed.success ? routed.routing : routed.fallback.routing;
+  }
+
+  activateStep(workflow, index) {
+    const step = workflow.steps[index];
+    const now = this.clock().toISOString();
+    workflow.currentStep = index;
+    step.status = 'active';
+    step.startedAt = now;
+    step.dueAt = step.slaHours > 0 ? addHours(now, step.slaHours) : null;
+  }
+
+  start(caseId, { actor = DEFAULT_ACTOR } = {}) {
+    const caseRecord = this.repository.get(caseId);
+    if (!caseRecord) {
+      return { success: false, error: `Case ${caseId} not found` };
+    }
+    if (!STARTABLE_STATUSES.includes(caseRecord.status)) {
+      return { success: false, error: `Case ${caseId} is ${caseRecord.status}; submit it before starting approvals` };
+    }
+
+    const store = this.loadStore();
+    if (store.workflows[caseId]) {
+      return { success: false, error: `Case ${caseId} already has an approval workflow` };
+    }
+
+    const routing = this.getRouting(caseRecord);
+    const now = this.clock().toISOString();
+    const workflow = {
+      caseId,
+      status: 'pending',
+      approvalLevel: routing.approvalLevel,
+      currentStep: null,
+      steps: this.router.buildApprovalSteps(routing).map((step, index) => ({
+        index,
+        ...step,
+        status: 'waiting',
+        approvals: step.approvers.map(role => ({ role, status: 'pending' })),
+        startedAt: null,
+        dueAt: null,
+        completedAt: null,
+        escalations: 0
+      })),
+      pausedAt: null,
+      infoRequest: null,
+      createdAt: now,
+      updatedAt: now,
+      history: []
+    };
+
+    if (caseRecord.status === 'Submitted') {
+      this.repository.transition(caseId, 'In Review', { actor: SYSTEM_ACTOR, note: 'Approval workflow started' });
+    }
+    this.record(workflow, { actor, action: 'started', note: workflow.steps.map(step => step.title).join(' → ') || 'Auto-approved' });
+
+    if (workflow.steps.length === 0) {
+      workflow.status = 'approved';
+      this.repository.transition(caseId, 'Approved', { actor: SYSTEM_ACTOR, note: 'Auto-approved within policy' });
+    } else {
+      this.activateStep(workflow, 0);
+    }
+
+    store.workflows[caseId] = workflow;
+    return this.commit(store, workflow);
+  }
+
+  get(caseId) {
+    return this.loadStore().workflows[caseId] || null;
+  }
+
+  list({ status } = {}) {
+    return Object.values(this.loadStore().workflows)
+      .filter(workflow => !status || workflow.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  getCurrentStep(workflow) {
+    return workflow.currentStep === null ? null : workflow.steps[workflow.currentStep];
+  }
+
+  // Pending workflows whose current step has an approval this role can decide
+  listPendingFor(role) {
+    return this.list({ status: 'pending' }).filter(workflow => (
+      this.getCurrentStep(workflow)?.approvals.some(approval => approval.status === 'pending' && canActOn(approval, role))
+    ));
+  }
+
+  // Load a workflow that is waiting on a decision, plus the approval `role` may act on
+  findPendingApproval(store, caseId, role, { allowPaused = false } = {}) {
+    const workflow = store.workflows[caseId];
+    if (!workflow) {
+      return { error: `Case ${caseId} has no approval workflow` };
+    }
+    if (workflow.status === 'info_requested' && !allowPaused) {
+      return { error: `Case ${caseId} is waiting for more information from the rep` };
+    }
+    if (!['pending', 'info_requested'].includes(workflow.status)) {
+      return { error: `Approvals for case ${caseId} are already ${workflow.status}` };
+    }
+
+    const caseRecord = this.repository.get(caseId);
+    if (caseRecord?.status !== 'In Review') {
+      return { error: `Case ${caseId} is ${caseRecord?.status || 'missing'} and can no longer be approved` };
+    }
+
+    const step = this.getCurrentStep(workflow);
+    const pending = step.approvals.filter(approval => approval.status === 'pending');
+    const approval = role ? pending.find(candidate => canActOn(candidate, role)) : (pending.length === 1 ? pending[0] : null);
+    if (!approval) {
+      return { error: role ? `${role} has no pending approval on ${step.title} for case ${caseId}` : `Say which approver is acting on ${step.title}` };
+    }
+    return { workflow, step, approval };
+  }
+
+  decide(caseId, decision, { role, actor = role || DEFAULT_ACTOR, note } = {}) {
+    const store = this.loadStore();
+    const { workflow, step, approval, error } = this.findPendingApproval(store, caseId, role);
+    if (error) {
+      return { success: false, error };
+    }
+    if (decision === 'rejected' && !note) {
+      return { success: false, error: 'A rejection needs a reason' };
+    }
+
+    const now = this.clock().toISOString();
+    Object.assign(approval, { status: decision, decidedBy: actor, decidedAt: now, ...(note ? { note } : {}) });
+    this.record(workflow, { actor, action: decision, step: step.title, role: approval.role, ...(note ? { note } : {}) });
+
+    if (decision === 'rejected') {
+      step.status = 'rejected';
+      step.completedAt = now;
+      workflow.status = 'rejected';
+      this.repository.transition(caseId, 'Rejected', { actor, note: `Rejected by ${approval.role}: ${note}` });
+    } else if (step.approvals.every(candidate => candidate.status === 'approved')) {
+      step.status = 'approved';
+      step.completedAt = now;
+      if (workflow.currentStep < workflow.steps.length - 1) {
+        this.activateStep(workflow, workflow.currentStep + 1);
+      } else {
+        workflow.status = 'approved';
+        this.repository.transition(caseId, 'Approved', { actor, note: `Approved by ${workflow.steps.map(approvedStep => approvedStep.title).join(' → ')}` });
+      }
+    }
+
+    return this.commit(store, workflow);
+  }
+
+  approve(caseId, options) {
+    return this.decide(caseId, 'approved', options);
+  }
+
+  reject(caseId, options) {
+    return this.decide(caseId, 'rejected', options);
+  }
+
+  // Pauses the step's SLA clock until the rep answers
+  requestInfo(caseId, { role, actor = role || DEFAULT_ACTOR, note } = {}) {
+    if (!note || !String(note).trim()) {
+      return { success: false, error: 'Say what information is needed' };
+    }
+
+    const store = this.loadStore();
+    const { workflow, step, approval, error } = this.findPendingApproval(store, caseId, role);
+    if (error) {
+      return { success: false, error };
+    }
+
+    workflow.status = 'info_requested';
+    workflow.pausedAt = this.clock().toISOString();
+    workflow.infoRequest = { role: approval.role, actor, note, at: workflow.pausedAt };
+    this.record(workflow, { actor, action: 'info_requested', step: step.title, role: approval.role, note });
+    this.repository.addComment(caseId, `Information requested by ${approval.role}: ${note}`, { actor });
+    return this.commit(store, workflow);
+  }
+
+  // The rep's answer resumes the step, extending its deadline by the time spent waiting
+  provideInfo(caseId, { actor = DEFAULT_ACTOR, note } = {}) {
+    const store = this.loadStore();
+    const workflow = store.workflows[caseId];
+    if (!workflow || workflow.status !== 'info_requested') {
+      return { success: false, error: `Case ${caseId} has no open information request` };
+    }
+
+    const step = this.getCurrentStep(workflow);
+    const waitedMs = this.clock().getTime() - new Date(workflow.pausedAt).getTime();
+    if (step.dueAt) {
+      step.dueAt = new Date(new Date(step.dueAt).getTime() + waitedMs).toISOString();
+    }
+    workflow.status = 'pending';
+    workflow.pausedAt = null;
+    workflow.infoRequest = null;
+    this.record(workflow, { actor, action: 'info_provided', step: step.title, ...(note ? { note } : {}) });
+    if (note) {
+      this.repository.addComment(caseId, note, { actor });
+    }
+    return this.commit(store, workflow);
+  }
+
+  delegate(caseId, { role, to, actor = role || DEFAULT_ACTOR, note } = {}) {
+    if (!to || !String(to).trim()) {
+      return { success: false, error: 'Say who the approval is delegated to' };
+    }
+
+    const store = this.loadStore();
+    const { workflow, step, approval, error } = this.findPendingApproval(store, caseId, role, { allowPaused: true });
+    if (error) {
+      return { success: false, error };
+    }
+
+    approval.delegatedTo = String(to).trim();
+    this.record(workflow, { actor, action: 'delegated', step: step.title, role: approval.role, to: approval.delegatedTo, ...(note ? { note } : {}) });
+    return this.commit(store, workflow);
+  }
+
+  // Hand every overdue step's pending approvals to the next approval level and escalate the case.
+  // Steps at the top level are only flagged as breached. Returns the case IDs that were escalated
+  checkSlas() {
+    const store = this.loadStore();
+    const now = this.clock();
+    const escalated = [];
+
+    Object.values(store.workflows).forEach(workflow => {
+      const step = workflow.status === 'pending' ? this.getCurrentStep(workflow) : null;
+      if (!step || !step.dueAt || new Date(step.dueAt) > now) return;
+
+      const next = this.router.getNextApprovalLevel(step.level + step.escalations);
+      step.escalations += 1;
+      step.breachedAt = step.breachedAt || step.dueAt;
+      step.dueAt = next ? addHours(now, this.router.getResponseHours(next.response)) : null;
+
+      const reason = `${step.title} approval SLA (${step.response}) breached`;
+      step.approvals
+        .filter(approval => approval.status === 'pending')
+        .forEach(approval => {
+          if (next) approval.escalatedTo = next.title;
+        });
+      this.record(workflow, { actor: SYSTEM_ACTOR, action: 'escalated', step: step.title, ...(next ? { to: next.title } : {}), note: reason });
+      this.repository.escalate(workflow.caseId, { actor: SYSTEM_ACTOR, reason });
+      escalated.push(workflow.caseId);
+    });
+
+    if (escalated.length > 0 && this.storage.save(STORE_KEY, store) === false) {
+      return { success: false, error: 'Unable to persist the approval store' };
+    }
+    return { success: true, escalated };
+  }
+
+  // Short progress summary for case cards and chat answers
+  summarize(workflow) {
+    const step = this.getCurrentStep(workflow);
+    return {
+      status: workflow.status,
+      stepCount: workflow.steps.length,
+      currentStep: step && ['pending', 'info_requested'].includes(workflow.status) ? {
+        number: step.index + 1,
+        title: step.title,
+        dueAt: step.dueAt,
+        waitingOn: step.approvals
+          .filter(approval => approval.status === 'pending')
+          .map(approval => approval.delegatedTo || approval.escalatedTo || approval.role)
+      } : null,
+      infoRequest: workflow.infoRequest
+    };
+  }
+
+  clear() {
+    this.storage.remove(STORE_KEY);
+  }
+}
+
+// Create singleton instance
+const approvalWorkflow = new ApprovalWorkflow();
+
+export { ApprovalWorkflow };
+export default approvalWorkflow;
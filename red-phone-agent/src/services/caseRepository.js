@@ -0,0 +1,231 @@
+// Case Repository for Red Phone Agent
+// Persistent case store with status lifecycle and a per-case audit trail, backed by any storage adapter
+
+import { createDefaultStorage } from '../utils/storageAdapters.js';
+import caseRouter from '../utils/caseRouter.js';
+import {
+  CASE_STATUSES,
+  RESERVED_CASE_FIELDS,
+  RESOLVED_STATUSES,
+  isTerminalStatus,
+  validateTransition,
+  formatCaseId,
+  getSlaDueAt,
+  nextPriority
+} from '../utils/caseLifecycle.js';
+
+const STORE_KEY = 'cases';
+const STORE_VERSION = 1;
+const DEFAULT_ACTOR = 'rep';
+
+const emptyStore = () => ({ version: STORE_VERSION, sequence: 0, cases: {} });
+
+const withoutReservedFields = (data = {}) => Object.fromEntries(
+  Object.entries(data).filter(([field, value]) => !RESERVED_CASE_FIELDS.includes(field) && value !== undefined)
+);
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const getEscalationChain = (category) => caseRouter.getEscalationChain(caseRouter.normalizeCategory(category));
+
+// Escalation is only meaningful while someone is working the case
+const ESCALATABLE_STATUSES = ['Submitted', 'In Review'];
+
+class CaseRepository {
+  constructor({ storage = createDefaultStorage(), clock = () => new Date() } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+  }
+
+  // The store is re-read on every call so other tabs or server instances sharing the storage stay in sync
+  loadStore() {
+    const store = this.storage.load(STORE_KEY);
+    return store && store.version === STORE_VERSION ? store : emptyStore();
+  }
+
+  saveStore(store) {
+    return this.storage.save(STORE_KEY, store) !== false;
+  }
+
+  // Persist the store, or report the failure without returning an unsaved case
+  commit(store, caseRecord) {
+    if (!this.saveStore(store)) {
+      return { success: false, error: 'Unable to persist the case store' };
+    }
+    return { success: true, case: caseRecord };
+  }
+
+  appendAudit(caseRecord, entry) {
+    caseRecord.auditTrail.push({ at: this.clock().toISOString(), ...entry });
+  }
+
+  create(data = {}, { actor = DEFAULT_ACTOR, submit = false } = {}) {
+    const fields = withoutReservedFields(data);
+    if (!fields.title || typeof fields.title !== 'string' || !fields.title.trim()) {
+      return { success: false, error: 'A case needs a title' };
+    }
+
+    const store = this.loadStore();
+    const now = this.clock();
+    store.sequence += 1;
+
+    const caseRecord = {
+      id: formatCaseId(store.sequence, now),
+      ...fields,
+      status: 'Draft',
+      createdBy: actor,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      auditTrail: []
+    };
+    this.appendAudit(caseRecord, { actor, action: 'created', from: null, to: 'Draft' });
+
+    if (submit) {
+      this.applyTransition(caseRecord, 'Submitted', { actor });
+    }
+
+    store.cases[caseRecord.id] = caseRecord;
+    return this.commit(store, caseRecord);
+  }
+
+  get(id) {
+    return this.loadStore().cases[id] || null;
+  }
+
+  // Newest first; every filter is an exact match on the case field
+  list(filters = {}) {
+    const active = Object.entries(filters).filter(([, value]) => value !== undefined && value !== null && value !== '');
+    return Object.values(this.loadStore().cases)
+      .filter(caseRecord => active.every(([field, value]) => caseRecord[field] === value))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || b.id.localeCompare(a.id));
+  }
+
+  update(id, changes = {}, { actor = DEFAULT_ACTOR, note } = {}) {
+    const store = this.loadStore();
+    const caseRecord = store.cases[id];
+    if (!caseRecord) {
+      return { success: false, error: `Case ${id} not found` };
+    }
+    if (isTerminalStatus(caseRecord.status)) {
+      return { success: false, error: `Case ${id} is ${caseRecord.status} and can no longer be edited` };
+    }
+
+    const diff = {};
+    Object.entries(withoutReservedFields(changes)).forEach(([field, value]) => {
+      if (!sameValue(caseRecord[field], value)) {
+        diff[field] = { from: caseRecord[field] ?? null, to: value };
+        caseRecord[field] = value;
+      }
+    });
+
+    if (Object.keys(diff).length === 0) {
+      return { success: true, case: caseRecord, unchanged: true };
+    }
+
+    caseRecord.updatedAt = this.clock().toISOString();
+    this.appendAudit(caseRecord, { actor, action: 'updated', changes: diff, ...(note ? { note } : {}) });
+    return this.commit(store, caseRecord);
+  }
+
+  applyTransition(caseRecord, status, { actor = DEFAULT_ACTOR, note } = {}) {
+    const error = validateTransition(caseRecord.status, status);
+    if (error) return error;
+
+    const from = caseRecord.status;
+    const now = this.clock().toISOString();
+    caseRecord.status = status;
+    caseRecord.updatedAt = now;
+    if (status === 'Submitted') {
+      caseRecord.submittedAt = now;
+      caseRecord.slaDueAt = getSlaDueAt(caseRecord.priority, now);
+      caseRecord.escalationLevel = caseRecord.escalationLevel || 0;
+      caseRecord.assignee = caseRecord.assignee || caseRecord.routing?.team || getEscalationChain(caseRecord.category)[0];
+    }
+    if (RESOLVED_STATUSES.includes(status) && !caseRecord.resolvedAt) caseRecord.resolvedAt = now;
+    if (isTerminalStatus(status)) caseRecord.closedAt = now;
+
+    this.appendAudit(caseRecord, { actor, action: 'status_changed', from, to: status, ...(note ? { note } : {}) });
+    return null;
+  }
+
+  transition(id, status, options = {}) {
+    const store = this.loadStore();
+    const caseRecord = store.cases[id];
+    if (!caseRecord) {
+      return { success: false, error: `Case ${id} not found` };
+    }
+
+    const error = this.applyTransition(caseRecord, status, options);
+    if (error) {
+      return { success: false, error };
+    }
+    return this.commit(store, caseRecord);
+  }
+
+  submit(id, options) {
+    return this.transition(id, 'Submitted', options);
+  }
+
+  cancel(id, options) {
+    return this.transition(id, 'Cancelled', options);
+  }
+
+  addComment(id, text, { actor = DEFAULT_ACTOR } = {}) {
+    if (!text || !String(text).trim()) {
+      return { success: false, error: 'A comment cannot be empty' };
+    }
+
+    const store = this.loadStore();
+    const caseRecord = store.cases[id];
+    if (!caseRecord) {
+      return { success: false, error: `Case ${id} not found` };
+    }
+
+    caseRecord.updatedAt = this.clock().toISOString();
+    this.appendAudit(caseRecord, { actor, action: 'commented', note: String(text).trim() });
+    return this.commit(store, caseRecord);
+  }
+
+  // Raise the priority one level, hand the case to the next assignee in the
+  // category's escalation chain and pull the SLA deadline in to match
+  escalate(id, { actor = DEFAULT_ACTOR, reason } = {}) {
+    const store = this.loadStore();
+    const caseRecord = store.cases[id];
+    if (!caseRecord) {
+      return { success: false, error: `Case ${id} not found` };
+    }
+    if (!ESCALATABLE_STATUSES.includes(caseRecord.status)) {
+      return { success: false, error: `Only submitted or in-review cases can be escalated; ${id} is ${caseRecord.status}` };
+    }
+
+    const chain = getEscalationChain(caseRecord.category);
+    const level = Math.min((caseRecord.escalationLevel || 0) + 1, chain.length - 1);
+    const now = this.clock().toISOString();
+    const changes = {
+      priority: { from: caseRecord.priority ?? null, to: nextPriority(caseRecord.priority) },
+      assignee: { from: caseRecord.assignee ?? null, to: chain[level] }
+    };
+    const escalatedDue = getSlaDueAt(changes.priority.to, now);
+
+    caseRecord.priority = changes.priority.to;
+    caseRecord.assignee = changes.assignee.to;
+    caseRecord.escalationLevel = level;
+    if (!caseRecord.slaDueAt || escalatedDue < caseRecord.slaDueAt) {
+      caseRecord.slaDueAt = escalatedDue;
+    }
+    caseRecord.updatedAt = now;
+
+    this.appendAudit(caseRecord, { actor, action: 'escalated', changes, ...(reason ? { note: reason } : {}) });
+    return this.commit(store, caseRecord);
+  }
+
+  clear() {
+    this.storage.remove(STORE_KEY);
+  }
+}
+
+// Create singleton instance
+const caseRepository = new CaseRepository();
+
+export { CaseRepository, CASE_STATUSES };
+export default caseRepository;
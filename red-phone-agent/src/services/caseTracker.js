@@ -0,0 +1,161 @@
+// Case Tracker for Red Phone Agent
+// Resolves the cases a rep is asking about and summarises status, assignee, SLA and history for the chat
+
+import caseRepository from './caseRepository.js';
+import approvalWorkflow from './approvalWorkflow.js';
+import { getSlaStatus } from '../utils/caseLifecycle.js';
+
+const CASE_ID_PATTERN = /\bCASE-\d{4}-\d{3,}\b/gi;
+const TRACKING_PATTERN = /\b(track|status|progress|update on|where is|check on|recent cases|my cases)\b/i;
+const RECENT_CASE_LIMIT = 3;
+
+export const extractCaseIds = (text = '') => [
+  ...new Set((String(text).match(CASE_ID_PATTERN) || []).map(id => id.toUpperCase()))
+];
+
+// A tracking request names a case ID, or asks about the status of "my case(s)"
+export const isCaseTrackingRequest = (text = '') => (
+  extractCaseIds(text).length > 0 || (/\bcases?\b/i.test(text) && TRACKING_PATTERN.test(text))
+);
+
+const describeAuditEntry = (entry) => {
+  switch (entry.action) {
+    case 'created':
+      return 'Case created';
+    case 'status_changed':
+      return `Moved to ${entry.to}`;
+    case 'updated':
+      return `Updated ${Object.keys(entry.changes || {}).join(', ')}`;
+    case 'commented':
+      return 'Comment added';
+    case 'escalated':
+      return `Escalated to ${entry.changes?.assignee?.to || 'the next approver'}`;
+    default:
+      return entry.action;
+  }
+};
+
+class CaseTracker {
+  constructor({ repository = caseRepository, approvals = approvalWorkflow, clock = () => new Date() } = {}) {
+    this.repository = repository;
+    this.approvals = approvals;
+    this.clock = clock;
+  }
+
+  // Case IDs in the message win, then IDs from recent conversation turns, then the rep's newest cases
+  resolveCases(message, history = []) {
+    let ids = extractCaseIds(message);
+    let source = 'message';
+
+    if (ids.length === 0) {
+      const recent = [...history].reverse().find(turn => extractCaseIds(turn.content).length > 0);
+      ids = recent ? extractCaseIds(recent.content) : [];
+      source = 'conversation';
+    }
+
+    if (ids.length === 0) {
+      return { source: 'recent', cases: this.repository.list().slice(0, RECENT_CASE_LIMIT), missing: [] };
+    }
+
+    const cases = ids.map(id => this.repository.get(id));
+    return {
+      source,
+      cases: cases.filter(Boolean),
+      missing: ids.filter((id, index) => !cases[index])
+    };
+  }
+
+  summarize(caseRecord) {
+    const workflow = this.approvals.get(caseRecord.id);
+    return {
+      id: caseRecord.id,
+      title: caseRecord.title,
+      status: caseRecord.status,
+      priority: caseRecord.priority || null,
+      category: caseRecord.category || null,
+      assignee: caseRecord.assignee || 'Unassigned',
+      slaDueAt: caseRecord.slaDueAt || null,
+      resolvedAt: caseRecord.resolvedAt || null,
+      sla: getSlaStatus(caseRecord, this.clock()),
+      canEscalate: ['Submitted', 'In Review'].includes(caseRecord.status),
+      approval: workflow ? this.approvals.summarize(workflow) : null,
+      timeline: caseRecord.auditTrail.map(entry => ({
+        at: entry.at,
+        actor: entry.actor,
+        action: entry.action,
+        label: describeAuditEntry(entry),
+        note: entry.note || null
+      }))
+    };
+  }
+
+  // Chat response in the same shape as the SimpleAiService handlers, plus the case summaries
+  track(message, history = []) {
+    // Overdue approval steps escalate before we report on them
+    this.approvals.checkSlas();
+
+    const { source, cases, missing } = this.resolveCases(message, history);
+    const summaries = cases.map(caseRecord => this.summarize(caseRecord));
+    const lines = [];
+
+    if (summaries.length === 0 && missing.length === 0) {
+      return {
+        success: true,
+        response: `I couldn't find any cases for you yet. Once you submit a case I can track its status, assignee and SLA here.`,
+        responseType: 'case_status',
+        confidence: 0.9,
+        cases: [],
+        followUpSuggestions: ['Create the required case now', 'Help with another issue']
+      };
+    }
+
+    if (summaries.length > 0) {
+      lines.push(source === 'recent' ? `Here are your most recent cases:` : `Here's the latest on ${summaries.length === 1 ? 'that case' : 'those cases'}:`);
+      summaries.forEach(summary => {
+        lines.push('', `**${summary.id}** — ${summary.title}`, `Status: ${summary.status} · Assignee: ${summary.assignee} · SLA: ${summary.sla.label}`);
+        const step = summary.approval?.currentStep;
+        if (summary.approval?.infoRequest) {
+          lines.push(`${summary.approval.infoRequest.role} needs more information: "${summary.approval.infoRequest.note}". Reply with a comment on the case to continue.`);
+        } else if (step) {
+          lines.push(`Approval: step ${step.number} of ${summary.approval.stepCount} (${step.title}), waiting on ${step.waitingOn.join(' and ')}`);
+        }
+      });
+    }
+
+    if (missing.length > 0) {
+      lines.push('', `I couldn't find ${missing.join(', ')}. Check the case ID from your confirmation message.`);
+    }
+
+    return {
+      success: true,
+      response: lines.join('\n').trim(),
+      responseType: 'case_status',
+      confidence: 0.95,
+      cases: summaries,
+      followUpSuggestions: ['Help with another issue', 'Create a follow-up case']
+    };
+  }
+
+  // A comment on a case an approver sent back answers their question and resumes the approval
+  addComment(caseId, text, options) {
+    if (this.approvals.get(caseId)?.status === 'info_requested') {
+      const resumed = this.approvals.provideInfo(caseId, { ...options, note: text });
+      if (!resumed.success) return resumed;
+      return { success: true, case: this.summarize(this.repository.get(caseId)) };
+    }
+
+    const result = this.repository.addComment(caseId, text, options);
+    return result.success ? { success: true, case: this.summarize(result.case) } : result;
+  }
+
+  escalate(caseId, options) {
+    const result = this.repository.escalate(caseId, options);
+    return result.success ? { success: true, case: this.summarize(result.case) } : result;
+  }
+}
+
+// Create singleton instance
+const caseTracker = new CaseTracker();
+
+export { CaseTracker };
+export default caseTracker;
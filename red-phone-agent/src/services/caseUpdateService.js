@@ -0,0 +1,132 @@
+// Case Update Service for Red Phone Agent
+// Turns follow-up chat messages into proposed amendments to cases created this session, applied on confirmation
+
+import caseRepository from './caseRepository.js';
+import { extractCaseIds } from './caseTracker.js';
+import { extractCaseFields } from '../utils/caseFieldExtractors.js';
+import { isTerminalStatus } from '../utils/caseLifecycle.js';
+
+const UPDATE_INTENT_PATTERN = /\b(update|amend|change|correct|revise|add(?:ed)? to|set)\b/i;
+const DEFAULT_SESSION = 'default';
+
+// Messages this soon after a case was created may amend it without naming its case ID
+const RECENT_CASE_TURNS = 3;
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+class CaseUpdateService {
+  constructor({ repository = caseRepository, clock = () => new Date() } = {}) {
+    this.repository = repository;
+    this.clock = clock;
+    this.sessions = new Map(); // sessionId -> { caseIds, turnsSinceCreated }
+    this.proposals = new Map();
+    this.proposalCounter = 0;
+  }
+
+  // Cases created in a chat session are the ones that session's follow-up messages can amend
+  trackCase(caseId, { sessionId } = {}) {
+    if (!caseId) return;
+    const key = sessionId || DEFAULT_SESSION;
+    const caseIds = this.sessions.get(key)?.caseIds || [];
+    this.sessions.set(key, { caseIds: [caseId, ...caseIds.filter(id => id !== caseId)], turnsSinceCreated: 0 });
+  }
+
+  // An explicitly mentioned session case, otherwise the newest session case that is still open
+  findTargetCase(message, caseIds) {
+    const mentioned = extractCaseIds(message).filter(id => caseIds.includes(id));
+    const candidates = mentioned.length > 0 ? mentioned : caseIds;
+
+    for (const id of candidates) {
+      const caseRecord = this.repository.get(id);
+      if (caseRecord && !isTerminalStatus(caseRecord.status)) return caseRecord;
+    }
+    return null;
+  }
+
+  // Proposed { id, caseId, changes: [{ field, label, from, to }] } or null when the message is not a case update.
+  // Messages that do not name a session case only count right after a case was created, and questions never do.
+  // Without an explicit update request only volunteered fields the case does not have yet are picked up.
+  proposeUpdate(message, { sessionId } = {}) {
+    const session = this.sessions.get(sessionId || DEFAULT_SESSION);
+    if (!session) return null;
+
+    session.turnsSinceCreated += 1;
+    const referencesCase = extractCaseIds(message).some(id => session.caseIds.includes(id));
+    if (!referencesCase && (session.turnsSinceCreated > RECENT_CASE_TURNS || message.includes('?'))) return null;
+
+    const caseRecord = this.findTargetCase(message, session.caseIds);
+    if (!caseRecord) return null;
+
+    const explicit = UPDATE_INTENT_PATTERN.test(message) || extractCaseIds(message).includes(caseRecord.id);
+    const changes = Object.entries(extractCaseFields(message, { now: this.clock() }))
+      .filter(([field, extracted]) => explicit || (extracted.volunteered && isEmpty(caseRecord[field])))
+      .filter(([field, extracted]) => caseRecord[field] !== extracted.value)
+      .map(([field, extracted]) => ({
+        field,
+        label: extracted.label,
+        from: isEmpty(caseRecord[field]) ? null : caseRecord[field],
+        to: extracted.value
+      }));
+
+    if (changes.length === 0) return null;
+
+    this.proposalCounter += 1;
+    const proposal = {
+      id: `update_${this.proposalCounter}`,
+      caseId: caseRecord.id,
+      caseTitle: caseRecord.title,
+      changes,
+      message,
+      status: 'pending'
+    };
+    this.proposals.set(proposal.id, proposal);
+    return proposal;
+  }
+
+  // Chat response in the same shape as the SimpleAiService handlers
+  buildProposalResponse(proposal) {
+    const lines = proposal.changes.map(change => `• **${change.label}:** ${change.from ?? '—'} → ${change.to}`);
+    return {
+      success: true,
+      response: `It looks like this adds information to **${proposal.caseId}** (${proposal.caseTitle}). Here's the update I'd make:\n\n${lines.join('\n')}\n\nShould I apply it to the case?`,
+      responseType: 'case_update_proposal',
+      confidence: 0.9,
+      caseUpdate: proposal,
+      followUpSuggestions: []
+    };
+  }
+
+  applyProposal(proposalId, { actor } = {}) {
+    const proposal = this.proposals.get(proposalId);
+    if (!proposal || proposal.status !== 'pending') {
+      return { success: false, error: 'This update is no longer pending' };
+    }
+
+    const changes = Object.fromEntries(proposal.changes.map(change => [change.field, change.to]));
+    const result = this.repository.update(proposal.caseId, changes, { actor, note: `Amended from chat: "${proposal.message}"` });
+    if (!result.success) return result;
+
+    proposal.status = 'applied';
+    return { success: true, proposal: { ...proposal }, case: result.case };
+  }
+
+  discardProposal(proposalId) {
+    const proposal = this.proposals.get(proposalId);
+    if (!proposal || proposal.status !== 'pending') {
+      return { success: false, error: 'This update is no longer pending' };
+    }
+    proposal.status = 'discarded';
+    return { success: true, proposal: { ...proposal } };
+  }
+
+  reset() {
+    this.sessions.clear();
+    this.proposals.clear();
+  }
+}
+
+// Create singleton instance
+const caseUpdateService = new CaseUpdateService();
+
+export { CaseUpdateService };
+export default caseUpdateService;
@@ -0,0 +1,39 @@
+// Chat Bridge for Red Phone Agent
+// Lets other parts of the page open the chat with an assistant message already in it
+
+class ChatBridge {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  // `message` is a partial assistant message: content plus optional type, actions and follow-ups
+  open(message) {
+    if (!message?.content) {
+      return { success: false, error: 'Message content is required' };
+    }
+    if (this.listeners.size === 0) {
+      return { success: false, error: 'Chat is not available' };
+    }
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(message);
+      } catch (error) {
+        console.error('Chat bridge listener failed:', error);
+      }
+    });
+    return { success: true };
+  }
+
+  // Returns the unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Create singleton instance
+const chatBridge = new ChatBridge();
+
+export { ChatBridge };
+export default chatBridge;
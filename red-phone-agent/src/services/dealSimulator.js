@@ -0,0 +1,240 @@
+// Deal Simulator for Red Phone Agent
+// What-if analysis: sweeps discount, seats, term and region over a base deal and reports approvals, compliance and turnaround
+
+import policyChecker from '../utils/policyChecker.js';
+import caseRouter from '../utils/caseRouter.js';
+import policyRulesEngine from '../utils/policyRulesEngine.js';
+import { getDiscountPolicy, rulesOfEngagement } from '../data/rulesOfEngagement.js';
+import { extractSolutionBuilderData } from '../utils/pageDataExtractor.js';
+
+const WHAT_IF_PATTERN = /\b(what if|what happens if|simulate|simulation)\b/i;
+
+// Larger sweeps are cut off so the grid stays readable in chat
+export const MAX_SCENARIOS = 36;
+
+export const isWhatIfQuestion = (text = '') => WHAT_IF_PATTERN.test(text);
+
+const unique = (values) => [...new Set(values.filter(value => value !== undefined && value !== null))];
+
+// Rule set key for a key or display label ("Enterprise" -> enterprise, "New Business" -> newBusiness)
+const toRuleKey = (labels, value) => {
+  const text = String(value || '').toLowerCase();
+  return Object.keys(labels).find(key => key.toLowerCase() === text || labels[key].toLowerCase() === text) || null;
+};
+
+export const formatHours = (hours) => {
+  if (hours === 0) return 'Immediate';
+  if (hours % 24 === 0) return `${hours / 24} day${hours === 24 ? '' : 's'}`;
+  return `${hours} hours`;
+};
+
+// Base deal from the quote open in Solution Builder
+export const baseDealFromPage = (pageData = extractSolutionBuilderData()) => {
+  const { deal, customer } = pageData;
+  const { labels } = policyRulesEngine.ruleSet;
+
+  return {
+    customerName: customer?.name,
+    dealValue: deal.totalValue,
+    discount: deal.discount || 0,
+    seats: deal.seats ?? null,
+    termYears: parseInt(deal.timeline, 10) || 1,
+    dealType: toRuleKey(labels.dealTypes, deal.dealType) || 'newBusiness',
+    segment: toRuleKey(labels.segments, deal.segment),
+    region: toRuleKey(labels.regions, deal.region) || 'namer'
+  };
+};
+
+class DealSimulator {
+  constructor({ checker = policyChecker, router = caseRouter, engine = policyRulesEngine } = {}) {
+    this.checker = checker;
+    this.router = router;
+    this.engine = engine;
+  }
+
+  normalizeDeal(baseDeal = {}) {
+    const { labels } = this.engine.ruleSet;
+    return {
+      ...baseDeal,
+      dealValue: parseFloat(baseDeal.dealValue) || 0,
+      discount: parseFloat(baseDeal.discount) || 0,
+      seats: parseInt(baseDeal.seats, 10) || null,
+      termYears: parseInt(baseDeal.termYears, 10) || 1,
+      dealType: toRuleKey(labels.dealTypes, baseDeal.dealType) || 'newBusiness',
+      segment: toRuleKey(labels.segments, baseDeal.segment),
+      region: toRuleKey(labels.regions, baseDeal.region) || 'namer'
+    };
+  }
+
+  // Every combination of the swept values; each axis always includes the base deal's value
+  simulate(baseDeal, { discounts = [], seats = [], terms = [], regions = [] } = {}) {
+    const base = this.normalizeDeal(baseDeal);
+    const axes = {
+      discount: unique([base.discount, ...discounts.map(Number)]),
+      seats: unique([base.seats, ...seats.map(Number)]),
+      termYears: unique([base.termYears, ...terms.map(Number)]),
+      region: unique([base.region, ...regions.map(region => toRuleKey(this.engine.ruleSet.labels.regions, region))])
+    };
+    if (axes.seats.length === 0) axes.seats = [null];
+
+    const combinations = axes.discount.flatMap(discount => axes.seats.flatMap(seatCount => (
+      axes.termYears.flatMap(termYears => axes.region.map(region => ({ discount, seats: seatCount, termYears, region })))
+    )));
+
+    const scenarios = combinations.slice(0, MAX_SCENARIOS).map((scenario, index) => this.evaluateScenario(base, scenario, index));
+
+    return {
+      base,
+      axes,
+      scenarios,
+      truncated: combinations.length > MAX_SCENARIOS,
+      totalCombinations: combinations.length
+    };
+  }
+
+  // List value scales with seats and term; the discount is applied to the list value
+  priceScenario(base, scenario) {
+    const listValue = base.dealValue / (1 - base.discount / 100);
+    const seatFactor = base.seats && scenario.seats ? scenario.seats / base.seats : 1;
+    const termFactor = scenario.termYears / base.termYears;
+    return Math.round(listValue * seatFactor * termFactor * (1 - scenario.discount / 100));
+  }
+
+  evaluateScenario(base, scenario, index) {
+    const dealValue = this.priceScenario(base, scenario);
+    const caseData = {
+      category: 'pricing',
+      description: base.description || '',
+      discountRequested: scenario.discount,
+      dealValue,
+      seats: scenario.seats,
+      dealType: base.dealType,
+      segment: base.segment,
+      region: scenario.region
+    };
+
+    const check = this.checker.checkCompliance(caseData);
+    const compliance = check.success ? check.compliance : check.fallback;
+    const segment = this.checker.inferSegment(caseData);
+    const policy = getDiscountPolicy(base.dealType, segment, scenario.region);
+    const route = this.router.getRouteForDiscountRequest(scenario.discount, dealValue, segment);
+
+    // Discount approver from the route, plus a separate deal-size approver when the rules ask for one
+    const approvals = [];
+    if (scenario.discount > 0) {
+      approvals.push({ approver: route.requiredApprover, timeframe: route.timeline });
+    }
+    (compliance.recommendations || [])
+      .filter(recommendation => recommendation.type === 'dual_approval')
+      .forEach(({ approver, timeframe }) => approvals.push({ approver, timeframe }));
+
+    const required = approvals.filter(({ approver }) => approver !== 'Auto-approved');
+    const approvalLevel = Math.max(1, ...required.map(({ approver }) => this.router.getApprovalLevel(approver)?.level || 1));
+    const violations = compliance.violations || [];
+    const exceptionHours = violations.length > 0 ? this.router.getResponseHours(rulesOfEngagement.exceptions.timeline) : 0;
+    const turnaroundHours = Math.max(0, ...required.map(({ timeframe }) => this.router.getResponseHours(timeframe))) + exceptionHours;
+
+    return {
+      id: `scenario-${index + 1}`,
+      isBase: index === 0,
+      ...scenario,
+      segment,
+      dealValue,
+      policyLimit: policy?.effectiveMax ?? null,
+      withinPolicy: violations.length === 0,
+      approvers: required.length > 0 ? required.map(({ approver }) => approver) : ['Auto-approved'],
+      approvalLevel,
+      approvalTitle: this.router.routingRules.approvalLevels.find(level => level.level === approvalLevel)?.title || 'Auto-approved',
+      overallCompliance: compliance.overallCompliance,
+      score: compliance.score,
+      violations: violations.map(violation => violation.message),
+      turnaroundHours,
+      turnaround: formatHours(turnaroundHours)
+    };
+  }
+
+  // Sweep values mentioned in a chat message ("what if we go to 25% on 3 years with 50 more seats?")
+  parseWhatIf(message, baseDeal) {
+    const base = this.normalizeDeal(baseDeal);
+    const text = message.toLowerCase();
+    const sweep = { discounts: [], seats: [], terms: [], regions: [] };
+
+    [...text.matchAll(/(\d+(?:\.\d+)?)\s*(?:%|percent\b)/g)].forEach(match => sweep.discounts.push(parseFloat(match[1])));
+    [...text.matchAll(/(\d+)[\s-]*(?:years?|yrs?)\b/g)].forEach(match => sweep.terms.push(parseInt(match[1], 10)));
+
+    [...text.matchAll(/\b(add|adding|remove|removing|drop|dropping|cut|cutting)\s+(\d+)\s+(?:more\s+)?seats?\b/g)].forEach(match => {
+      if (!base.seats) return;
+      const change = parseInt(match[2], 10);
+      sweep.seats.push(/^(add)/.test(match[1]) ? base.seats + change : Math.max(1, base.seats - change));
+    });
+    [...text.matchAll(/\b(\d+)\s+(more|fewer|less)\s+seats?\b/g)].forEach(match => {
+      if (!base.seats) return;
+      const change = parseInt(match[1], 10);
+      sweep.seats.push(match[2] === 'more' ? base.seats + change : Math.max(1, base.seats - change));
+    });
+    [...text.matchAll(/\b(?:to|at|with|of)\s+(\d+)\s+seats?\b/g)].forEach(match => sweep.seats.push(parseInt(match[1], 10)));
+
+    Object.entries(this.engine.ruleSet.labels.regions).forEach(([key, label]) => {
+      if (new RegExp(`\\b${label.toLowerCase()}\\b`).test(text)) sweep.regions.push(key);
+    });
+
+    return sweep;
+  }
+
+  formatTable(result) {
+    const headers = ['Discount', 'Seats', 'Term', 'Region', 'Net value', 'Approval', 'Score', 'Violations', 'Turnaround'];
+    const rows = result.scenarios.map(row => [
+      `${row.discount}%${row.isBase ? ' (current)' : ''}`,
+      row.seats ?? '-',
+      `${row.termYears} yr`,
+      this.engine.ruleSet.labels.regions[row.region] || row.region,
+      `$${row.dealValue.toLocaleString()}`,
+      `L${row.approvalLevel} ${row.approvers.join(', ')}`,
+      row.score,
+      row.violations.length > 0 ? row.violations.join('; ') : 'None',
+      row.turnaround
+    ]);
+
+    return [
+      `| ${headers.join(' | ')} |`,
+      `| ${headers.map(() => '---').join(' | ')} |`,
+      ...rows.map(row => `| ${row.join(' | ')} |`)
+    ].join('\n');
+  }
+
+  // Chat answer for a what-if question, or null when it names no discount, seat, term or region change
+  answer(message, baseDeal = baseDealFromPage()) {
+    const sweep = this.parseWhatIf(message, baseDeal);
+    const hasChanges = Object.values(sweep).some(values => values.length > 0);
+    if (!hasChanges) return null;
+
+    const result = this.simulate(baseDeal, sweep);
+    const [current, ...alternatives] = result.scenarios;
+    const describe = row => `${row.discount}% · ${row.seats ?? '-'} seats · ${row.termYears} yr · ${this.engine.ruleSet.labels.regions[row.region]}`;
+
+    const lines = [`**What-if for ${result.base.customerName || 'this deal'}**`, ''];
+    lines.push(`Current (${describe(current)}): ${current.approvers.join(' + ')}, score ${current.score}, ${current.turnaround}.`);
+    alternatives.forEach(row => {
+      const outcome = row.withinPolicy ? 'within policy' : `outside policy (${row.violations[0]})`;
+      lines.push(`• ${describe(row)}: $${row.dealValue.toLocaleString()}, ${outcome}, needs ${row.approvers.join(' + ')} (level ${row.approvalLevel}), about ${row.turnaround}.`);
+    });
+    if (result.truncated) {
+      lines.push('', `Showing the first ${MAX_SCENARIOS} of ${result.totalCombinations} combinations.`);
+    }
+
+    return {
+      success: true,
+      response: lines.join('\n'),
+      responseType: 'what_if',
+      confidence: 0.9,
+      whatIf: result,
+      followUpSuggestions: ['Create a case for this discount', "What's the standard discount policy?"]
+    };
+  }
+}
+
+// Create singleton instance
+const dealSimulator = new DealSimulator();
+
+export { DealSimulator };
+export default dealSimulator;
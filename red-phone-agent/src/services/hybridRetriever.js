@@ -0,0 +1,180 @@
+// Hybrid Retriever for Red Phone Agent
+// Fuses BM25 keyword search and vector search with reciprocal-rank fusion, then optionally reranks
+
+import knowledgeBaseService from './knowledgeBaseService.js';
+import vectorSearch from '../utils/vectorSearchSimulation.js';
+
+// Keyword search groups documents by source; vector search uses the document type
+const KEYWORD_SOURCES = {
+  roe: 'roe',
+  case: 'cases',
+  cases: 'cases',
+  guideline: 'guidelines',
+  guidelines: 'guidelines'
+};
+
+// Reranker that blends the fused score with the document importance recorded in prepareDocuments()
+export const createImportanceReranker = ({ importanceWeight = 0.3 } = {}) => ({
+  name: 'importance',
+  rerank(query, candidates) {
+    const maxFused = Math.max(...candidates.map(candidate => candidate.signals.rrf), Number.EPSILON);
+    return candidates.map(candidate => ({
+      id: candidate.id,
+      score: (1 - importanceWeight) * (candidate.signals.rrf / maxFused) +
+        importanceWeight * (candidate.metadata?.importance || 0)
+    }));
+  }
+});
+
+class HybridRetriever {
+  constructor({ keyword = knowledgeBaseService, semantic = vectorSearch, rrfK = 60, weights = { keyword: 1, semantic: 1 }, candidateLimit = 20, reranker = null } = {}) {
+    this.keyword = keyword;
+    this.semantic = semantic;
+    this.rrfK = rrfK; // Damps the advantage of top ranks; 60 is the value from the original RRF paper
+    this.weights = weights;
+    this.candidateLimit = candidateLimit; // Results taken from each engine before fusion
+    this.reranker = reranker;
+  }
+
+  // reranker: { name, rerank(query, candidates) -> [{ id, score }] } (may return a Promise); null disables
+  setReranker(reranker) {
+    this.reranker = reranker;
+    return this;
+  }
+
+  async retrieve(query, options = {}) {
+    const {
+      limit = 5,
+      focusArea = null, // 'roe', 'cases', 'guidelines'
+      filters = {},
+      rerank = true
+    } = options;
+
+    if (!query || !query.trim()) {
+      return { query, results: [], totalResults: 0, stats: { keyword: 0, semantic: 0, fused: 0, reranker: null } };
+    }
+
+    const [keywordMatches, semanticMatches] = await Promise.all([
+      this.searchKeyword(query, focusArea, filters),
+      this.searchSemantic(query, focusArea)
+    ]);
+
+    let candidates = this.fuse(keywordMatches, semanticMatches);
+    const reranker = rerank ? this.reranker : null;
+
+    if (reranker && candidates.length > 0) {
+      candidates = await this.applyReranker(reranker, query, candidates);
+    }
+
+    const results = candidates.slice(0, limit).map((candidate, index) => ({ ...candidate, rank: index + 1 }));
+
+    return {
+      query,
+      results,
+      totalResults: candidates.length,
+      stats: {
+        keyword: keywordMatches.length,
+        semantic: semanticMatches.length,
+        fused: candidates.length,
+        reranker: reranker ? reranker.name : null
+      }
+    };
+  }
+
+  searchKeyword(query, focusArea, filters) {
+    const source = focusArea ? KEYWORD_SOURCES[focusArea] : null;
+    return this.keyword.rankDocuments(query, {
+      filters,
+      sources: source ? [source] : null,
+      limit: this.candidateLimit
+    }).map(match => ({
+      id: match.meta.documentId,
+      score: match.score,
+      snippet: match.snippet,
+      matchedTerms: match.matchedTerms
+    }));
+  }
+
+  async searchSemantic(query, focusArea) {
+    const { results } = await this.semantic.semanticSearchAsync(query, {
+      limit: this.candidateLimit,
+      focusArea
+    });
+    return results.map(result => ({ id: result.id, score: result.similarity, document: result }));
+  }
+
+  // Reciprocal-rank fusion: sum of weight / (k + rank) over the engines that returned the document
+  fuse(keywordMatches, semanticMatches) {
+    const documents = new Map(this.semantic.documents.map(document => [document.id, document]));
+    const fused = new Map();
+
+    const addSignal = (signal, matches) => {
+      matches.forEach((match, index) => {
+        const document = match.document || documents.get(match.id);
+        if (!document) return;
+
+        if (!fused.has(match.id)) {
+          fused.set(match.id, {
+            ...document,
+            snippet: null,
+            score: 0,
+            signals: { keyword: null, semantic: null, rrf: 0 }
+          });
+        }
+
+        const candidate = fused.get(match.id);
+        if (candidate.signals[signal]) return; // De-duplicate repeated IDs within one engine
+
+        const rank = index + 1;
+        const contribution = (this.weights[signal] ?? 1) / (this.rrfK + rank);
+        candidate.signals[signal] = { rank, score: match.score, contribution: round(contribution) };
+        candidate.signals.rrf += contribution;
+        if (match.snippet) candidate.snippet = match.snippet;
+      });
+    };
+
+    addSignal('keyword', keywordMatches);
+    addSignal('semantic', semanticMatches);
+
+    return [...fused.values()]
+      .map(candidate => {
+        candidate.signals.rrf = round(candidate.signals.rrf);
+        candidate.score = candidate.signals.rrf;
+        candidate.snippet = candidate.snippet || truncate(candidate.searchableText || candidate.content);
+        return candidate;
+      })
+      .sort((a, b) => b.score - a.score);
+  }
+
+  async applyReranker(reranker, query, candidates) {
+    try {
+      const scores = new Map((await reranker.rerank(query, candidates)).map(entry => [entry.id, entry.score]));
+      const reranked = candidates
+        .filter(candidate => scores.has(candidate.id))
+        .map(candidate => {
+          const rerankScore = round(scores.get(candidate.id));
+          return { ...candidate, score: rerankScore, signals: { ...candidate.signals, rerank: rerankScore } };
+        })
+        .sort((a, b) => b.score - a.score);
+      // Rerank and fused scores are on different scales, so unscored candidates follow in fused order
+      const unscored = candidates.filter(candidate => !scores.has(candidate.id));
+      return [...reranked, ...unscored];
+    } catch (error) {
+      console.warn(`Reranker "${reranker.name}" failed, keeping fused order:`, error.message);
+      return candidates;
+    }
+  }
+}
+
+const round = value => Math.round(value * 1e4) / 1e4;
+
+const truncate = (text, maxLength = 160) => {
+  if (!text) return '';
+  return text.length > maxLength ? `${text.substring(0, maxLength)}…` : text;
+};
+
+// Create singleton instance
+const hybridRetriever = new HybridRetriever();
+
+export { HybridRetriever };
+export default hybridRetriever;
@@ -2,58 +2,96 @@
 // Comprehensive search and retrieval service for ROE, cases, and guidelines
 
 import rulesOfEngagement, { getRulesByDealType, getDiscountPolicy, getApprovalRequirement } from '../data/rulesOfEngagement.js';
+import policyRulesEngine from '../utils/policyRulesEngine.js';
 import historicalCases, { searchCases, getCasesByCategory, getSimilarCases, getCaseMetrics } from '../data/historicalCases.js';
 import caseCreationGuidelines, { getCategoryGuidelines, getRequiredFields, getRoutingInfo, getTemplate, validateCase } from '../data/caseCreationGuidelines.js';
+import Bm25Index from '../utils/bm25Index.js';
+
+// Indexed ROE sections by result ID
+const ROE_SECTIONS = {
+  'discount-policies': 'discountPolicies',
+  'deal-types': 'dealTypes',
+  'approval-workflow': 'approvalWorkflow',
+  'pilot-programs': 'pilotPrograms',
+  'territory-rules': 'territoryRules',
+  'competitive': 'competitive',
+  'compliance': 'compliance'
+};
+
+const ROE_DESCRIPTIONS = {
+  'discount-policies': { type: 'Discount Policies', description: 'Discount limits and approval thresholds by deal type and segment' },
+  'deal-types': { type: 'Deal Types', description: 'Definitions and requirements for different deal types' },
+  'approval-workflow': { type: 'Approval Workflows', description: 'Required approvals based on discount percentage and deal size' },
+  'pilot-programs': { type: 'Pilot Programs', description: 'Pilot program durations, requirements, and approval processes' },
+  'territory-rules': { type: 'Territory Rules', description: 'Account ownership, lead routing and account transfer rules' },
+  'competitive': { type: 'Competitive Deals', description: 'Battlecards, competitive discounts and win/loss requirements' },
+  'compliance': { type: 'Compliance', description: 'Data privacy and security requirements by region' }
+};
 
 class KnowledgeBaseService {
   constructor() {
     this.roe = rulesOfEngagement;
     this.cases = historicalCases;
     this.guidelines = caseCreationGuidelines;
+    this.fieldBoosts = { title: 3, tags: 2, body: 1 }; // Title and tag matches outrank description matches
     this.searchIndex = this.buildSearchIndex();
   }
 
-  // Build search index for efficient text searching
+  // Build a BM25 index over ROE sections, historical cases and guideline categories
   buildSearchIndex() {
-    const index = {};
-    
+    const index = new Bm25Index({ fieldBoosts: this.fieldBoosts });
+
     // Index ROE content
-    this.indexContent('roe', 'discount-policies', JSON.stringify(this.roe.discountPolicies), index);
-    this.indexContent('roe', 'deal-types', JSON.stringify(this.roe.dealTypes), index);
-    this.indexContent('roe', 'approval-workflow', JSON.stringify(this.roe.approvalWorkflow), index);
-    this.indexContent('roe', 'pilot-programs', JSON.stringify(this.roe.pilotPrograms), index);
-    this.indexContent('roe', 'territory-rules', JSON.stringify(this.roe.territoryRules), index);
-    this.indexContent('roe', 'competitive', JSON.stringify(this.roe.competitive), index);
-    this.indexContent('roe', 'compliance', JSON.stringify(this.roe.compliance), index);
-    
+    Object.entries(ROE_SECTIONS).forEach(([id, section]) => {
+      index.addDocument(id, {
+        title: ROE_DESCRIPTIONS[id].type,
+        tags: ROE_DESCRIPTIONS[id].description,
+        body: this.extractText(this.roe[section])
+      }, { source: 'roe', id, documentId: `roe_${section}` });
+    });
+
     // Index historical cases
     this.cases.forEach(case_ => {
-      const searchText = `${case_.title} ${case_.description} ${case_.tags.join(' ')} ${case_.category} ${case_.subcategory}`;
-      this.indexContent('cases', case_.id, searchText, index);
+      index.addDocument(`case:${case_.id}`, {
+        title: case_.title,
+        tags: `${case_.id} ${case_.tags.join(' ')} ${case_.category} ${case_.subcategory}`,
+        body: case_.description
+      }, { source: 'cases', id: case_.id, documentId: `case_${case_.id}` });
     });
-    
+
     // Index case creation guidelines
     Object.entries(this.guidelines.caseCategories).forEach(([key, category]) => {
-      const searchText = `${category.name} ${category.description} ${category.subcategories.map(s => s.name).join(' ')}`;
-      this.indexContent('guidelines', `category-${key}`, searchText, index);
+      index.addDocument(`category-${key}`, {
+        title: category.name,
+        tags: category.subcategories.map(s => s.name).join(', '),
+        body: category.description
+      }, { source: 'guidelines', id: `category-${key}`, documentId: `guideline_${key}` });
     });
-    
+
     return index;
   }
 
-  indexContent(source, id, content, index) {
-    const words = content.toLowerCase()
-      .replace(/[^\w\s]/g, ' ')
-      .split(/\s+/)
-      .filter(word => word.length > 2);
-    
-    words.forEach(word => {
-      if (!index[word]) index[word] = [];
-      index[word].push({ source, id, relevance: 1 });
+  // Flatten nested policy data into "key value" text so keys like newBusiness stay searchable
+  extractText(value) {
+    if (Array.isArray(value)) return value.map(item => this.extractText(item)).join(', ');
+    if (typeof value === 'object' && value !== null) {
+      return Object.entries(value).map(([key, item]) => `${key}: ${this.extractText(item)}`).join('; ');
+    }
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  // Flat BM25 ranking across all sources; meta.documentId matches the vector search document IDs
+  rankDocuments(query, { filters = {}, sources = null, limit = this.searchIndex.size } = {}) {
+    if (!query) return [];
+
+    return this.searchIndex.search(query, {
+      limit,
+      filter: meta => (!sources || sources.includes(meta.source)) &&
+        (meta.source !== 'cases' || this.matchesFilters(this.cases.find(c => c.id === meta.id), filters))
     });
   }
 
-  // Main search function
+  // Main search function; quoted text is matched as a phrase
   search(query, filters = {}) {
     const results = {
       roe: [],
@@ -64,37 +102,20 @@ class KnowledgeBaseService {
 
     if (!query) return results;
 
-    const searchTerms = query.toLowerCase().split(/\s+/).filter(term => term.length > 2);
-    const matchedItems = new Map();
-
-    // Score matches based on term frequency
-    searchTerms.forEach(term => {
-      if (this.searchIndex[term]) {
-        this.searchIndex[term].forEach(item => {
-          const key = `${item.source}-${item.id}`;
-          matchedItems.set(key, (matchedItems.get(key) || 0) + item.relevance);
-        });
+    // Process results by source, already sorted by BM25 score
+    this.rankDocuments(query, { filters }).forEach(({ meta, score, snippet, matchedTerms }) => {
+      const highlights = { snippet, matchedTerms };
+
+      if (meta.source === 'roe') {
+        results.roe.push({ ...this.getROEContent(meta.id, score), id: meta.id, ...highlights });
+      } else if (meta.source === 'cases') {
+        const case_ = this.cases.find(c => c.id === meta.id);
+        results.cases.push({ ...case_, relevanceScore: score, ...highlights });
+      } else if (meta.source === 'guidelines') {
+        results.guidelines.push({ ...this.getGuidelineContent(meta.id, score), id: meta.id, ...highlights });
       }
     });
 
-    // Process results by source
-    Array.from(matchedItems.entries())
-      .sort(([,a], [,b]) => b - a) // Sort by relevance score
-      .forEach(([key, score]) => {
-        const [source, id] = key.split('-');
-        
-        if (source === 'roe') {
-          results.roe.push(this.getROEContent(id, score));
-        } else if (source === 'cases') {
-          const case_ = this.cases.find(c => c.id === id);
-          if (case_ && this.matchesFilters(case_, filters)) {
-            results.cases.push({ ...case_, relevanceScore: score });
-          }
-        } else if (source === 'guidelines') {
-          results.guidelines.push(this.getGuidelineContent(id, score));
-        }
-      });
-
     // Limit results and add summary
     results.roe = results.roe.slice(0, 5);
     results.cases = results.cases.slice(0, 10);
@@ -105,35 +126,11 @@ class KnowledgeBaseService {
   }
 
   getROEContent(contentType, score) {
-    const content = {};
-    
-    switch(contentType) {
-      case 'discount-policies':
-        content.type = 'Discount Policies';
-        content.data = this.roe.discountPolicies;
-        content.description = 'Discount limits and approval thresholds by deal type and segment';
-        break;
-      case 'deal-types':
-        content.type = 'Deal Types';
-        content.data = this.roe.dealTypes;
-        content.description = 'Definitions and requirements for different deal types';
-        break;
-      case 'approval-workflow':
-        content.type = 'Approval Workflows';
-        content.data = this.roe.approvalWorkflow;
-        content.description = 'Required approvals based on discount percentage and deal size';
-        break;
-      case 'pilot-programs':
-        content.type = 'Pilot Programs';
-        content.data = this.roe.pilotPrograms;
-        content.description = 'Pilot program durations, requirements, and approval processes';
-        break;
-      default:
-        content.type = 'General ROE';
-        content.data = {};
-        content.description = 'Rules of engagement information';
-    }
-    
+    const section = ROE_SECTIONS[contentType];
+    const content = section
+      ? { ...ROE_DESCRIPTIONS[contentType], data: this.roe[section] }
+      : { type: 'General ROE', data: {}, description: 'Rules of engagement information' };
+
     content.relevanceScore = score;
     return content;
   }
@@ -272,34 +269,27 @@ class KnowledgeBaseService {
   }
 
   formatMinimumSeatAnswer(question) {
-    const minimums = {
-      enterprise: this.roe.dealTypes.newBusiness.minimumCommitment.enterprise.seats,
-      midmarket: this.roe.dealTypes.newBusiness.minimumCommitment.midmarket.seats,
-      smb: this.roe.dealTypes.newBusiness.minimumCommitment.smb.seats,
-      largeEnterprise: this.roe.dealTypes.newBusiness.minimumCommitment.largeEnterprise.seats,
-      globalAccounts: this.roe.dealTypes.newBusiness.minimumCommitment.globalAccounts.seats
-    };
+    const minimums = policyRulesEngine.listMinimums('newBusiness');
     
     return {
-      answer: `Minimum seat requirements for new business: SMB: ${minimums.smb}, Midmarket: ${minimums.midmarket}, Enterprise: ${minimums.enterprise}, Large Enterprise: ${minimums.largeEnterprise}, Global Accounts: ${minimums.globalAccounts}`,
+      answer: `Minimum seat requirements for new business: ${minimums.map(minimum => `${minimum.label}: ${minimum.seats}`).join(', ')}`,
       source: 'ROE Deal Types',
-      details: minimums,
+      details: Object.fromEntries(minimums.map(minimum => [minimum.segment, minimum.seats])),
       note: 'Add-on deals have no minimum seat requirements'
     };
   }
 
   formatApprovalAnswer(question) {
     const approvals = this.roe.approvalWorkflow.discountApproval;
+    const tiers = policyRulesEngine.listApprovalTiers('discountApproval');
     
     return {
-      answer: 'Discount approval requirements: 0-10% (Auto-approved), 11-20% (Sales Manager), 21-30% (Regional Director), 31%+ (VP Sales + Finance)',
+      answer: `Discount approval requirements: ${tiers.map(tier => `${tier.label} (${tier.approver})`).join(', ')}`,
       source: 'ROE Approval Workflow',
       details: approvals,
-      timeframes: {
-        'Sales Manager': '24 hours',
-        'Regional Director': '48 hours',
-        'VP Sales + Finance': '72 hours'
-      }
+      timeframes: Object.fromEntries(tiers
+        .filter(tier => tier.approvalLevel > 1)
+        .map(tier => [tier.approver, tier.timeframe]))
     };
   }
 
@@ -691,9 +681,10 @@ class KnowledgeBaseService {
         // Special handling for competitive situations
         const basePolicy = this.lookupDiscountPolicy(params.dealType, params.segment, params.region);
         if (basePolicy.success) {
-          basePolicy.policy.competitiveBonus = 5; // Additional 5% for competitive situations
-          basePolicy.policy.effectiveMax += 5;
-          basePolicy.guidance.push('Competitive situations may qualify for additional 5% discount');
+          const competitiveBonus = policyRulesEngine.getCompetitiveDiscount();
+          basePolicy.policy.competitiveBonus = competitiveBonus;
+          basePolicy.policy.effectiveMax += competitiveBonus;
+          basePolicy.guidance.push(`Competitive situations may qualify for additional ${competitiveBonus}% discount`);
         }
         return basePolicy;
       
@@ -827,7 +818,7 @@ class KnowledgeBaseService {
       caseMetrics: getCaseMetrics(),
       roeCategories: Object.keys(this.roe.dealTypes).length,
       guidelineCategories: Object.keys(this.guidelines.caseCategories).length,
-      searchIndexSize: Object.keys(this.searchIndex).length
+      searchIndexSize: this.searchIndex.vocabularySize
     };
   }
 }
@@ -0,0 +1,291 @@
+// Pipeline stages for the Red Phone Agent orchestrator
+// Each stage is { name, optional, run(envelope, context) } and may also define stream() for token output
+
+import simpleAiService from './simpleAiService.js';
+import aiService from './aiService.js';
+import messageProcessor from '../utils/messageProcessor.js';
+import contextManager from '../utils/contextManager.js';
+import responseFormatter from '../utils/responseFormatter.js';
+import policyChecker from '../utils/policyChecker.js';
+import caseRouter from '../utils/caseRouter.js';
+
+// The single response envelope every stage reads and writes
+export const createEnvelope = (sessionId = null) => ({
+  success: true,
+  response: '',
+  responseType: null,
+  confidence: 0,
+  scenarioId: null,
+  category: null,
+  actions: [],
+  followUpSuggestions: [],
+  requiresCase: false,
+  cases: [],
+  caseUpdate: null,
+  caseForm: null,
+  whatIf: null,
+  sources: [],
+  citations: [],
+  analysis: null,
+  policy: null,
+  metadata: {
+    sessionId,
+    stages: []
+  }
+});
+
+// Copy a service response ({response, responseType, ...}) onto the envelope
+const applyServiceResponse = (envelope, serviceResponse) => {
+  envelope.response = serviceResponse.response || '';
+  envelope.responseType = serviceResponse.responseType || null;
+  envelope.confidence = serviceResponse.confidence || 0;
+  envelope.scenarioId = serviceResponse.scenarioId || null;
+  envelope.category = serviceResponse.category || null;
+  envelope.actions = serviceResponse.actions || [];
+  envelope.followUpSuggestions = serviceResponse.followUpSuggestions || [];
+  envelope.requiresCase = Boolean(serviceResponse.requiresCase);
+  envelope.cases = serviceResponse.cases || [];
+  envelope.caseUpdate = serviceResponse.caseUpdate || null;
+  envelope.caseForm = serviceResponse.caseForm || null;
+  envelope.whatIf = serviceResponse.whatIf || null;
+};
+
+// messageProcessor extracts arrays of matches; downstream services expect the first of each
+export const flattenEntities = (entities = {}) => ({
+  percentage: entities.percentage?.[0],
+  amount: entities.currency?.find(value => value >= 1000),
+  segment: entities.segment?.[0],
+  dealType: entities.dealType?.[0],
+  region: entities.region?.[0],
+  urgency: entities.urgency?.[0]
+});
+
+// 1. Scenario matching against realScenarios
+export const scenarioStage = {
+  name: 'scenario',
+  run(envelope, context) {
+    simpleAiService.rememberMessage('user', context.message);
+    const scenarioResponse = simpleAiService.matchScenario(context.message, context.options);
+    if (scenarioResponse) {
+      applyServiceResponse(envelope, scenarioResponse);
+      context.state.answered = true;
+    }
+  }
+};
+
+// 2. Intent and entity analysis
+export const analysisStage = {
+  name: 'analysis',
+  async run(envelope, context) {
+    const history = contextManager.getConversationHistory(context.sessionId);
+    const processed = await messageProcessor.processMessage(context.message, history);
+
+    context.state.processed = processed;
+    context.state.entities = flattenEntities(processed.analysis.entities);
+    envelope.analysis = {
+      intent: processed.analysis.intent,
+      confidence: processed.analysis.confidence,
+      complexity: processed.analysis.complexity,
+      entities: context.state.entities,
+      suggestsCaseCreation: processed.analysis.suggestsCaseCreation
+    };
+  }
+};
+
+// 3. Knowledge retrieval (policies, guidelines and precedents)
+export const retrievalStage = {
+  name: 'retrieval',
+  optional: true,
+  async run(envelope, context) {
+    const analysis = context.state.processed?.analysis;
+    context.state.retrievalAnalysis = {
+      intent: analysis?.intent || 'general_inquiry',
+      entities: context.state.entities || {},
+      suggestsCaseCreation: Boolean(analysis?.suggestsCaseCreation)
+    };
+    context.state.knowledge = await aiService.searchKnowledge(context.message, context.state.retrievalAnalysis);
+  }
+};
+
+// 4. Policy checks for messages that mention a discount or deal value
+export const policyStage = {
+  name: 'policy',
+  optional: true,
+  run(envelope, context) {
+    const entities = context.state.entities || {};
+    if (entities.percentage === undefined && entities.amount === undefined) {
+      return;
+    }
+
+    const caseData = {
+      category: 'pricing',
+      title: context.message,
+      description: context.message,
+      customerInfo: entities.segment || '',
+      discountRequested: entities.percentage,
+      dealValue: entities.amount,
+      competitorInfo: context.state.processed?.analysis.businessContext?.hasCompetitiveElement ? context.message : ''
+    };
+
+    const check = policyChecker.checkCompliance(caseData);
+    const compliance = check.success ? check.compliance : check.fallback;
+    const route = entities.percentage !== undefined
+      ? caseRouter.getRouteForDiscountRequest(entities.percentage, entities.amount || 50000, policyChecker.inferSegment(caseData))
+      : caseRouter.getRouteForDealSize(entities.amount);
+
+    envelope.policy = {
+      overallCompliance: compliance.overallCompliance,
+      violations: compliance.violations,
+      warnings: compliance.warnings.filter(warning => warning.type !== 'system'),
+      route
+    };
+
+    // Exceptions need a case even when no scenario asked for one
+    if (compliance.violations.length > 0 && !envelope.requiresCase) {
+      envelope.requiresCase = true;
+      envelope.actions = [{
+        type: 'create_case',
+        label: '📋 Create Exception Case',
+        data: {
+          category: 'Pricing',
+          reason: compliance.violations[0].message,
+          discountPercent: entities.percentage,
+          dealValue: entities.amount
+        }
+      }, ...envelope.actions];
+    }
+  }
+};
+
+// 5. Answer for messages no scenario covered: the LLM grounded in retrieval when live,
+// otherwise the intent-based templates
+export const responseStage = {
+  name: 'response',
+  async run(envelope, context) {
+    if (context.state.answered) return;
+
+    if (aiService.mode === 'live' && context.state.knowledge) {
+      try {
+        aiService.addToHistory('user', context.message);
+        const grounded = await aiService.generateGroundedResponse(
+          context.state.retrievalAnalysis,
+          context.state.knowledge,
+          context.sessionId
+        );
+        aiService.addToHistory('assistant', grounded.content);
+        applyGroundedResponse(envelope, grounded);
+        context.state.answered = true;
+        return;
+      } catch (error) {
+        console.warn('LLM response failed, using templates:', error.message);
+      }
+    }
+
+    const templateResponse = simpleAiService.handleIntelligentResponse(
+      context.message,
+      context.options,
+      simpleAiService.analyzeUserInput(context.message)
+    );
+    // Keep the exception case the policy stage offered ahead of the template's own actions
+    const { actions, requiresCase } = envelope;
+    applyServiceResponse(envelope, templateResponse);
+    envelope.actions = [...actions, ...envelope.actions];
+    envelope.requiresCase = requiresCase || envelope.requiresCase;
+    context.state.answered = true;
+  },
+
+  // Streaming path: relay model deltas; template answers are replayed by the orchestrator
+  async *stream(envelope, context) {
+    if (context.state.answered || aiService.mode !== 'live' || !context.state.knowledge) {
+      await this.run(envelope, context);
+      return;
+    }
+
+    aiService.addToHistory('user', context.message);
+    const knowledgeSources = aiService.buildKnowledgeSources(context.state.knowledge);
+    const messages = aiService.buildGroundedMessages(knowledgeSources);
+    let content = '';
+
+    try {
+      for await (const delta of aiService.requestCompletionStream(messages, context.sessionId, context.signal)) {
+        content += delta;
+        yield delta;
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        if (content) throw error;
+        console.warn('LLM stream failed, using templates:', error.message);
+        context.state.knowledge = null;
+        await this.run(envelope, context);
+        return;
+      }
+    }
+
+    aiService.addToHistory('assistant', content);
+    applyGroundedResponse(envelope, aiService.buildGroundedResponse(content, context.state.retrievalAnalysis, knowledgeSources));
+    context.state.answered = true;
+  }
+};
+
+const applyGroundedResponse = (envelope, grounded) => {
+  envelope.response = grounded.content;
+  envelope.responseType = grounded.type;
+  envelope.confidence = grounded.confidence;
+  envelope.sources = grounded.sources;
+  envelope.citations = grounded.citations;
+  envelope.followUpSuggestions = grounded.suggestedActions.length > 0 ? ['Create the required case now'] : [];
+};
+
+// 6. Formatting: policy findings, user style preferences and markdown cleanup
+export const formattingStage = {
+  name: 'formatting',
+  run(envelope, context) {
+    let content = envelope.response;
+    const { policy } = envelope;
+
+    if (policy && (policy.violations.length > 0 || policy.warnings.length > 0)) {
+      content += '\n\n**Policy Check:**';
+      policy.violations.forEach(violation => {
+        content += `\n• ❌ ${violation.message}`;
+      });
+      policy.warnings.forEach(warning => {
+        content += `\n• ⚠️ ${warning.message}`;
+      });
+      if (policy.route?.requiredApprover) {
+        content += `\n• Approver: ${policy.route.requiredApprover} (${policy.route.timeline})`;
+      }
+    }
+
+    const formatted = responseFormatter.formatResponse(content, 'text', {
+      responseStyle: contextManager.getResponseStyle(context.sessionId)
+    });
+    envelope.response = formatted.content;
+  }
+};
+
+// 7. Conversation context updates
+export const contextStage = {
+  name: 'context',
+  optional: true,
+  run(envelope, context) {
+    const { sessionId } = context;
+    if (!sessionId) return;
+
+    contextManager.addMessage(sessionId, context.message, 'user', context.state.processed?.analysis || null);
+    contextManager.addMessage(sessionId, envelope.response, 'assistant');
+
+    if (envelope.scenarioId) {
+      contextManager.setActiveScenario(sessionId, envelope.scenarioId);
+    }
+  }
+};
+
+export const defaultStages = [
+  scenarioStage,
+  analysisStage,
+  retrievalStage,
+  policyStage,
+  responseStage,
+  formattingStage,
+  contextStage
+];
@@ -0,0 +1,106 @@
+// Policy Change Service for Red Phone Agent
+// Answers "what changed in the ROE since ..." questions from the effective-dated rule set versions
+
+import policyVersions, { toPolicyDate } from '../utils/policyVersions.js';
+
+const CHANGE_PATTERN = /\b(what(?:'s|\s+has|\s+have)?\s+changed|what(?:'s|\s+is)\s+new|(?:recent|latest)\s+(?:changes|updates)|change\s*log|changes\s+since)\b/i;
+const POLICY_PATTERN = /\b(polic(?:y|ies)|roe|rules?|discounts?|approvals?|minimums?|seats?|pilots?)\b/i;
+
+// Rule set sections behind each topic a rep can ask about
+const TOPICS = [
+  { pattern: /\bdiscount/i, label: 'discount policy', sections: ['discountLimits', 'regionalAdjustments', 'discountApproval', 'competitiveDiscount', 'discountStacking'] },
+  { pattern: /\bapproval/i, label: 'approval rules', sections: ['discountApproval', 'dealSizeApproval', 'approvalLevels'] },
+  { pattern: /\b(minimum|seat)/i, label: 'minimum commitments', sections: ['minimumCommitment'] },
+  { pattern: /\bpilot/i, label: 'pilot rules', sections: ['pilotDays'] }
+];
+
+export const isPolicyChangeQuestion = (text = '') => CHANGE_PATTERN.test(text) && POLICY_PATTERN.test(text);
+
+const startOfQuarter = (year, quarter) => new Date(Date.UTC(year, quarter * 3, 1));
+
+// The earliest version on record has no effectiveFrom
+const formatPeriod = ({ effectiveFrom, effectiveTo }) => (
+  effectiveFrom ? `${effectiveFrom} to ${effectiveTo || 'now'}` : `until ${effectiveTo || 'now'}`
+);
+
+class PolicyChangeService {
+  constructor({ versions = policyVersions, clock = () => new Date() } = {}) {
+    this.versions = versions;
+    this.clock = clock;
+  }
+
+  // The date the rep is comparing against; defaults to the start of last quarter
+  parsePeriod(message) {
+    const now = this.clock();
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth();
+    const quarter = Math.floor(month / 3);
+    const text = message.toLowerCase();
+
+    const isoDate = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+    if (isoDate) return { since: isoDate[1], label: `since ${isoDate[1]}` };
+
+    const namedQuarter = text.match(/\bq([1-4])\s*(?:fy)?\s*(\d{4})\b/);
+    if (namedQuarter) {
+      return { since: startOfQuarter(Number(namedQuarter[2]), Number(namedQuarter[1]) - 1), label: `since Q${namedQuarter[1]} ${namedQuarter[2]}` };
+    }
+
+    if (/\bthis quarter\b/.test(text)) return { since: startOfQuarter(year, quarter), label: 'this quarter' };
+    if (/\b(last|previous) month\b/.test(text)) return { since: new Date(Date.UTC(year, month - 1, 1)), label: 'since last month' };
+    if (/\bthis month\b/.test(text)) return { since: new Date(Date.UTC(year, month, 1)), label: 'this month' };
+    if (/\b(last|previous) year\b/.test(text)) return { since: new Date(Date.UTC(year - 1, 0, 1)), label: 'since last year' };
+    if (/\bthis year\b/.test(text)) return { since: new Date(Date.UTC(year, 0, 1)), label: 'this year' };
+
+    return { since: startOfQuarter(year, quarter - 1), label: 'since last quarter' };
+  }
+
+  parseTopics(message) {
+    const topics = TOPICS.filter(topic => topic.pattern.test(message));
+    if (topics.length === 0) return { label: 'Rules of Engagement', sections: undefined };
+
+    return {
+      label: topics.map(topic => topic.label).join(' and '),
+      sections: [...new Set(topics.flatMap(topic => topic.sections))]
+    };
+  }
+
+  answer(message) {
+    const period = this.parsePeriod(message);
+    const topic = this.parseTopics(message);
+    const since = toPolicyDate(period.since);
+    const result = this.versions.changesSince(period.since, { asOf: this.clock(), sections: topic.sections });
+    const heading = topic.label.charAt(0).toUpperCase() + topic.label.slice(1);
+
+    const lines = [];
+    if (result.changes.length === 0) {
+      lines.push(`No changes to the ${topic.label} ${period.label} (${since}).`);
+      lines.push(result.to.effectiveFrom
+        ? `ROE v${result.to.version} has been in effect since ${result.to.effectiveFrom}.`
+        : `ROE v${result.to.version} is the earliest version on record.`);
+    } else {
+      lines.push(`**${heading} changes ${period.label} (${since})**`, '');
+      result.versions.forEach(version => {
+        lines.push(`ROE v${version.version} took effect on ${version.effectiveFrom}${version.summary ? `: ${version.summary}` : ''}`);
+      });
+      lines.push('');
+      result.changes.forEach(change => lines.push(`• ${change.description}`));
+      lines.push('');
+      lines.push(`Quotes and cases from before ${result.to.effectiveFrom} were checked against ROE v${result.from.version} (${formatPeriod(result.from)}).`);
+    }
+
+    return {
+      success: true,
+      response: lines.join('\n').trim(),
+      responseType: 'policy_changes',
+      confidence: 0.95,
+      policyChanges: { since, ...result },
+      followUpSuggestions: ["What's the standard discount policy?", 'Help with another issue']
+    };
+  }
+}
+
+// Create singleton instance
+const policyChangeService = new PolicyChangeService();
+
+export { PolicyChangeService };
+export default policyChangeService;
@@ -0,0 +1,170 @@
+// Quote Guardrails for Red Phone Agent
+// Runs the policy checks on the quote open in Solution Builder and turns the results into inline badges
+
+import policyChecker from '../utils/policyChecker.js';
+import { quoteToPageData } from '../utils/pageDataExtractor.js';
+import { baseDealFromPage } from './dealSimulator.js';
+
+// Violations that get a badge of their own; everything else is left to the chat and the case form
+const VIOLATION_BADGES = {
+  discount_limit_exceeded: 'Over max discount',
+  minimum_seats: 'Below minimum seats',
+  minimum_value: 'Below minimum value'
+};
+
+// Line items only carry a discount, so only discount rules apply to them
+const LINE_VIOLATIONS = ['discount_limit_exceeded'];
+
+const APPROVAL_RECOMMENDATIONS = ['approval_path', 'dual_approval'];
+
+const NO_APPROVAL = 'Auto-approved';
+
+class QuoteGuardrails {
+  constructor({ checker = policyChecker } = {}) {
+    this.checker = checker;
+  }
+
+  // Pricing case for the quote; `discount` overrides the quote's effective discount for line checks
+  buildCaseData(quote, discount) {
+    const deal = baseDealFromPage(quoteToPageData(quote));
+    return {
+      category: 'pricing',
+      description: '',
+      discountRequested: discount ?? deal.discount,
+      dealValue: deal.dealValue,
+      seats: deal.seats,
+      dealType: deal.dealType,
+      segment: deal.segment,
+      region: deal.region
+    };
+  }
+
+  check(caseData) {
+    const result = this.checker.checkCompliance(caseData);
+    return result.success ? result.compliance : result.fallback;
+  }
+
+  // Badges for the quote totals and for each discounted line item
+  evaluate(quote) {
+    if (!quote) {
+      return { quoteId: null, overallCompliance: 'compliant', score: 100, quoteBadges: [], lineBadges: {} };
+    }
+
+    const caseData = this.buildCaseData(quote);
+    const compliance = this.check(caseData);
+    const lineBadges = {};
+
+    (quote.lineItems || [])
+      .filter(line => Number(line.discount) > 0)
+      .forEach(line => {
+        const lineCase = { ...caseData, discountRequested: Number(line.discount) };
+        const badges = this.toBadges(this.check(lineCase), { scope: 'line', lineId: line.id, caseData: lineCase });
+        if (badges.length > 0) lineBadges[line.id] = badges;
+      });
+
+    return {
+      quoteId: quote.id,
+      overallCompliance: compliance.overallCompliance,
+      score: compliance.score,
+      quoteBadges: this.toBadges(compliance, { scope: 'quote', caseData }),
+      lineBadges
+    };
+  }
+
+  // Policy check summary that travels with exported quotes
+  summarize(quote) {
+    const compliance = this.check(this.buildCaseData(quote));
+    const approvals = (compliance.recommendations || [])
+      .filter(recommendation => APPROVAL_RECOMMENDATIONS.includes(recommendation.type))
+      .map(({ approver }) => approver)
+      .filter(approver => approver && approver !== NO_APPROVAL);
+
+    return {
+      overallCompliance: compliance.overallCompliance,
+      score: compliance.score,
+      violations: (compliance.violations || []).map(violation => violation.message),
+      approvals: [...new Set(approvals)],
+      policyVersion: compliance.policyVersion?.version ?? null
+    };
+  }
+
+  toBadges(compliance, { scope, lineId = null, caseData }) {
+    const prefix = lineId ? `${lineId}-` : 'quote-';
+    const badges = (compliance.violations || [])
+      .filter(violation => VIOLATION_BADGES[violation.type])
+      .filter(violation => scope === 'quote' || LINE_VIOLATIONS.includes(violation.type))
+      .map(violation => ({
+        id: `${prefix}${violation.type}`,
+        type: violation.type,
+        kind: 'violation',
+        scope,
+        lineId,
+        label: VIOLATION_BADGES[violation.type],
+        explanation: `${violation.message}. ${violation.impact}.`,
+        reason: violation.message,
+        discount: caseData.discountRequested
+      }));
+
+    // One approval badge per approver; line items only show who signs off on their discount
+    const approvers = new Set();
+    (compliance.recommendations || [])
+      .filter(recommendation => APPROVAL_RECOMMENDATIONS.includes(recommendation.type))
+      .filter(recommendation => scope === 'quote' || recommendation.type === 'approval_path')
+      .filter(({ approver }) => approver && approver !== NO_APPROVAL)
+      .forEach(recommendation => {
+        if (approvers.has(recommendation.approver)) return;
+        approvers.add(recommendation.approver);
+        badges.push({
+          id: `${prefix}approval-${approvers.size}`,
+          type: recommendation.type,
+          kind: 'approval',
+          scope,
+          lineId,
+          label: `Needs ${recommendation.approver} approval`,
+          approver: recommendation.approver,
+          explanation: `${recommendation.message}.`,
+          reason: recommendation.message,
+          discount: caseData.discountRequested
+        });
+      });
+
+    return badges;
+  }
+
+  // Assistant message the chat opens with when the rep clicks a badge
+  buildChatSeed(badge, quote) {
+    const line = badge.lineId ? (quote.lineItems || []).find(item => item.id === badge.lineId) : null;
+    const where = line ? `${line.name || 'this line item'} on ${quote.name}` : `${quote.name} totals`;
+    const exception = badge.kind === 'violation';
+
+    return {
+      content: [
+        `**${badge.label}** — ${where}`,
+        badge.explanation,
+        exception
+          ? 'This needs an approved exception before the quote can go to the customer. I can open the exception case with the quote details filled in.'
+          : 'Submit a case so the approver can sign off before the quote goes to the customer.'
+      ].join('\n\n'),
+      type: 'guardrail',
+      actions: [{
+        type: 'create_exception_case',
+        label: exception ? '📋 Create Exception Case' : '📋 Create Approval Case',
+        data: {
+          category: 'Pricing',
+          prefill: {
+            reason: badge.reason,
+            requestedDiscount: String(badge.discount),
+            quoteId: quote.id
+          }
+        }
+      }],
+      followUpSuggestions: ["What's the standard discount policy?", 'How does the exception process work?']
+    };
+  }
+}
+
+// Create singleton instance
+const quoteGuardrails = new QuoteGuardrails();
+
+export { QuoteGuardrails };
+export default quoteGuardrails;
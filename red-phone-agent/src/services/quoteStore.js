@@ -0,0 +1,229 @@
+// Quote Store for Red Phone Agent
+// Shared state for the quotes open in Solution Builder; the chat agent reads its deal context from here
+
+import { sampleQuotes, defaultActiveQuoteId } from '../data/sampleQuotes.js';
+import { createDefaultStorage } from '../utils/storageAdapters.js';
+import {
+  getQuoteTotals,
+  formatCurrency,
+  formatTerm,
+  normalizeQuoteChanges,
+  validateLineItemChanges,
+  validateQuoteChanges,
+  validateQuoteForSave
+} from '../utils/quoteModel.js';
+
+const STORE_KEY = 'quotes';
+const STORE_VERSION = 1;
+
+const QUOTE_FIELDS = ['name', 'status', 'startDate', 'termYears', 'seats', 'dealType', 'segment', 'region', 'currency', 'taxRate'];
+const LINE_ITEM_FIELDS = ['name', 'quantity', 'unitPrice', 'discount', 'note'];
+
+const pick = (source, fields) => Object.fromEntries(Object.entries(source).filter(([field]) => fields.includes(field)));
+
+// One line for the chat when the rep changes quote tabs
+export const describeQuoteSwitch = (quote) => {
+  const totals = getQuoteTotals(quote);
+  const details = [quote.dealType, quote.segment, quote.region, quote.seats ? `${quote.seats} seats` : null, formatTerm(quote.termYears)]
+    .filter(Boolean)
+    .join(' · ');
+
+  return `You're now on **${quote.name}** for ${quote.customer?.name || 'this customer'} (${formatCurrency(totals.subtotal, quote.currency)}, ${details}). I'll use this quote for policy checks, what-if questions and new cases.`;
+};
+
+class QuoteStore {
+  // Saved quotes are restored from storage; the sample quotes are only used until the first save
+  constructor({
+    quotes = sampleQuotes,
+    activeQuoteId = defaultActiveQuoteId,
+    storage = createDefaultStorage(),
+    clock = () => new Date()
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
+
+    const saved = storage.load(STORE_KEY);
+    const initialQuotes = saved && saved.version === STORE_VERSION ? saved.quotes : quotes;
+    const initialActiveId = saved && saved.version === STORE_VERSION ? saved.activeQuoteId : activeQuoteId;
+
+    this.state = {
+      quotes: initialQuotes,
+      activeQuoteId: initialQuotes.some(quote => quote.id === initialActiveId) ? initialActiveId : initialQuotes[0]?.id || null,
+      // Quotes edited since they were last saved
+      dirtyQuoteIds: []
+    };
+    this.listeners = new Set();
+  }
+
+  // State is replaced, never mutated, so subscribers can compare snapshots
+  getState() {
+    return this.state;
+  }
+
+  getQuote(quoteId) {
+    return this.state.quotes.find(quote => quote.id === quoteId) || null;
+  }
+
+  getActiveQuote() {
+    return this.getQuote(this.state.activeQuoteId);
+  }
+
+  setActiveQuote(quoteId) {
+    const quote = this.getQuote(quoteId);
+    if (!quote) {
+      return { success: false, error: `Quote ${quoteId} not found` };
+    }
+    if (quoteId === this.state.activeQuoteId) {
+      return { success: true, quote };
+    }
+
+    const previousQuote = this.getActiveQuote();
+    this.state = { ...this.state, activeQuoteId: quoteId };
+    this.emit({ type: 'quote_switched', quote, previousQuote });
+    return { success: true, quote };
+  }
+
+  isDirty(quoteId) {
+    return this.state.dirtyQuoteIds.includes(quoteId);
+  }
+
+  // New quote tab for the same customer and opportunity as the active quote; it becomes the active tab
+  addQuote(fields = {}) {
+    const template = this.getActiveQuote() || {};
+    const quote = {
+      id: `quote-${this.clock().getTime().toString(36)}-${this.state.quotes.length + 1}`,
+      name: `New Quote ${this.state.quotes.length + 1}`,
+      opportunityName: template.opportunityName || '',
+      status: 'Draft',
+      customer: template.customer || { name: '', primaryContact: {}, billingContact: {}, address: {} },
+      dealType: template.dealType || 'New Business',
+      segment: template.segment || '',
+      region: template.region || 'NAMER',
+      currency: template.currency || 'USD',
+      seats: null,
+      startDate: this.clock().toISOString().slice(0, 10),
+      termYears: 1,
+      taxRate: 0,
+      lineItems: [],
+      ...fields
+    };
+
+    this.setQuotes([...this.state.quotes, quote], [quote.id]);
+    this.emit({ type: 'quote_added', quote });
+    this.setActiveQuote(quote.id);
+    return { success: true, quote };
+  }
+
+  updateQuote(quoteId, changes) {
+    const updates = normalizeQuoteChanges(pick(changes, QUOTE_FIELDS));
+    const error = validateQuoteChanges(updates);
+    if (error) return { success: false, error };
+
+    return this.replaceQuote(quoteId, quote => ({ ...quote, ...updates }));
+  }
+
+  addLineItem(quoteId, item = {}) {
+    const fields = normalizeQuoteChanges(pick(item, LINE_ITEM_FIELDS));
+    const error = validateLineItemChanges(fields);
+    if (error) return { success: false, error };
+
+    return this.replaceQuote(quoteId, quote => {
+      const nextNumber = Math.max(0, ...quote.lineItems.map(line => parseInt(String(line.id).replace(/\D/g, ''), 10) || 0)) + 1;
+      return {
+        ...quote,
+        lineItems: [...quote.lineItems, { id: `line-${nextNumber}`, name: '', quantity: 1, unitPrice: 0, discount: 0, features: [], ...fields }]
+      };
+    });
+  }
+
+  updateLineItem(quoteId, lineId, changes) {
+    const updates = normalizeQuoteChanges(pick(changes, LINE_ITEM_FIELDS));
+    const error = validateLineItemChanges(updates);
+    if (error) return { success: false, error };
+    if (!this.getQuote(quoteId)?.lineItems.some(line => line.id === lineId)) {
+      return { success: false, error: `Line item ${lineId} not found` };
+    }
+
+    return this.replaceQuote(quoteId, quote => ({
+      ...quote,
+      lineItems: quote.lineItems.map(line => (line.id === lineId ? { ...line, ...updates } : line))
+    }));
+  }
+
+  removeLineItem(quoteId, lineId) {
+    return this.replaceQuote(quoteId, quote => ({
+      ...quote,
+      lineItems: quote.lineItems.filter(line => line.id !== lineId)
+    }));
+  }
+
+  // Persist every saved quote; quotes with unsaved edits keep their last saved version
+  saveQuote(quoteId) {
+    const quote = this.getQuote(quoteId);
+    if (!quote) return { success: false, error: `Quote ${quoteId} not found` };
+
+    const error = validateQuoteForSave(quote);
+    if (error) return { success: false, error };
+
+    const saved = this.storage.load(STORE_KEY);
+    const savedQuotes = saved && saved.version === STORE_VERSION
+      ? saved.quotes
+      : this.state.quotes.filter(candidate => !this.isDirty(candidate.id));
+    const savedQuote = { ...quote, savedAt: this.clock().toISOString() };
+    const quotes = savedQuotes.some(candidate => candidate.id === quoteId)
+      ? savedQuotes.map(candidate => (candidate.id === quoteId ? savedQuote : candidate))
+      : [...savedQuotes, savedQuote];
+
+    if (this.storage.save(STORE_KEY, { version: STORE_VERSION, quotes, activeQuoteId: this.state.activeQuoteId }) === false) {
+      return { success: false, error: 'Unable to save the quote' };
+    }
+
+    this.state = {
+      ...this.state,
+      quotes: this.state.quotes.map(candidate => (candidate.id === quoteId ? savedQuote : candidate)),
+      dirtyQuoteIds: this.state.dirtyQuoteIds.filter(id => id !== quoteId)
+    };
+    this.emit({ type: 'quote_saved', quote: savedQuote });
+    return { success: true, quote: savedQuote };
+  }
+
+  replaceQuote(quoteId, update) {
+    const current = this.getQuote(quoteId);
+    if (!current) return { success: false, error: `Quote ${quoteId} not found` };
+
+    const quote = update(current);
+    this.setQuotes(this.state.quotes.map(candidate => (candidate.id === quoteId ? quote : candidate)), [quoteId]);
+    this.emit({ type: 'quote_updated', quote });
+    return { success: true, quote };
+  }
+
+  setQuotes(quotes, dirtyIds = []) {
+    this.state = {
+      ...this.state,
+      quotes,
+      dirtyQuoteIds: [...new Set([...this.state.dirtyQuoteIds, ...dirtyIds])]
+    };
+  }
+
+  // Listeners get (event, state); returns the unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, this.state);
+      } catch (error) {
+        console.error('Quote store listener failed:', error);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const quoteStore = new QuoteStore();
+
+export { QuoteStore };
+export default quoteStore;
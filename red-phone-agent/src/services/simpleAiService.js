@@ -2,17 +2,36 @@
 // Replaces complex AI integration with practical scenario matching
 
 import { findMatchingScenario, getCategories, caseCreationSteps } from '../data/realScenarios.js';
+import { simulateStream } from '../utils/streamUtils.js';
+import { getApprovalRequirement, getDiscountPolicy } from '../data/rulesOfEngagement.js';
+import policyRulesEngine from '../utils/policyRulesEngine.js';
+import caseRepository from './caseRepository.js';
+import caseTracker, { isCaseTrackingRequest } from './caseTracker.js';
+import caseUpdateService from './caseUpdateService.js';
+import slotFillingService from './slotFillingService.js';
+import approvalWorkflow from './approvalWorkflow.js';
+import policyChangeService, { isPolicyChangeQuestion } from './policyChangeService.js';
+import dealSimulator, { isWhatIfQuestion } from './dealSimulator.js';
+
+// "Can I offer 15% discount?" or "max discount for smb renewal" are policy questions
+const isDiscountQuestion = (text) => /\bdiscount/i.test(text) && /\d+\s*%|\b(max|maximum|limit|auto-?approved)\b/i.test(text);
+
+// Rule set key named in the text, longest label first so "Large Enterprise" wins over "Enterprise"
+const findRuleKey = (labels, text) => Object.entries(labels)
+  .sort(([, a], [, b]) => b.length - a.length)
+  .find(([key, label]) => text.includes(label.toLowerCase()) || text.includes(key.toLowerCase()))?.[0] || null;
 
 class SimpleAiService {
   constructor() {
     this.isInitialized = false;
     this.conversationHistory = [];
     this.currentCase = null;
+    this.streamChunkDelay = 15; // ms between simulated stream chunks
   }
 
   async initialize() {
     this.isInitialized = true;
-    return { success: true, mode: 'scenarios' };
+    return { success: true, mode: 'scenarios', provider: 'scenarios', model: null };
   }
 
   async processMessage(messageText, options = {}) {
@@ -22,28 +41,14 @@ class SimpleAiService {
       }
 
       // Store conversation context
-      this.conversationHistory.push({
-        role: 'user',
-        content: messageText,
-        timestamp: Date.now()
-      });
+      this.rememberMessage('user', messageText);
 
-      // Check for specific help requests first
-      if (messageText.toLowerCase().includes('help me access dynamics')) {
-        return this.handleDynamicsAccessHelp(messageText);
+      const scenarioResponse = this.matchScenario(messageText, options);
+      if (scenarioResponse) {
+        return scenarioResponse;
       }
 
-      // Analyze user intent and extract key information
-      const analysis = this.analyzeUserInput(messageText);
-      
-      // Find matching scenario with enhanced context
-      const scenario = findMatchingScenario(messageText);
-      
-      if (scenario) {
-        return this.handleScenarioMatch(scenario, messageText, options, analysis);
-      } else {
-        return this.handleIntelligentResponse(messageText, options, analysis);
-      }
+      return this.handleIntelligentResponse(messageText, options, this.analyzeUserInput(messageText));
       
     } catch (error) {
       console.error('Simple AI Service error:', error);
@@ -55,6 +60,93 @@ class SimpleAiService {
     }
   }
 
+  rememberMessage(role, content) {
+    this.conversationHistory.push({
+      role,
+      content,
+      timestamp: Date.now()
+    });
+  }
+
+  // Scenario-only answer: specific help requests and realScenarios matches, otherwise null
+  matchScenario(messageText, options = {}) {
+    // Check for specific help requests first
+    if (messageText.toLowerCase().includes('help me access dynamics')) {
+      return this.handleDynamicsAccessHelp(messageText);
+    }
+
+    // Answers to the required fields we are collecting (caseCreationSteps: collect_required_fields)
+    const slotResult = slotFillingService.handleMessage(messageText, { sessionId: options.sessionId });
+    if (slotResult) {
+      return slotFillingService.buildResponse(slotResult);
+    }
+
+    // "What changed in the discount policy since last quarter?" is answered from the ROE versions
+    if (isPolicyChangeQuestion(messageText)) {
+      return policyChangeService.answer(messageText);
+    }
+
+    // "What if we go to 25% on a 3-year term?" is simulated against the quote open in Solution Builder;
+    // other "what if" questions fall through to the scenarios
+    const whatIf = isWhatIfQuestion(messageText) ? dealSimulator.answer(messageText) : null;
+    if (whatIf) {
+      return whatIf;
+    }
+
+    // Follow-up details for a case created earlier in the session (caseCreationSteps: update_case_if_needed)
+    const caseUpdate = caseUpdateService.proposeUpdate(messageText, { sessionId: options.sessionId });
+    if (caseUpdate) {
+      return caseUpdateService.buildProposalResponse(caseUpdate);
+    }
+
+    if (isCaseTrackingRequest(messageText)) {
+      return caseTracker.track(messageText, this.conversationHistory.slice(0, -1));
+    }
+
+    // Scenario keywords such as "customer" or "quote" would otherwise claim discount questions
+    if (isDiscountQuestion(messageText)) {
+      return null;
+    }
+
+    // Find matching scenario with enhanced context
+    const scenario = findMatchingScenario(messageText);
+    if (!scenario) return null;
+
+    // Analyze user intent and extract key information
+    const analysis = this.analyzeUserInput(messageText);
+    return this.handleScenarioMatch(scenario, messageText, options, analysis);
+  }
+
+  // Streaming variant of processMessage: yields {type: 'delta', delta} chunks, then
+  // {type: 'done', response, aborted}. Scenario answers are replayed word by word so
+  // the UI uses the same path as live model streaming.
+  async *streamMessage(messageText, options = {}) {
+    const { signal, ...processOptions } = options;
+    const response = await this.processMessage(messageText, processOptions);
+
+    if (!response.success) {
+      yield { type: 'done', response, aborted: false };
+      return;
+    }
+
+    let partial = '';
+    for await (const delta of simulateStream(response.response, { signal, chunkDelay: this.streamChunkDelay })) {
+      partial += delta;
+      yield { type: 'delta', delta };
+    }
+
+    if (signal?.aborted) {
+      yield {
+        type: 'done',
+        aborted: true,
+        response: { ...response, response: partial, actions: [], followUpSuggestions: [], requiresCase: false }
+      };
+      return;
+    }
+
+    yield { type: 'done', response, aborted: false };
+  }
+
   analyzeUserInput(messageText) {
     const input = messageText.toLowerCase();
     
@@ -189,6 +281,13 @@ class SimpleAiService {
       followUpSuggestions.push("Create the required case now");
     }
 
+    // Ask for the case's required fields one at a time in the following messages
+    const slotState = scenario.requiresCase && slotFillingService.start(scenario, { sessionId: options.sessionId });
+    if (slotState) {
+      response += `\n\n${slotFillingService.describeRequiredSlots(slotState)}`;
+      followUpSuggestions.push('Cancel case details');
+    }
+
     // Add contextual follow-up suggestions based on scenario
     this.addContextualSuggestions(scenario, followUpSuggestions);
 
@@ -311,11 +410,33 @@ class SimpleAiService {
     }
   }
 
+  // Discount limits come from the segment and deal type named in the question (new business by default)
   handlePricingQuery(messageText, analysis) {
     let response = `I can help you with pricing questions. `;
+    let requiresCase = false;
+
+    const { labels } = policyRulesEngine.ruleSet;
+    const text = messageText.toLowerCase();
+    const segment = findRuleKey(labels.segments, text);
+    const dealType = findRuleKey(labels.dealTypes, text) || 'newBusiness';
+    const policy = segment ? getDiscountPolicy(dealType, segment) : null;
+    if (policy) {
+      response += `The maximum discount for ${labels.segments[segment]} ${labels.dealTypes[dealType]} deals is ${policy.max}% (auto-approved up to ${policy.autoApproved}%). `;
+    }
 
     if (analysis.entities.percentage) {
-      response += `For a ${analysis.entities.percentage}% discount request, you'll typically need manager approval. `;
+      const percentage = parseInt(analysis.entities.percentage, 10);
+      const { discountApproval } = getApprovalRequirement(percentage, 0);
+      const approval = `${discountApproval?.approver || 'manager'} approval (${discountApproval?.timeframe || '24 hours'})`;
+      requiresCase = discountApproval?.approver !== 'Auto-approved';
+
+      if (policy && percentage > policy.max) {
+        response += `A ${percentage}% discount is over that limit, so it needs an exception case with ${approval}. `;
+      } else if (!requiresCase) {
+        response += `A ${percentage}% discount is auto-approved. `;
+      } else {
+        response += `For a ${percentage}% discount request, you'll need ${approval}. `;
+      }
     } else if (analysis.entities.amount) {
       response += `For deals involving $${analysis.entities.amount}, `;
     }
@@ -334,6 +455,7 @@ I can help you create a case with all the required information pre-filled.`;
       response: response,
       responseType: 'intelligent_pricing',
       confidence: 0.9,
+      requiresCase,
       followUpSuggestions: [
         "Create the required case now",
         "What's the standard discount policy?",
@@ -466,24 +588,7 @@ I can help you create a Legal case with the proper routing.`;
   }
 
   handleStatusQuery(messageText, analysis) {
-    return {
-      success: true,
-      response: `I can help you check on status updates. Unfortunately, I don't have access to live case tracking, but I can:
-
-**Next Steps:**
-1. Direct you to the case tracking system
-2. Help you contact the appropriate team
-3. Create a follow-up case if needed
-
-What specific status are you looking for?`,
-      responseType: 'status_check',
-      confidence: 0.8,
-      followUpSuggestions: [
-        "Check my recent cases",
-        "Contact the review team",
-        "Create a follow-up case"
-      ]
-    };
+    return caseTracker.track(messageText, this.conversationHistory.slice(0, -1));
   }
 
   handleDynamicsAccessHelp(messageText) {
@@ -754,19 +859,25 @@ Some common ${category.toLowerCase()} questions include various operational and
     };
   }
 
-  // Simple case creation helper
-  createCase(caseData) {
-    this.currentCase = {
-      id: `CASE-${Date.now()}`,
-      ...caseData,
-      status: 'created',
-      createdAt: new Date().toISOString()
-    };
+  // Create and submit a case in the persistent case repository
+  createCase(caseData, { submit = true, actor, sessionId } = {}) {
+    const result = caseRepository.create(caseData, { submit, actor });
+    if (!result.success) {
+      return result;
+    }
+
+    if (submit) {
+      approvalWorkflow.start(result.case.id, { actor });
+    }
 
+    this.currentCase = caseRepository.get(result.case.id);
+    caseUpdateService.trackCase(result.case.id, { sessionId });
+    slotFillingService.cancel(sessionId);
     return {
       success: true,
-      caseId: this.currentCase.id,
-      message: `Case ${this.currentCase.id} created successfully!`
+      caseId: result.case.id,
+      case: this.currentCase,
+      message: `Case ${result.case.id} created successfully!`
     };
   }
 }
@@ -0,0 +1,233 @@
+// Slot Filling Service for Red Phone Agent
+// Multi-turn collection of a scenario's caseInfo.requiredFields before opening a pre-filled case
+
+import { findMatchingScenario } from '../data/realScenarios.js';
+import { getSlotDefinition } from '../data/caseSlots.js';
+import { extractCaseFields } from '../utils/caseFieldExtractors.js';
+import { validateSlot } from '../utils/slotValidators.js';
+import contextManager from '../utils/contextManager.js';
+import { createDefaultStorage } from '../utils/storageAdapters.js';
+
+const MAX_ATTEMPTS = 3;
+const CANCEL_PATTERN = /^(cancel|stop|never ?mind|forget it)\b/i;
+const DEFAULT_SESSION = 'default';
+const STORE_KEY = 'slotFilling';
+
+export const formatSlotValue = (slot, value) => {
+  if (slot.type === 'currency') return `$${Number(value).toLocaleString('en-US')}`;
+  if (slot.type === 'percent') return `${value}%`;
+  if (slot.type === 'years') return `${value} year${value === 1 ? '' : 's'}`;
+  if (slot.type === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+const createSlot = (id, { value = null, attempts = 0 } = {}) => ({ id, ...getSlotDefinition(id), value, attempts });
+
+class SlotFillingService {
+  // Collections in progress survive a reload for as long as their conversation is retained
+  constructor({
+    clock = () => new Date(),
+    storage = createDefaultStorage(),
+    isRetained = sessionId => contextManager.hasContext(sessionId)
+  } = {}) {
+    this.clock = clock;
+    this.storage = storage;
+    const saved = storage.load(STORE_KEY) || {};
+    this.sessions = new Map(Object.entries(saved)
+      .filter(([sessionId]) => isRetained(sessionId))
+      .map(([sessionId, state]) => [sessionId, { ...state, slots: state.slots.map(slot => createSlot(slot.id, slot)) }]));
+  }
+
+  // Only answers are stored; slot definitions hold RegExp options, so they are rebuilt from caseSlots on load
+  persist() {
+    const sessions = [...this.sessions].map(([sessionId, state]) => [sessionId, {
+      ...state,
+      slots: state.slots.map(({ id, value, attempts }) => ({ id, value, attempts }))
+    }]);
+    return this.storage.save(STORE_KEY, Object.fromEntries(sessions)) !== false;
+  }
+
+  // Begin collecting a scenario's required fields; returns the session state or null when nothing is required
+  start(scenario, { sessionId } = {}) {
+    const requiredFields = scenario.caseInfo?.requiredFields || [];
+    if (requiredFields.length === 0) return null;
+
+    const state = {
+      scenarioId: scenario.id,
+      category: scenario.caseInfo.category,
+      reason: scenario.caseInfo.reason,
+      slots: requiredFields.map(id => createSlot(id))
+    };
+    this.sessions.set(sessionId || DEFAULT_SESSION, state);
+    this.persist();
+    return state;
+  }
+
+  getState(sessionId) {
+    return this.sessions.get(sessionId || DEFAULT_SESSION) || null;
+  }
+
+  isActive(sessionId) {
+    return this.sessions.has(sessionId || DEFAULT_SESSION);
+  }
+
+  cancel(sessionId) {
+    this.sessions.delete(sessionId || DEFAULT_SESSION);
+    this.persist();
+  }
+
+  getMissingSlots(state) {
+    return state.slots.filter(slot => slot.value === null);
+  }
+
+  // Context phrases ("start date is ...") can fill any missing slot; the slot we last asked
+  // for also accepts a bare typed answer ("June 1", "$250k") when nothing else matched
+  fillSlots(state, message, { bareAnswer = true } = {}) {
+    const now = this.clock();
+    const extracted = extractCaseFields(message, { now });
+    const filled = [];
+    let error = null;
+
+    this.getMissingSlots(state).forEach(slot => {
+      const hit = extracted[slot.field];
+      if (!hit) return;
+      const check = validateSlot(slot.type, String(hit.value), { now, ...slot.options });
+      if (check.valid) {
+        slot.value = check.value;
+        filled.push(slot);
+      } else {
+        error = { slot, message: check.error };
+      }
+    });
+
+    const asked = state.slots.find(slot => slot.value === null);
+    if (bareAnswer && asked && filled.length === 0 && !error) {
+      const check = validateSlot(asked.type, message, { now, ...asked.options });
+      if (check.valid) {
+        asked.value = check.value;
+        filled.push(asked);
+      } else {
+        error = { slot: asked, message: check.error };
+      }
+    }
+
+    return { filled, error };
+  }
+
+  // Questions and requests for other scenarios are not answers, so they leave the collection paused
+  looksLikeNewRequest(message, state) {
+    if (message.includes('?')) return true;
+    const scenario = findMatchingScenario(message);
+    return Boolean(scenario) && scenario.id !== state.scenarioId;
+  }
+
+  // { status: ask | invalid | complete | gave_up | cancelled, ... } or null when the message is not for us
+  handleMessage(message, options = {}) {
+    const result = this.applyMessage(message, options);
+    if (result) this.persist();
+    return result;
+  }
+
+  applyMessage(message, { sessionId } = {}) {
+    const key = sessionId || DEFAULT_SESSION;
+    const state = this.sessions.get(key);
+    if (!state) return null;
+
+    if (CANCEL_PATTERN.test(message.trim())) {
+      this.sessions.delete(key);
+      return { status: 'cancelled', state };
+    }
+
+    const newRequest = this.looksLikeNewRequest(message, state);
+    const { filled, error } = this.fillSlots(state, message, { bareAnswer: !newRequest });
+    if (filled.length === 0 && newRequest) {
+      return null;
+    }
+
+    const missing = this.getMissingSlots(state);
+    if (missing.length === 0) {
+      this.sessions.delete(key);
+      return { status: 'complete', state, filled };
+    }
+
+    if (error && filled.length === 0) {
+      error.slot.attempts += 1;
+      if (error.slot.attempts >= MAX_ATTEMPTS) {
+        this.sessions.delete(key);
+        return { status: 'gave_up', state, filled, error };
+      }
+      return { status: 'invalid', state, filled, error, next: error.slot };
+    }
+
+    return { status: 'ask', state, filled, error, next: error ? error.slot : missing[0] };
+  }
+
+  // Case fields collected so far, ready to pre-fill the case form
+  buildPrefill(state) {
+    return state.slots.reduce((prefill, slot) => (
+      slot.value === null ? prefill : { ...prefill, [slot.field]: slot.value }
+    ), { reason: state.reason, scenarioId: state.scenarioId });
+  }
+
+  // Checklist appended to the scenario answer when collection starts
+  describeRequiredSlots(state) {
+    return `To open the case I'll need:\n${state.slots.map(slot => `• ${slot.label}`).join('\n')}\n\n${state.slots[0].prompt}`;
+  }
+
+  // Chat response in the same shape as the SimpleAiService handlers
+  buildResponse(result) {
+    const { state } = result;
+    const acknowledged = (result.filled || []).map(slot => `${slot.label}: **${formatSlotValue(slot, slot.value)}**`);
+    const base = {
+      success: true,
+      confidence: 0.9,
+      scenarioId: state.scenarioId,
+      category: state.category,
+      slotFilling: {
+        scenarioId: state.scenarioId,
+        filled: Object.fromEntries(state.slots.filter(slot => slot.value !== null).map(slot => [slot.field, slot.value])),
+        missing: this.getMissingSlots(state).map(slot => slot.id)
+      }
+    };
+
+    if (result.status === 'cancelled') {
+      return { ...base, response: "No problem — I've stopped collecting the case details. Just ask if you want to pick this up again.", responseType: 'slot_filling_cancelled', followUpSuggestions: ['Help with another issue'] };
+    }
+
+    if (result.status === 'complete' || result.status === 'gave_up') {
+      const summary = state.slots
+        .filter(slot => slot.value !== null)
+        .map(slot => `• ${slot.label}: ${formatSlotValue(slot, slot.value)}`)
+        .join('\n');
+      const intro = result.status === 'complete'
+        ? `Thanks, I have everything I need for the ${state.reason} case:`
+        : `I still couldn't read the ${result.error.slot.label.toLowerCase()}, so I've opened the case with what I have — please fill in the rest:`;
+      return {
+        ...base,
+        response: `${intro}\n\n${summary || '• (nothing collected yet)'}\n\nI've pre-filled the case below. Review it and submit when you're ready.`,
+        responseType: 'inline_case_form',
+        requiresCase: true,
+        caseForm: { category: state.category, prefill: this.buildPrefill(state) },
+        followUpSuggestions: []
+      };
+    }
+
+    const parts = [];
+    if (acknowledged.length > 0) parts.push(`Got it — ${acknowledged.join(', ')}.`);
+    if (result.error) parts.push(result.error.message);
+    parts.push(result.next.prompt);
+
+    return {
+      ...base,
+      response: parts.join(' '),
+      responseType: 'slot_filling',
+      followUpSuggestions: ['Cancel case details']
+    };
+  }
+}
+
+// Create singleton instance
+const slotFillingService = new SlotFillingService();
+
+export { SlotFillingService };
+export default slotFillingService;
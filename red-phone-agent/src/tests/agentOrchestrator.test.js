@@ -0,0 +1,146 @@
+// Tests for the agent orchestrator pipeline and its stages
+
+import agentOrchestrator, { AgentOrchestrator } from '../services/agentOrchestrator.js';
+import aiService from '../services/aiService.js';
+import contextManager from '../utils/contextManager.js';
+import {
+  createEnvelope,
+  scenarioStage,
+  analysisStage,
+  policyStage,
+  formattingStage
+} from '../services/orchestratorStages.js';
+
+const newContext = (message, sessionId = 'test-session') => ({
+  message,
+  sessionId,
+  options: { sessionId },
+  state: {}
+});
+
+describe('agent orchestrator', () => {
+  beforeEach(() => {
+    aiService.useTemplates();
+    agentOrchestrator.isInitialized = true;
+    agentOrchestrator.streamChunkDelay = 0;
+  });
+
+  test('runs the stages in pipeline order', async () => {
+    expect(agentOrchestrator.getStageNames()).toEqual([
+      'scenario', 'analysis', 'retrieval', 'policy', 'response', 'formatting', 'context'
+    ]);
+
+    const result = await agentOrchestrator.processMessage('Can you help me with HEP pricing?', { sessionId: 'order' });
+    expect(result.metadata.stages.map(stage => stage.name)).toEqual(agentOrchestrator.getStageNames());
+  });
+
+  test('scenario answers and template answers share one envelope shape', async () => {
+    const scenario = await agentOrchestrator.processMessage('Can you help me with HEP pricing?', { sessionId: 'shape' });
+    const template = await agentOrchestrator.processMessage('What is the weather like?', { sessionId: 'shape' });
+    const envelopeKeys = Object.keys(createEnvelope()).sort();
+
+    expect(Object.keys(scenario).sort()).toEqual(envelopeKeys);
+    expect(Object.keys(template).sort()).toEqual(envelopeKeys);
+    expect(scenario.scenarioId).toBe('hep-pricing');
+    expect(scenario.requiresCase).toBe(true);
+    expect(template.success).toBe(true);
+    expect(template.response.length).toBeGreaterThan(0);
+  });
+
+  test('flags policy exceptions and offers an exception case', async () => {
+    const result = await agentOrchestrator.processMessage(
+      'Customer wants a 35% discount on a $120,000 enterprise new business deal',
+      { sessionId: 'policy' }
+    );
+
+    expect(result.policy.overallCompliance).toBe('non_compliant');
+    expect(result.requiresCase).toBe(true);
+    expect(result.actions[0].type).toBe('create_case');
+    expect(result.response).toContain('**Policy Check:**');
+  });
+
+  test('records both turns in the conversation context', async () => {
+    contextManager.clearContext('ctx');
+    await agentOrchestrator.processMessage('Can you help me with HEP pricing?', { sessionId: 'ctx' });
+
+    const history = contextManager.getConversationHistory('ctx');
+    expect(history.map(message => message.role)).toEqual(['user', 'assistant']);
+    expect(contextManager.getOrCreateContext('ctx').dealContext.activeScenario).toBe('hep-pricing');
+  });
+
+  test('streams the final envelope response', async () => {
+    const events = [];
+    for await (const event of agentOrchestrator.streamMessage('How do I find an invoice?', { sessionId: 'stream' })) {
+      events.push(event);
+    }
+
+    const done = events[events.length - 1];
+    const streamed = events.filter(event => event.type === 'delta').map(event => event.delta).join('');
+    expect(done.type).toBe('done');
+    expect(streamed).toBe(done.response.response);
+  });
+});
+
+describe('pluggable stages', () => {
+  test('stages can be inserted, replaced and removed', async () => {
+    const pipeline = new AgentOrchestrator([scenarioStage, formattingStage]);
+    pipeline.isInitialized = true;
+
+    pipeline.useStage({ name: 'shout', run: (envelope) => { envelope.response = envelope.response.toUpperCase(); } }, { before: 'formatting' });
+    pipeline.replaceStage('scenario', { name: 'scenario', run: (envelope) => { envelope.response = 'custom answer'; } });
+    expect(pipeline.getStageNames()).toEqual(['scenario', 'shout', 'formatting']);
+
+    const result = await pipeline.processMessage('anything');
+    expect(result.response).toBe('CUSTOM ANSWER');
+
+    pipeline.removeStage('shout');
+    expect(pipeline.getStageNames()).toEqual(['scenario', 'formatting']);
+    expect(() => pipeline.useStage({ name: 'x', run: () => {} }, { after: 'missing' })).toThrow('Unknown pipeline stage');
+  });
+
+  test('optional stage failures are recorded without failing the message', async () => {
+    const pipeline = new AgentOrchestrator([
+      { name: 'answer', run: (envelope) => { envelope.response = 'ok'; } },
+      { name: 'flaky', optional: true, run: () => { throw new Error('index offline'); } }
+    ]);
+    pipeline.isInitialized = true;
+
+    const result = await pipeline.processMessage('hi');
+    expect(result.success).toBe(true);
+    expect(result.metadata.stages[1]).toEqual(expect.objectContaining({ name: 'flaky', error: 'index offline' }));
+  });
+
+  test('required stage failures return an error envelope', async () => {
+    const pipeline = new AgentOrchestrator([
+      { name: 'broken', run: () => { throw new Error('boom'); } }
+    ]);
+    pipeline.isInitialized = true;
+
+    const result = await pipeline.processMessage('hi');
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('boom');
+  });
+
+  test('analysis stage flattens messageProcessor entities', async () => {
+    const envelope = createEnvelope();
+    const context = newContext('Need 25% off a $300k enterprise renewal in EMEA');
+    await analysisStage.run(envelope, context);
+
+    expect(envelope.analysis.entities).toEqual(expect.objectContaining({
+      percentage: 25,
+      amount: 300000,
+      segment: 'enterprise',
+      dealType: 'renewal',
+      region: 'emea'
+    }));
+  });
+
+  test('policy stage is skipped without deal numbers', () => {
+    const envelope = createEnvelope();
+    const context = newContext('How do I find an invoice?');
+    context.state.entities = {};
+
+    policyStage.run(envelope, context);
+    expect(envelope.policy).toBeNull();
+  });
+});
@@ -1,6 +1,153 @@
-// Placeholder test file for aiService
-// Tests will be implemented in Task 6.0
+// Tests for aiService
+
+import aiService from '../services/aiService.js';
 
 test('placeholder test', () => {
   expect(true).toBe(true);
 });
+
+describe('AIService grounded responses', () => {
+  const jsonResponse = (data, status = 200) => Promise.resolve({
+    ok: status < 400,
+    status,
+    json: () => Promise.resolve(data)
+  });
+
+  let chatRequests;
+
+  beforeEach(() => {
+    chatRequests = [];
+    aiService.clearHistory();
+    aiService.isInitialized = false;
+    global.fetch = jest.fn((url, options = {}) => {
+      if (url.includes('/health')) {
+        return jsonResponse({ status: 'ok', upstream: { configured: true, model: 'mock-gpt' } });
+      }
+      const body = JSON.parse(options.body);
+      chatRequests.push(body);
+      return jsonResponse({
+        success: true,
+        model: 'mock-gpt',
+        message: { role: 'assistant', content: 'Enterprise new business tops out at 20% [roe_discountPolicies]. See also [made_up_source].' }
+      });
+    });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('sends system prompt, retrieved knowledge and history to the model', async () => {
+    const result = await aiService.processMessage('What is the enterprise new business discount limit?', { sessionId: 's1' });
+
+    expect(result.success).toBe(true);
+    expect(result.responseType).toBe('grounded_answer');
+
+    const [request] = chatRequests;
+    expect(request.sessionId).toBe('s1');
+    expect(request.messages[0].role).toBe('system');
+    expect(request.messages[0].content).toContain('You are the Red Phone Agent');
+    expect(request.messages[0].content).toContain('[roe_discountPolicies]');
+    expect(request.messages[request.messages.length - 1]).toEqual({
+      role: 'user',
+      content: 'What is the enterprise new business discount limit?'
+    });
+  });
+
+  test('returns only the citations the model actually used', async () => {
+    const result = await aiService.processMessage('What is the enterprise new business discount limit?', { sessionId: 's1' });
+
+    expect(result.citations.map(citation => citation.id)).toEqual(['roe_discountPolicies']);
+    expect(result.sources).toEqual(['Rules of Engagement']);
+  });
+
+  test('falls back to template responses when no model is available', async () => {
+    global.fetch = jest.fn(() => jsonResponse({ status: 'ok', upstream: { configured: false } }));
+
+    const result = await aiService.processMessage('What is the enterprise new business discount limit?', { sessionId: 's1' });
+
+    expect(result.success).toBe(true);
+    expect(result.responseType).not.toBe('grounded_answer');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('AIService.streamMessage', () => {
+  const sseResponse = (events) => Promise.resolve({
+    ok: true,
+    status: 200,
+    text: () => Promise.resolve(events.map(event => `data: ${JSON.stringify(event)}\n\n`).join(''))
+  });
+
+  beforeEach(() => {
+    aiService.clearHistory();
+    aiService.isInitialized = false;
+    aiService.streamChunkDelay = 0;
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('relays proxy deltas and finishes with citations', async () => {
+    global.fetch = jest.fn((url, options = {}) => {
+      if (url.includes('/health')) {
+        return Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ upstream: { configured: true, model: 'mock-gpt' } }) });
+      }
+      expect(JSON.parse(options.body).stream).toBe(true);
+      return sseResponse([
+        { delta: 'Enterprise tops out ' },
+        { delta: 'at 20% [roe_discountPolicies].' },
+        { done: true, model: 'mock-gpt', finishReason: 'stop' }
+      ]);
+    });
+
+    const events = [];
+    for await (const event of aiService.streamMessage('What is the enterprise new business discount limit?', { sessionId: 's1' })) {
+      events.push(event);
+    }
+
+    expect(events.filter(event => event.type === 'delta').map(event => event.delta))
+      .toEqual(['Enterprise tops out ', 'at 20% [roe_discountPolicies].']);
+    const done = events[events.length - 1];
+    expect(done.response.responseType).toBe('grounded_answer');
+    expect(done.response.citations.map(citation => citation.id)).toEqual(['roe_discountPolicies']);
+  });
+
+  test('simulates streaming for template answers in mock mode', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ upstream: { configured: false } }) }));
+
+    const events = [];
+    for await (const event of aiService.streamMessage('What is the enterprise new business discount limit?')) {
+      events.push(event);
+    }
+
+    const done = events[events.length - 1];
+    const streamed = events.filter(event => event.type === 'delta').map(event => event.delta).join('');
+    expect(done.response.success).toBe(true);
+    expect(streamed).toBe(done.response.response);
+  });
+});
+
+describe('AIService.initialize', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('reports the active provider and model', async () => {
+    global.fetch = jest.fn(() => Promise.resolve({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve({ upstream: { provider: 'azure', configured: true, model: 'rpa-chat' } })
+    }));
+
+    await expect(aiService.initialize()).resolves.toEqual({ success: true, mode: 'live', provider: 'azure', model: 'rpa-chat' });
+  });
+
+  test('falls back to local templates when the proxy is unreachable', async () => {
+    global.fetch = jest.fn(() => Promise.reject(new Error('offline')));
+
+    const result = await aiService.initialize();
+    expect(result).toEqual(expect.objectContaining({ success: false, mode: 'mock', provider: 'templates', model: null }));
+  });
+});
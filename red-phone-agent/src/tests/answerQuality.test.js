@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+// End-to-end answer-quality regression suite
+// Refresh the stored baseline after an intentional change with:
+//   UPDATE_ANSWER_BASELINE=1 npx react-scripts test --watchAll=false answerQuality
+
+import fs from 'fs';
+import path from 'path';
+import answerQualityCorpus from '../data/answerQualityCorpus.js';
+import { checkAnswer, runAnswerSuite, toAnswerBaseline, diffAnswerReport, formatAnswerReport } from '../utils/answerQualityEvaluator.js';
+
+const BASELINE_PATH = path.join(__dirname, '..', 'data', 'answerQualityBaseline.json');
+
+// Discount limits and approval levels must be right outright, not just match the baseline
+const POLICY_QUESTIONS = [
+  'max-discount-enterprise-new-business',
+  'max-discount-smb-renewal',
+  'approval-25-percent',
+  'approval-15-percent',
+  'approval-35-percent',
+  'auto-approved-discount'
+];
+
+describe('answer checks', () => {
+  const answer = {
+    success: true,
+    text: 'Maximum discount is 20%. Needs Regional Director approval.',
+    requiresCase: true,
+    followUps: ['Create the required case now'],
+    scenarioId: undefined
+  };
+
+  test('checks mentions, approver, case flag and follow-ups', () => {
+    const checks = checkAnswer(answer, {
+      mentions: ['20%'],
+      approver: 'Regional Director',
+      requiresCase: true,
+      followUps: [/case/i],
+      scenarioId: 'legal-terms'
+    });
+
+    expect(checks.map(check => check.name)).toEqual(['success', 'mentions:20%', 'approver', 'requiresCase', 'followUp:case']);
+    expect(checks.every(check => check.passed)).toBe(true);
+  });
+
+  test('reports checks that passed before and fail now as regressions', () => {
+    const report = {
+      services: {
+        simple: {
+          name: 'simple',
+          questions: [{ id: 'q1', passed: false, checks: [{ name: 'approver', passed: false, expected: 'VP Sales', actual: '' }, { name: 'requiresCase', passed: true }] }]
+        }
+      }
+    };
+    const diff = diffAnswerReport(report, { simple: { q1: { approver: true, requiresCase: false } } });
+
+    expect(diff.regressions).toEqual([{ service: 'simple', question: 'q1', check: 'approver', expected: 'VP Sales', actual: '' }]);
+    expect(diff.improvements).toEqual([{ service: 'simple', question: 'q1', check: 'requiresCase' }]);
+    expect(formatAnswerReport(report, diff)).toContain('REGRESSED simple / q1 / approver');
+  });
+});
+
+describe('answer quality corpus', () => {
+  let report;
+
+  beforeAll(async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    report = await runAnswerSuite(answerQualityCorpus);
+    warn.mockRestore();
+  });
+
+  test('agent answers do not regress against the stored baseline', () => {
+    if (process.env.UPDATE_ANSWER_BASELINE) {
+      fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(toAnswerBaseline(report), null, 2)}\n`);
+    }
+
+    const baseline = JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8'));
+    const diff = diffAnswerReport(report, baseline);
+
+    expect(Object.keys(report.services)).toEqual(['simple', 'ai']);
+    expect(diff.regressions).toEqual([]);
+  });
+
+  test('both services state the policy discount limits and approvers', () => {
+    const failed = Object.values(report.services).flatMap(result => result.questions
+      .filter(question => POLICY_QUESTIONS.includes(question.id))
+      .flatMap(question => question.checks
+        .filter(check => !check.passed)
+        .map(check => `${result.name} / ${question.id} / ${check.name}`)));
+
+    expect(failed).toEqual([]);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * @jest-environment node
+ */
+// Tests for the server-side OpenAI proxy (app/api) against a local mock upstream
+
+import chatHandler from '../../app/api/chat.js';
+import healthHandler from '../../app/api/health.js';
+import { rateLimiter } from '../../app/api/_lib/rateLimiter.js';
+import { startMockUpstream } from '../../app/api/_lib/mockUpstream.js';
+import { getProvider } from '../../app/api/_lib/providers/index.js';
+
+const invoke = async (handler, { method = 'GET', url = '/', headers = {}, body, remoteAddress } = {}) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    events: [],
+    setHeader(key, value) { this.headers[key.toLowerCase()] = value; },
+    write(chunk) { this.events.push(JSON.parse(chunk.replace(/^data: /, ''))); },
+    end(payload) { this.body = payload ? JSON.parse(payload) : null; }
+  };
+  await handler({ method, url, headers, body, socket: { remoteAddress } }, res);
+  return res;
+};
+
+describe('API proxy', () => {
+  let upstream;
+  const originalEnv = { ...process.env };
+
+  beforeAll(async () => {
+    process.env.OPENAI_API_KEY = 'test-key';
+    upstream = await startMockUpstream();
+    process.env.OPENAI_BASE_URL = upstream.url;
+    process.env.OPENAI_MODEL = 'mock-gpt';
+  });
+
+  afterAll(async () => {
+    await upstream.close();
+    process.env = originalEnv;
+  });
+
+  beforeEach(() => {
+    rateLimiter.reset();
+  });
+
+  test('proxies chat completions with the server-held key', async () => {
+    const res = await invoke(chatHandler, {
+      method: 'POST',
+      body: { sessionId: 'abc', messages: [{ role: 'user', content: 'What is the SMB discount limit?' }] }
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.message.content).toContain('What is the SMB discount limit?');
+    expect(upstream.requests[upstream.requests.length - 1].headers.authorization).toBe('Bearer test-key');
+  });
+
+  test('streams completions as server-sent events', async () => {
+    const res = await invoke(chatHandler, {
+      method: 'POST',
+      body: { sessionId: 'stream', stream: true, messages: [{ role: 'user', content: 'Stream this answer' }] }
+    });
+
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    const deltas = res.events.filter(event => event.delta).map(event => event.delta);
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(deltas.join('')).toBe('[mock] Red Phone Agent received: Stream this answer');
+    expect(res.events[res.events.length - 1]).toEqual({ done: true, provider: 'openai', model: 'mock-gpt', finishReason: 'stop' });
+  });
+
+  test('aborting an upstream stream keeps the partial content', async () => {
+    const slowUpstream = await startMockUpstream({ streamDelayMs: 50 });
+    process.env.OPENAI_BASE_URL = slowUpstream.url;
+
+    const stream = getProvider().stream({
+      messages: [{ role: 'user', content: 'a long answer to stop early' }],
+      onDelta: () => stream.abort()
+    });
+    const completion = await stream.promise;
+
+    process.env.OPENAI_BASE_URL = upstream.url;
+    await slowUpstream.close();
+    expect(completion.finishReason).toBe('aborted');
+    expect(completion.content).toBe('[mock] ');
+  });
+
+  test('rejects invalid payloads and methods', async () => {
+    const badBody = await invoke(chatHandler, { method: 'POST', body: { messages: [] } });
+    expect(badBody.statusCode).toBe(400);
+
+    for (const body of ['null', null, [], 42]) {
+      const notObject = await invoke(chatHandler, { method: 'POST', body });
+      expect(notObject.statusCode).toBe(400);
+      expect(notObject.body.error).toBe('Request body must be a valid JSON object');
+    }
+
+    const badMethod = await invoke(chatHandler, { method: 'GET' });
+    expect(badMethod.statusCode).toBe(405);
+    expect(badMethod.headers.allow).toBe('POST');
+  });
+
+  test('enforces per-client rate limits', async () => {
+    const send = ({ remoteAddress = '203.0.113.5', sessionId = 'busy', forwardedFor } = {}) => invoke(chatHandler, {
+      method: 'POST',
+      remoteAddress,
+      headers: forwardedFor ? { 'x-forwarded-for': forwardedFor } : {},
+      body: { sessionId, messages: [{ role: 'user', content: 'hi' }] }
+    });
+
+    for (let i = 0; i < rateLimiter.maxRequests; i++) {
+      expect((await send()).statusCode).toBe(200);
+    }
+
+    const limited = await send();
+    expect(limited.statusCode).toBe(429);
+    expect(limited.headers['retry-after']).toBeGreaterThan(0);
+
+    // Neither a new session id nor a forged forwarding header gets around the limit
+    expect((await send({ sessionId: 'fresh-session' })).statusCode).toBe(429);
+    expect((await send({ forwardedFor: '192.0.2.44' })).statusCode).toBe(429);
+    expect((await send({ remoteAddress: '198.51.100.7' })).statusCode).toBe(200);
+  });
+
+  test('trusts x-forwarded-for only on Vercel', async () => {
+    process.env.VERCEL = '1';
+    const send = forwardedFor => invoke(chatHandler, {
+      method: 'POST',
+      remoteAddress: '10.0.0.1',
+      headers: { 'x-forwarded-for': `${forwardedFor}, 10.0.0.1` },
+      body: { messages: [{ role: 'user', content: 'hi' }] }
+    });
+
+    for (let i = 0; i < rateLimiter.maxRequests; i++) {
+      await send('203.0.113.5');
+    }
+    const limited = await send('203.0.113.5');
+    const other = await send('198.51.100.7');
+    delete process.env.VERCEL;
+
+    expect(limited.statusCode).toBe(429);
+    expect(other.statusCode).toBe(200);
+  });
+
+  test('health endpoint reports upstream status', async () => {
+    const res = await invoke(healthHandler, { url: '/api/health?deep=1' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.upstream).toEqual(expect.objectContaining({
+      provider: 'openai',
+      configured: true,
+      model: 'mock-gpt',
+      reachable: true,
+      modelAvailable: true
+    }));
+  });
+
+  test('reports mock mode when no key is configured', async () => {
+    const key = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+
+    const health = await invoke(healthHandler, { url: '/api/health' });
+    const chat = await invoke(chatHandler, {
+      method: 'POST',
+      body: { sessionId: 'abc', messages: [{ role: 'user', content: 'hi' }] }
+    });
+
+    process.env.OPENAI_API_KEY = key;
+    expect(health.body.upstream.configured).toBe(false);
+    expect(chat.statusCode).toBe(503);
+  });
+});
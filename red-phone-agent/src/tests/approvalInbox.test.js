@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+// Tests for the approver inbox: routed cases, filters, analysis and write-back
+
+import { ApprovalInbox, APPROVER_ROLES } from '../services/approvalInbox.js';
+import { ApprovalWorkflow } from '../services/approvalWorkflow.js';
+import { CaseRepository } from '../services/caseRepository.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+import policyChecker from '../utils/policyChecker.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = new Date('2025-03-03T09:00:00.000Z');
+
+describe('ApprovalInbox', () => {
+  let now;
+  let repository;
+  let workflows;
+  let inbox;
+
+  const submitCase = (fields) => {
+    const caseId = repository.create({ priority: 'High', dealValue: 85000, ...fields }, { submit: true }).case.id;
+    workflows.start(caseId);
+    return caseId;
+  };
+
+  beforeEach(() => {
+    now = start;
+    const clock = () => now;
+    repository = new CaseRepository({ storage: createMemoryStorage(), clock });
+    workflows = new ApprovalWorkflow({ storage: createMemoryStorage(), repository, clock });
+    inbox = new ApprovalInbox({ workflows, repository, clock });
+  });
+
+  test('lists approver roles from the routing approval levels', () => {
+    expect(APPROVER_ROLES).toEqual(['Sales Manager', 'Regional Director', 'VP Sales', 'Finance', 'CEO']);
+  });
+
+  test('shows cases waiting on the approver with compliance, routing and precedents', () => {
+    const caseId = submitCase({ title: '18% discount for Contoso', category: 'Pricing', requestedDiscount: 18 });
+
+    const [item] = inbox.list('Sales Manager');
+
+    expect(item).toMatchObject({ caseId, team: 'pricing', priority: 'High', step: { number: 1, title: 'Sales Manager' } });
+    expect(item.sla.state).toBe('on_track');
+    expect(item.compliance.overallCompliance).toBeDefined();
+    expect(item.compliance.policyVersion).toMatchObject({ version: 1, effectiveFrom: null });
+    expect(item.routingRationale[0]).toContain('Case categorized as "pricing"');
+    expect(item.precedents).toHaveProperty('similarCases');
+    expect(inbox.list('Regional Director')).toEqual([]);
+  });
+
+  test('filters by team, priority and SLA state', () => {
+    submitCase({ title: 'Pricing case', category: 'Pricing' });
+    submitCase({ title: 'Deal structure case', category: 'Deal Structure', priority: 'Low' });
+
+    expect(inbox.list('Sales Manager')).toHaveLength(2);
+    expect(inbox.list('Sales Manager', { priority: 'Low' }).map(item => item.case.title)).toEqual(['Deal structure case']);
+    expect(inbox.list('Sales Manager', { team: 'legal' })).toEqual([]);
+
+    now = new Date(start.getTime() + 21 * HOUR_MS);
+    expect(inbox.list('Sales Manager', { sla: 'due_soon' })).toHaveLength(2);
+  });
+
+  test('approve, request info and reject write back to the case', () => {
+    const approved = submitCase({ title: 'Approve me', category: 'Pricing' });
+    const questioned = submitCase({ title: 'Question me', category: 'Pricing' });
+    const rejected = submitCase({ title: 'Reject me', category: 'Pricing' });
+
+    expect(inbox.act(approved, 'approve', { role: 'Sales Manager' }).success).toBe(true);
+    expect(inbox.act(questioned, 'request_info', { role: 'Sales Manager', note: 'Which competitor?' }).success).toBe(true);
+    expect(inbox.act(rejected, 'reject', { role: 'Sales Manager' }).error).toBe('A rejection needs a reason');
+    inbox.act(rejected, 'reject', { role: 'Sales Manager', note: 'Below floor price' });
+
+    expect(inbox.list('Sales Manager')).toEqual([]);
+    expect(repository.get(questioned).auditTrail.some(entry => entry.note === 'Information requested by Sales Manager: Which competitor?')).toBe(true);
+    expect(repository.get(rejected).status).toBe('Rejected');
+    expect(inbox.act(approved, 'escalate', { role: 'Sales Manager' }).success).toBe(false);
+  });
+});
+
+describe('policyChecker precedents', () => {
+  test('matches historical cases by segment, deal type and region', () => {
+    const analysis = policyChecker.analyzePrecedents({ dealValue: 85000, description: 'Enterprise renewal at risk', region: 'namer' });
+
+    expect(analysis.foundSimilar).toBe(true);
+    expect(analysis.similarCases[0]).toMatchObject({ id: 'CASE-2024-001', outcome: expect.stringContaining('Won') });
+  });
+});
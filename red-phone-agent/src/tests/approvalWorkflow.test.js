@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+// Tests for the approval workflow built from caseRouter escalation paths
+
+import { ApprovalWorkflow } from '../services/approvalWorkflow.js';
+import { CaseRepository } from '../services/caseRepository.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+import caseRouter from '../utils/caseRouter.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const start = new Date('2025-03-03T09:00:00.000Z');
+
+const financeRouting = {
+  escalationPath: ['Sales Manager', 'Regional Director', 'VP Sales'],
+  primaryApprover: 'VP Sales + Finance',
+  approvalLevel: 5
+};
+
+describe('caseRouter approval steps', () => {
+  test('orders steps by approval level and merges combined levels into parallel approvals', () => {
+    const steps = caseRouter.buildApprovalSteps(financeRouting);
+
+    expect(steps.map(step => step.title)).toEqual(['Sales Manager', 'Regional Director', 'VP Sales + Finance']);
+    expect(steps[2]).toMatchObject({ level: 5, slaHours: 168, approvers: ['VP Sales', 'Finance'] });
+  });
+
+  test('auto-approved routing needs no steps', () => {
+    expect(caseRouter.buildApprovalSteps({ escalationPath: ['Sales Manager'], approvalLevel: 1 })).toEqual([]);
+  });
+
+  test('reads response times', () => {
+    expect(caseRouter.getResponseHours('Immediate')).toBe(0);
+    expect(caseRouter.getResponseHours('48 hours')).toBe(48);
+    expect(caseRouter.getResponseHours('1 week')).toBe(168);
+  });
+});
+
+describe('ApprovalWorkflow', () => {
+  let now;
+  let repository;
+  let workflows;
+
+  const createCase = (fields = {}) => repository.create({
+    title: '25% discount for Contoso',
+    category: 'Pricing',
+    priority: 'High',
+    routing: financeRouting,
+    ...fields
+  }, { submit: true }).case.id;
+
+  beforeEach(() => {
+    now = start;
+    const clock = () => now;
+    repository = new CaseRepository({ storage: createMemoryStorage(), clock });
+    workflows = new ApprovalWorkflow({ storage: createMemoryStorage(), repository, clock });
+  });
+
+  test('starts at the first step and moves the case into review', () => {
+    const caseId = createCase();
+    const { workflow } = workflows.start(caseId);
+
+    expect(repository.get(caseId).status).toBe('In Review');
+    expect(workflow.steps[0]).toMatchObject({ title: 'Sales Manager', status: 'active', dueAt: '2025-03-04T09:00:00.000Z' });
+    expect(workflows.start(caseId).success).toBe(false);
+  });
+
+  test('walks the steps in order and needs every parallel approver', () => {
+    const caseId = createCase();
+    workflows.start(caseId);
+
+    workflows.approve(caseId, { role: 'Sales Manager' });
+    workflows.approve(caseId, { role: 'Regional Director', note: 'Strategic logo' });
+    expect(workflows.approve(caseId, { role: 'Sales Manager' }).success).toBe(false);
+
+    workflows.approve(caseId, { role: 'VP Sales' });
+    expect(workflows.summarize(workflows.get(caseId)).currentStep).toMatchObject({ number: 3, waitingOn: ['Finance'] });
+
+    const result = workflows.approve(caseId, { role: 'Finance' });
+    expect(result.workflow.status).toBe('approved');
+    expect(repository.get(caseId).status).toBe('Approved');
+  });
+
+  test('a rejection with a reason rejects the case', () => {
+    const caseId = createCase();
+    workflows.start(caseId);
+
+    expect(workflows.reject(caseId, { role: 'Sales Manager' }).error).toBe('A rejection needs a reason');
+    workflows.reject(caseId, { role: 'Sales Manager', note: 'Margin too low' });
+
+    const caseRecord = repository.get(caseId);
+    expect(caseRecord.status).toBe('Rejected');
+    expect(caseRecord.auditTrail[caseRecord.auditTrail.length - 1].note).toBe('Rejected by Sales Manager: Margin too low');
+  });
+
+  test('requesting information pauses the step SLA until the rep answers', () => {
+    const caseId = createCase();
+    workflows.start(caseId);
+
+    workflows.requestInfo(caseId, { role: 'Sales Manager', note: 'Attach the competitor quote' });
+    expect(workflows.approve(caseId, { role: 'Sales Manager' }).success).toBe(false);
+
+    now = new Date(start.getTime() + 10 * HOUR_MS);
+    const { workflow } = workflows.provideInfo(caseId, { note: 'Quote attached' });
+
+    expect(workflow.status).toBe('pending');
+    expect(workflow.steps[0].dueAt).toBe('2025-03-04T19:00:00.000Z');
+    expect(repository.get(caseId).auditTrail.filter(entry => entry.action === 'commented')).toHaveLength(2);
+  });
+
+  test('delegates can decide on behalf of the approver', () => {
+    const caseId = createCase();
+    workflows.start(caseId);
+
+    workflows.delegate(caseId, { role: 'Sales Manager', to: 'Jordan Lee' });
+    expect(workflows.listPendingFor('Jordan Lee').map(workflow => workflow.caseId)).toEqual([caseId]);
+
+    workflows.approve(caseId, { role: 'Jordan Lee' });
+    expect(workflows.get(caseId).steps[0].approvals[0]).toMatchObject({ status: 'approved', decidedBy: 'Jordan Lee' });
+  });
+
+  test('breached steps escalate to the next approval level once', () => {
+    const caseId = createCase();
+    workflows.start(caseId);
+
+    now = new Date(start.getTime() + 25 * HOUR_MS);
+    expect(workflows.checkSlas().escalated).toEqual([caseId]);
+    expect(workflows.checkSlas().escalated).toEqual([]);
+
+    const step = workflows.get(caseId).steps[0];
+    expect(step.approvals[0].escalatedTo).toBe('Regional Director');
+    expect(step.dueAt).toBe('2025-03-06T10:00:00.000Z');
+    expect(workflows.listPendingFor('Regional Director')).toHaveLength(1);
+    expect(repository.get(caseId).priority).toBe('Critical');
+  });
+
+  test('auto-approvable cases are approved straight away', () => {
+    const caseId = createCase({ routing: { escalationPath: ['Sales Manager'], approvalLevel: 1 } });
+
+    expect(workflows.start(caseId).workflow.status).toBe('approved');
+    expect(repository.get(caseId).status).toBe('Approved');
+  });
+
+  test('routes cases created without routing information', () => {
+    const caseId = createCase({ routing: undefined, dealValue: 600000, requestedDiscount: 25 });
+
+    const { workflow } = workflows.start(caseId);
+    expect(workflow.steps[0].title).toBe('Sales Manager');
+    expect(workflow.steps.length).toBeGreaterThan(1);
+  });
+});
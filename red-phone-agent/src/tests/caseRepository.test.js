@@ -0,0 +1,250 @@
+/**
+ * @jest-environment node
+ */
+// Tests for the case repository lifecycle and the server-side cases endpoint
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CaseRepository } from '../services/caseRepository.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+import { canTransition, formatCaseId } from '../utils/caseLifecycle.js';
+import casesHandler from '../../app/api/cases.js';
+import { createFileStorage } from '../../app/api/_lib/fileStorage.js';
+import { rateLimiter } from '../../app/api/_lib/rateLimiter.js';
+
+const fixedClock = () => new Date('2025-03-01T10:00:00.000Z');
+
+const invoke = async (handler, { method = 'GET', url = '/', body, token = 'rep-token' } = {}) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(key, value) { this.headers[key.toLowerCase()] = value; },
+    end(payload) { this.body = payload ? JSON.parse(payload) : null; }
+  };
+  await handler({ method, url, headers: token ? { authorization: `Bearer ${token}` } : {}, body }, res);
+  return res;
+};
+
+describe('case lifecycle', () => {
+  test('allows only the documented status transitions', () => {
+    expect(canTransition('Draft', 'Submitted')).toBe(true);
+    expect(canTransition('In Review', 'Approved')).toBe(true);
+    expect(canTransition('Draft', 'Approved')).toBe(false);
+    expect(canTransition('Closed', 'Submitted')).toBe(false);
+    expect(formatCaseId(7, fixedClock())).toBe('CASE-2025-0007');
+  });
+});
+
+describe('CaseRepository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new CaseRepository({ storage: createMemoryStorage(), clock: fixedClock });
+  });
+
+  test('creates sequential cases and persists them', () => {
+    const first = repository.create({ title: 'Discount exception', category: 'Pricing' });
+    const second = repository.create({ title: 'Legal terms', category: 'Legal' }, { submit: true });
+
+    expect(first.case.id).toBe('CASE-2025-0001');
+    expect(first.case.status).toBe('Draft');
+    expect(second.case.id).toBe('CASE-2025-0002');
+    expect(second.case.status).toBe('Submitted');
+    expect(second.case.submittedAt).toBe('2025-03-01T10:00:00.000Z');
+    expect(repository.get('CASE-2025-0001').title).toBe('Discount exception');
+  });
+
+  test('ignores store-owned fields supplied by the caller', () => {
+    const result = repository.create({ title: 'Spoofed', id: 'CASE-1', status: 'Approved', caseId: 'X' });
+
+    expect(result.case.id).toBe('CASE-2025-0001');
+    expect(result.case.status).toBe('Draft');
+    expect(result.case.caseId).toBeUndefined();
+  });
+
+  test('rejects cases without a title', () => {
+    expect(repository.create({ category: 'Pricing' })).toEqual({ success: false, error: 'A case needs a title' });
+  });
+
+  test('walks the full lifecycle and records the audit trail', () => {
+    const { case: created } = repository.create({ title: 'Pilot extension' }, { actor: 'alex' });
+
+    repository.submit(created.id, { actor: 'alex' });
+    repository.transition(created.id, 'In Review', { actor: 'deal-desk' });
+    repository.transition(created.id, 'Approved', { actor: 'deal-desk', note: 'Within policy' });
+    const closed = repository.transition(created.id, 'Closed', { actor: 'deal-desk' });
+
+    expect(closed.success).toBe(true);
+    expect(closed.case.closedAt).toBeDefined();
+    expect(closed.case.auditTrail.map(entry => [entry.action, entry.to])).toEqual([
+      ['created', 'Draft'],
+      ['status_changed', 'Submitted'],
+      ['status_changed', 'In Review'],
+      ['status_changed', 'Approved'],
+      ['status_changed', 'Closed']
+    ]);
+    expect(closed.case.auditTrail[3]).toMatchObject({ actor: 'deal-desk', from: 'In Review', note: 'Within policy' });
+  });
+
+  test('refuses invalid transitions and edits to closed cases', () => {
+    const { case: created } = repository.create({ title: 'Invoice question' });
+
+    expect(repository.transition(created.id, 'Approved')).toEqual({
+      success: false,
+      error: 'Cannot move a case from Draft to Approved'
+    });
+    expect(repository.cancel(created.id).case.status).toBe('Cancelled');
+    expect(repository.update(created.id, { priority: 'High' }).success).toBe(false);
+    expect(repository.transition('CASE-9999-0001', 'Submitted').error).toBe('Case CASE-9999-0001 not found');
+  });
+
+  test('updates record a field diff and skip no-op changes', () => {
+    const { case: created } = repository.create({ title: 'Seats', priority: 'Medium' });
+
+    const unchanged = repository.update(created.id, { priority: 'Medium' });
+    const updated = repository.update(created.id, { priority: 'High', dealValue: 50000 }, { actor: 'alex' });
+
+    expect(unchanged.unchanged).toBe(true);
+    expect(updated.case.auditTrail[1]).toMatchObject({
+      actor: 'alex',
+      action: 'updated',
+      changes: { priority: { from: 'Medium', to: 'High' }, dealValue: { from: null, to: 50000 } }
+    });
+  });
+
+  test('lists cases newest first with exact-match filters', () => {
+    repository.create({ title: 'A', category: 'Pricing' });
+    repository.create({ title: 'B', category: 'Legal' }, { submit: true });
+    repository.create({ title: 'C', category: 'Pricing' }, { submit: true });
+
+    expect(repository.list().map(item => item.title)).toEqual(['C', 'B', 'A']);
+    expect(repository.list({ category: 'Pricing', status: 'Submitted' }).map(item => item.title)).toEqual(['C']);
+  });
+
+  test('reports storage failures instead of returning unsaved cases', () => {
+    const storage = { ...createMemoryStorage(), save: () => false };
+    const failing = new CaseRepository({ storage, clock: fixedClock });
+
+    expect(failing.create({ title: 'Lost' })).toEqual({ success: false, error: 'Unable to persist the case store' });
+  });
+});
+
+describe('cases API', () => {
+  const originalDir = process.env.CASE_STORE_DIR;
+  const originalTokens = process.env.CASES_API_TOKENS;
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rpa-cases-'));
+    process.env.CASE_STORE_DIR = directory;
+    process.env.CASES_API_TOKENS = 'rep-token:alex:rep, other-token:sam:rep, desk-token:deal-desk:reviewer';
+    rateLimiter.reset();
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    if (originalDir === undefined) {
+      delete process.env.CASE_STORE_DIR;
+    } else {
+      process.env.CASE_STORE_DIR = originalDir;
+    }
+    if (originalTokens === undefined) {
+      delete process.env.CASES_API_TOKENS;
+    } else {
+      process.env.CASES_API_TOKENS = originalTokens;
+    }
+  });
+
+  test('creates, reads, updates and lists cases in the file store', async () => {
+    const created = await invoke(casesHandler, {
+      method: 'POST',
+      body: { case: { title: 'Discount exception', category: 'Pricing' }, submit: true }
+    });
+    const id = created.body.case.id;
+
+    expect(created.statusCode).toBe(201);
+    expect(created.body.case).toMatchObject({ status: 'Submitted', createdBy: 'alex' });
+    expect(createFileStorage(directory).load('cases').cases[id].title).toBe('Discount exception');
+
+    const patched = await invoke(casesHandler, {
+      method: 'PATCH',
+      body: { id, changes: { priority: 'High' }, status: 'In Review' },
+      token: 'desk-token'
+    });
+    expect(patched.body.case).toMatchObject({ priority: 'High', status: 'In Review' });
+
+    const fetched = await invoke(casesHandler, { url: `/api/cases?id=${id}` });
+    expect(fetched.body.case.auditTrail).toHaveLength(4);
+
+    const listed = await invoke(casesHandler, { url: '/api/cases?status=In%20Review' });
+    expect(listed.body.total).toBe(1);
+  });
+
+  test('requires a token and records the authenticated actor', async () => {
+    const anonymous = await invoke(casesHandler, { url: '/api/cases', token: null });
+    const forged = await invoke(casesHandler, { url: '/api/cases', token: 'guess' });
+    expect(anonymous.statusCode).toBe(401);
+    expect(anonymous.headers['www-authenticate']).toBe('Bearer');
+    expect(forged.statusCode).toBe(401);
+
+    const created = await invoke(casesHandler, {
+      method: 'POST',
+      body: { case: { title: 'Discount exception', category: 'Pricing' }, submit: true, actor: 'vp-sales' }
+    });
+    const id = created.body.case.id;
+    const selfApproved = await invoke(casesHandler, { method: 'PATCH', body: { id, status: 'In Review', actor: 'deal-desk' } });
+    const otherRep = await invoke(casesHandler, { method: 'PATCH', body: { id, status: 'Cancelled' }, token: 'other-token' });
+    const cancelled = await invoke(casesHandler, { method: 'PATCH', body: { id, status: 'Cancelled' } });
+
+    expect(created.body.case.createdBy).toBe('alex');
+    expect(selfApproved.statusCode).toBe(403);
+    expect(otherRep.statusCode).toBe(404);
+    expect((await invoke(casesHandler, { url: '/api/cases', token: 'other-token' })).body.total).toBe(0);
+    expect(cancelled.body.case.auditTrail.map(entry => entry.actor)).toEqual(['alex', 'alex', 'alex']);
+  });
+
+  test('limits rep edits to case details until review starts', async () => {
+    const created = await invoke(casesHandler, {
+      method: 'POST',
+      body: { case: { title: 'Discount exception', category: 'Pricing' }, submit: true }
+    });
+    const id = created.body.case.id;
+    const edit = (changes, token) => invoke(casesHandler, { method: 'PATCH', body: { id, changes }, token });
+
+    for (const changes of [{ priority: 'Critical' }, { assignee: 'alex' }, { routing: { team: 'Sales Ops' } }, { description: 'ok', escalationLevel: 2 }]) {
+      expect((await edit(changes)).statusCode).toBe(403);
+    }
+    const described = await edit({ description: 'Customer needs 30% to match a competitor', contactEmail: 'buyer@example.com' });
+    expect(described.statusCode).toBe(200);
+    expect(described.body.case).toMatchObject({ description: 'Customer needs 30% to match a competitor', contactEmail: 'buyer@example.com' });
+    expect(described.body.case.priority).toBeUndefined();
+
+    await invoke(casesHandler, { method: 'PATCH', body: { id, status: 'In Review' }, token: 'desk-token' });
+    const inReview = await edit({ description: 'Changed mid-review' });
+    expect(inReview.statusCode).toBe(403);
+    expect(inReview.body.error).toMatch(/In Review/);
+    expect((await edit({ priority: 'High' }, 'desk-token')).body.case.priority).toBe('High');
+  });
+
+  test('is closed when no tokens are configured', async () => {
+    delete process.env.CASES_API_TOKENS;
+    expect((await invoke(casesHandler, { url: '/api/cases' })).statusCode).toBe(503);
+  });
+
+  test('maps repository errors to HTTP status codes', async () => {
+    const missing = await invoke(casesHandler, { url: '/api/cases?id=CASE-2025-0404' });
+    const invalid = await invoke(casesHandler, { method: 'POST', body: { case: {} } });
+    const unknown = await invoke(casesHandler, { method: 'PATCH', body: { id: 'CASE-2025-0404', status: 'Closed' } });
+    const wrongMethod = await invoke(casesHandler, { method: 'DELETE' });
+
+    expect(missing.statusCode).toBe(404);
+    expect(invalid.statusCode).toBe(400);
+    expect(unknown.statusCode).toBe(404);
+    expect(wrongMethod.statusCode).toBe(405);
+  });
+});
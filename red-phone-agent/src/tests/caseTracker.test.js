@@ -0,0 +1,123 @@
+/**
+ * @jest-environment node
+ */
+// Tests for case status tracking: case resolution, SLA countdown, comments and escalation
+
+import { CaseTracker, extractCaseIds, isCaseTrackingRequest } from '../services/caseTracker.js';
+import { CaseRepository } from '../services/caseRepository.js';
+import { ApprovalWorkflow } from '../services/approvalWorkflow.js';
+import caseRepository from '../services/caseRepository.js';
+import simpleAiService from '../services/simpleAiService.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+import { getSlaStatus, formatDuration } from '../utils/caseLifecycle.js';
+
+const at = iso => () => new Date(iso);
+
+describe('case tracking requests', () => {
+  test('recognises case IDs and status questions about cases', () => {
+    expect(extractCaseIds('Any news on case-2025-0002 and CASE-2025-0003?')).toEqual(['CASE-2025-0002', 'CASE-2025-0003']);
+    expect(isCaseTrackingRequest('Track my case status')).toBe(true);
+    expect(isCaseTrackingRequest('Where is CASE-2025-0001?')).toBe(true);
+    expect(isCaseTrackingRequest('I need to create a case for a 30% discount')).toBe(false);
+  });
+});
+
+describe('SLA status', () => {
+  const submitted = { status: 'Submitted', slaDueAt: '2025-03-02T10:00:00.000Z' };
+
+  test('counts down, warns when due soon and reports breaches', () => {
+    expect(getSlaStatus(submitted, new Date('2025-03-01T10:00:00.000Z'))).toMatchObject({ state: 'on_track', label: '1d 0h left' });
+    expect(getSlaStatus(submitted, new Date('2025-03-02T08:30:00.000Z')).state).toBe('due_soon');
+    expect(getSlaStatus(submitted, new Date('2025-03-02T12:00:00.000Z'))).toMatchObject({ state: 'breached', label: 'Overdue by 2h 0m' });
+    expect(getSlaStatus({ status: 'Draft' }).state).toBe('not_started');
+    expect(formatDuration(3 * 24 * 3600000 + 3600000)).toBe('3d 1h');
+  });
+
+  test('stops the clock once the case is resolved', () => {
+    const approved = { ...submitted, status: 'Approved', resolvedAt: '2025-03-02T09:00:00.000Z' };
+    expect(getSlaStatus(approved, new Date('2025-03-05T00:00:00.000Z')).state).toBe('met');
+  });
+});
+
+describe('CaseTracker', () => {
+  let repository;
+  let tracker;
+
+  beforeEach(() => {
+    repository = new CaseRepository({ storage: createMemoryStorage(), clock: at('2025-03-01T10:00:00.000Z') });
+    tracker = new CaseTracker({ repository, clock: at('2025-03-01T16:00:00.000Z') });
+  });
+
+  test('assigns the category queue and starts the SLA on submission', () => {
+    const { case: created } = repository.create({ title: 'Legal terms', category: 'Legal', priority: 'High' }, { submit: true });
+
+    expect(created.assignee).toBe('Legal Team');
+    expect(created.slaDueAt).toBe('2025-03-02T10:00:00.000Z');
+    expect(tracker.summarize(created).sla.label).toBe('18h 0m left');
+  });
+
+  test('resolves cases from the message, then the conversation, then recent cases', () => {
+    repository.create({ title: 'First' }, { submit: true });
+    repository.create({ title: 'Second' }, { submit: true });
+
+    expect(tracker.resolveCases('status of CASE-2025-0001').cases.map(item => item.title)).toEqual(['First']);
+    expect(tracker.resolveCases('any update?', [{ role: 'assistant', content: 'Case ID: CASE-2025-0002' }]).source).toBe('conversation');
+    expect(tracker.resolveCases('track my cases').cases.map(item => item.title)).toEqual(['Second', 'First']);
+    expect(tracker.resolveCases('where is CASE-2025-0999').missing).toEqual(['CASE-2025-0999']);
+  });
+
+  test('builds a status response with a timeline per case', () => {
+    repository.create({ title: 'Discount exception', category: 'Pricing', priority: 'Medium' }, { submit: true });
+    const response = tracker.track('Track my case status');
+
+    expect(response.responseType).toBe('case_status');
+    expect(response.response).toContain('**CASE-2025-0001** — Discount exception');
+    expect(response.response).toContain('Assignee: Sales Manager');
+    expect(response.cases[0].timeline.map(entry => entry.label)).toEqual(['Case created', 'Moved to Submitted']);
+  });
+
+  test('adds comments and escalates through the category chain', () => {
+    repository.create({ title: 'Pricing', category: 'Pricing', priority: 'Low' }, { submit: true });
+
+    const commented = tracker.addComment('CASE-2025-0001', 'Customer signs Friday');
+    expect(commented.case.timeline[2]).toMatchObject({ label: 'Comment added', note: 'Customer signs Friday' });
+
+    const escalated = tracker.escalate('CASE-2025-0001', { reason: 'Deadline moved up' });
+    expect(escalated.case).toMatchObject({ assignee: 'Regional Director', priority: 'Medium' });
+    expect(escalated.case.slaDueAt).toBe('2025-03-04T10:00:00.000Z');
+    expect(escalated.case.timeline[3].label).toBe('Escalated to Regional Director');
+  });
+
+  test('shows approval progress and resumes it when the rep answers a question', () => {
+    const approvals = new ApprovalWorkflow({ storage: createMemoryStorage(), repository, clock: at('2025-03-01T10:00:00.000Z') });
+    tracker = new CaseTracker({ repository, approvals, clock: at('2025-03-01T16:00:00.000Z') });
+    repository.create({ title: 'Discount exception', category: 'Pricing', dealValue: 85000 }, { submit: true });
+    approvals.start('CASE-2025-0001');
+
+    expect(tracker.track('CASE-2025-0001').response).toContain('Approval: step 1 of 1 (Sales Manager), waiting on Sales Manager');
+
+    approvals.requestInfo('CASE-2025-0001', { role: 'Sales Manager', note: 'Which competitor?' });
+    expect(tracker.track('CASE-2025-0001').cases[0].approval.infoRequest.note).toBe('Which competitor?');
+
+    const answered = tracker.addComment('CASE-2025-0001', 'Competitor is Globex');
+    expect(answered.case.approval).toMatchObject({ status: 'pending', infoRequest: null });
+    expect(answered.case.timeline[answered.case.timeline.length - 1].note).toBe('Competitor is Globex');
+  });
+
+  test('refuses to escalate drafts', () => {
+    repository.create({ title: 'Draft only' });
+    expect(tracker.escalate('CASE-2025-0001').success).toBe(false);
+  });
+});
+
+describe('SimpleAiService case tracking', () => {
+  afterEach(() => caseRepository.clear());
+
+  test('answers "Track my case status" with the rep\'s submitted cases', async () => {
+    const created = simpleAiService.createCase({ title: 'Pilot extension', category: 'Pricing', priority: 'High' });
+    const result = await simpleAiService.processMessage('Track my case status');
+
+    expect(result.responseType).toBe('case_status');
+    expect(result.cases.map(item => item.id)).toEqual([created.caseId]);
+  });
+});
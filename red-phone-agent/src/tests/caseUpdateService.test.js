@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+// Tests for updating submitted cases from follow-up chat messages
+
+import { CaseUpdateService } from '../services/caseUpdateService.js';
+import caseUpdateService from '../services/caseUpdateService.js';
+import { CaseRepository } from '../services/caseRepository.js';
+import caseRepository from '../services/caseRepository.js';
+import simpleAiService from '../services/simpleAiService.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+import { extractCaseFields, parseAmount, parseDate } from '../utils/caseFieldExtractors.js';
+
+const now = new Date('2025-03-01T10:00:00.000Z');
+
+describe('case field extraction', () => {
+  test('parses amounts and dates', () => {
+    expect(parseAmount('$1.2m')).toBe(1200000);
+    expect(parseAmount('250k')).toBe(250000);
+    expect(parseAmount('80,000')).toBe(80000);
+    expect(parseDate('2025-06-01')).toBe('2025-06-01');
+    expect(parseDate('June 1st', now)).toBe('2025-06-01');
+    expect(parseDate('January 15', now)).toBe('2026-01-15');
+    expect(parseDate('someday')).toBeNull();
+  });
+
+  test('extracts EP tear-up details from a follow-up message', () => {
+    const fields = extractCaseFields("Start date is April 1, 2025 and they'll spend about $250k per year", { now });
+
+    expect(fields.customerStartDate).toMatchObject({ value: '2025-04-01', volunteered: true });
+    expect(fields.annualSpendUsd).toMatchObject({ value: 250000, volunteered: true });
+  });
+
+  test('extracts deal length, discount and priority', () => {
+    const fields = extractCaseFields('Make it a three-year deal at 18% and set priority to critical', { now });
+
+    expect(fields.dealLength.value).toBe(3);
+    expect(fields.requestedDiscount).toMatchObject({ value: 18, volunteered: false });
+    expect(fields.priority.value).toBe('Critical');
+  });
+});
+
+describe('CaseUpdateService', () => {
+  let repository;
+  let service;
+  let caseId;
+
+  beforeEach(() => {
+    repository = new CaseRepository({ storage: createMemoryStorage(), clock: () => now });
+    service = new CaseUpdateService({ repository, clock: () => now });
+    caseId = repository.create({ title: 'EP tear up', category: 'Deal Structure', requestedDiscount: 10 }, { submit: true }).case.id;
+  });
+
+  test('ignores messages when no case was created this session', () => {
+    expect(service.proposeUpdate('Start date is April 1, 2025')).toBeNull();
+  });
+
+  test('proposes volunteered details as a field-level diff', () => {
+    service.trackCase(caseId);
+    const proposal = service.proposeUpdate('The customer starts on April 1, 2025 with $250k annually');
+
+    expect(proposal.caseId).toBe(caseId);
+    expect(proposal.changes).toEqual([
+      { field: 'customerStartDate', label: 'Customer Start Date', from: null, to: '2025-04-01' },
+      { field: 'annualSpendUsd', label: 'Annual Spend (USD)', from: null, to: 250000 }
+    ]);
+    expect(service.buildProposalResponse(proposal).response).toContain('**Customer Start Date:** — → 2025-04-01');
+  });
+
+  test('only changes existing values when the rep asks for an update', () => {
+    service.trackCase(caseId);
+
+    expect(service.proposeUpdate('Customer now wants 15% off')).toBeNull();
+    expect(service.proposeUpdate('Please update the discount to 15%').changes).toEqual([
+      { field: 'requestedDiscount', label: 'Requested Discount %', from: 10, to: 15 }
+    ]);
+  });
+
+  test('applies confirmed updates and logs the amendment', () => {
+    service.trackCase(caseId);
+    const proposal = service.proposeUpdate('Start date is April 1, 2025');
+
+    const result = service.applyProposal(proposal.id, { actor: 'alex' });
+    const amendment = result.case.auditTrail[result.case.auditTrail.length - 1];
+
+    expect(result.case.customerStartDate).toBe('2025-04-01');
+    expect(amendment).toMatchObject({
+      actor: 'alex',
+      action: 'updated',
+      changes: { customerStartDate: { from: null, to: '2025-04-01' } },
+      note: 'Amended from chat: "Start date is April 1, 2025"'
+    });
+    expect(service.applyProposal(proposal.id).success).toBe(false);
+  });
+
+  test('discarded proposals leave the case untouched', () => {
+    service.trackCase(caseId);
+    const proposal = service.proposeUpdate('Start date is April 1, 2025');
+
+    expect(service.discardProposal(proposal.id).proposal.status).toBe('discarded');
+    expect(repository.get(caseId).customerStartDate).toBeUndefined();
+  });
+
+  test('only amends cases from the same chat session', () => {
+    service.trackCase(caseId, { sessionId: 'alex' });
+
+    expect(service.proposeUpdate('Start date is April 1, 2025', { sessionId: 'sam' })).toBeNull();
+    expect(service.proposeUpdate('Start date is April 1, 2025', { sessionId: 'alex' }).caseId).toBe(caseId);
+  });
+
+  test('needs the case ID once the case is no longer recent, and ignores questions', () => {
+    service.trackCase(caseId);
+
+    expect(service.proposeUpdate('Can I change the start date to April 1, 2025?')).toBeNull();
+    service.proposeUpdate('Thanks');
+    service.proposeUpdate('What is the max discount for smb?');
+    expect(service.proposeUpdate('Please update the discount to 15%')).toBeNull();
+    expect(service.proposeUpdate(`Please update ${caseId} to 15%`).changes).toEqual([
+      { field: 'requestedDiscount', label: 'Requested Discount %', from: 10, to: 15 }
+    ]);
+  });
+
+  test('skips closed cases', () => {
+    service.trackCase(caseId);
+    repository.cancel(caseId);
+
+    expect(service.proposeUpdate('Start date is April 1, 2025')).toBeNull();
+  });
+});
+
+describe('SimpleAiService case updates', () => {
+  afterEach(() => {
+    caseRepository.clear();
+    caseUpdateService.reset();
+  });
+
+  test('turns follow-up details for the EP tear-up case into an update proposal', async () => {
+    await simpleAiService.processMessage('My customer wants to do a tear up to an EP. What do I do?');
+    const created = simpleAiService.createCase({ title: 'EP Tear Up Request', category: 'Deal Structure' });
+
+    const result = await simpleAiService.processMessage('Start date is June 1, 2026 and average spend is $400k');
+
+    expect(result.responseType).toBe('case_update_proposal');
+    expect(result.caseUpdate.caseId).toBe(created.caseId);
+    expect(result.caseUpdate.changes.map(change => change.field)).toEqual(['customerStartDate', 'annualSpendUsd']);
+  });
+});
@@ -0,0 +1,69 @@
+/** @jest-environment node */
+// Tests for persisting conversations so they can be resumed after a reload
+
+import { ContextManager } from '../utils/contextManager.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+
+const MINUTE = 60 * 1000;
+
+describe('ContextManager persistence', () => {
+  let storage;
+  let now;
+  const create = () => new ContextManager({ storage, clock: () => now, cleanupIntervalMs: 0 });
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    now = Date.parse('2026-10-19T09:00:00Z');
+  });
+
+  test('restores contexts and the last open conversation in a new instance', () => {
+    const before = create();
+    before.addMessage('s1', 'What is the HEP floor price?', 'user', {
+      intent: 'pricing_inquiry', complexity: 'simple', entities: { segment: ['enterprise'] }, businessContext: { hasDealDetails: true }
+    });
+    before.setActiveQuote('s1', { id: 'q1', name: 'HEP renewal' });
+    before.saveTranscript('s1', [{ id: 1, role: 'user', content: 'What is the HEP floor price?' }]);
+
+    const after = create();
+
+    expect(after.getLastSessionId()).toBe('s1');
+    expect(after.getOrCreateContext('s1').dealContext.activeQuote).toEqual({ id: 'q1', name: 'HEP renewal' });
+    expect(after.getTranscript('s1')).toEqual([{ id: 1, role: 'user', content: 'What is the HEP floor price?' }]);
+    expect(after.getOrCreateContext('s1').dealContext.currentDeal.segment).toBe('enterprise');
+    expect(storage.load('conversations').contexts[0].messages[0].analysis).toBeUndefined();
+  });
+
+  test('drops expired conversations on restore and when listing', () => {
+    const manager = create();
+    manager.saveTranscript('old', [{ role: 'user', content: 'Old question' }]);
+    now += 20 * MINUTE;
+    manager.saveTranscript('recent', [{ role: 'user', content: 'Recent question' }]);
+    now += 15 * MINUTE;
+
+    expect(create().hasContext('old')).toBe(false);
+    expect(manager.listConversations().map(conversation => conversation.sessionId)).toEqual(['recent']);
+
+    now += 20 * MINUTE;
+    expect(create().getLastSessionId()).toBeNull();
+  });
+
+  test('titles a conversation by its first question and skips streaming replies', () => {
+    const manager = create();
+    const question = 'Can my customer move from Recruiter Lite to an Enterprise Program mid-contract?';
+
+    manager.saveTranscript('s1', [
+      { role: 'assistant', content: 'Hi' },
+      { role: 'user', content: question },
+      { role: 'assistant', content: 'Checking', streaming: true }
+    ]);
+    manager.saveTranscript('welcome-only', [{ role: 'assistant', content: 'Hi' }]);
+
+    expect(manager.listConversations()).toEqual([{
+      sessionId: 's1',
+      title: `${question.slice(0, 57)}...`,
+      createdAt: now,
+      lastAccessed: now,
+      messageCount: 2
+    }]);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+// Tests for the deal desk what-if simulator
+
+import dealSimulator, { baseDealFromPage, isWhatIfQuestion, MAX_SCENARIOS } from '../services/dealSimulator.js';
+import simpleAiService from '../services/simpleAiService.js';
+
+const baseDeal = {
+  customerName: 'Acme',
+  dealValue: 400000,
+  discount: 0,
+  seats: 200,
+  termYears: 2,
+  dealType: 'New Business',
+  segment: 'Enterprise',
+  region: 'NAMER'
+};
+
+describe('DealSimulator', () => {
+  test('reads the base deal from the open quote', () => {
+    expect(baseDealFromPage()).toMatchObject({
+      dealValue: 487500, discount: 0, seats: 250, termYears: 3,
+      dealType: 'newBusiness', segment: 'enterprise', region: 'namer'
+    });
+  });
+
+  test('sweeps every combination with the current deal first', () => {
+    const result = dealSimulator.simulate(baseDeal, { discounts: [15, 25], terms: [3] });
+
+    expect(result.scenarios).toHaveLength(6);
+    expect(result.scenarios[0]).toMatchObject({ isBase: true, discount: 0, termYears: 2, dealValue: 400000 });
+    expect(result.scenarios.map(row => [row.discount, row.termYears])).toEqual([
+      [0, 2], [0, 3], [15, 2], [15, 3], [25, 2], [25, 3]
+    ]);
+    expect(result.truncated).toBe(false);
+  });
+
+  test('reports approval level, score, violations and turnaround per scenario', () => {
+    const [current, withinPolicy, overLimit] = dealSimulator.simulate(baseDeal, { discounts: [15, 25] }).scenarios;
+
+    expect(current).toMatchObject({ approvers: ['Auto-approved'], approvalLevel: 1, violations: [], turnaround: 'Immediate' });
+    expect(withinPolicy).toMatchObject({
+      dealValue: 340000, policyLimit: 20, withinPolicy: true,
+      approvers: ['Sales Manager', 'VP Sales'], approvalLevel: 4
+    });
+    expect(overLimit.withinPolicy).toBe(false);
+    expect(overLimit.violations).toEqual(['Requested 25% exceeds policy limit of 20% for enterprise newBusiness']);
+    expect(overLimit.score).toBeLessThan(withinPolicy.score);
+    // Slowest approver (VP Sales, 72 hours) plus the standard exception timeline (72 hours)
+    expect(overLimit).toMatchObject({ approvers: ['Regional Director', 'VP Sales'], turnaroundHours: 144, turnaround: '6 days' });
+  });
+
+  test('scales value with seats and term and applies regional limits', () => {
+    const rows = dealSimulator.simulate({ ...baseDeal, discount: 20, dealValue: 320000 }, {
+      seats: [300], terms: [1], regions: ['apac']
+    }).scenarios;
+    const find = (seats, termYears, region) => rows.find(row => row.seats === seats && row.termYears === termYears && row.region === region);
+
+    expect(find(300, 2, 'namer').dealValue).toBe(480000);
+    expect(find(200, 1, 'namer').dealValue).toBe(160000);
+    expect(find(200, 2, 'namer').policyLimit).toBe(20);
+    expect(find(200, 2, 'apac').policyLimit).toBeGreaterThan(20);
+  });
+
+  test('caps large sweeps', () => {
+    const result = dealSimulator.simulate(baseDeal, {
+      discounts: [5, 10, 15, 20, 25, 30], seats: [100, 300, 400], terms: [1, 3], regions: ['emea']
+    });
+
+    expect(result.totalCombinations).toBe(7 * 4 * 3 * 2);
+    expect(result.scenarios).toHaveLength(MAX_SCENARIOS);
+    expect(result.truncated).toBe(true);
+  });
+
+  test('parses what-if questions', () => {
+    expect(isWhatIfQuestion('What if we go to 25% on a 3-year term?')).toBe(true);
+    expect(isWhatIfQuestion('What is the discount policy?')).toBe(false);
+    expect(dealSimulator.parseWhatIf('What if we give 18% and 22% with 50 more seats on a 3-year term in EMEA?', baseDeal)).toEqual({
+      discounts: [18, 22], seats: [250], terms: [3], regions: ['emea']
+    });
+    expect(dealSimulator.parseWhatIf('Simulate removing 40 seats', baseDeal).seats).toEqual([160]);
+  });
+
+  test('answers in chat with the grid and a markdown table', () => {
+    const response = simpleAiService.matchScenario('What if we go to 25% discount?');
+
+    expect(response.responseType).toBe('what_if');
+    expect(response.whatIf.scenarios.map(row => row.discount)).toEqual([0, 25]);
+    expect(response.response).toContain('needs Regional Director + VP Sales (level 4)');
+    expect(dealSimulator.formatTable(response.whatIf).split('\n')[2]).toMatch(/^\| 0% \(current\) \| 250 \| 3 yr \| NAMER \| \$487,500 \|/);
+  });
+
+  test('leaves what-if questions without a deal change to the scenarios', () => {
+    expect(dealSimulator.answer('What if the customer asks for a simulation?', baseDeal)).toBeNull();
+    expect(simpleAiService.matchScenario("What if there's no billing tab?")?.responseType).not.toBe('what_if');
+  });
+});
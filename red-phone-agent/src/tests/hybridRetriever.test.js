@@ -0,0 +1,109 @@
+// Tests for the hybrid keyword + semantic retriever
+
+import hybridRetriever, { HybridRetriever, createImportanceReranker } from '../services/hybridRetriever.js';
+
+const documents = [
+  { id: 'roe_a', type: 'roe', title: 'A', searchableText: 'alpha', metadata: { importance: 0.2 } },
+  { id: 'case_b', type: 'case', title: 'B', searchableText: 'beta', metadata: { importance: 1 } },
+  { id: 'guideline_c', type: 'guideline', title: 'C', searchableText: 'gamma', metadata: { importance: 0.5 } }
+];
+
+const createRetriever = (options = {}) => new HybridRetriever({
+  keyword: {
+    rankDocuments: jest.fn(() => [
+      { meta: { documentId: 'roe_a' }, score: 4.2, snippet: '**alpha**', matchedTerms: ['alpha'] },
+      { meta: { documentId: 'case_b' }, score: 1.1, snippet: '**beta**', matchedTerms: ['beta'] }
+    ])
+  },
+  semantic: {
+    documents,
+    semanticSearchAsync: jest.fn(async () => ({
+      results: [
+        { ...documents[1], similarity: 0.8 },
+        { ...documents[2], similarity: 0.4 },
+        { ...documents[1], similarity: 0.8 }
+      ]
+    }))
+  },
+  ...options
+});
+
+describe('HybridRetriever', () => {
+  test('fuses both engines with reciprocal-rank fusion and de-duplicates by ID', async () => {
+    const { results, stats } = await createRetriever().retrieve('alpha beta', { limit: 10 });
+
+    expect(results.map(r => r.id)).toEqual(['case_b', 'roe_a', 'guideline_c']);
+    expect(stats).toEqual({ keyword: 2, semantic: 3, fused: 3, reranker: null });
+
+    const [top] = results;
+    expect(top.signals.keyword).toMatchObject({ rank: 2, score: 1.1 });
+    expect(top.signals.semantic).toMatchObject({ rank: 1, score: 0.8 });
+    expect(top.signals.rrf).toBeCloseTo(1 / 62 + 1 / 61, 4);
+    expect(top.snippet).toBe('**beta**');
+    expect(results[2].signals.keyword).toBeNull();
+    expect(results[2].snippet).toBe('gamma');
+  });
+
+  test('applies weights per signal', async () => {
+    const { results } = await createRetriever({ weights: { keyword: 1, semantic: 0 } }).retrieve('alpha');
+    expect(results[0].id).toBe('roe_a');
+  });
+
+  test('reranks with per-document scores and can be skipped', async () => {
+    const retriever = createRetriever({
+      reranker: { name: 'reverse', rerank: async (query, candidates) => candidates.map((c, i) => ({ id: c.id, score: i })) }
+    });
+
+    const reranked = await retriever.retrieve('alpha');
+    expect(reranked.results.map(r => r.id)).toEqual(['guideline_c', 'roe_a', 'case_b']);
+    expect(reranked.results[0].signals.rerank).toBe(2);
+    expect(reranked.stats.reranker).toBe('reverse');
+
+    const fused = await retriever.retrieve('alpha', { rerank: false });
+    expect(fused.results[0].id).toBe('case_b');
+  });
+
+  test('ranks candidates the reranker skipped after the scored ones', async () => {
+    const retriever = createRetriever({
+      reranker: { name: 'partial', rerank: async () => [{ id: 'guideline_c', score: 0.01 }] }
+    });
+
+    const { results } = await retriever.retrieve('alpha');
+    expect(results.map(r => r.id)).toEqual(['guideline_c', 'case_b', 'roe_a']);
+    expect(results[1].signals.rerank).toBeUndefined();
+  });
+
+  test('keeps the fused order when the reranker fails', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const retriever = createRetriever().setReranker({ name: 'broken', rerank: () => { throw new Error('offline'); } });
+
+    const { results } = await retriever.retrieve('alpha');
+    expect(results[0].id).toBe('case_b');
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  test('passes focus areas to both engines', async () => {
+    const retriever = createRetriever();
+    await retriever.retrieve('alpha', { focusArea: 'cases', filters: { segment: 'Enterprise' } });
+
+    expect(retriever.keyword.rankDocuments).toHaveBeenCalledWith('alpha', expect.objectContaining({ sources: ['cases'], filters: { segment: 'Enterprise' } }));
+    expect(retriever.semantic.semanticSearchAsync).toHaveBeenCalledWith('alpha', expect.objectContaining({ focusArea: 'cases' }));
+  });
+
+  test('importance reranker blends document importance into the fused score', async () => {
+    const { results } = await createRetriever({ reranker: createImportanceReranker({ importanceWeight: 0.5 }) }).retrieve('alpha');
+    expect(results[0].id).toBe('case_b');
+    expect(results[0].signals.rerank).toBeGreaterThan(results[1].signals.rerank);
+  });
+
+  test('retrieves from the real knowledge base with consistent IDs', async () => {
+    const { results } = await hybridRetriever.retrieve('discount policies for enterprise renewals');
+    const policy = results.find(r => r.id === 'roe_discountPolicies');
+
+    expect(policy).toBeDefined();
+    expect(policy.signals.keyword).not.toBeNull();
+    expect(policy.signals.semantic).not.toBeNull();
+    expect(new Set(results.map(r => r.id)).size).toBe(results.length);
+  });
+});
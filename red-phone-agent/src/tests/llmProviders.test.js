@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+// Tests for the pluggable LLM providers behind the API proxy
+
+import embeddingsHandler from '../../app/api/embeddings.js';
+import { getProvider } from '../../app/api/_lib/providers/index.js';
+import { rateLimiter } from '../../app/api/_lib/rateLimiter.js';
+import { startMockUpstream } from '../../app/api/_lib/mockUpstream.js';
+
+const messages = [{ role: 'user', content: 'What is the SMB discount limit?' }];
+
+describe('LLM providers', () => {
+  let upstream;
+
+  beforeAll(async () => {
+    upstream = await startMockUpstream({ apiKey: 'azure-key', models: ['mock-gpt'] });
+  });
+
+  afterAll(async () => {
+    await upstream.close();
+  });
+
+  test('selects the provider from LLM_PROVIDER', () => {
+    expect(getProvider({}).name).toBe('openai');
+    expect(getProvider({ LLM_PROVIDER: 'Azure' }).name).toBe('azure');
+    expect(getProvider({ LLM_PROVIDER: 'self-hosted' }).name).toBe('self-hosted');
+    expect(getProvider({ LLM_PROVIDER: 'mock' }).name).toBe('mock');
+    expect(() => getProvider({ LLM_PROVIDER: 'bard' })).toThrow('Unknown LLM_PROVIDER');
+  });
+
+  test('reports configuration per provider', () => {
+    expect(getProvider({ OPENAI_API_KEY: 'your_openai_api_key_here' }).isConfigured()).toBe(false);
+    expect(getProvider({ LLM_PROVIDER: 'azure', AZURE_OPENAI_API_KEY: 'k' }).isConfigured()).toBe(false);
+    expect(getProvider({ LLM_PROVIDER: 'self-hosted', LLM_BASE_URL: 'http://localhost:8080/v1' }).isConfigured()).toBe(true);
+    expect(getProvider({ LLM_PROVIDER: 'mock' }).isConfigured()).toBe(true);
+  });
+
+  test('azure addresses deployments with the api-key header', async () => {
+    const azureEndpoint = upstream.url.replace(/\/v1$/, '');
+    const provider = getProvider({
+      LLM_PROVIDER: 'azure',
+      AZURE_OPENAI_ENDPOINT: azureEndpoint,
+      AZURE_OPENAI_API_KEY: 'azure-key',
+      AZURE_OPENAI_DEPLOYMENT: 'rpa-chat',
+      AZURE_OPENAI_EMBEDDING_DEPLOYMENT: 'rpa-embed',
+      AZURE_OPENAI_API_VERSION: '2024-06-01'
+    });
+
+    const completion = await provider.chat({ messages });
+    const request = upstream.requests[upstream.requests.length - 1];
+
+    expect(completion.content).toContain('What is the SMB discount limit?');
+    expect(request.url).toBe('/openai/deployments/rpa-chat/chat/completions?api-version=2024-06-01');
+    expect(request.headers['api-key']).toBe('azure-key');
+    expect(await provider.listModels()).toEqual(['rpa-chat', 'rpa-embed']);
+  });
+
+  test('self-hosted endpoints stream and embed without an API key', async () => {
+    const keyless = await startMockUpstream({ apiKey: '' });
+    const provider = getProvider({ LLM_PROVIDER: 'self-hosted', LLM_BASE_URL: keyless.url, LLM_MODEL: 'llama-3' });
+
+    const deltas = [];
+    const completion = await provider.stream({ messages, onDelta: delta => deltas.push(delta) }).promise;
+    const { embeddings } = await provider.embed(['one two', 'three']);
+    const request = keyless.requests.find(entry => entry.url.endsWith('/chat/completions'));
+    await keyless.close();
+
+    expect(deltas.join('')).toBe(completion.content);
+    expect(request.body.model).toBe('llama-3');
+    expect(request.headers.authorization).toBeUndefined();
+    expect(embeddings).toHaveLength(2);
+  });
+
+  test('mock provider is deterministic and offline', async () => {
+    const provider = getProvider({ LLM_PROVIDER: 'mock' });
+
+    const first = await provider.chat({ messages });
+    const second = await provider.chat({ messages });
+    const deltas = [];
+    const streamed = await provider.stream({ messages, onDelta: delta => deltas.push(delta) }).promise;
+    const { embeddings } = await provider.embed(['discount approval', 'discount approval', 'pilot program']);
+
+    expect(first).toEqual(second);
+    expect(streamed.content).toBe(first.content);
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(embeddings[0]).toEqual(embeddings[1]);
+    expect(embeddings[0]).not.toEqual(embeddings[2]);
+  });
+
+  test('embeddings endpoint uses the active provider', async () => {
+    const originalProvider = process.env.LLM_PROVIDER;
+    process.env.LLM_PROVIDER = 'mock';
+    rateLimiter.reset();
+
+    const res = { headers: {}, setHeader(key, value) { this.headers[key] = value; }, end(payload) { this.body = JSON.parse(payload); } };
+    await embeddingsHandler({ method: 'POST', headers: {}, body: { sessionId: 'emb', input: ['discount approval'] } }, res);
+
+    if (originalProvider === undefined) delete process.env.LLM_PROVIDER;
+    else process.env.LLM_PROVIDER = originalProvider;
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.provider).toBe('mock');
+    expect(res.body.embeddings[0]).toHaveLength(64);
+  });
+});
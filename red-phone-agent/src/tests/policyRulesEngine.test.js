@@ -0,0 +1,122 @@
+/**
+ * @jest-environment node
+ */
+// Tests for the declarative policy rule set and the engine that evaluates it
+
+import policyRules from '../data/policyRules.json';
+import policyRulesEngine, { PolicyRulesEngine } from '../utils/policyRulesEngine.js';
+import { PolicyChecker } from '../utils/policyChecker.js';
+import { rulesOfEngagement, getDiscountPolicy, getApprovalRequirement } from '../data/rulesOfEngagement.js';
+import caseRouter from '../utils/caseRouter.js';
+import aiService from '../services/aiService.js';
+import knowledgeBaseService from '../services/knowledgeBaseService.js';
+
+const facts = (overrides = {}) => ({
+  category: 'pricing',
+  dealType: 'newBusiness',
+  segment: 'enterprise',
+  region: 'namer',
+  discount: 0,
+  value: 80000,
+  seats: null,
+  competitor: false,
+  text: '',
+  ...overrides
+});
+
+// A copy of the shipped rule set with one table value changed
+const withTable = (table, update) => {
+  const ruleSet = JSON.parse(JSON.stringify(policyRules));
+  update(ruleSet.tables[table]);
+  return ruleSet;
+};
+
+describe('PolicyRulesEngine', () => {
+  test('matches comparisons, policy references and any/all groups', () => {
+    const scope = policyRulesEngine.buildScope(facts({ discount: 15, text: 'competitive pilot' }));
+
+    expect(policyRulesEngine.matches({ discount: { gt: '$policy.discount.autoApproved', lte: '$policy.discount.max' } }, scope)).toBe(true);
+    expect(policyRulesEngine.matches({ segment: ['smb', 'midmarket'] }, scope)).toBe(false);
+    expect(policyRulesEngine.matches({ any: [{ competitor: true }, { text: { containsAny: ['competitive'] } }] }, scope)).toBe(true);
+    expect(policyRulesEngine.matches({ all: [{ text: { containsAny: ['pilot'] } }, { text: { containsAny: ['extended'] } }] }, scope)).toBe(false);
+    expect(policyRulesEngine.matches({ seats: { lt: 100 } }, scope)).toBe(false);
+    expect(() => policyRulesEngine.matches({ discount: { near: 10 } }, scope)).toThrow('Unknown policy rule operator "near"');
+  });
+
+  test('produces violations with rendered messages and the lowest score', () => {
+    const result = policyRulesEngine.evaluate(facts({ discount: 25, value: 40000, seats: 80 }));
+
+    expect(result.matchedRules).toEqual(expect.arrayContaining(['discount-over-limit', 'minimum-value', 'minimum-seats']));
+    expect(result.violations.map(violation => violation.message)).toEqual([
+      'Requested 25% exceeds policy limit of 20% for enterprise newBusiness',
+      'Deal value $40,000 below enterprise minimum of $50,000',
+      'Requested 80 seats below enterprise minimum of 100'
+    ]);
+    expect(result.violations[0]).toMatchObject({ type: 'discount_limit_exceeded', policyLimit: 20, requestedValue: 25 });
+    expect(result.score).toBe(20);
+  });
+
+  test('evaluates a single check and resolves approval tiers', () => {
+    const result = policyRulesEngine.evaluate(facts({ discount: 25, value: 300000 }), { check: 'approvalWorkflow' });
+
+    expect(result.recommendations.map(recommendation => recommendation.message)).toEqual([
+      'Requires Regional Director approval (48 hours)',
+      'Deal size also requires VP Sales approval'
+    ]);
+    expect(policyRulesEngine.getApprovalTier('discountApproval', { discount: 35 })).toEqual({
+      approver: 'VP Sales + Finance', timeframe: '72 hours', approvalLevel: 5
+    });
+  });
+
+  test('add-on limits apply to every segment', () => {
+    expect(policyRulesEngine.getDiscountPolicy('addon', 'smb')).toMatchObject({ max: 5, effectiveMax: 5 });
+    expect(policyRulesEngine.getDiscountPolicy('upsell', 'smb')).toBeNull();
+  });
+});
+
+describe('single rule set', () => {
+  test('the ROE helpers read the rule set', () => {
+    expect(rulesOfEngagement.discountPolicies.standard).toBe(policyRules.tables.discountLimits);
+    expect(rulesOfEngagement.dealTypes.renewal.minimumCommitment).toBe(policyRules.tables.minimumCommitment.renewal);
+    expect(rulesOfEngagement.approvalWorkflow.discountApproval['21-30%']).toEqual({ approver: 'Regional Director', timeframe: '48 hours' });
+    expect(getDiscountPolicy('newBusiness', 'midmarket', 'apac')).toMatchObject({ max: 15, regionalAdjustment: 7, effectiveMax: 22 });
+    expect(getApprovalRequirement(15, 600000).sizeApproval.approver).toBe('VP Sales + CEO');
+  });
+
+  test('changing a limit in the rule set changes the checker outcome', () => {
+    const caseData = { category: 'pricing', discountRequested: '18', dealValue: 80000, description: 'Enterprise expansion' };
+    const stricter = new PolicyChecker({ engine: new PolicyRulesEngine(withTable('discountLimits', limits => {
+      limits.newBusiness.enterprise.max = 15;
+    })) });
+
+    expect(new PolicyChecker().checkCompliance(caseData).compliance.violations).toEqual([]);
+    expect(stricter.checkCompliance(caseData).compliance.violations[0].message)
+      .toBe('Requested 18% exceeds policy limit of 15% for enterprise newBusiness');
+  });
+
+  test('the checker keeps one result per check', () => {
+    const { compliance } = new PolicyChecker().checkCompliance({
+      category: 'legal', description: 'Custom MSA terms with Net 90 payment', dealValue: 120000
+    });
+
+    expect(Object.keys(compliance.complianceChecks)).toEqual(policyRules.checks.map(check => check.id));
+    expect(compliance.complianceChecks.paymentTerms).toMatchObject({ type: 'payment_terms', compliant: false, score: 40 });
+    expect(compliance.complianceChecks.legalCompliance.warnings[0].type).toBe('contract_review');
+    expect(compliance.overallCompliance).toBe('non_compliant');
+  });
+
+  test('router, knowledge base and system prompt are generated from the rules', () => {
+    expect(caseRouter.routingRules.approvalLevels).toBe(policyRules.approvalLevels);
+    expect(aiService.buildSystemPrompt()).toContain(
+      'Discount Limits: SMB (10% max), Midmarket (15% max), Enterprise (20% max), Large Enterprise (25% max), Global Accounts (30% max)'
+    );
+    expect(aiService.buildSystemPrompt()).toContain('Approval Thresholds: 0-10% (Auto-approved), 11-20% (Sales Manager)');
+    expect(aiService.buildSystemPrompt()).toContain(
+      'Pilot Programs: SMB (30 days), Midmarket (30 days), Enterprise (60 days), Large Enterprise (90 days), Global Accounts (90 days)'
+    );
+    expect(knowledgeBaseService.formatApprovalAnswer('').timeframes).toEqual({
+      'Sales Manager': '24 hours', 'Regional Director': '48 hours', 'VP Sales + Finance': '72 hours'
+    });
+    expect(knowledgeBaseService.formatMinimumSeatAnswer('').answer).toContain('SMB: 5, Midmarket: 25, Enterprise: 100');
+  });
+});
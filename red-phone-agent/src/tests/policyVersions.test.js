@@ -0,0 +1,142 @@
+/**
+ * @jest-environment node
+ */
+// Tests for effective-dated ROE versions, "as of" lookups and the policy change log
+
+import policyRules from '../data/policyRules.json';
+import policyVersions, { PolicyVersions } from '../utils/policyVersions.js';
+import { PolicyChecker } from '../utils/policyChecker.js';
+import {
+  getDiscountPolicy, getApprovalRequirement, getRulesByDealType, getRoeSnapshot, getRoeVersions, getRoeChangeLog
+} from '../data/rulesOfEngagement.js';
+import { PolicyChangeService, isPolicyChangeQuestion } from '../services/policyChangeService.js';
+import simpleAiService from '../services/simpleAiService.js';
+
+const clockAt = (iso) => () => new Date(iso);
+
+// Fixture history: the shipped rule set dated 2026-08-01 as v2, after a made-up v1
+const createVersions = () => new PolicyVersions({
+  current: { ...policyRules, version: 2, effectiveFrom: '2026-08-01' },
+  history: [{
+    version: 1,
+    effectiveTo: '2026-07-31',
+    summary: 'Fixture rules',
+    overrides: {
+      tables: {
+        discountLimits: { newBusiness: { enterprise: { max: 18, autoApproved: 8 } } },
+        regionalAdjustments: { apac: { additionalDiscount: 5 } },
+        minimumCommitment: { newBusiness: { midmarket: { seats: 30 } } }
+      },
+      approvalTiers: { discountApproval: [{ label: '21-30%', timeframe: '72 hours' }] }
+    }
+  }]
+});
+
+describe('PolicyVersions', () => {
+  test('ships the current rule set as the only, open-ended version', () => {
+    expect(getRoeVersions()).toEqual([
+      expect.objectContaining({ version: 1, effectiveFrom: null, effectiveTo: null })
+    ]);
+    expect(policyVersions.resolve('2019-05-01').version).toBe(1);
+    expect(policyVersions.resolve(new Date('2030-01-01T00:00:00Z')).version).toBe(1);
+    expect(getRoeChangeLog(1, 1)).toEqual([]);
+  });
+
+  test('ROE helpers answer with the current rules for any date', () => {
+    ['2020-03-15', '2026-09-01', undefined].forEach(asOf => {
+      expect(getDiscountPolicy('newBusiness', 'enterprise', 'namer', { asOf })).toMatchObject({ max: 20, autoApproved: 10 });
+      expect(getApprovalRequirement(25, 80000, { asOf }).discountApproval.timeframe).toBe('48 hours');
+      expect(getRulesByDealType('newBusiness', { asOf }).minimumCommitment.midmarket.seats).toBe(25);
+    });
+    expect(getRoeSnapshot({ asOf: '2020-03-15' })).toMatchObject({ version: 1, effectiveFrom: null, effectiveTo: null });
+  });
+
+  test('lists and resolves dated versions', () => {
+    const versions = createVersions();
+
+    expect(versions.list()).toEqual([
+      expect.objectContaining({ version: 1, effectiveFrom: null, effectiveTo: '2026-07-31' }),
+      expect.objectContaining({ version: 2, effectiveFrom: '2026-08-01', effectiveTo: null })
+    ]);
+    expect(versions.resolve('2026-07-31').version).toBe(1);
+    expect(versions.resolve(new Date('2026-08-01T00:00:00Z')).version).toBe(2);
+    expect(versions.resolve('2019-05-01').version).toBe(1);
+    expect(versions.getEngine('2026-03-15').getDiscountPolicy('newBusiness', 'enterprise')).toMatchObject({ max: 18, autoApproved: 8 });
+    expect(versions.getEngine('2026-09-01').getDiscountPolicy('newBusiness', 'enterprise')).toMatchObject({ max: 20, autoApproved: 10 });
+  });
+
+  test('diffs two versions into a readable change log', () => {
+    const versions = createVersions();
+
+    expect(versions.diff(1, 2).map(change => change.description)).toEqual([
+      'New Business Enterprise maximum discount: 18% → 20%',
+      'New Business Enterprise auto-approval limit: 8% → 10%',
+      'APAC regional adjustment: 5% → 7%',
+      'New Business Midmarket minimum seats: 30 → 25',
+      'Discount approval 21-30% timeframe: 72 hours → 48 hours'
+    ]);
+    expect(versions.diff(1, 2, { sections: ['minimumCommitment'] })).toHaveLength(1);
+    expect(versions.diff(2, 2)).toEqual([]);
+  });
+
+  test('reports added and removed rules', () => {
+    const legacyRule = { id: 'legacy-floor', check: 'discountCompliance', when: { discount: { gt: 40 } }, then: [] };
+    const versions = new PolicyVersions({
+      current: { ...policyRules, version: 2, effectiveFrom: '2026-08-01', rules: policyRules.rules.slice(1) },
+      history: [{ version: 1, effectiveTo: '2026-07-31', overrides: { rules: [legacyRule] } }]
+    });
+
+    expect(versions.diff(1, 2).map(change => change.description)).toEqual(['Rule "legacy-floor" removed']);
+    expect(versions.diff(2, 1).map(change => change.description)).toEqual(['Rule "legacy-floor" added']);
+  });
+
+  test('the checker can evaluate against the rules in effect when a case was created', () => {
+    const caseData = { category: 'pricing', discountRequested: '19', dealValue: 80000, description: 'Enterprise expansion' };
+    const checker = new PolicyChecker({ versions: createVersions() });
+
+    expect(checker.checkCompliance(caseData, { asOf: '2026-03-15' }).compliance).toMatchObject({
+      overallCompliance: 'non_compliant',
+      policyVersion: { version: 1, effectiveFrom: null, effectiveTo: '2026-07-31' }
+    });
+    expect(checker.checkCompliance(caseData, { asOf: '2026-09-01' }).compliance.violations).toEqual([]);
+    expect(new PolicyChecker().checkCompliance(caseData, { asOf: '2026-03-15' }).compliance.violations).toEqual([]);
+  });
+});
+
+describe('PolicyChangeService', () => {
+  const service = new PolicyChangeService({ versions: createVersions(), clock: clockAt('2026-10-19T10:00:00Z') });
+
+  test('recognises policy change questions', () => {
+    expect(isPolicyChangeQuestion('What changed in the discount policy since last quarter?')).toBe(true);
+    expect(isPolicyChangeQuestion("What's new in the ROE?")).toBe(true);
+    expect(isPolicyChangeQuestion('What is the discount policy for enterprise?')).toBe(false);
+    expect(isPolicyChangeQuestion('Update the discount to 25%')).toBe(false);
+  });
+
+  test('answers what changed in the discount policy since last quarter', () => {
+    const answer = service.answer('What changed in the discount policy since last quarter?');
+
+    expect(answer.responseType).toBe('policy_changes');
+    expect(answer.policyChanges.since).toBe('2026-07-01');
+    expect(answer.response).toContain('**Discount policy changes since last quarter (2026-07-01)**');
+    expect(answer.response).toContain('ROE v2 took effect on 2026-08-01');
+    expect(answer.response).toContain('• New Business Enterprise maximum discount: 18% → 20%');
+    expect(answer.response).toContain('• Discount approval 21-30% timeframe: 72 hours → 48 hours');
+    expect(answer.response).toContain('were checked against ROE v1 (until 2026-07-31)');
+    expect(answer.response).not.toContain('minimum seats');
+  });
+
+  test('says so when nothing changed in the period', () => {
+    const answer = service.answer('Any recent changes to the discount rules this quarter?');
+
+    expect(answer.policyChanges.since).toBe('2026-10-01');
+    expect(answer.response).toBe('No changes to the discount policy this quarter (2026-10-01).\nROE v2 has been in effect since 2026-08-01.');
+  });
+
+  test('the chat answers from the shipped rule set, which has no earlier versions', async () => {
+    const response = await simpleAiService.processMessage('What changed in the discount policy since 2026-01-01?');
+
+    expect(response.responseType).toBe('policy_changes');
+    expect(response.response).toBe('No changes to the discount policy since 2026-01-01 (2026-01-01).\nROE v1 is the earliest version on record.');
+  });
+});
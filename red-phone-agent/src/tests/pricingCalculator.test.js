@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+// Tests for stacked deal pricing: standard, regional, competitive and multi-year discounts under the ROE caps
+
+import policyRules from '../data/policyRules.json';
+import pricingCalculator, { PricingCalculator } from '../utils/pricingCalculator.js';
+import policyRulesEngine from '../utils/policyRulesEngine.js';
+import { PolicyVersions } from '../utils/policyVersions.js';
+
+const deal = (overrides = {}) => ({
+  listPrice: 1000,
+  seats: 200,
+  termYears: 1,
+  dealType: 'newBusiness',
+  segment: 'enterprise',
+  region: 'namer',
+  ...overrides
+});
+
+describe('PricingCalculator', () => {
+  test('prices a deal within policy', () => {
+    const { pricing } = pricingCalculator.calculate(deal({ discount: 15 }));
+
+    expect(pricing).toMatchObject({ grossPrice: 200000, effectiveDiscount: 15, netPrice: 170000, netPricePerSeatYear: 850 });
+    expect(pricing.steps.map(step => [step.id, step.applied])).toEqual([
+      ['standard', 15], ['regional', 0], ['competitive', 0], ['multiYear', 0]
+    ]);
+    expect(pricing.approval).toMatchObject({
+      approvers: ['Sales Manager', 'Regional Director'], approvalLevel: 3, exception: null, turnaroundHours: 48
+    });
+    expect(pricing.explanations).toEqual(['Standard discount: 15% within the Enterprise maximum of 20%']);
+  });
+
+  test('defaults to the typical discount for the segment', () => {
+    expect(pricingCalculator.calculate(deal({ segment: 'midmarket' })).pricing.effectiveDiscount).toBe(10);
+  });
+
+  test('stacks discounts in order and enforces the caps with explanations', () => {
+    const { pricing } = pricingCalculator.calculate(deal({ discount: 25, region: 'EMEA', competitive: true, termYears: 3 }));
+    const step = id => pricing.steps.find(candidate => candidate.id === id);
+
+    expect(pricing.caps).toEqual({ standardMax: 20, effectiveMax: 23, stackingMax: 31 });
+    expect(step('standard')).toMatchObject({ requested: 25, applied: 20, capped: true });
+    expect(step('standard').explanation).toBe('Capped at the Enterprise maximum of 20% (requested 25%)');
+    expect(step('regional')).toMatchObject({ applied: 3, capped: false });
+    expect(step('competitive')).toMatchObject({ applied: 5, capped: false });
+    expect(step('multiYear')).toMatchObject({ requested: 5, applied: 3, capped: true });
+    expect(step('multiYear').explanation).toBe('Reduced by 2 points to stay within the 31% stacking ceiling');
+    expect(pricing).toMatchObject({ grossPrice: 600000, effectiveDiscount: 31, netPrice: 414000, annualNetPrice: 138000 });
+  });
+
+  test('returns the stacked approval requirement', () => {
+    const { approval } = pricingCalculator.calculate(deal({ discount: 25, region: 'EMEA', competitive: true, termYears: 3 })).pricing;
+
+    expect(approval.approvers).toEqual(['VP Sales + Finance', 'VP Sales']);
+    expect(approval.approvalLevel).toBe(5);
+    expect(approval.exception).toMatchObject({
+      reason: 'Stacked discount of 31% exceeds the 23% policy limit',
+      timeline: '72 hours for standard exceptions'
+    });
+    expect(approval.turnaroundHours).toBe(144);
+  });
+
+  test('add-on deals use the add-on limit', () => {
+    const { pricing } = pricingCalculator.calculate(deal({ dealType: 'addon', discount: 8, seats: 10 }));
+
+    expect(pricing.steps[0]).toMatchObject({ applied: 5, capped: true, explanation: 'Capped at the add-on maximum of 5% (requested 8%)' });
+    expect(pricing.approval.approvers).toEqual(['Sales Manager']);
+  });
+
+  test('prices against the rules in effect on a date', () => {
+    const calculator = new PricingCalculator({
+      versions: new PolicyVersions({
+        current: { ...policyRules, version: 2, effectiveFrom: '2026-08-01' },
+        history: [{ version: 1, effectiveTo: '2026-07-31', overrides: { tables: { discountLimits: { newBusiness: { enterprise: { max: 18 } } } } } }]
+      })
+    });
+    const before = calculator.calculate(deal({ discount: 20, asOf: '2026-03-15' })).pricing;
+    const after = calculator.calculate(deal({ discount: 20, asOf: '2026-09-01' })).pricing;
+
+    expect(before.steps[0]).toMatchObject({ applied: 18, capped: true });
+    expect(before.policyVersion).toEqual({ version: 1, effectiveFrom: null });
+    expect(after.steps[0]).toMatchObject({ applied: 20, capped: false });
+    expect(pricingCalculator.calculate(deal({ discount: 20, asOf: '2020-01-01' })).pricing.steps[0]).toMatchObject({ applied: 20 });
+  });
+
+  test('rejects incomplete deals', () => {
+    expect(pricingCalculator.calculate(deal({ listPrice: 0 }))).toEqual({ success: false, error: 'List price must be a positive number' });
+    expect(pricingCalculator.calculate(deal({ dealType: 'upsell' }))).toEqual({ success: false, error: 'No discount policy for Upsell deals' });
+  });
+});
+
+describe('discount stacking rules', () => {
+  test('multi-year discount uses the longest term reached', () => {
+    expect([1, 2, 3, 5].map(years => policyRulesEngine.getMultiYearDiscount(years))).toEqual([0, 2, 5, 5]);
+  });
+
+  test('stacking changes appear in the change log', () => {
+    const versions = new PolicyVersions({
+      current: { ...policyRules, version: 2, effectiveFrom: '2026-08-01' },
+      history: [{ version: 1, effectiveTo: '2026-07-31', overrides: { tables: { discountStacking: { multiYear: { 3: 4 } } } } }]
+    });
+
+    expect(versions.diff(1, 2).map(change => change.description)).toEqual(['Discount stacking multi-year discount (3-year term): 4% → 5%']);
+    expect(versions.diff(1, 2, { sections: ['discountLimits'] })).toEqual([]);
+  });
+});
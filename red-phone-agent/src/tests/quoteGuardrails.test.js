@@ -0,0 +1,96 @@
+/** @jest-environment node */
+// Tests for the inline policy badges in Solution Builder and the chat message they open
+
+import { QuoteGuardrails } from '../services/quoteGuardrails.js';
+import { ChatBridge } from '../services/chatBridge.js';
+import { QuoteStore } from '../services/quoteStore.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+
+const HEP_ID = '2fcol3xsi8ljg';
+
+describe('QuoteGuardrails', () => {
+  let store;
+  let guardrails;
+
+  beforeEach(() => {
+    store = new QuoteStore({ storage: createMemoryStorage() });
+    guardrails = new QuoteGuardrails();
+  });
+
+  test('a quote within policy has no badges', () => {
+    const result = guardrails.evaluate(store.getQuote(HEP_ID));
+
+    expect(result).toMatchObject({ quoteId: HEP_ID, overallCompliance: 'compliant', quoteBadges: [], lineBadges: {} });
+    expect(guardrails.evaluate(null).quoteBadges).toEqual([]);
+  });
+
+  test('a line discount over the segment max flags the line and the totals', () => {
+    store.updateLineItem(HEP_ID, 'line-1', { discount: 25 });
+    const result = guardrails.evaluate(store.getQuote(HEP_ID));
+
+    expect(result.lineBadges['line-1'].map(badge => badge.label)).toEqual([
+      'Over max discount', 'Needs Regional Director approval'
+    ]);
+    expect(result.quoteBadges.map(badge => badge.label)).toEqual([
+      'Over max discount', 'Needs Regional Director approval', 'Needs VP Sales approval'
+    ]);
+    expect(result.quoteBadges[0]).toMatchObject({
+      kind: 'violation',
+      scope: 'quote',
+      explanation: 'Requested 25% exceeds policy limit of 20% for enterprise newBusiness. Requires exception approval.'
+    });
+  });
+
+  test('each line is checked against its own discount', () => {
+    store.updateLineItem(HEP_ID, 'line-1', { discount: 15 });
+    store.addLineItem(HEP_ID, { name: 'Recruiter Lite', quantity: 20, unitPrice: 1500, discount: 5 });
+    const result = guardrails.evaluate(store.getQuote(HEP_ID));
+
+    expect(result.lineBadges['line-1']).toEqual([
+      expect.objectContaining({ label: 'Needs Sales Manager approval', kind: 'approval', lineId: 'line-1' })
+    ]);
+    expect(result.lineBadges['line-2']).toBeUndefined();
+  });
+
+  test('seats and value below the segment minimums are flagged on the totals', () => {
+    store.updateQuote(HEP_ID, { seats: 40 });
+    store.updateLineItem(HEP_ID, 'line-1', { unitPrice: 30000 });
+    const labels = guardrails.evaluate(store.getQuote(HEP_ID)).quoteBadges.map(badge => badge.label);
+
+    expect(labels).toEqual(['Below minimum value', 'Below minimum seats']);
+  });
+
+  test('the chat seed explains the badge and offers an exception case', () => {
+    store.updateLineItem(HEP_ID, 'line-1', { discount: 25 });
+    const quote = store.getQuote(HEP_ID);
+    const [badge] = guardrails.evaluate(quote).lineBadges['line-1'];
+    const seed = guardrails.buildChatSeed(badge, quote);
+
+    expect(seed.content).toContain('**Over max discount** — Hiring Enterprise Program on HEP new Enterprise Agreement');
+    expect(seed.content).toContain('Requires exception approval');
+    expect(seed.actions).toEqual([{
+      type: 'create_exception_case',
+      label: '📋 Create Exception Case',
+      data: {
+        category: 'Pricing',
+        prefill: { reason: badge.reason, requestedDiscount: '25', quoteId: HEP_ID }
+      }
+    }]);
+  });
+});
+
+describe('ChatBridge', () => {
+  test('delivers messages to the open chat', () => {
+    const bridge = new ChatBridge();
+    expect(bridge.open({ content: 'Hello' })).toEqual({ success: false, error: 'Chat is not available' });
+
+    const received = [];
+    const unsubscribe = bridge.subscribe(message => received.push(message));
+    expect(bridge.open({ content: '' }).error).toBe('Message content is required');
+    expect(bridge.open({ content: 'Hello', type: 'guardrail' })).toEqual({ success: true });
+    expect(received).toEqual([{ content: 'Hello', type: 'guardrail' }]);
+
+    unsubscribe();
+    expect(bridge.open({ content: 'Again' }).success).toBe(false);
+  });
+});
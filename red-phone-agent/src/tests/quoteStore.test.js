@@ -0,0 +1,193 @@
+// Tests for the shared quote store and the page data the chat agent reads from it
+// (runs in jsdom so the data-attribute fallback can scrape a page)
+
+import { QuoteStore, describeQuoteSwitch } from '../services/quoteStore.js';
+import { sampleQuotes } from '../data/sampleQuotes.js';
+import { extractSolutionBuilderData, scrapeSolutionBuilderDom } from '../utils/pageDataExtractor.js';
+import { getQuoteTotals, getEndDate } from '../utils/quoteModel.js';
+import { baseDealFromPage } from '../services/dealSimulator.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+
+const hepQuote = sampleQuotes.find(quote => quote.id === '2fcol3xsi8ljg');
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('quote model', () => {
+  test('totals line items with discounts and tax', () => {
+    const totals = getQuoteTotals({
+      termYears: 2,
+      taxRate: 0.1,
+      lineItems: [
+        { quantity: 10, unitPrice: 1000, discount: 20 },
+        { quantity: 1, unitPrice: 2000 }
+      ]
+    });
+
+    expect(totals).toMatchObject({ listTotal: 12000, subtotal: 10000, discountAmount: 2000, tax: 1000, total: 11000 });
+    expect(totals.effectiveDiscount).toBeCloseTo(16.67);
+    expect(totals.yearly).toEqual([{ year: 1, amount: 5000 }, { year: 2, amount: 5000 }]);
+    expect(getEndDate('2025-07-21', 3)).toBe('2028-07-20');
+  });
+});
+
+describe('QuoteStore', () => {
+  test('the extractor reads the active quote tab', () => {
+    const pageData = extractSolutionBuilderData({ store: new QuoteStore({ storage: createMemoryStorage() }) });
+
+    expect(pageData.source).toBe('store');
+    expect(pageData.customer.name).toBe('Pellegrino E2E Test 2fcol3xsi8ljg');
+    expect(pageData.deal).toMatchObject({
+      totalValue: 487500, dealType: 'New Business', segment: 'Enterprise', region: 'NAMER',
+      seats: 250, timeline: '3 years', endDate: '2028-07-20'
+    });
+    expect(pageData.deal.products[0].features).toEqual([
+      'Job Slot - Unlimited', 'Recruiter Corporate - Unlimited', 'Career Pages - Enterprise basic package'
+    ]);
+    expect(pageData.quote).toMatchObject({ id: '2fcol3xsi8ljg', totalAfterTax: 487500 });
+  });
+
+  test('switching quotes notifies subscribers and changes the deal context', () => {
+    const store = new QuoteStore({ storage: createMemoryStorage() });
+    const events = [];
+    const unsubscribe = store.subscribe(event => events.push(event));
+
+    expect(store.setActiveQuote('abacus-new').success).toBe(true);
+    expect(store.setActiveQuote('abacus-new').success).toBe(true);
+    expect(store.setActiveQuote('missing')).toEqual({ success: false, error: 'Quote missing not found' });
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'quote_switched', quote: { id: 'abacus-new' }, previousQuote: { id: '2fcol3xsi8ljg' } });
+    expect(extractSolutionBuilderData({ store }).deal.totalValue).toBe(0);
+    expect(baseDealFromPage(extractSolutionBuilderData({ store }))).toMatchObject({ dealValue: 0, termYears: 1, seats: null });
+
+    unsubscribe();
+    store.setActiveQuote('2fcol3xsi8ljg');
+    expect(events).toHaveLength(1);
+  });
+
+  test('describes the new quote for the chat', () => {
+    expect(describeQuoteSwitch(hepQuote)).toBe(
+      "You're now on **HEP new Enterprise Agreement** for Pellegrino E2E Test 2fcol3xsi8ljg ($487,500.00, New Business · Enterprise · NAMER · 250 seats · 3 years). I'll use this quote for policy checks, what-if questions and new cases."
+    );
+  });
+});
+
+describe('editing quotes', () => {
+  const fixedClock = () => new Date('2026-10-19T09:00:00Z');
+  let storage;
+  let store;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    store = new QuoteStore({ storage, clock: fixedClock });
+  });
+
+  test('line item edits recompute the totals the chat agent sees', () => {
+    store.updateLineItem('2fcol3xsi8ljg', 'line-1', { discount: '10' });
+    const added = store.addLineItem('2fcol3xsi8ljg', { name: 'Recruiter Lite', quantity: '20', unitPrice: '1500' });
+
+    expect(added.quote.lineItems[1]).toMatchObject({ id: 'line-2', quantity: 20, unitPrice: 1500, discount: 0 });
+    expect(getQuoteTotals(store.getActiveQuote())).toMatchObject({ listTotal: 517500, subtotal: 468750, discountAmount: 48750 });
+    expect(extractSolutionBuilderData({ store }).deal).toMatchObject({ totalValue: 468750, products: expect.arrayContaining([expect.objectContaining({ name: 'Recruiter Lite' })]) });
+
+    store.removeLineItem('2fcol3xsi8ljg', 'line-1');
+    expect(extractSolutionBuilderData({ store }).deal.totalValue).toBe(30000);
+  });
+
+  test('rejects invalid edits', () => {
+    expect(store.updateLineItem('2fcol3xsi8ljg', 'line-1', { discount: 120 })).toEqual({ success: false, error: 'Discount must be between 0% and 100%' });
+    expect(store.updateLineItem('2fcol3xsi8ljg', 'line-1', { quantity: '2.5' }).error).toBe('Quantity must be a whole number of 0 or more');
+    expect(store.updateLineItem('2fcol3xsi8ljg', 'line-9', { quantity: 2 }).error).toBe('Line item line-9 not found');
+    expect(store.updateQuote('2fcol3xsi8ljg', { termYears: 0 }).error).toBe('Term must be between 1 and 10 years');
+    expect(store.isDirty('2fcol3xsi8ljg')).toBe(false);
+  });
+
+  test('tax and term edits flow into the totals', () => {
+    store.updateQuote('2fcol3xsi8ljg', { taxRate: 0.08, termYears: '2' });
+    const pageData = extractSolutionBuilderData({ store });
+
+    expect(pageData.quote).toMatchObject({ totalBeforeTax: 487500, estimatedTax: 39000, totalAfterTax: 526500 });
+    expect(pageData.deal).toMatchObject({ timeline: '2 years', endDate: '2027-07-20' });
+  });
+
+  test('the add-tab button opens a new quote for the same customer', () => {
+    const events = [];
+    store.subscribe(event => events.push(event.type));
+    const { quote } = store.addQuote();
+
+    expect(quote).toMatchObject({ name: 'New Quote 3', status: 'Draft', startDate: '2026-10-19', lineItems: [], dealType: 'New Business', segment: 'Enterprise' });
+    expect(quote.customer.name).toBe('Pellegrino E2E Test 2fcol3xsi8ljg');
+    expect(store.getActiveQuote().id).toBe(quote.id);
+    expect(store.isDirty(quote.id)).toBe(true);
+    expect(events).toEqual(['quote_added', 'quote_switched']);
+  });
+
+  test('saving persists edits and clears the unsaved state', () => {
+    store.updateLineItem('2fcol3xsi8ljg', 'line-1', { unitPrice: 450000 });
+    expect(store.isDirty('2fcol3xsi8ljg')).toBe(true);
+
+    const saved = store.saveQuote('2fcol3xsi8ljg');
+    expect(saved.success).toBe(true);
+    expect(saved.quote.savedAt).toBe('2026-10-19T09:00:00.000Z');
+    expect(store.isDirty('2fcol3xsi8ljg')).toBe(false);
+
+    const reloaded = new QuoteStore({ storage });
+    expect(reloaded.getActiveQuote().lineItems[0].unitPrice).toBe(450000);
+    expect(reloaded.getState().quotes.map(quote => quote.id)).toEqual(['abacus-new', '2fcol3xsi8ljg']);
+  });
+
+  test('unsaved quotes are not persisted and incomplete quotes cannot be saved', () => {
+    const { quote } = store.addQuote();
+    store.addLineItem(quote.id);
+
+    expect(store.saveQuote(quote.id)).toEqual({ success: false, error: 'Product name is required on line 1' });
+    store.saveQuote('2fcol3xsi8ljg');
+    expect(new QuoteStore({ storage }).getQuote(quote.id)).toBeNull();
+
+    const failing = new QuoteStore({ storage: { ...createMemoryStorage(), save: () => false } });
+    failing.updateQuote('2fcol3xsi8ljg', { seats: 300 });
+    expect(failing.saveQuote('2fcol3xsi8ljg')).toEqual({ success: false, error: 'Unable to save the quote' });
+    expect(failing.isDirty('2fcol3xsi8ljg')).toBe(true);
+  });
+});
+
+describe('DOM fallback', () => {
+  const page = `
+    <div data-quote-tab="q-77" aria-selected="false"></div>
+    <div data-quote-tab="q-88" aria-selected="true"></div>
+    <span data-quote-field="customer.name">Northwind Traders</span>
+    <span data-quote-field="customer.primaryContact.email">buyer@northwind.test</span>
+    <span data-quote-field="deal.segment">Midmarket</span>
+    <span data-quote-field="deal.region">EMEA</span>
+    <span data-quote-field="deal.seats" data-value="40">40</span>
+    <span data-quote-field="quote.totalBeforeTax">$36,000.00</span>
+    <div data-line-item="line-1">
+      <span data-line-field="name">Recruiter Lite</span>
+      <span data-line-field="quantity">40</span>
+      <span data-line-field="unitPrice" data-value="1000">$1,000.00</span>
+      <span data-line-field="discount" data-value="10">10%</span>
+      <span data-line-feature="InMail - 30"></span>
+    </div>`;
+
+  test('scrapes data attributes when no quote is loaded', () => {
+    document.body.innerHTML = page;
+    const pageData = extractSolutionBuilderData({ store: new QuoteStore({ quotes: [], storage: createMemoryStorage() }) });
+
+    expect(pageData.source).toBe('dom');
+    expect(pageData.quote).toMatchObject({ id: 'q-88', totalBeforeTax: 36000 });
+    expect(pageData.customer).toMatchObject({ name: 'Northwind Traders', primaryContact: { email: 'buyer@northwind.test' } });
+    expect(pageData.deal).toMatchObject({ segment: 'Midmarket', region: 'EMEA', seats: 40 });
+    expect(pageData.deal.products).toEqual([
+      { name: 'Recruiter Lite', quantity: 40, unitPrice: 1000, discount: 10, features: ['InMail - 30'] }
+    ]);
+  });
+
+  test('falls back to empty values when the page has no quote', () => {
+    expect(scrapeSolutionBuilderDom(document)).toBeNull();
+    expect(extractSolutionBuilderData({ store: new QuoteStore({ quotes: [], storage: createMemoryStorage() }) })).toMatchObject({
+      source: 'none', customer: { name: '' }, deal: { totalValue: 0 }
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/** @jest-environment node */
+// Tests for importing quotes from CSV and JSON and exporting them with their policy check
+
+import { parseCsv, parseQuoteCsv, parseQuoteJson, parseQuoteImport, exportQuote } from '../utils/quoteTransfer.js';
+import { importSolutionBuilderData, extractSolutionBuilderData } from '../utils/pageDataExtractor.js';
+import { QuoteGuardrails } from '../services/quoteGuardrails.js';
+import { QuoteStore } from '../services/quoteStore.js';
+import { baseDealFromPage } from '../services/dealSimulator.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+
+const HEP_ID = '2fcol3xsi8ljg';
+
+const spreadsheet = [
+  'Account Name,Quote,Segment,Deal Type,Region,Seats,Start Date,Term,Tax Rate,Product,Qty,Price,Discount %,Owner',
+  'Northwind Traders,Northwind renewal,midmarket,Renewal,EMEA,40,7/1/2026,2,8%,"Recruiter Lite, annual",40,"$1,000.00",10,Dana',
+  ',,,,,,,,,Career Pages,1,5000,,Dana'
+].join('\n');
+
+describe('CSV import', () => {
+  test('parses quoted cells with commas, quotes and line breaks', () => {
+    expect(parseCsv('a,"b, c","say ""hi""\nthere"\r\n1,2,3')).toEqual([
+      ['a', 'b, c', 'say "hi"\nthere'],
+      ['1', '2', '3']
+    ]);
+  });
+
+  test('maps spreadsheet columns to customer, deal and product fields', () => {
+    const result = parseQuoteCsv(spreadsheet);
+
+    expect(result.success).toBe(true);
+    expect(result.warnings).toEqual(['Column "owner" is not recognised and was skipped']);
+    expect(result.quote).toMatchObject({
+      name: 'Northwind renewal',
+      status: 'Draft',
+      customer: { name: 'Northwind Traders' },
+      segment: 'Midmarket',
+      dealType: 'Renewal',
+      region: 'EMEA',
+      seats: 40,
+      startDate: '2026-07-01',
+      termYears: 2,
+      taxRate: 0.08
+    });
+    expect(result.quote.lineItems).toEqual([
+      { id: 'line-1', name: 'Recruiter Lite, annual', quantity: 40, unitPrice: 1000, discount: 10, features: [] },
+      { id: 'line-2', name: 'Career Pages', quantity: 1, unitPrice: 5000, discount: 0, features: [] }
+    ]);
+  });
+
+  test('reports every validation error with its row', () => {
+    const result = parseQuoteCsv([
+      'Product,Quantity,Unit Price,Discount (%),Segment,Term (years)',
+      'Recruiter Lite,2.5,1000,10,Mega,12',
+      ',1,100,120,,'
+    ].join('\n'));
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toEqual([
+      'Unknown segment "Mega" (expected SMB, Midmarket, Enterprise, Large Enterprise, Global Accounts)',
+      'Term must be between 1 and 10 years',
+      'Row 2: Quantity must be a whole number of 0 or more',
+      'Row 3: Discount must be between 0% and 100%',
+      'Row 3: Product name is required'
+    ]);
+    expect(result.error).toBe(result.errors[0]);
+  });
+
+  test('needs a product column and at least one product', () => {
+    expect(parseQuoteCsv('Customer,Seats\nNorthwind,40').error).toBe('No product column found (expected "Product")');
+    expect(parseQuoteCsv('Product,Quantity\n').errors).toEqual(['The file has no products']);
+    expect(parseQuoteCsv('').error).toBe('The file is empty');
+  });
+});
+
+describe('JSON import', () => {
+  test('accepts a bare quote with products', () => {
+    const result = parseQuoteJson(JSON.stringify({
+      name: 'Contoso expansion',
+      customer: { name: 'Contoso' },
+      segment: 'enterprise',
+      seats: '150',
+      currency: 'eur',
+      products: [{ name: 'Recruiter Corporate', quantity: 150, unitPrice: 900, features: ['InMail - 50'] }]
+    }));
+
+    expect(result.success).toBe(true);
+    expect(result.quote).toMatchObject({ name: 'Contoso expansion', segment: 'Enterprise', seats: 150, currency: 'EUR' });
+    expect(result.quote.customer.primaryContact).toEqual({ name: '', email: '', phone: '' });
+    expect(result.quote.lineItems[0]).toMatchObject({ name: 'Recruiter Corporate', quantity: 150, features: [{ name: 'InMail - 50' }] });
+  });
+
+  test('rejects malformed files', () => {
+    expect(parseQuoteJson('{ nope').error).toBe('The file is not valid JSON');
+    expect(parseQuoteJson('[1, 2]').error).toBe('Expected a quote object');
+    expect(parseQuoteJson(JSON.stringify({ lineItems: [{ name: 'A', quantity: -1 }] })).errors).toEqual([
+      'Line 1: Quantity must be a whole number of 0 or more'
+    ]);
+    expect(parseQuoteImport('{}', { filename: 'quote.xlsx' }).error).toBe('The file has no products');
+  });
+});
+
+describe('importing into Solution Builder', () => {
+  test('an imported quote becomes the deal context the chat agent reads', () => {
+    const store = new QuoteStore({ storage: createMemoryStorage() });
+    const events = [];
+    store.subscribe(event => events.push(event.type));
+
+    const result = importSolutionBuilderData(spreadsheet, { filename: 'northwind.csv', store });
+
+    expect(result.success).toBe(true);
+    expect(events).toEqual(['quote_added', 'quote_switched']);
+    expect(store.getActiveQuote().id).toBe(result.quote.id);
+    expect(store.isDirty(result.quote.id)).toBe(true);
+    expect(extractSolutionBuilderData({ store }).customer.name).toBe('Northwind Traders');
+    expect(baseDealFromPage(result.pageData)).toMatchObject({
+      dealValue: 41000, seats: 40, termYears: 2, dealType: 'renewal', segment: 'midmarket', region: 'emea'
+    });
+  });
+
+  test('a file with errors leaves the store untouched', () => {
+    const store = new QuoteStore({ storage: createMemoryStorage() });
+    const result = importSolutionBuilderData('Product,Quantity\nLite,abc', { filename: 'bad.csv', store });
+
+    expect(result).toMatchObject({ success: false, errors: ['Row 2: Quantity must be a whole number of 0 or more'] });
+    expect(store.getState().quotes).toHaveLength(2);
+    expect(store.getActiveQuote().id).toBe(HEP_ID);
+  });
+});
+
+describe('export', () => {
+  const exportedAt = new Date('2026-10-19T09:00:00Z');
+  let quote;
+  let policyCheck;
+
+  beforeEach(() => {
+    const store = new QuoteStore({ storage: createMemoryStorage() });
+    store.updateLineItem(HEP_ID, 'line-1', { discount: 25 });
+    quote = store.getQuote(HEP_ID);
+    policyCheck = new QuoteGuardrails().summarize(quote);
+  });
+
+  test('the policy check summary lists violations and approvers', () => {
+    expect(policyCheck).toMatchObject({
+      overallCompliance: 'non_compliant',
+      violations: ['Requested 25% exceeds policy limit of 20% for enterprise newBusiness'],
+      approvals: ['Regional Director', 'VP Sales']
+    });
+  });
+
+  test('CSV export carries the policy check and imports back to the same quote', () => {
+    const exported = exportQuote(quote, 'csv', { policyCheck, exportedAt });
+    const [header, row] = parseCsv(exported.content);
+
+    expect(exported).toMatchObject({ success: true, filename: 'hep-new-enterprise-agreement.csv', mimeType: 'text/csv' });
+    expect(header.slice(-5)).toEqual(['Net Price', 'Policy Compliance', 'Policy Score', 'Policy Issues', 'Required Approvals']);
+    expect(row.slice(-5)).toEqual(['365625', 'non_compliant', String(policyCheck.score), policyCheck.violations[0], 'Regional Director; VP Sales']);
+
+    const reimported = parseQuoteCsv(exported.content);
+    expect(reimported.warnings).toEqual([]);
+    expect(reimported.quote).toMatchObject({
+      name: quote.name, seats: 250, termYears: 3, segment: 'Enterprise', customer: { name: quote.customer.name }
+    });
+    expect(reimported.quote.lineItems[0]).toMatchObject({ name: 'Hiring Enterprise Program', quantity: 1, unitPrice: 487500, discount: 25 });
+  });
+
+  test('CSV export guards text that a spreadsheet would run as a formula', () => {
+    const risky = {
+      ...quote,
+      customer: { ...quote.customer, name: '=HYPERLINK("http://evil.example","Click")' },
+      lineItems: [{ ...quote.lineItems[0], name: '@SUM(A1:A9)' }]
+    };
+    const exported = exportQuote(risky, 'csv', { policyCheck, exportedAt });
+    const [header, row] = parseCsv(exported.content);
+
+    expect(row[header.indexOf('Customer')]).toBe(`'${risky.customer.name}`);
+    expect(row[header.indexOf('Product')]).toBe("'@SUM(A1:A9)");
+    expect(parseQuoteCsv(exported.content).quote).toMatchObject({
+      customer: { name: risky.customer.name },
+      lineItems: [{ name: '@SUM(A1:A9)' }]
+    });
+  });
+
+  test('JSON export round-trips through the importer', () => {
+    const exported = exportQuote(quote, 'json', { policyCheck, exportedAt });
+    const data = JSON.parse(exported.content);
+
+    expect(data).toMatchObject({ format: 'cpq-quote', exportedAt: '2026-10-19T09:00:00.000Z', totals: { subtotal: 365625 }, policyCheck });
+    expect(parseQuoteImport(exported.content, { filename: exported.filename }).quote.lineItems[0].features).toEqual(quote.lineItems[0].features);
+  });
+
+  test('XML export follows the CPQ schema and escapes text', () => {
+    const exported = exportQuote({ ...quote, name: 'R&D <pilot>' }, 'xml', { policyCheck, exportedAt });
+
+    expect(exported.filename).toBe('r-d-pilot.xml');
+    expect(exported.content).toContain('<CPQQuote id="2fcol3xsi8ljg" status="Pending" exportedAt="2026-10-19T09:00:00.000Z">');
+    expect(exported.content).toContain('<Name>R&amp;D &lt;pilot&gt;</Name>');
+    expect(exported.content).toContain('<DiscountPercent>25</DiscountPercent>');
+    expect(exported.content).toContain('<Subtotal>365625</Subtotal>');
+    expect(exported.content).toContain('<RequiredApproval>Regional Director</RequiredApproval>');
+    expect(exported.content).toMatch(/<PolicyCheck compliance="non_compliant" score="\d+" policyVersion="[^"]+">/);
+  });
+
+  test('rejects unknown formats', () => {
+    expect(exportQuote(quote, 'pdf')).toEqual({ success: false, error: 'Unsupported export format: pdf' });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+// Offline retrieval evaluation against the golden question set
+// Refresh the stored baseline after an intentional change with:
+//   UPDATE_RETRIEVAL_BASELINE=1 npx react-scripts test --watchAll=false retrievalEvaluation
+
+import fs from 'fs';
+import path from 'path';
+import goldenSet from '../data/goldenQuestions.json';
+import {
+  validateGoldenSet,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  numberRecall,
+  evaluateScenarios,
+  runEvaluation,
+  toBaseline,
+  diffAgainstBaseline
+} from '../utils/retrievalEvaluator.js';
+
+const BASELINE_PATH = path.join(__dirname, '..', 'data', 'retrievalBaseline.json');
+
+describe('retrieval metrics', () => {
+  test('recall@k counts relevant documents in the top k', () => {
+    expect(recallAtK(['a', 'b', 'c'], ['a', 'c', 'd'], 2)).toBeCloseTo(1 / 3);
+    expect(recallAtK(['a'], [], 5)).toBeNull();
+  });
+
+  test('reciprocal rank uses the first relevant hit', () => {
+    expect(reciprocalRank(['x', 'a', 'b'], ['b', 'a'])).toBe(0.5);
+    expect(reciprocalRank(['x'], ['a'])).toBe(0);
+  });
+
+  test('nDCG rewards putting higher grades first', () => {
+    const grades = { a: 3, b: 1 };
+    expect(ndcgAtK(['a', 'b'], grades, 2)).toBe(1);
+    expect(ndcgAtK(['b', 'a'], grades, 2)).toBeLessThan(1);
+    expect(ndcgAtK(['x'], {}, 2)).toBeNull();
+  });
+
+  test('number recall matches whole figures only', () => {
+    expect(numberRecall(['max: 20, typical: 15'], [20, 5])).toBe(0.5);
+    expect(numberRecall(['x'], [])).toBeNull();
+  });
+
+  test('scenario accuracy reports misses', () => {
+    const matcher = question => (question.includes('invoice') ? { id: 'find-invoice' } : null);
+    const result = evaluateScenarios([
+      { id: 'q1', question: 'find invoice', expectedScenario: 'find-invoice' },
+      { id: 'q2', question: 'other', expectedScenario: 'legal-terms' }
+    ], matcher);
+
+    expect(result.accuracy).toBe(0.5);
+    expect(result.misses).toEqual([{ id: 'q2', expected: 'legal-terms', actual: null }]);
+  });
+
+  test('baseline diff separates regressions from improvements', () => {
+    const report = {
+      goldenSetVersion: 1,
+      k: 5,
+      retrievers: { hybrid: { name: 'hybrid', recall: 0.8, mrr: 0.5, ndcg: 0.7, numberRecall: null } },
+      scenarios: { accuracy: 1 }
+    };
+    const baseline = {
+      goldenSetVersion: 1,
+      k: 5,
+      retrievers: { hybrid: { recall: 0.9, mrr: 0.5, ndcg: 0.6, numberRecall: 0.5 } },
+      scenarios: { accuracy: 1 }
+    };
+
+    const diff = diffAgainstBaseline(report, baseline);
+    expect(diff.comparable).toBe(true);
+    expect(diff.regressions.map(change => change.metric)).toEqual(['recall']);
+    expect(diff.improvements.map(change => change.metric)).toEqual(['ndcg']);
+  });
+});
+
+describe('golden set evaluation', () => {
+  test('golden set is well formed', () => {
+    expect(validateGoldenSet(goldenSet)).toEqual({ valid: true, errors: [] });
+    expect(validateGoldenSet({ questions: [{ id: 'a' }, { id: 'a' }] }).valid).toBe(false);
+  });
+
+  test('retrievers do not regress against the stored baseline', async () => {
+    const report = await runEvaluation(goldenSet);
+
+    if (process.env.UPDATE_RETRIEVAL_BASELINE) {
+      fs.writeFileSync(BASELINE_PATH, `${JSON.stringify(toBaseline(report), null, 2)}\n`);
+    }
+
+    const baseline = fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')) : null;
+    const diff = diffAgainstBaseline(report, baseline);
+
+    expect(Object.keys(report.retrievers)).toEqual(['keyword', 'semantic', 'hybrid']);
+    expect(diff.comparable).toBe(true);
+    expect(diff.regressions).toEqual([]);
+  });
+});
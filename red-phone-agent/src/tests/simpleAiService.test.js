@@ -0,0 +1,49 @@
+// Tests for simpleAiService streaming
+
+import simpleAiService from '../services/simpleAiService.js';
+
+const collect = async (stream) => {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+};
+
+describe('simpleAiService.streamMessage', () => {
+  beforeEach(() => {
+    simpleAiService.streamChunkDelay = 0;
+  });
+
+  test('streams the same answer processMessage returns', async () => {
+    const expected = await simpleAiService.processMessage('Can you help me with HEP pricing?');
+    const events = await collect(simpleAiService.streamMessage('Can you help me with HEP pricing?'));
+
+    const deltas = events.filter(event => event.type === 'delta');
+    const done = events[events.length - 1];
+
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(deltas.map(event => event.delta).join('')).toBe(expected.response);
+    expect(done.type).toBe('done');
+    expect(done.aborted).toBe(false);
+    expect(done.response.scenarioId).toBe(expected.scenarioId);
+  });
+
+  test('stops on abort and keeps the partial answer', async () => {
+    const controller = new AbortController();
+    const events = [];
+
+    for await (const event of simpleAiService.streamMessage('Can you help me with HEP pricing?', { signal: controller.signal })) {
+      events.push(event);
+      if (events.length === 3) controller.abort();
+    }
+
+    const done = events[events.length - 1];
+    const partial = events.filter(event => event.type === 'delta').map(event => event.delta).join('');
+
+    expect(events.filter(event => event.type === 'delta')).toHaveLength(3);
+    expect(done.aborted).toBe(true);
+    expect(done.response.response).toBe(partial);
+    expect(done.response.followUpSuggestions).toEqual([]);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * @jest-environment node
+ */
+// Tests for collecting a scenario's required case fields over several chat turns
+
+import { SlotFillingService } from '../services/slotFillingService.js';
+import slotFillingService from '../services/slotFillingService.js';
+import simpleAiService from '../services/simpleAiService.js';
+import { customerScenarios } from '../data/realScenarios.js';
+import { validateSlot } from '../utils/slotValidators.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+
+const now = new Date('2025-03-01T10:00:00.000Z');
+const scenario = id => customerScenarios.find(candidate => candidate.id === id);
+
+describe('slot validators', () => {
+  test('dates must be readable and, for start dates, not in the past', () => {
+    expect(validateSlot('date', 'June 1st', { now, future: true })).toEqual({ valid: true, value: '2025-06-01' });
+    expect(validateSlot('date', '2024-12-01', { now, future: true })).toMatchObject({ valid: false, error: expect.stringContaining('in the past') });
+    expect(validateSlot('date', 'next quarter', { now }).valid).toBe(false);
+  });
+
+  test('currency accepts shorthand amounts but not percentages', () => {
+    expect(validateSlot('currency', 'about $1.2 million')).toEqual({ valid: true, value: 1200000 });
+    expect(validateSlot('currency', '250k').value).toBe(250000);
+    expect(validateSlot('currency', '15%').valid).toBe(false);
+  });
+
+  test('years, percentages and yes/no answers', () => {
+    expect(validateSlot('years', 'a three year deal', { allowed: [2, 3] }).value).toBe(3);
+    expect(validateSlot('years', '5', { allowed: [2, 3] })).toMatchObject({ valid: false, error: 'Deals can run for 2 or 3 years.' });
+    expect(validateSlot('percent', '18.5 percent').value).toBe(18.5);
+    expect(validateSlot('boolean', 'Yes, legal signed off').value).toBe(true);
+    expect(validateSlot('boolean', 'not yet').value).toBe(false);
+    expect(validateSlot('boolean', "No, legal hasn't approved it").value).toBe(false);
+    expect(validateSlot('boolean', 'not yet approved').value).toBe(false);
+    expect(validateSlot('boolean', 'done').valid).toBe(false);
+    expect(() => validateSlot('colour', 'red')).toThrow('Unknown slot type "colour"');
+  });
+});
+
+describe('SlotFillingService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SlotFillingService({ clock: () => now });
+  });
+
+  test('ignores messages when nothing is being collected', () => {
+    expect(service.handleMessage('June 1')).toBeNull();
+  });
+
+  test('collects the EP tear-up fields, re-asking for invalid answers', () => {
+    service.start(scenario('tearup-ep'), { sessionId: 's1' });
+
+    const invalid = service.handleMessage('sometime soon', { sessionId: 's1' });
+    expect(invalid.status).toBe('invalid');
+    expect(service.buildResponse(invalid).response).toContain("What is the customer's intended start date?");
+
+    const asked = service.handleMessage('June 1', { sessionId: 's1' });
+    expect(asked).toMatchObject({ status: 'ask', next: { id: 'annual_spend_usd' } });
+    expect(service.buildResponse(asked).response).toContain('Customer start date: **2025-06-01**');
+
+    const complete = service.handleMessage('$250k', { sessionId: 's1' });
+    const response = service.buildResponse(complete);
+
+    expect(complete.status).toBe('complete');
+    expect(response.responseType).toBe('inline_case_form');
+    expect(response.caseForm).toEqual({
+      category: 'Deal Structure',
+      prefill: { reason: 'EP Tear Up Request', scenarioId: 'tearup-ep', customerStartDate: '2025-06-01', annualSpendUsd: 250000 }
+    });
+    expect(service.isActive('s1')).toBe(false);
+  });
+
+  test('fills several slots from one message', () => {
+    service.start(scenario('hep-pricing'));
+
+    const result = service.handleMessage('First year budget is $500k on a 3-year deal');
+
+    expect(result.status).toBe('complete');
+    expect(service.buildPrefill(result.state)).toMatchObject({ maxFirstYearSpend: 500000, dealLength: 3 });
+  });
+
+  test('questions pass through without using up an attempt', () => {
+    service.start(scenario('tearup-ep'));
+
+    expect(service.handleMessage('How long does approval take?')).toBeNull();
+    expect(service.getState().slots[0].attempts).toBe(0);
+
+    service.start(scenario('legal-terms'));
+    expect(service.handleMessage('Competitor is offering a price 30% lower, what can I do?')).toBeNull();
+    expect(service.getState().slots[0].value).toBeNull();
+    expect(service.isActive()).toBe(true);
+  });
+
+  test('stops on cancel and gives up after repeated invalid answers', () => {
+    service.start(scenario('hep-pricing'));
+    expect(service.handleMessage('cancel').status).toBe('cancelled');
+    expect(service.isActive()).toBe(false);
+
+    service.start(scenario('hep-pricing'));
+    service.handleMessage('not sure');
+    service.handleMessage('no idea');
+    const result = service.handleMessage('dunno');
+
+    expect(result.status).toBe('gave_up');
+    expect(service.buildResponse(result).caseForm.prefill).toEqual({ reason: 'HEP Pricing Assistance', scenarioId: 'hep-pricing' });
+  });
+
+  test('resumes collection after a reload while the conversation is retained', () => {
+    const storage = createMemoryStorage();
+    const before = new SlotFillingService({ clock: () => now, storage });
+    before.start(scenario('tearup-ep'), { sessionId: 'kept' });
+    before.handleMessage('June 1', { sessionId: 'kept' });
+    before.start(scenario('hep-pricing'), { sessionId: 'expired' });
+
+    const after = new SlotFillingService({ clock: () => now, storage, isRetained: sessionId => sessionId === 'kept' });
+
+    expect(after.isActive('expired')).toBe(false);
+    expect(after.handleMessage('$250k', { sessionId: 'kept' }).status).toBe('complete');
+    expect(new SlotFillingService({ storage, isRetained: () => true }).isActive('kept')).toBe(false);
+  });
+
+  test('restored slots keep their validation rules', () => {
+    const storage = createMemoryStorage();
+    const before = new SlotFillingService({ clock: () => now, storage });
+    before.start(scenario('opportunity-stage'), { sessionId: 'opp' });
+    before.handleMessage('Closed Won', { sessionId: 'opp' });
+    before.handleMessage('The error says insufficient access', { sessionId: 'opp' });
+
+    const service = new SlotFillingService({ clock: () => now, storage, isRetained: () => true });
+    expect(service.getMissingSlots(service.getState('opp')).map(slot => slot.id)).toEqual(['opportunity_id']);
+    const result = service.handleMessage('it is OPP-2025-000123', { sessionId: 'opp' });
+
+    expect(storage.load('slotFilling')).toEqual({});
+    expect(result.status).toBe('complete');
+    expect(service.buildPrefill(result.state).opportunityId).toBe('OPP-2025-000123');
+  });
+});
+
+describe('SimpleAiService slot filling', () => {
+  afterEach(() => {
+    slotFillingService.cancel('slots');
+  });
+
+  test('asks for the required fields after a scenario answer and opens a pre-filled case', async () => {
+    const options = { sessionId: 'slots' };
+    const scenarioReply = await simpleAiService.processMessage('My customer wants to do a tear up to an EP. What do I do?', options);
+    expect(scenarioReply.response).toContain("What is the customer's intended start date?");
+
+    const ask = await simpleAiService.processMessage('They start on 2099-01-15', options);
+    expect(ask.responseType).toBe('slot_filling');
+    expect(ask.slotFilling.missing).toEqual(['annual_spend_usd']);
+
+    const done = await simpleAiService.processMessage('around 1.5 million', options);
+    expect(done.responseType).toBe('inline_case_form');
+    expect(done.caseForm.prefill).toMatchObject({ customerStartDate: '2099-01-15', annualSpendUsd: 1500000 });
+  });
+});
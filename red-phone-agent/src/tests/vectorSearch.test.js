@@ -0,0 +1,124 @@
+// Tests for embedding-based vector search
+
+import vectorSearch, { VectorSearchSimulation } from '../utils/vectorSearchSimulation.js';
+import VectorIndex, { cosineSimilarity } from '../utils/vectorIndex.js';
+import { createHashedTfidfEmbedder, createApiEmbedder, tokenize } from '../utils/embeddingProviders.js';
+import { createMemoryStorage } from '../utils/storageAdapters.js';
+
+describe('hashed TF-IDF embedder', () => {
+  test('produces deterministic, normalized vectors', () => {
+    const embedder = createHashedTfidfEmbedder({ dimensions: 128 });
+    embedder.fit(['discount approval policy', 'pilot program extension']);
+
+    const [first] = embedder.embed(['discount approval']);
+    const [second] = embedder.embed(['discount approval']);
+
+    expect(first).toEqual(second);
+    expect(first).toHaveLength(128);
+    expect(Math.sqrt(first.reduce((sum, v) => sum + v * v, 0))).toBeCloseTo(1, 5);
+  });
+
+  test('related texts score higher than unrelated ones', () => {
+    const embedder = createHashedTfidfEmbedder();
+    embedder.fit(['enterprise discount approvals', 'pilot program duration', 'territory rules']);
+    const [query, related, unrelated] = embedder.embed(['discount approval', 'enterprise discount approvals', 'territory rules']);
+
+    expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+  });
+
+  test('tokenize splits camelCase before lowercasing', () => {
+    expect(tokenize('discountPolicies newBusiness')).toEqual(['discount', 'policies', 'new', 'business']);
+  });
+});
+
+describe('VectorIndex', () => {
+  test('returns cosine top-k with filters and minimum score', () => {
+    const index = new VectorIndex();
+    index.upsert('a', [1, 0, 0]);
+    index.upsert('b', [0.8, 0.6, 0]);
+    index.upsert('c', [0, 0, 1]);
+
+    expect(index.search([1, 0, 0], { k: 2 }).map(r => r.id)).toEqual(['a', 'b']);
+    expect(index.search([1, 0, 0], { filter: id => id !== 'a' }).map(r => r.id)).toEqual(['b', 'c']);
+    expect(index.search([1, 0, 0], { minScore: 0.5 }).map(r => r.id)).toEqual(['a', 'b']);
+  });
+
+  test('rejects vectors with the wrong dimensions', () => {
+    const index = new VectorIndex({ dimensions: 3 });
+    expect(() => index.upsert('a', [1, 0])).toThrow('index expects 3');
+  });
+
+  test('round-trips through a snapshot', () => {
+    const index = new VectorIndex();
+    index.upsert('a', [0.6, 0, 0.8], 'h1');
+    const restored = VectorIndex.fromSnapshot(JSON.parse(JSON.stringify(index.toSnapshot())));
+
+    expect(restored.get('a')).toEqual({ vector: [0.6, 0, 0.8], hash: 'h1' });
+    expect(VectorIndex.fromSnapshot({ version: 99, entries: [] })).toBeNull();
+  });
+});
+
+describe('VectorSearchSimulation', () => {
+  test('retrieves the relevant policy sections', () => {
+    const { results } = vectorSearch.semanticSearch('What is the enterprise new business discount limit?', { limit: 5 });
+
+    expect(results.map(r => r.id)).toContain('roe_discountPolicies');
+    expect(results[0].similarity).toBeGreaterThan(0);
+    expect(results[0].similarity).toBeLessThanOrEqual(1);
+    expect(vectorSearch.searchPolicies('discount policies').results[0].id).toBe('roe_discountPolicies');
+    expect(vectorSearch.semanticSearch('pilot program duration', { limit: 3 }).results.map(r => r.id))
+      .toEqual(expect.arrayContaining(['guideline_pilotPrograms', 'roe_pilotPrograms']));
+  });
+
+  test('focused searches only return their document type', () => {
+    expect(vectorSearch.searchCases('competitive discount exception').results.every(r => r.type === 'case')).toBe(true);
+    expect(vectorSearch.searchPolicies('pilot program duration').results.every(r => r.type === 'roe')).toBe(true);
+    expect(vectorSearch.searchGuidelines('pricing exception').results.every(r => r.type === 'guideline')).toBe(true);
+    expect(vectorSearch.searchCases('competitive discount exception').results.length).toBeGreaterThan(0);
+  });
+
+  test('keeps the result shape for advanced search', () => {
+    const result = vectorSearch.advancedSearch('discount approval', { limit: 3 });
+
+    expect(result.results.length).toBeLessThanOrEqual(3);
+    expect(result).toHaveProperty('queryAnalysis.intent');
+    expect(result).toHaveProperty('searchStats.sourceDistribution');
+    expect(result.filtersApplied).toBe(1);
+  });
+
+  test('restores from a snapshot and re-embeds only changed documents', () => {
+    const storage = createMemoryStorage();
+    const first = new VectorSearchSimulation({ storage });
+    expect(first.getIndexStats().mode).toBe('full');
+
+    const second = new VectorSearchSimulation({ storage });
+    expect(second.getIndexStats()).toMatchObject({ mode: 'snapshot', embedded: 0 });
+
+    const query = 'enterprise discount approval';
+    expect(second.semanticSearch(query).results.map(r => r.id))
+      .toEqual(first.semanticSearch(query).results.map(r => r.id));
+
+    const original = second.prepareDocuments.bind(second);
+    second.prepareDocuments = () => original().map(doc => (
+      doc.id === 'roe_pilotPrograms' ? { ...doc, searchableText: `${doc.searchableText} sandbox trial` } : doc
+    ));
+    const stats = second.refreshDocuments();
+
+    expect(stats).toMatchObject({ mode: 'incremental', embedded: 1, removed: 0 });
+    expect(stats.reused).toBe(second.documents.length - 1);
+  });
+
+  test('supports async embedding providers', async () => {
+    const local = createHashedTfidfEmbedder({ dimensions: 64 });
+    const search = new VectorSearchSimulation({ storage: createMemoryStorage() });
+    await search.useEmbedder(createApiEmbedder({
+      name: 'test-api',
+      embedTexts: async texts => local.embed(texts)
+    }));
+
+    expect(() => search.semanticSearch('discount')).toThrow('semanticSearchAsync');
+    const { results } = await search.semanticSearchAsync('discount policies', { limit: 3 });
+    expect(results.length).toBeGreaterThan(0);
+    expect(search.getIndexStats()).toMatchObject({ mode: 'full', embedder: 'test-api' });
+  });
+});
@@ -0,0 +1,157 @@
+// Answer Quality Evaluator for Red Phone Agent
+// Runs corpus questions through the agent services, checks structured expectations and reports regressions
+
+import simpleAiService from '../services/simpleAiService.js';
+import aiService from '../services/aiService.js';
+
+// Service adapters normalise each service's result to { text, requiresCase, followUps, scenarioId }.
+// scenarioId is undefined for services that do not match scenarios, which skips that check.
+export const createDefaultServices = () => ({
+  simple: {
+    async ask(question) {
+      const result = await simpleAiService.processMessage(question);
+      return {
+        success: result.success !== false,
+        text: result.response || '',
+        requiresCase: Boolean(result.requiresCase),
+        followUps: result.followUpSuggestions || [],
+        scenarioId: result.scenarioId || null
+      };
+    }
+  },
+  ai: {
+    async ask(question) {
+      // Offline: template answers from retrieval instead of the LLM proxy
+      aiService.useTemplates();
+      const result = await aiService.processMessage(question);
+      const suggestedActions = result.suggestedActions || [];
+      return {
+        success: result.success !== false,
+        text: result.response || '',
+        requiresCase: suggestedActions.length > 0 || Boolean(result.analysis?.suggestsCaseCreation),
+        followUps: suggestedActions,
+        scenarioId: undefined
+      };
+    }
+  }
+});
+
+const includesText = (text, expected) => text.toLowerCase().includes(String(expected).toLowerCase());
+
+// One { name, passed, expected, actual } entry per expectation that applies to the answer
+export const checkAnswer = (answer, expect = {}) => {
+  const checks = [];
+  const add = (name, passed, expected, actual) => checks.push({ name, passed, expected, actual });
+
+  add('success', answer.success, true, answer.success);
+
+  (expect.mentions || []).forEach(mention => {
+    add(`mentions:${mention}`, includesText(answer.text, mention), mention, answer.text.substring(0, 120));
+  });
+
+  if (expect.approver) {
+    add('approver', includesText(answer.text, expect.approver), expect.approver, answer.text.substring(0, 120));
+  }
+
+  if (expect.requiresCase !== undefined) {
+    add('requiresCase', answer.requiresCase === expect.requiresCase, expect.requiresCase, answer.requiresCase);
+  }
+
+  (expect.followUps || []).forEach(pattern => {
+    add(`followUp:${pattern.source}`, answer.followUps.some(followUp => pattern.test(followUp)), pattern.toString(), answer.followUps);
+  });
+
+  if (expect.scenarioId !== undefined && answer.scenarioId !== undefined) {
+    add('scenarioId', answer.scenarioId === expect.scenarioId, expect.scenarioId, answer.scenarioId);
+  }
+
+  return checks;
+};
+
+export const runAnswerSuite = async (corpus, services = createDefaultServices()) => {
+  const report = { services: {} };
+
+  for (const [name, service] of Object.entries(services)) {
+    const questions = [];
+    for (const item of corpus) {
+      let answer;
+      try {
+        answer = await service.ask(item.question);
+      } catch (error) {
+        answer = { success: false, text: error.message, requiresCase: false, followUps: [], scenarioId: null };
+      }
+      const checks = checkAnswer(answer, item.expect);
+      questions.push({ id: item.id, question: item.question, passed: checks.every(check => check.passed), checks });
+    }
+
+    const checks = questions.flatMap(question => question.checks);
+    report.services[name] = {
+      name,
+      questions,
+      passedQuestions: questions.filter(question => question.passed).length,
+      passedChecks: checks.filter(check => check.passed).length,
+      totalChecks: checks.length
+    };
+  }
+
+  return report;
+};
+
+// Baseline: service -> question -> check -> passed
+export const toAnswerBaseline = (report) => Object.fromEntries(
+  Object.entries(report.services).map(([name, result]) => [
+    name,
+    Object.fromEntries(result.questions.map(question => [
+      question.id,
+      Object.fromEntries(question.checks.map(check => [check.name, check.passed]))
+    ]))
+  ])
+);
+
+// A regression is a check that passed in the baseline and fails now; new checks are never regressions
+export const diffAnswerReport = (report, baseline = {}) => {
+  const regressions = [];
+  const improvements = [];
+
+  Object.entries(report.services).forEach(([service, result]) => {
+    result.questions.forEach(question => {
+      question.checks.forEach(check => {
+        const before = baseline?.[service]?.[question.id]?.[check.name];
+        if (before === true && !check.passed) {
+          regressions.push({ service, question: question.id, check: check.name, expected: check.expected, actual: check.actual });
+        } else if (before === false && check.passed) {
+          improvements.push({ service, question: question.id, check: check.name });
+        }
+      });
+    });
+  });
+
+  return { regressions, improvements };
+};
+
+export const formatAnswerReport = (report, diff = null) => {
+  const lines = ['Answer quality report', ''];
+
+  Object.values(report.services).forEach(result => {
+    lines.push(`${result.name}: ${result.passedQuestions}/${result.questions.length} questions, ${result.passedChecks}/${result.totalChecks} checks`);
+    result.questions.filter(question => !question.passed).forEach(question => {
+      const failed = question.checks.filter(check => !check.passed).map(check => check.name);
+      lines.push(`  - ${question.id}: ${failed.join(', ')}`);
+    });
+  });
+
+  if (diff) {
+    lines.push('');
+    if (diff.regressions.length === 0) {
+      lines.push('No regressions against baseline');
+    }
+    diff.regressions.forEach(regression => {
+      lines.push(`REGRESSED ${regression.service} / ${regression.question} / ${regression.check}: expected ${JSON.stringify(regression.expected)}, got ${JSON.stringify(regression.actual)}`);
+    });
+    diff.improvements.forEach(improvement => {
+      lines.push(`Improved ${improvement.service} / ${improvement.question} / ${improvement.check}`);
+    });
+  }
+
+  return lines.join('\n');
+};
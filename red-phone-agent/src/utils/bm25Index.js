@@ -0,0 +1,280 @@
+// BM25 inverted index for Red Phone Agent keyword search
+// Multi-field documents with stemming, stop-word removal, quoted phrase queries, field boosts and snippets
+
+import { STOPWORDS } from './embeddingProviders.js';
+
+const TOKEN_PATTERN = /[A-Za-z0-9]+(?:[-.][A-Za-z0-9]+)*/g;
+const CAMEL_PART_PATTERN = /[A-Z]?[a-z0-9]+|[A-Z]+(?![a-z])/g;
+
+// Suffixes removed in order; the first match wins and the remaining stem must keep at least minStem characters
+const INFLECTION_SUFFIXES = [
+  ['sses', 'ss', 3],
+  ['ies', 'y', 3],
+  ['ings', '', 3],
+  ['ing', '', 3],
+  ['edly', '', 3],
+  ['ed', '', 3],
+  ['s', '', 3]
+];
+const DERIVATION_SUFFIXES = [
+  ['ations', 'ate', 3],
+  ['ation', 'ate', 3],
+  ['ments', '', 4],
+  ['ment', '', 4],
+  ['al', '', 4],
+  ['e', '', 3]
+];
+
+const stripSuffix = (word, suffixes) => {
+  for (const [suffix, replacement, minStem] of suffixes) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= minStem) {
+      return word.slice(0, -suffix.length) + replacement;
+    }
+  }
+  return word;
+};
+
+// Light suffix stemmer: "approvals", "approved" and "approve" all become "approv"
+export const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  // Keep words like "business", "status" and "analysis" intact
+  if (/(ss|us|is)$/.test(word)) return word;
+
+  let result = stripSuffix(word, INFLECTION_SUFFIXES);
+
+  // "planned" -> "plann" -> "plan"
+  if (/(ings?|ed|edly)$/.test(word) && /([^aeiouslz])\1$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  // Two passes so "requirement" -> "require" -> "requir" meets "required"
+  for (let pass = 0; pass < 2; pass++) {
+    result = stripSuffix(result, DERIVATION_SUFFIXES);
+  }
+  return result;
+};
+
+// Tokens with their character offsets and positions; camelCase keys and hyphenated words are split,
+// while hyphenated IDs containing digits (CASE-2024-001) stay whole
+export const analyze = (text) => {
+  const tokens = [];
+  const source = String(text || '');
+  let position = 0;
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    const raw = match[0];
+    const parts = [];
+
+    if (/\d/.test(raw) && /-/.test(raw)) {
+      parts.push({ text: raw, offset: 0 });
+    } else {
+      let part;
+      CAMEL_PART_PATTERN.lastIndex = 0;
+      while ((part = CAMEL_PART_PATTERN.exec(raw)) !== null) {
+        parts.push({ text: part[0], offset: part.index });
+      }
+    }
+
+    for (const part of parts) {
+      const word = part.text.toLowerCase();
+      const start = match.index + part.offset;
+      if (!STOPWORDS.has(word)) {
+        tokens.push({ term: stem(word), position, start, end: start + part.text.length });
+      }
+      position++;
+    }
+  }
+
+  return tokens;
+};
+
+// Split a query into free terms and quoted phrases; phrase terms keep their relative offsets
+export const parseQuery = (query) => {
+  const phrases = [];
+  const freeText = String(query || '').replace(/"([^"]+)"/g, (whole, phrase) => {
+    const tokens = analyze(phrase);
+    if (tokens.length > 0) {
+      const first = tokens[0].position;
+      phrases.push(tokens.map(token => ({ term: token.term, offset: token.position - first })));
+    }
+    return ' ';
+  });
+
+  const terms = analyze(freeText).map(token => token.term);
+  phrases.forEach(phrase => phrase.forEach(({ term }) => terms.push(term)));
+
+  return { terms: [...new Set(terms)], phrases };
+};
+
+class Bm25Index {
+  constructor({ fieldBoosts = { title: 3, tags: 2, body: 1 }, k1 = 1.2, b = 0.75 } = {}) {
+    this.fieldBoosts = fieldBoosts;
+    this.k1 = k1;
+    this.b = b;
+    this.documents = new Map(); // id -> { fields, lengths, meta }
+    this.postings = new Map(); // term -> Map(id -> { field: [positions] })
+    this.totalFieldLengths = {};
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  get vocabularySize() {
+    return this.postings.size;
+  }
+
+  addDocument(id, fields, meta = {}) {
+    if (this.documents.has(id)) this.removeDocument(id);
+
+    const lengths = {};
+    Object.entries(fields).forEach(([field, text]) => {
+      const tokens = analyze(text);
+      lengths[field] = tokens.length;
+      this.totalFieldLengths[field] = (this.totalFieldLengths[field] || 0) + tokens.length;
+
+      tokens.forEach(({ term, position }) => {
+        if (!this.postings.has(term)) this.postings.set(term, new Map());
+        const docPostings = this.postings.get(term);
+        if (!docPostings.has(id)) docPostings.set(id, {});
+        const fieldPositions = docPostings.get(id);
+        (fieldPositions[field] = fieldPositions[field] || []).push(position);
+      });
+    });
+
+    this.documents.set(id, { fields, lengths, meta });
+  }
+
+  removeDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) return false;
+
+    Object.entries(document.lengths).forEach(([field, length]) => {
+      this.totalFieldLengths[field] -= length;
+    });
+    this.postings.forEach((docPostings, term) => {
+      docPostings.delete(id);
+      if (docPostings.size === 0) this.postings.delete(term);
+    });
+    return this.documents.delete(id);
+  }
+
+  averageFieldLength(field) {
+    return this.documents.size > 0 ? (this.totalFieldLengths[field] || 0) / this.documents.size : 0;
+  }
+
+  idf(term) {
+    const documentFrequency = this.postings.get(term)?.size || 0;
+    return Math.log(1 + (this.documents.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  // BM25F: boosted, length-normalised term frequencies are summed across fields before saturation
+  scoreTerm(term, id) {
+    const fieldPositions = this.postings.get(term)?.get(id);
+    if (!fieldPositions) return 0;
+
+    const { lengths } = this.documents.get(id);
+    let weightedFrequency = 0;
+    Object.entries(fieldPositions).forEach(([field, positions]) => {
+      const boost = this.fieldBoosts[field] ?? 1;
+      const averageLength = this.averageFieldLength(field) || 1;
+      weightedFrequency += boost * positions.length / (1 - this.b + this.b * lengths[field] / averageLength);
+    });
+
+    return this.idf(term) * (weightedFrequency * (this.k1 + 1)) / (weightedFrequency + this.k1);
+  }
+
+  // Fields in which every phrase term appears at its relative offset
+  matchPhrase(phrase, id) {
+    const [first, ...rest] = phrase;
+    const firstPositions = this.postings.get(first.term)?.get(id);
+    if (!firstPositions) return [];
+
+    return Object.entries(firstPositions)
+      .filter(([field, positions]) => positions.some(start => rest.every(({ term, offset }) => (
+        this.postings.get(term)?.get(id)?.[field]?.includes(start + offset)
+      ))))
+      .map(([field]) => field);
+  }
+
+  search(query, { limit = 10, filter = null, snippetLength = 160 } = {}) {
+    const { terms, phrases } = parseQuery(query);
+    if (terms.length === 0) return [];
+
+    const candidates = new Set();
+    terms.forEach(term => {
+      this.postings.get(term)?.forEach((positions, id) => candidates.add(id));
+    });
+
+    const results = [];
+    candidates.forEach(id => {
+      const document = this.documents.get(id);
+      if (filter && !filter(document.meta, id)) return;
+      if (phrases.some(phrase => this.matchPhrase(phrase, id).length === 0)) return;
+
+      const matchedTerms = terms.filter(term => this.postings.get(term)?.has(id));
+      const score = matchedTerms.reduce((sum, term) => sum + this.scoreTerm(term, id), 0);
+
+      results.push({
+        id,
+        score: Math.round(score * 1000) / 1000,
+        matchedTerms,
+        meta: document.meta,
+        snippet: this.buildSnippet(document, matchedTerms, snippetLength)
+      });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+
+  // Window of the first matching field (body, then tags, then title) around the densest cluster of hits,
+  // with matching words in **bold**
+  buildSnippet(document, matchedTerms, maxLength) {
+    const wanted = new Set(matchedTerms);
+    const match = ['body', 'tags', 'title', ...Object.keys(document.fields)]
+      .filter((field, index, all) => document.fields[field] && all.indexOf(field) === index)
+      .map(field => ({ text: String(document.fields[field]), hits: analyze(document.fields[field]).filter(token => wanted.has(token.term)) }))
+      .find(candidate => candidate.hits.length > 0);
+
+    if (!match) return '';
+    const { text } = match;
+    const hits = expandToWords(text, match.hits);
+
+    // Start at the hit whose window covers the most other hits
+    let windowStart = hits[0].start;
+    let bestCount = 0;
+    hits.forEach(hit => {
+      const count = hits.filter(other => other.start >= hit.start && other.end <= hit.start + maxLength).length;
+      if (count > bestCount) {
+        bestCount = count;
+        windowStart = hit.start;
+      }
+    });
+
+    const start = Math.max(0, windowStart - Math.floor(maxLength / 4));
+    const end = Math.min(text.length, start + maxLength);
+    let snippet = '';
+    let cursor = start;
+    hits.filter(hit => hit.start >= start && hit.end <= end).forEach(hit => {
+      snippet += `${text.slice(cursor, hit.start)}**${text.slice(hit.start, hit.end)}**`;
+      cursor = hit.end;
+    });
+    snippet += text.slice(cursor, end);
+
+    return `${start > 0 ? '…' : ''}${snippet.trim()}${end < text.length ? '…' : ''}`;
+  }
+}
+
+// Widen camelCase part hits to whole words ("additionalDiscount") and merge overlaps
+const expandToWords = (text, hits) => hits
+  .map(hit => {
+    let { start, end } = hit;
+    while (start > 0 && /[A-Za-z0-9]/.test(text[start - 1])) start--;
+    while (end < text.length && /[A-Za-z0-9]/.test(text[end])) end++;
+    return { start, end };
+  })
+  .filter((hit, index, all) => index === 0 || hit.start >= all[index - 1].end);
+
+export default Bm25Index;
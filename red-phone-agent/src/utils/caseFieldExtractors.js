@@ -0,0 +1,99 @@
+// Case Field Extractors for Red Phone Agent
+// Pull case field values (start date, spend, deal length, discount, priority) out of free-text chat messages
+
+export const MONTHS = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|jun(?:e)?|jul(?:y)?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+export const DATE_PATTERN = `(\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\/\\d{1,2}\\/\\d{2,4}|(?:${MONTHS})\\.? \\d{1,2}(?:st|nd|rd|th)?(?:,? \\d{4})?|\\d{1,2}(?:st|nd|rd|th)? (?:${MONTHS})(?:,? \\d{4})?)`;
+export const AMOUNT_PATTERN = '(\\$?\\d[\\d,]*(?:\\.\\d+)?(?:\\s*(?:k|m|thousand|million)\\b)?)';
+
+// "$1.2m", "250k", "80,000" -> number
+export const parseAmount = (text) => {
+  const match = String(text).toLowerCase().replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?)(k|m|thousand|million)?$/);
+  if (!match) return null;
+  const multiplier = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6 }[match[2]] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier * 100) / 100;
+};
+
+// Dates without a year are assumed to be the next occurrence; returns YYYY-MM-DD or null
+export const parseDate = (text, now = new Date()) => {
+  const clean = String(text).replace(/(\d)(st|nd|rd|th)/i, '$1').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(clean)) {
+    return Number.isNaN(new Date(`${clean}T00:00:00Z`).getTime()) ? null : clean;
+  }
+
+  // Date() accepts almost anything, so only hand it month names or slash dates
+  if (!/\d/.test(clean) || !(new RegExp(`\\b(${MONTHS})\\b`, 'i').test(clean) || clean.includes('/'))) return null;
+
+  const hasYear = /\d{4}$|\/\d{2,4}$/.test(clean);
+  const parsed = new Date(hasYear ? clean : `${clean} ${now.getFullYear()}`);
+  if (Number.isNaN(parsed.getTime())) return null;
+  if (!hasYear && parsed < new Date(now.getFullYear(), now.getMonth(), now.getDate())) {
+    parsed.setFullYear(parsed.getFullYear() + 1);
+  }
+
+  const pad = value => String(value).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+};
+
+// volunteered: the value may be picked up from a plain follow-up message ("start date is March 1");
+// other fields are only changed when the rep explicitly asks to update the case
+export const caseFieldExtractors = [
+  {
+    field: 'customerStartDate',
+    label: 'Customer Start Date',
+    volunteered: true,
+    pattern: new RegExp(`start(?:s|ing)?(?: date)?(?: is| of| on| will be)?:?\\s*${DATE_PATTERN}`, 'i'),
+    parse: parseDate
+  },
+  {
+    field: 'annualSpendUsd',
+    label: 'Annual Spend (USD)',
+    volunteered: true,
+    pattern: new RegExp(`(?:annual|yearly|average) spend(?: is| of| will be)?:?\\s*(?:about |around )?${AMOUNT_PATTERN}|${AMOUNT_PATTERN}\\s*(?:usd\\s*)?(?:per year|a year|annually|\\/\\s*year|per annum)`, 'i'),
+    parse: parseAmount
+  },
+  {
+    field: 'maxFirstYearSpend',
+    label: 'Max First Year Spend',
+    volunteered: true,
+    pattern: new RegExp(`first[- ]year (?:spend|budget)(?: is| of)?:?\\s*(?:up to |about )?${AMOUNT_PATTERN}`, 'i'),
+    parse: parseAmount
+  },
+  {
+    field: 'dealLength',
+    label: 'Deal Length (years)',
+    volunteered: true,
+    pattern: /\b(\d+|two|three|four|five)[- ]year (?:deal|term|contract|agreement)\b/i,
+    parse: text => ({ two: 2, three: 3, four: 4, five: 5 }[text.toLowerCase()] || parseInt(text, 10))
+  },
+  {
+    field: 'requestedDiscount',
+    label: 'Requested Discount %',
+    volunteered: false,
+    pattern: /(\d+(?:\.\d+)?)\s*%/,
+    parse: text => parseFloat(text)
+  },
+  {
+    field: 'priority',
+    label: 'Priority',
+    volunteered: false,
+    pattern: /\b(low|medium|high|critical)\b(?= priority)|priority (?:to |as |is )?(low|medium|high|critical)\b/i,
+    parse: text => text.charAt(0).toUpperCase() + text.slice(1).toLowerCase()
+  }
+];
+
+// { field: { value, label, volunteered } } for every extractor that matched with a valid value
+export const extractCaseFields = (message, { now = new Date(), extractors = caseFieldExtractors } = {}) => {
+  const fields = {};
+
+  extractors.forEach(extractor => {
+    const match = String(message).match(extractor.pattern);
+    const raw = match && match.slice(1).find(group => group !== undefined);
+    if (!raw) return;
+
+    const value = extractor.parse(raw.trim(), now);
+    if (value === null || value === undefined || Number.isNaN(value)) return;
+    fields[extractor.field] = { value, label: extractor.label, volunteered: extractor.volunteered };
+  });
+
+  return fields;
+};
@@ -0,0 +1,99 @@
+// Case Lifecycle for Red Phone Agent
+// Case statuses and the transitions allowed between them, shared by the browser and server case stores
+
+export const CASE_STATUSES = ['Draft', 'Submitted', 'In Review', 'Approved', 'Rejected', 'Closed', 'Cancelled'];
+
+export const CASE_TRANSITIONS = {
+  Draft: ['Submitted', 'Cancelled'],
+  Submitted: ['In Review', 'Cancelled'],
+  'In Review': ['Approved', 'Rejected', 'Cancelled'],
+  Approved: ['Closed'],
+  Rejected: ['Closed'],
+  Closed: [],
+  Cancelled: []
+};
+
+// Fields owned by the store; callers cannot set them through create or update
+export const RESERVED_CASE_FIELDS = [
+  'id', 'caseId', 'status', 'auditTrail', 'createdAt', 'createdBy', 'updatedAt',
+  'submittedAt', 'resolvedAt', 'closedAt', 'slaDueAt', 'escalationLevel'
+];
+
+export const isTerminalStatus = (status) => CASE_TRANSITIONS[status]?.length === 0;
+
+export const canTransition = (from, to) => Boolean(CASE_TRANSITIONS[from]?.includes(to));
+
+export const validateTransition = (from, to) => {
+  if (!CASE_STATUSES.includes(to)) {
+    return `Unknown case status "${to}"`;
+  }
+  if (!canTransition(from, to)) {
+    return `Cannot move a case from ${from} to ${to}`;
+  }
+  return null;
+};
+
+// Case IDs are CASE-<year>-<sequence>, e.g. CASE-2025-0007
+export const formatCaseId = (sequence, date = new Date()) => (
+  `CASE-${date.getFullYear()}-${String(sequence).padStart(4, '0')}`
+);
+
+// Statuses that stop the SLA clock
+export const RESOLVED_STATUSES = ['Approved', 'Rejected', 'Closed', 'Cancelled'];
+
+// Escalation moves a case one step up this list
+export const CASE_PRIORITIES = ['Low', 'Medium', 'High', 'Critical'];
+
+// Response targets quoted in the case confirmation messages
+export const CASE_SLA_HOURS = { Low: 168, Medium: 72, High: 24, Critical: 4 };
+
+const HOUR_MS = 60 * 60 * 1000;
+const DUE_SOON_MS = 4 * HOUR_MS;
+
+// Forms use both "High" and "high"
+export const normalizePriority = (priority) => (
+  CASE_PRIORITIES.find(level => level.toLowerCase() === String(priority || '').toLowerCase()) || 'Medium'
+);
+
+export const nextPriority = (priority) => {
+  const index = CASE_PRIORITIES.indexOf(normalizePriority(priority));
+  return CASE_PRIORITIES[Math.min(index + 1, CASE_PRIORITIES.length - 1)];
+};
+
+export const getSlaDueAt = (priority, from) => (
+  new Date(new Date(from).getTime() + CASE_SLA_HOURS[normalizePriority(priority)] * HOUR_MS).toISOString()
+);
+
+export const formatDuration = (ms) => {
+  const minutes = Math.max(0, Math.round(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
+
+// { state: not_started | on_track | due_soon | breached | met | missed, dueAt, remainingMs, label }
+export const getSlaStatus = (caseRecord, now = new Date()) => {
+  const dueAt = caseRecord.slaDueAt;
+  if (!dueAt) {
+    return { state: 'not_started', dueAt: null, remainingMs: null, label: 'SLA starts on submission' };
+  }
+
+  const due = new Date(dueAt).getTime();
+  if (RESOLVED_STATUSES.includes(caseRecord.status) && caseRecord.resolvedAt) {
+    const met = new Date(caseRecord.resolvedAt).getTime() <= due;
+    return { state: met ? 'met' : 'missed', dueAt, remainingMs: null, label: met ? 'Resolved within SLA' : 'Resolved after SLA' };
+  }
+
+  const remainingMs = due - new Date(now).getTime();
+  if (remainingMs < 0) {
+    return { state: 'breached', dueAt, remainingMs, label: `Overdue by ${formatDuration(-remainingMs)}` };
+  }
+  return {
+    state: remainingMs <= DUE_SOON_MS ? 'due_soon' : 'on_track',
+    dueAt,
+    remainingMs,
+    label: `${formatDuration(remainingMs)} left`
+  };
+};
@@ -1,21 +1,15 @@
 // Case Routing Logic for Red Phone Agent
 // Intelligent routing based on request type, complexity, deal size, and urgency
 
-import { getApprovalRequirement, getDiscountPolicy, rulesOfEngagement } from '../data/rulesOfEngagement.js';
+import { getApprovalRequirement, getDiscountPolicy } from '../data/rulesOfEngagement.js';
+import policyRulesEngine from './policyRulesEngine.js';
 
 class CaseRouter {
   constructor() {
     // Define routing rules and approval hierarchies
     this.routingRules = {
       // Approval levels in order of authority
-      approvalLevels: [
-        { level: 1, title: 'Auto-approved', response: 'Immediate' },
-        { level: 2, title: 'Sales Manager', response: '24 hours' },
-        { level: 3, title: 'Regional Director', response: '48 hours' },
-        { level: 4, title: 'VP Sales', response: '72 hours' },
-        { level: 5, title: 'VP Sales + Finance', response: '1 week' },
-        { level: 6, title: 'VP Sales + CEO', response: '1 week' }
-      ],
+      approvalLevels: policyRulesEngine.getApprovalLevels(),
 
       // Team specializations
       teams: {
@@ -214,16 +208,8 @@ class CaseRouter {
       primaryApprover = approvalReq.discountApproval.approver;
       timeline = approvalReq.discountApproval.timeframe;
       
-      // Map approver to level
-      if (primaryApprover.includes('VP') && primaryApprover.includes('Finance')) {
-        level = 5;
-      } else if (primaryApprover.includes('VP')) {
-        level = 4;
-      } else if (primaryApprover.includes('Director')) {
-        level = 3;
-      } else if (primaryApprover.includes('Manager')) {
-        level = 2;
-      }
+      // Not auto-approvable, so at least a manager even when the discount tier is auto-approved
+      level = Math.max(level, approvalReq.discountApproval.approvalLevel);
     } else {
       // Category-based routing
       switch (caseData.category) {
@@ -299,10 +285,8 @@ class CaseRouter {
     };
   }
 
-  assignTeam(caseData, analysis) {
-    const teams = this.routingRules.teams;
-    
-    // Primary team based on category
+  // Team key ("pricing", "legal", ...) for a case category
+  getTeamKey(category) {
     const categoryTeamMap = {
       'pricing': 'pricing',
       'dealStructure': 'pricing',
@@ -314,8 +298,92 @@ class CaseRouter {
       'general': 'pricing'
     };
 
-    const primaryTeamType = categoryTeamMap[caseData.category] || 'pricing';
-    const primaryTeam = teams[primaryTeamType];
+    return categoryTeamMap[category] || 'pricing';
+  }
+
+  // Team specialization for a case category
+  getTeamForCategory(category) {
+    return this.routingRules.teams[this.getTeamKey(category)];
+  }
+
+  // Assignees in escalation order: primary, secondary, escalation
+  getEscalationChain(category) {
+    const team = this.getTeamForCategory(category);
+    return [team.primary, team.secondary, team.escalation];
+  }
+
+  // Case form labels ("Deal Structure") and router keys ("dealStructure") both map onto a routing category
+  normalizeCategory(category) {
+    const formLabels = {
+      'deal structure': 'dealStructure',
+      'system issues': 'technical',
+      'pilot program': 'pilotProgram',
+      'customer success': 'customerSuccess'
+    };
+    const key = String(category || 'general').toLowerCase();
+    return formLabels[key] || key;
+  }
+
+  // routeCase input from a stored case; the inline and full case forms name some fields differently
+  toRoutingInput(caseRecord) {
+    return {
+      ...caseRecord,
+      category: this.normalizeCategory(caseRecord.category),
+      priority: String(caseRecord.priority || 'medium').toLowerCase(),
+      discountRequested: caseRecord.discountRequested ?? caseRecord.requestedDiscount,
+      timeframe: caseRecord.timeframe || caseRecord.timeline
+    };
+  }
+
+  getApprovalLevel(title) {
+    return this.routingRules.approvalLevels.find(level => level.title === title) || null;
+  }
+
+  getNextApprovalLevel(level) {
+    return this.routingRules.approvalLevels.find(candidate => candidate.level === level + 1) || null;
+  }
+
+  // "24 hours", "1 week", "Immediate" -> hours
+  getResponseHours(response) {
+    const match = String(response || '').toLowerCase().match(/(\d+)?\s*(hour|day|week)/);
+    if (!match) return 0;
+    const hoursPerUnit = { hour: 1, day: 24, week: 168 };
+    return (parseInt(match[1], 10) || 1) * hoursPerUnit[match[2]];
+  }
+
+  // Ordered approval steps for a routed case: the escalation path plus the required approval level,
+  // one step per approval level. Combined levels ("VP Sales + Finance") are parallel approvals and
+  // absorb an earlier step for one of their approvers
+  buildApprovalSteps(routing = {}) {
+    if (routing.approvalLevel === 1) return [];
+
+    const titles = [...(routing.escalationPath || [])];
+    if (this.getApprovalLevel(routing.primaryApprover) && !titles.includes(routing.primaryApprover)) {
+      titles.push(routing.primaryApprover);
+    }
+
+    const levels = [...new Set(titles)]
+      .map(title => this.getApprovalLevel(title))
+      .filter(Boolean)
+      .sort((a, b) => a.level - b.level);
+    const approversOf = level => level.title.split(' + ');
+
+    return levels
+      .filter((level, index) => !levels.slice(index + 1).some(later => (
+        approversOf(level).every(approver => approversOf(later).includes(approver))
+      )))
+      .map(level => ({
+        level: level.level,
+        title: level.title,
+        response: level.response,
+        slaHours: this.getResponseHours(level.response),
+        approvers: approversOf(level)
+      }));
+  }
+
+  assignTeam(caseData, analysis) {
+    // Primary team based on category
+    const primaryTeam = this.getTeamForCategory(caseData.category);
 
     // Supporting teams based on complexity and risk
     const supportingTeams = [];
@@ -1,25 +1,76 @@
 // Context Manager for Red Phone Agent
 // Manages conversation flow, context continuity, and state persistence
 
+import { createDefaultStorage } from './storageAdapters.js';
+
+const STORE_KEY = 'conversations';
+const STORE_VERSION = 1;
+
+// Chat messages kept per conversation so it can be resumed after a reload
+const MAX_TRANSCRIPT_LENGTH = 100;
+
 class ContextManager {
-  constructor() {
+  // Contexts are restored from storage on load; anything past the expiry time is dropped
+  constructor({
+    storage = createDefaultStorage(),
+    clock = () => Date.now(),
+    cleanupIntervalMs = 5 * 60 * 1000
+  } = {}) {
+    this.storage = storage;
+    this.clock = clock;
     this.conversations = new Map(); // sessionId -> conversationState
     this.maxContextLength = 20; // Maximum messages to keep in context
     this.contextExpiryTime = 30 * 60 * 1000; // 30 minutes
     this.activeContexts = new Set(); // Track active conversation sessions
-    
-    // Cleanup expired contexts every 5 minutes
-    setInterval(() => this.cleanupExpiredContexts(), 5 * 60 * 1000);
+    this.lastSessionId = null; // Conversation the rep had open most recently
+
+    this.restore();
+
+    // Cleanup expired contexts every 5 minutes; unref'd in node so the timer never keeps a process alive
+    this.cleanupTimer = cleanupIntervalMs
+      ? setInterval(() => this.cleanupExpiredContexts(), cleanupIntervalMs)
+      : null;
+    this.cleanupTimer?.unref?.();
+  }
+
+  dispose() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
+  }
+
+  restore() {
+    const saved = this.storage.load(STORE_KEY);
+    if (!saved || saved.version !== STORE_VERSION) return;
+
+    const now = this.clock();
+    saved.contexts
+      .filter(context => now - context.lastAccessed <= this.contextExpiryTime)
+      .forEach(context => this.conversations.set(context.sessionId, context));
+    this.lastSessionId = this.conversations.has(saved.lastSessionId) ? saved.lastSessionId : null;
+  }
+
+  // Message analysis is only needed while the turn is processed, so it is not stored
+  persist() {
+    const contexts = [...this.conversations.values()].map(context => ({
+      ...context,
+      messages: context.messages.map(({ analysis, ...message }) => message)
+    }));
+    return this.storage.save(STORE_KEY, { version: STORE_VERSION, lastSessionId: this.lastSessionId, contexts }) !== false;
+  }
+
+  hasContext(sessionId) {
+    return this.conversations.has(sessionId);
   }
 
   // Initialize or get conversation context
   getOrCreateContext(sessionId) {
     if (!this.conversations.has(sessionId)) {
       this.conversations.set(sessionId, this.createNewContext(sessionId));
+      this.persist();
     }
     
     const context = this.conversations.get(sessionId);
-    context.lastAccessed = Date.now();
+    context.lastAccessed = this.clock();
     this.activeContexts.add(sessionId);
     
     return context;
@@ -28,9 +79,11 @@ class ContextManager {
   createNewContext(sessionId) {
     return {
       sessionId,
-      createdAt: Date.now(),
-      lastAccessed: Date.now(),
+      createdAt: this.clock(),
+      lastAccessed: this.clock(),
+      title: null, // first question the rep asked, for the recent conversations list
       messages: [],
+      transcript: [], // chat messages as shown in the chat window
       currentTopic: null,
       userProfile: {
         preferredResponseStyle: 'detailed', // brief, detailed, technical
@@ -49,7 +102,8 @@ class ContextManager {
       dealContext: {
         currentDeal: null, // if discussing a specific deal
         mentionedDeals: [], // all deals mentioned in conversation
-        activeScenario: null // current scenario being discussed
+        activeScenario: null, // current scenario being discussed
+        activeQuote: null // quote open in Solution Builder
       },
       preferences: {
         wantsDetailedExplanations: true,
@@ -83,6 +137,7 @@ class ContextManager {
       this.updateContextState(context, analysis);
     }
 
+    this.persist();
     return messageEntry;
   }
 
@@ -134,6 +189,57 @@ class ContextManager {
     }
   }
 
+  // Called when the rep switches quote tabs in Solution Builder
+  setActiveQuote(sessionId, quote) {
+    const context = this.getOrCreateContext(sessionId);
+    context.dealContext.activeQuote = quote;
+    this.persist();
+  }
+
+  setActiveScenario(sessionId, scenarioId) {
+    const context = this.getOrCreateContext(sessionId);
+    context.dealContext.activeScenario = scenarioId;
+    this.persist();
+  }
+
+  // Chat window messages for resuming the conversation; streamed replies are stored once complete
+  saveTranscript(sessionId, messages) {
+    const context = this.getOrCreateContext(sessionId);
+    context.transcript = messages.filter(message => !message.streaming).slice(-MAX_TRANSCRIPT_LENGTH);
+
+    const firstQuestion = context.transcript.find(message => message.role === 'user');
+    if (!context.title && firstQuestion) {
+      context.title = firstQuestion.content.length > 60 ? `${firstQuestion.content.slice(0, 57)}...` : firstQuestion.content;
+    }
+
+    this.lastSessionId = sessionId;
+    return this.persist();
+  }
+
+  getTranscript(sessionId) {
+    return this.conversations.get(sessionId)?.transcript || [];
+  }
+
+  getLastSessionId() {
+    return this.conversations.has(this.lastSessionId) ? this.lastSessionId : null;
+  }
+
+  // Conversations the rep asked something in, most recent first; expired ones are cleaned up first
+  listConversations() {
+    this.cleanupExpiredContexts();
+
+    return [...this.conversations.values()]
+      .filter(context => context.transcript?.some(message => message.role === 'user'))
+      .sort((a, b) => b.lastAccessed - a.lastAccessed)
+      .map(context => ({
+        sessionId: context.sessionId,
+        title: context.title,
+        createdAt: context.createdAt,
+        lastAccessed: context.lastAccessed,
+        messageCount: context.transcript.length
+      }));
+  }
+
   updateUserProfile(context, analysis) {
     const { intent, complexity } = analysis;
 
@@ -320,6 +426,7 @@ class ContextManager {
       context.conversationState.pendingActions = context.conversationState.pendingActions.slice(-3);
     }
 
+    this.persist();
     return actionEntry.id;
   }
 
@@ -333,6 +440,7 @@ class ContextManager {
       action.status = status;
       action.completedAt = Date.now();
       if (result) action.result = result;
+      this.persist();
       return true;
     }
     return false;
@@ -366,6 +474,7 @@ class ContextManager {
     } else if (preferences.needsStepByStepGuidance) {
       context.userProfile.preferredResponseStyle = 'detailed';
     }
+    this.persist();
   }
 
   // Get conversation summary for handoff or escalation
@@ -403,6 +512,7 @@ class ContextManager {
     if (this.conversations.has(sessionId)) {
       this.conversations.delete(sessionId);
       this.activeContexts.delete(sessionId);
+      this.persist();
       return true;
     }
     return false;
@@ -422,7 +532,7 @@ class ContextManager {
 
   // Cleanup expired contexts
   cleanupExpiredContexts() {
-    const now = Date.now();
+    const now = this.clock();
     const expiredSessions = [];
 
     for (const [sessionId, context] of this.conversations.entries()) {
@@ -437,6 +547,7 @@ class ContextManager {
     });
 
     if (expiredSessions.length > 0) {
+      this.persist();
       console.log(`Cleaned up ${expiredSessions.length} expired conversation contexts`);
     }
   }
@@ -516,6 +627,7 @@ class ContextManager {
       conversationHistory: this.getConversationHistory(sessionId, 5),
       contextualEntities: context.conversationState.contextualEntities,
       currentDeal: context.dealContext.currentDeal,
+      activeQuote: context.dealContext.activeQuote,
       userProfile: context.userProfile,
       pendingActions: context.conversationState.pendingActions.filter(a => a.status === 'pending'),
       isFollowUp: context.conversationState.followUpExpected,
@@ -527,4 +639,5 @@ class ContextManager {
 // Create singleton instance
 const contextManager = new ContextManager();
 
+export { ContextManager };
 export default contextManager;
@@ -0,0 +1,144 @@
+// Embedding providers for Red Phone Agent semantic search
+// A dependency-free hashed n-gram TF-IDF embedder for offline use, plus an adapter for remote embedding APIs
+//
+// Provider interface:
+//   name, dimensions, isAsync
+//   embed(texts) -> number[][] (or a Promise for async providers)
+//   fit(texts), partialFit({ add, remove }), getState(), setState(state)   (optional, corpus-aware providers)
+
+export const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'i', 'in', 'is', 'it',
+  'its', 'me', 'my', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'was', 'we', 'what', 'when',
+  'which', 'who', 'will', 'with', 'you', 'your', 'do', 'does', 'can', 'how', 'need', 'true', 'false'
+]);
+
+// FNV-1a 32-bit string hash
+export const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+export const tokenize = (text) => (text || '')
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .match(/[a-z0-9]+(?:[.-][a-z0-9]+)*/g) || [];
+
+// Word unigrams and bigrams plus character trigrams, so "approvals" still lands near "approval"
+export const extractFeatures = (text) => {
+  const words = tokenize(text).filter(word => !STOPWORDS.has(word));
+  const features = [];
+
+  words.forEach((word, index) => {
+    features.push(`w:${word}`);
+    if (index > 0) features.push(`b:${words[index - 1]}_${word}`);
+
+    const padded = `^${word}$`;
+    if (padded.length > 4) {
+      for (let i = 0; i <= padded.length - 3; i++) {
+        features.push(`c:${padded.substring(i, i + 3)}`);
+      }
+    }
+  });
+
+  return features;
+};
+
+export const normalize = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+// Hashed TF-IDF: features are hashed into a fixed number of signed buckets and weighted by
+// sublinear term frequency times inverse document frequency learned from the indexed corpus
+export const createHashedTfidfEmbedder = ({ dimensions = 512 } = {}) => {
+  let documentCount = 0;
+  let documentFrequency = new Array(dimensions).fill(0);
+
+  const bucketCounts = (text) => {
+    const counts = new Map();
+    extractFeatures(text).forEach(feature => {
+      const hash = hashString(feature);
+      const bucket = hash % dimensions;
+      const sign = (hash >>> 31) === 1 ? -1 : 1;
+      counts.set(bucket, (counts.get(bucket) || 0) + sign);
+    });
+    return counts;
+  };
+
+  const addToStatistics = (text, direction) => {
+    bucketCounts(text).forEach((count, bucket) => {
+      if (count !== 0) documentFrequency[bucket] = Math.max(0, documentFrequency[bucket] + direction);
+    });
+    documentCount = Math.max(0, documentCount + direction);
+  };
+
+  const idf = bucket => Math.log((documentCount + 1) / (documentFrequency[bucket] + 1)) + 1;
+
+  return {
+    name: 'hashed-tfidf',
+    dimensions,
+    isAsync: false,
+
+    fit(texts) {
+      documentCount = 0;
+      documentFrequency = new Array(dimensions).fill(0);
+      texts.forEach(text => addToStatistics(text, 1));
+    },
+
+    // Incremental statistics update; removed documents are identified by their stored vectors
+    partialFit({ add = [], remove = [] } = {}) {
+      add.forEach(text => addToStatistics(text, 1));
+      remove.forEach(vector => {
+        vector.forEach((value, bucket) => {
+          if (value !== 0) documentFrequency[bucket] = Math.max(0, documentFrequency[bucket] - 1);
+        });
+        documentCount = Math.max(0, documentCount - 1);
+      });
+    },
+
+    embed(texts) {
+      return texts.map(text => {
+        const vector = new Array(dimensions).fill(0);
+        bucketCounts(text).forEach((count, bucket) => {
+          if (count === 0) return;
+          const tf = 1 + Math.log(Math.abs(count));
+          vector[bucket] = Math.sign(count) * tf * idf(bucket);
+        });
+        return normalize(vector);
+      });
+    },
+
+    getState() {
+      return { documentCount, documentFrequency: [...documentFrequency] };
+    },
+
+    setState(state) {
+      if (!state || state.documentFrequency?.length !== dimensions) return false;
+      documentCount = state.documentCount;
+      documentFrequency = [...state.documentFrequency];
+      return true;
+    }
+  };
+};
+
+// Remote embeddings (e.g. aiService.requestEmbeddings via /api/embeddings); always async
+export const createApiEmbedder = ({ embedTexts, name = 'api', dimensions = null, batchSize = 32 }) => ({
+  name,
+  dimensions,
+  isAsync: true,
+
+  async embed(texts) {
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += batchSize) {
+      const batch = await embedTexts(texts.slice(i, i + batchSize));
+      vectors.push(...batch.map(normalize));
+    }
+    return vectors;
+  }
+});
+
+export default createHashedTfidfEmbedder;
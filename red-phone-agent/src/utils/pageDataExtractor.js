@@ -1,61 +1,129 @@
 // Page Data Extractor for Solution Builder
-// Extracts customer and deal information from the current quote page
+// Extracts customer and deal information from the quote the rep has open
+
+import quoteStore from '../services/quoteStore.js';
+import { getQuoteTotals, getEndDate, formatTerm } from './quoteModel.js';
+import { parseQuoteImport } from './quoteTransfer.js';
+
+// Fields scraped from the page that hold numbers
+const NUMERIC_FIELDS = [
+  'deal.totalValue', 'deal.seats', 'deal.discount',
+  'quote.totalBeforeTax', 'quote.estimatedTax', 'quote.totalAfterTax',
+  'quantity', 'unitPrice', 'discount'
+];
+
+const emptyContact = () => ({ name: '', email: '', phone: '' });
+
+const emptyPageData = () => ({
+  source: 'none',
+  customer: { name: '', primaryContact: emptyContact(), billingContact: emptyContact(), address: {} },
+  deal: { totalValue: 0, currency: 'USD', dealType: '', segment: '', region: '', seats: null, discount: 0, products: [], timeline: '', startDate: '', endDate: '' },
+  quote: { id: '', name: '', status: '', createdDate: new Date().toISOString(), totalBeforeTax: 0, estimatedTax: 0, totalAfterTax: 0 }
+});
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+// data-value carries the raw value when the visible text is formatted ("$487,500.00")
+const readField = (element, field) => {
+  const raw = element.dataset.value ?? element.value ?? element.textContent.trim();
+  if (!NUMERIC_FIELDS.includes(field)) return raw;
+  const number = parseFloat(String(raw).replace(/[^0-9.-]/g, ''));
+  return Number.isNaN(number) ? null : number;
+};
+
+// Page data for a quote from the quote store
+export const quoteToPageData = (quote) => {
+  const totals = getQuoteTotals(quote);
 
-export const extractSolutionBuilderData = () => {
-  // In a real implementation, this would extract data from the actual DOM
-  // For demo purposes, we'll use the dummy data from our Solution Builder
-  
   return {
-    customer: {
-      name: "Pellegrino E2E Test 2fcol3xsi8ljg",
-      primaryContact: {
-        name: "firstname lastname",
-        email: "linkedin.ei@gmail.com", 
-        phone: "363199424"
-      },
-      billingContact: {
-        name: "firstname lastname",
-        email: "linkedin.ei@gmail.com",
-        phone: "363199424"
-      },
-      address: {
-        company: "Pellegrino E2E Test 2fcol3xsi8ljg",
-        street: "999 N Mathilda Ave",
-        city: "Sunnyvale",
-        state: "CA",
-        zipCode: "94085-3505",
-        country: "United States"
-      }
-    },
+    source: 'store',
+    customer: quote.customer,
     deal: {
-      totalValue: 487500.00,
-      currency: "USD",
-      dealType: "New Business", // Assumed from quote structure
-      segment: "Enterprise", // Inferred from product type
-      region: "NAMER", // Inferred from address
-      products: [
-        {
-          name: "Hiring Enterprise Program",
-          quantity: 1,
-          unitPrice: 487500.00,
-          features: ["Job Slot - Unlimited", "Recruiter Corporate - Unlimited", "Career Pages - Enterprise basic package"]
-        }
-      ],
-      timeline: "3 years",
-      startDate: "2025-07-21",
-      endDate: "2028-07-20"
+      totalValue: totals.subtotal,
+      currency: quote.currency,
+      dealType: quote.dealType,
+      segment: quote.segment,
+      region: quote.region,
+      seats: quote.seats ?? null,
+      discount: totals.effectiveDiscount,
+      products: quote.lineItems.map(item => ({
+        name: item.name,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        discount: item.discount || 0,
+        features: (item.features || []).map(feature => (feature.value ? `${feature.name} - ${feature.value}` : feature.name))
+      })),
+      timeline: formatTerm(quote.termYears),
+      startDate: quote.startDate,
+      endDate: quote.endDate || getEndDate(quote.startDate, quote.termYears)
     },
     quote: {
-      id: "2fcol3xsi8ljg",
-      status: "Pending",
-      createdDate: new Date().toISOString(),
-      totalBeforeTax: 487500.00,
-      estimatedTax: 0.00,
-      totalAfterTax: 487500.00
+      id: quote.id,
+      name: quote.name,
+      status: quote.status,
+      createdDate: quote.createdDate || new Date().toISOString(),
+      totalBeforeTax: totals.subtotal,
+      estimatedTax: totals.tax,
+      totalAfterTax: totals.total
     }
   };
 };
 
+// Quote pages mark their values with data-quote-field="customer.name" (and data-value for the raw value);
+// line items are [data-line-item] elements whose children carry data-line-field="quantity"
+export const scrapeSolutionBuilderDom = (root = typeof document !== 'undefined' ? document : null) => {
+  const fields = root ? [...root.querySelectorAll('[data-quote-field]')] : [];
+  if (fields.length === 0) return null;
+
+  const pageData = emptyPageData();
+  pageData.source = 'dom';
+
+  const activeTab = root.querySelector('[data-quote-tab][aria-selected="true"]');
+  if (activeTab) {
+    pageData.quote.id = activeTab.dataset.quoteTab;
+  }
+
+  fields.forEach(element => setPath(pageData, element.dataset.quoteField, readField(element, element.dataset.quoteField)));
+
+  pageData.deal.products = [...root.querySelectorAll('[data-line-item]')].map(lineItem => {
+    const product = { features: [] };
+    lineItem.querySelectorAll('[data-line-field]').forEach(element => {
+      product[element.dataset.lineField] = readField(element, element.dataset.lineField);
+    });
+    lineItem.querySelectorAll('[data-line-feature]').forEach(element => product.features.push(element.dataset.lineFeature));
+    return product;
+  });
+
+  return pageData;
+};
+
+// Customer and deal information for the quote the rep is working on: the active quote tab,
+// then whatever the page exposes through data attributes, then empty values
+export const extractSolutionBuilderData = ({ store = quoteStore, root } = {}) => {
+  const activeQuote = store.getActiveQuote();
+  if (activeQuote) return quoteToPageData(activeQuote);
+
+  return scrapeSolutionBuilderDom(root) || emptyPageData();
+};
+
+// Imported quotes open as a new quote tab, so the chat agent works from them like any other quote.
+// Validation problems come back as `errors`; nothing is added to the store when there are any
+export const importSolutionBuilderData = (text, { format, filename, store = quoteStore } = {}) => {
+  const parsed = parseQuoteImport(text, { format, filename });
+  if (!parsed.success) return parsed;
+
+  const { quote } = store.addQuote(parsed.quote);
+  return { success: true, quote, pageData: quoteToPageData(quote), warnings: parsed.warnings };
+};
+
 export const getCaseRequiredFields = (caseCategory) => {
   const commonFields = [
     { id: 'title', label: 'Case Title', type: 'text', required: true },
@@ -0,0 +1,196 @@
+// Policy Rules Engine for Red Phone Agent
+// Evaluates the declarative ROE rule set (data/policyRules.json) against the facts of a deal
+
+import policyRules from '../data/policyRules.json';
+
+const OUTCOME_LISTS = {
+  violation: 'violations',
+  warning: 'warnings',
+  recommendation: 'recommendations'
+};
+
+const isNumber = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+// Condition operators; numeric comparisons never match a missing fact or policy value
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+  gt: (actual, expected) => isNumber(actual) && isNumber(expected) && actual > expected,
+  gte: (actual, expected) => isNumber(actual) && isNumber(expected) && actual >= expected,
+  lt: (actual, expected) => isNumber(actual) && isNumber(expected) && actual < expected,
+  lte: (actual, expected) => isNumber(actual) && isNumber(expected) && actual <= expected,
+  exists: (actual, expected) => (actual !== undefined && actual !== null) === expected,
+  containsAny: (actual, expected) => typeof actual === 'string' && expected.some(term => actual.includes(term))
+};
+
+export const getPath = (source, path) => path.split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), source);
+
+class PolicyRulesEngine {
+  constructor(ruleSet = policyRules) {
+    this.ruleSet = ruleSet;
+  }
+
+  getChecks() {
+    return this.ruleSet.checks;
+  }
+
+  getApprovalLevels() {
+    return this.ruleSet.approvalLevels;
+  }
+
+  getSegmentLabel(segment) {
+    return this.ruleSet.labels.segments[segment] || segment;
+  }
+
+  getCompetitiveDiscount() {
+    return this.ruleSet.tables.competitiveDiscount;
+  }
+
+  getDiscountStacking() {
+    return this.ruleSet.tables.discountStacking;
+  }
+
+  // Multi-year discount of the longest listed term the deal reaches ("3" covers 3+ years)
+  getMultiYearDiscount(termYears) {
+    const tiers = this.getDiscountStacking()?.multiYear || {};
+    const term = Math.max(0, ...Object.keys(tiers).map(Number).filter(years => years <= termYears));
+    return tiers[term] || 0;
+  }
+
+  // Segment limits plus the regional adjustment; add-on limits apply to every segment
+  getDiscountPolicy(dealType, segment, region = 'namer') {
+    const limits = this.ruleSet.tables.discountLimits[dealType];
+    const standard = limits?.[segment] || limits?.all;
+    if (!standard) return null;
+
+    const regionalAdjustment = this.ruleSet.tables.regionalAdjustments[region]?.additionalDiscount || 0;
+    return {
+      ...standard,
+      regionalAdjustment,
+      effectiveMax: standard.max + regionalAdjustment
+    };
+  }
+
+  getMinimums(dealType, segment) {
+    return this.ruleSet.tables.minimumCommitment[dealType]?.[segment] || null;
+  }
+
+  // First tier of `kind` (discountApproval | dealSizeApproval) whose conditions match
+  getApprovalTier(kind, facts) {
+    const tier = this.ruleSet.approvalTiers[kind]?.find(candidate => this.matches(candidate.when, facts));
+    if (!tier) return undefined;
+
+    return { approver: tier.approver, timeframe: tier.timeframe, approvalLevel: tier.approvalLevel };
+  }
+
+  listApprovalTiers(kind) {
+    return (this.ruleSet.approvalTiers[kind] || []).map(({ when, ...tier }) => tier);
+  }
+
+  // Table rows in the canonical segment order (SMB up to Global Accounts)
+  listBySegment(table) {
+    return Object.keys(this.ruleSet.labels.segments)
+      .filter(segment => table?.[segment])
+      .map(segment => ({ segment, label: this.getSegmentLabel(segment), ...table[segment] }));
+  }
+
+  listDiscountLimits(dealType) {
+    return this.listBySegment(this.ruleSet.tables.discountLimits[dealType]);
+  }
+
+  listMinimums(dealType) {
+    return this.listBySegment(this.ruleSet.tables.minimumCommitment[dealType]);
+  }
+
+  listPilotDays() {
+    const { pilotDays } = this.ruleSet.tables;
+    return this.listBySegment(pilotDays).map(row => ({ ...row, days: pilotDays[row.segment] }));
+  }
+
+  // Facts plus the policy values rules can refer to with "$policy..." and "$approval..."
+  buildScope(facts) {
+    return {
+      ...facts,
+      policy: {
+        discount: this.getDiscountPolicy(facts.dealType, facts.segment, facts.region),
+        minimums: this.getMinimums(facts.dealType, facts.segment),
+        pilotDays: this.ruleSet.tables.pilotDays[facts.segment],
+        competitiveDiscount: this.getCompetitiveDiscount()
+      },
+      approval: {
+        discount: this.getApprovalTier('discountApproval', facts),
+        dealSize: this.getApprovalTier('dealSizeApproval', facts)
+      }
+    };
+  }
+
+  resolve(operand, scope) {
+    return typeof operand === 'string' && operand.startsWith('$')
+      ? getPath(scope, operand.slice(1))
+      : operand;
+  }
+
+  matches(when = {}, scope) {
+    return Object.entries(when).every(([key, condition]) => {
+      if (key === 'any') return condition.some(branch => this.matches(branch, scope));
+      if (key === 'all') return condition.every(branch => this.matches(branch, scope));
+
+      const actual = getPath(scope, key);
+      if (Array.isArray(condition)) return condition.includes(actual);
+      if (condition === null || typeof condition !== 'object') return actual === this.resolve(condition, scope);
+
+      return Object.entries(condition).every(([operator, operand]) => {
+        const compare = OPERATORS[operator];
+        if (!compare) {
+          throw new Error(`Unknown policy rule operator "${operator}"`);
+        }
+        return compare(actual, this.resolve(operand, scope));
+      });
+    });
+  }
+
+  // "{path}" placeholders, "{path|number}" for thousands separators
+  formatMessage(template, scope) {
+    return template.replace(/\{([\w.]+)(?:\|(\w+))?\}/g, (placeholder, path, format) => {
+      const value = getPath(scope, path);
+      if (value === undefined || value === null) return placeholder;
+      return format === 'number' ? Number(value).toLocaleString() : String(value);
+    });
+  }
+
+  renderOutcome(fields, scope) {
+    return Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+      key,
+      key === 'message' ? this.formatMessage(value, scope) : this.resolve(value, scope)
+    ]));
+  }
+
+  // Run every rule (or only those of one check) and collect the outcomes of the ones that match
+  evaluate(facts, { check } = {}) {
+    const scope = this.buildScope(facts);
+    const result = { violations: [], warnings: [], recommendations: [], score: 100, matchedRules: [] };
+
+    this.ruleSet.rules
+      .filter(rule => !check || rule.check === check)
+      .filter(rule => this.matches(rule.when, scope))
+      .forEach(rule => {
+        result.matchedRules.push(rule.id);
+        rule.then.forEach(({ outcome, score, ...fields }) => {
+          result[OUTCOME_LISTS[outcome]].push(this.renderOutcome(fields, scope));
+          if (score !== undefined) {
+            result.score = Math.min(result.score, score);
+          }
+        });
+      });
+
+    return result;
+  }
+}
+
+// Create singleton instance
+const policyRulesEngine = new PolicyRulesEngine();
+
+export { PolicyRulesEngine };
+export default policyRulesEngine;
@@ -0,0 +1,217 @@
+// Policy Versions for Red Phone Agent
+// Effective-dated snapshots of the ROE rule set, "as of" lookups and change logs between versions
+
+import policyRules from '../data/policyRules.json';
+import policyRuleHistory from '../data/policyRuleHistory.json';
+import policyRulesEngine, { PolicyRulesEngine } from './policyRulesEngine.js';
+
+// Array entries (approval tiers, approval levels, rules) are matched on these keys
+const ENTRY_KEYS = ['label', 'id', 'level'];
+
+const FIELD_LABELS = {
+  max: 'maximum discount',
+  typical: 'typical discount',
+  autoApproved: 'auto-approval limit',
+  additionalDiscount: 'regional adjustment',
+  note: 'note',
+  seats: 'minimum seats',
+  value: 'minimum value',
+  approver: 'approver',
+  timeframe: 'timeframe',
+  approvalLevel: 'approval level',
+  response: 'response time',
+  title: 'title',
+  multiYear: 'multi-year discount',
+  maxAboveEffectiveMax: 'ceiling above the policy limit'
+};
+
+const SECTION_LABELS = {
+  tables: '',
+  approvalTiers: '',
+  discountLimits: '',
+  regionalAdjustments: '',
+  minimumCommitment: '',
+  pilotDays: 'Pilot length',
+  competitiveDiscount: 'Competitive discount',
+  discountStacking: 'Discount stacking',
+  discountApproval: 'Discount approval',
+  dealSizeApproval: 'Deal size approval',
+  approvalLevels: 'Approval level'
+};
+
+const PERCENT_FIELDS = ['max', 'typical', 'autoApproved', 'additionalDiscount', 'competitiveDiscount', 'maxAboveEffectiveMax'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const entryKey = (entry) => {
+  const key = isPlainObject(entry) ? ENTRY_KEYS.find(candidate => entry[candidate] !== undefined) : undefined;
+  return key ? String(entry[key]) : undefined;
+};
+
+// Dates compare as YYYY-MM-DD strings
+export const toPolicyDate = (value) => (value instanceof Date ? value.toISOString() : String(value)).slice(0, 10);
+
+// Overrides replace leaf values; keyed array entries merge with the entry that has the same key,
+// and entries with a new key (rules or tiers the later version dropped) are appended
+const applyOverrides = (base, overrides) => {
+  if (Array.isArray(base) && Array.isArray(overrides)) {
+    const baseKeys = base.map(entryKey);
+    return [
+      ...base.map(entry => {
+        const override = overrides.find(candidate => entryKey(candidate) === entryKey(entry));
+        return override ? applyOverrides(entry, override) : entry;
+      }),
+      ...overrides.filter(entry => !baseKeys.includes(entryKey(entry)))
+    ];
+  }
+  if (isPlainObject(base) && isPlainObject(overrides)) {
+    const keys = [...new Set([...Object.keys(base), ...Object.keys(overrides)])];
+    return Object.fromEntries(keys.map(key => [
+      key,
+      key in overrides ? applyOverrides(base[key], overrides[key]) : base[key]
+    ]));
+  }
+  return overrides;
+};
+
+// Leaf values keyed by path; keyed array entries contribute their key as a path segment
+const flatten = (value, path = [], leaves = new Map()) => {
+  if (Array.isArray(value) && value.length > 0 && value.every(entry => entryKey(entry) !== undefined)) {
+    value.forEach(entry => flatten(entry, [...path, entryKey(entry)], leaves));
+  } else if (isPlainObject(value)) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, [...path, key], leaves));
+  } else {
+    leaves.set(path.join('/'), { path, value });
+  }
+  return leaves;
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const getMeta = ({ version, effectiveFrom = null, effectiveTo = null, summary = '' }) => ({
+  version, effectiveFrom, effectiveTo, summary
+});
+
+// A version without effectiveFrom has applied for as long as there are records; only the
+// earliest version may leave it open, so recording an earlier version means dating the current one
+const startsOnOrBefore = (version, day) => !version.effectiveFrom || version.effectiveFrom <= day;
+
+class PolicyVersions {
+  constructor({
+    current = policyRules,
+    history = policyRuleHistory.versions,
+    currentEngine = policyRulesEngine,
+    clock = () => new Date()
+  } = {}) {
+    this.clock = clock;
+    this.versions = [
+      ...history.map(({ overrides, ...meta }) => ({ ...applyOverrides(current, overrides), ...getMeta(meta) })),
+      { ...current, ...getMeta(current) }
+    ].sort((a, b) => (a.effectiveFrom || '').localeCompare(b.effectiveFrom || ''));
+    this.engines = new Map([[current.version, currentEngine]]);
+  }
+
+  list() {
+    return this.versions.map(getMeta);
+  }
+
+  // Rule set in effect on `asOf` (default today); dates before the first version get the first version
+  resolve(asOf = this.clock()) {
+    const day = toPolicyDate(asOf);
+    const inEffect = this.versions.filter(version => startsOnOrBefore(version, day));
+    return inEffect.length > 0 ? inEffect[inEffect.length - 1] : this.versions[0];
+  }
+
+  getVersion(version) {
+    return this.versions.find(candidate => candidate.version === version) || null;
+  }
+
+  getEngine(asOf) {
+    const ruleSet = this.resolve(asOf);
+    if (!this.engines.has(ruleSet.version)) {
+      this.engines.set(ruleSet.version, new PolicyRulesEngine(ruleSet));
+    }
+    return this.engines.get(ruleSet.version);
+  }
+
+  // Changes from one version to another, optionally limited to sections (discountLimits, discountApproval, ...)
+  diff(fromVersion, toVersion, { sections } = {}) {
+    const from = this.getVersion(fromVersion);
+    const to = this.getVersion(toVersion);
+    if (!from || !to) return [];
+
+    const changes = [];
+    ['tables', 'approvalTiers', 'approvalLevels'].forEach(part => {
+      const before = flatten(from[part], [part]);
+      const after = flatten(to[part], [part]);
+
+      new Set([...before.keys(), ...after.keys()]).forEach(key => {
+        const previous = before.get(key)?.value;
+        const next = after.get(key)?.value;
+        if (sameValue(previous, next)) return;
+
+        const path = (before.get(key) || after.get(key)).path;
+        changes.push(this.describeChange({ section: part === 'approvalLevels' ? part : path[1], path, from: previous, to: next }, to));
+      });
+    });
+
+    const rulesBefore = new Map(from.rules.map(rule => [rule.id, rule]));
+    const rulesAfter = new Map(to.rules.map(rule => [rule.id, rule]));
+    new Set([...rulesBefore.keys(), ...rulesAfter.keys()]).forEach(id => {
+      const previous = rulesBefore.get(id);
+      const next = rulesAfter.get(id);
+      if (sameValue(previous, next)) return;
+
+      const action = !previous ? 'added' : !next ? 'removed' : 'changed';
+      changes.push({ section: 'rules', path: ['rules', id], from: previous, to: next, description: `Rule "${id}" ${action}` });
+    });
+
+    return sections ? changes.filter(change => sections.includes(change.section)) : changes;
+  }
+
+  // Net changes between the rules in effect on `since` and on `asOf`, plus the versions that took effect in between
+  changesSince(since, { asOf = this.clock(), sections } = {}) {
+    const from = this.resolve(since);
+    const to = this.resolve(asOf);
+    const sinceDay = toPolicyDate(since);
+    const asOfDay = toPolicyDate(asOf);
+
+    return {
+      from: getMeta(from),
+      to: getMeta(to),
+      versions: this.versions
+        .filter(version => !startsOnOrBefore(version, sinceDay) && startsOnOrBefore(version, asOfDay))
+        .map(getMeta),
+      changes: this.diff(from.version, to.version, { sections })
+    };
+  }
+
+  formatValue(field, value, path) {
+    if (value === undefined) return 'none';
+    if (PERCENT_FIELDS.includes(field) || path.includes('multiYear')) return `${value}%`;
+    if (field === 'value') return `$${Number(value).toLocaleString()}`;
+    if (path.includes('pilotDays')) return `${value} days`;
+    return String(value);
+  }
+
+  describeChange(change, { labels }) {
+    const field = change.path[change.path.length - 1];
+    const words = change.path
+      .map((part, index) => (change.path[index - 1] === 'multiYear' ? `(${part}-year term)` : part))
+      .map(part => FIELD_LABELS[part] ?? labels.segments[part] ?? labels.dealTypes[part] ?? labels.regions[part] ?? SECTION_LABELS[part] ?? part)
+      .filter(Boolean)
+      .join(' ');
+    const subject = words.charAt(0).toUpperCase() + words.slice(1);
+
+    return {
+      ...change,
+      description: `${subject}: ${this.formatValue(field, change.from, change.path)} → ${this.formatValue(field, change.to, change.path)}`
+    };
+  }
+}
+
+// Create singleton instance
+const policyVersions = new PolicyVersions();
+
+export { PolicyVersions };
+export default policyVersions;
@@ -0,0 +1,176 @@
+// Pricing Calculator for Red Phone Agent
+// Stacks standard, regional, competitive and multi-year discounts under the ROE caps and works out the approvals needed
+
+import policyRulesEngine from './policyRulesEngine.js';
+import policyVersions from './policyVersions.js';
+import policyChecker from './policyChecker.js';
+import caseRouter from './caseRouter.js';
+import { rulesOfEngagement } from '../data/rulesOfEngagement.js';
+
+const STEP_LABELS = {
+  standard: 'Standard discount',
+  regional: 'Regional adjustment',
+  competitive: 'Competitive discount',
+  multiYear: 'Multi-year discount'
+};
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+class PricingCalculator {
+  constructor({ engine = policyRulesEngine, versions = policyVersions, checker = policyChecker, router = caseRouter } = {}) {
+    this.engine = engine;
+    this.versions = versions;
+    this.checker = checker;
+    this.router = router;
+  }
+
+  // Discounts stack in percentage points on the list price, in the rule set's order:
+  // the standard discount is capped at the segment maximum, and the stacked total at the
+  // regional effective maximum plus the stacking ceiling (later steps are trimmed first)
+  calculate({
+    listPrice,
+    seats = 1,
+    termYears = 1,
+    dealType = 'newBusiness',
+    segment,
+    region = 'namer',
+    discount,
+    competitive = false,
+    asOf
+  } = {}) {
+    try {
+      const unitPrice = parseFloat(listPrice);
+      const seatCount = parseInt(seats, 10);
+      const years = parseInt(termYears, 10);
+      if (!(unitPrice > 0)) throw new Error('List price must be a positive number');
+      if (!(seatCount > 0)) throw new Error('Seats must be a positive number');
+      if (!(years > 0)) throw new Error('Term must be at least one year');
+
+      const engine = asOf ? this.versions.getEngine(asOf) : this.engine;
+      const { labels } = engine.ruleSet;
+      const regionKey = String(region).toLowerCase();
+      const grossPrice = roundCurrency(unitPrice * seatCount * years);
+      const segmentKey = labels.segments[segment]
+        ? segment
+        : this.checker.inferSegment({ dealValue: grossPrice, description: String(segment || '') });
+
+      const policy = engine.getDiscountPolicy(dealType, segmentKey, regionKey);
+      if (!policy) throw new Error(`No discount policy for ${labels.dealTypes[dealType] || dealType} deals`);
+
+      const stacking = engine.getDiscountStacking();
+      const segmentLabel = dealType === 'addon' ? 'add-on' : engine.getSegmentLabel(segmentKey);
+      const requestedStandard = discount === undefined || discount === null ? policy.typical : parseFloat(discount) || 0;
+
+      const requested = {
+        standard: requestedStandard,
+        regional: policy.regionalAdjustment,
+        competitive: competitive ? engine.getCompetitiveDiscount() : 0,
+        multiYear: engine.getMultiYearDiscount(years)
+      };
+
+      const steps = stacking.order.map(id => {
+        const step = { id, label: STEP_LABELS[id], requested: requested[id], applied: requested[id], capped: false, explanation: '' };
+        if (id === 'standard' && step.requested > policy.max) {
+          step.applied = policy.max;
+          step.capped = true;
+          step.explanation = `Capped at the ${segmentLabel} maximum of ${policy.max}% (requested ${step.requested}%)`;
+        }
+        return step;
+      });
+
+      const stackingMax = policy.effectiveMax + stacking.maxAboveEffectiveMax;
+      let excess = steps.reduce((sum, step) => sum + step.applied, 0) - stackingMax;
+      [...steps].reverse().forEach(step => {
+        if (excess <= 0 || step.applied === 0) return;
+        const trimmed = Math.min(step.applied, excess);
+        step.applied -= trimmed;
+        step.capped = true;
+        step.explanation = `Reduced by ${trimmed} points to stay within the ${stackingMax}% stacking ceiling`;
+        excess -= trimmed;
+      });
+
+      steps.forEach(step => {
+        if (step.explanation) return;
+        step.explanation = this.explainStep(step, { policy, segmentLabel, regionLabel: labels.regions[regionKey] || regionKey, years, engine, regionKey });
+      });
+
+      const effectiveDiscount = steps.reduce((sum, step) => sum + step.applied, 0);
+      const netPrice = roundCurrency(grossPrice * (1 - effectiveDiscount / 100));
+
+      return {
+        success: true,
+        pricing: {
+          listPrice: unitPrice,
+          seats: seatCount,
+          termYears: years,
+          dealType,
+          segment: segmentKey,
+          region: regionKey,
+          grossPrice,
+          steps,
+          effectiveDiscount,
+          netPrice,
+          annualNetPrice: roundCurrency(netPrice / years),
+          netPricePerSeatYear: roundCurrency(netPrice / (seatCount * years)),
+          caps: { standardMax: policy.max, effectiveMax: policy.effectiveMax, stackingMax },
+          approval: this.getStackedApproval(effectiveDiscount, netPrice, policy, engine),
+          explanations: steps.filter(step => step.requested > 0 || step.capped).map(step => `${step.label}: ${step.explanation}`),
+          policyVersion: { version: engine.ruleSet.version, effectiveFrom: engine.ruleSet.effectiveFrom }
+        }
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  explainStep(step, { policy, segmentLabel, regionLabel, years, engine, regionKey }) {
+    if (step.applied === 0) {
+      if (step.id === 'competitive') return 'Not a competitive deal';
+      if (step.id === 'multiYear') return `No multi-year discount for a ${years}-year term`;
+      if (step.id === 'regional') return `No regional adjustment in ${regionLabel}`;
+      return 'No standard discount requested';
+    }
+    if (step.id === 'standard') return `${step.applied}% within the ${segmentLabel} maximum of ${policy.max}%`;
+    if (step.id === 'regional') return `${step.applied}% in ${regionLabel} (${engine.ruleSet.tables.regionalAdjustments[regionKey].note})`;
+    if (step.id === 'competitive') return `${step.applied}% competitive response pricing`;
+    return `${step.applied}% for a ${years}-year commitment`;
+  }
+
+  // Approvals for the stacked total: the discount tier, the deal size tier when a discount is given,
+  // and an exception when stacking goes past the regional effective maximum
+  getStackedApproval(effectiveDiscount, netPrice, policy, engine) {
+    const facts = { discount: effectiveDiscount, value: netPrice };
+    const discountApproval = engine.getApprovalTier('discountApproval', facts);
+    const sizeApproval = engine.getApprovalTier('dealSizeApproval', facts);
+    const approvals = [discountApproval];
+    if (effectiveDiscount > 0 && sizeApproval && sizeApproval.approver !== discountApproval?.approver) {
+      approvals.push(sizeApproval);
+    }
+
+    const required = approvals.filter(approval => approval && approval.approvalLevel > 1);
+    const exceptionRequired = effectiveDiscount > policy.effectiveMax;
+    const exceptionHours = exceptionRequired ? this.router.getResponseHours(rulesOfEngagement.exceptions.timeline) : 0;
+
+    return {
+      approvers: required.length > 0 ? required.map(approval => approval.approver) : ['Auto-approved'],
+      approvalLevel: Math.max(1, ...required.map(approval => approval.approvalLevel)),
+      discountApproval,
+      sizeApproval: effectiveDiscount > 0 ? sizeApproval : undefined,
+      exception: exceptionRequired
+        ? {
+          reason: `Stacked discount of ${effectiveDiscount}% exceeds the ${policy.effectiveMax}% policy limit`,
+          process: rulesOfEngagement.exceptions.process,
+          approvalChain: rulesOfEngagement.exceptions.approvalChain,
+          timeline: rulesOfEngagement.exceptions.timeline
+        }
+        : null,
+      turnaroundHours: Math.max(0, ...required.map(approval => this.router.getResponseHours(approval.timeframe))) + exceptionHours
+    };
+  }
+}
+
+// Create singleton instance
+const pricingCalculator = new PricingCalculator();
+
+export { PricingCalculator };
+export default pricingCalculator;
@@ -0,0 +1,80 @@
+// Quote Model for Red Phone Agent
+// Line item pricing, quote totals and term dates for Solution Builder quotes
+
+const roundCurrency = (value) => Math.round(value * 100) / 100;
+
+export const formatCurrency = (value, currency = 'USD') => (
+  Number(value || 0).toLocaleString('en-US', { style: 'currency', currency })
+);
+
+export const getLineListPrice = (item) => roundCurrency((Number(item.quantity) || 0) * (Number(item.unitPrice) || 0));
+
+export const getLineNetPrice = (item) => roundCurrency(getLineListPrice(item) * (1 - (Number(item.discount) || 0) / 100));
+
+// Unit prices cover the whole subscription term; the yearly rows split the subtotal evenly
+export const getQuoteTotals = (quote) => {
+  const lineItems = quote.lineItems || [];
+  const listTotal = roundCurrency(lineItems.reduce((sum, item) => sum + getLineListPrice(item), 0));
+  const subtotal = roundCurrency(lineItems.reduce((sum, item) => sum + getLineNetPrice(item), 0));
+  const tax = roundCurrency(subtotal * (Number(quote.taxRate) || 0));
+  const termYears = Number(quote.termYears) || 1;
+
+  return {
+    listTotal,
+    discountAmount: roundCurrency(listTotal - subtotal),
+    effectiveDiscount: listTotal > 0 ? roundCurrency((1 - subtotal / listTotal) * 100) : 0,
+    subtotal,
+    tax,
+    total: roundCurrency(subtotal + tax),
+    yearly: Array.from({ length: termYears }, (_, index) => ({ year: index + 1, amount: roundCurrency(subtotal / termYears) }))
+  };
+};
+
+// Last day of the term: "2025-07-21" over 3 years ends "2028-07-20"
+export const getEndDate = (startDate, termYears = 1) => {
+  const date = new Date(`${startDate}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setUTCFullYear(date.getUTCFullYear() + (Number(termYears) || 1));
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+};
+
+export const formatTerm = (termYears) => `${termYears} year${Number(termYears) === 1 ? '' : 's'}`;
+
+// Field checks for quote edits; each returns an error message or null. Names may be blank
+// while the rep is typing and are only required when the quote is saved
+const LINE_ITEM_RULES = {
+  quantity: value => (Number.isInteger(value) && value >= 0 ? null : 'Quantity must be a whole number of 0 or more'),
+  unitPrice: value => (Number.isFinite(value) && value >= 0 ? null : 'Unit price must be 0 or more'),
+  discount: value => (Number.isFinite(value) && value >= 0 && value <= 100 ? null : 'Discount must be between 0% and 100%')
+};
+
+const QUOTE_RULES = {
+  startDate: value => (getEndDate(value) ? null : 'Start date must be a valid date'),
+  termYears: value => (Number.isInteger(value) && value >= 1 && value <= 10 ? null : 'Term must be between 1 and 10 years'),
+  seats: value => (value === null || (Number.isInteger(value) && value > 0) ? null : 'Seats must be a positive whole number'),
+  taxRate: value => (Number.isFinite(value) && value >= 0 && value < 1 ? null : 'Tax rate must be between 0% and 100%')
+};
+
+const NUMERIC_QUOTE_FIELDS = ['quantity', 'unitPrice', 'discount', 'termYears', 'taxRate'];
+
+// Form inputs arrive as strings; blank seats means "not set"
+export const normalizeQuoteChanges = (changes) => Object.fromEntries(Object.entries(changes).map(([field, value]) => {
+  if (field === 'seats') return [field, value === '' || value === null ? null : Number(value)];
+  if (NUMERIC_QUOTE_FIELDS.includes(field)) return [field, value === '' ? 0 : Number(value)];
+  return [field, value];
+}));
+
+const firstError = (rules, changes) => Object.entries(changes)
+  .map(([field, value]) => rules[field]?.(value))
+  .find(Boolean) || null;
+
+export const validateLineItemChanges = (changes) => firstError(LINE_ITEM_RULES, changes);
+
+export const validateQuoteChanges = (changes) => firstError(QUOTE_RULES, changes);
+
+export const validateQuoteForSave = (quote) => {
+  if (!String(quote.name || '').trim()) return 'Quote name is required';
+  const unnamed = (quote.lineItems || []).findIndex(item => !String(item.name || '').trim());
+  return unnamed === -1 ? null : `Product name is required on line ${unnamed + 1}`;
+};
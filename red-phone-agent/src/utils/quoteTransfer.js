@@ -0,0 +1,444 @@
+// Quote Transfer for Red Phone Agent
+// Imports quotes from spreadsheet CSV or JSON and exports them to CSV, JSON and CPQ XML
+
+import policyRulesEngine from './policyRulesEngine.js';
+import {
+  getQuoteTotals,
+  getLineNetPrice,
+  normalizeQuoteChanges,
+  validateLineItemChanges,
+  validateQuoteChanges
+} from './quoteModel.js';
+
+// Spreadsheet columns: one row per line item, with the quote columns repeated on every row.
+// Headers match case-insensitively against the header and its aliases
+const QUOTE_COLUMNS = [
+  { field: 'name', header: 'Quote Name', aliases: ['quote', 'quote title'] },
+  { field: 'opportunityName', header: 'Opportunity', aliases: ['opportunity name'] },
+  { field: 'status', header: 'Status', aliases: ['quote status'] },
+  { field: 'customer.name', header: 'Customer', aliases: ['customer name', 'account', 'account name'] },
+  { field: 'customer.primaryContact.name', header: 'Contact Name', aliases: ['contact', 'primary contact'] },
+  { field: 'customer.primaryContact.email', header: 'Contact Email', aliases: ['email'] },
+  { field: 'customer.primaryContact.phone', header: 'Contact Phone', aliases: ['phone'] },
+  { field: 'dealType', header: 'Deal Type', aliases: ['type'] },
+  { field: 'segment', header: 'Segment', aliases: ['customer segment'] },
+  { field: 'region', header: 'Region', aliases: ['geo'] },
+  { field: 'currency', header: 'Currency', aliases: [] },
+  { field: 'seats', header: 'Seats', aliases: ['seat count', 'licenses'] },
+  { field: 'startDate', header: 'Start Date', aliases: ['req start date'] },
+  { field: 'termYears', header: 'Term (years)', aliases: ['term', 'term years', 'years'] },
+  { field: 'taxRate', header: 'Tax Rate (%)', aliases: ['tax rate', 'tax'], percent: true }
+];
+
+const LINE_COLUMNS = [
+  { field: 'name', header: 'Product', aliases: ['product name', 'item'] },
+  { field: 'quantity', header: 'Quantity', aliases: ['qty'] },
+  { field: 'unitPrice', header: 'Unit Price', aliases: ['price', 'list price'] },
+  { field: 'discount', header: 'Discount (%)', aliases: ['discount', 'discount %', 'rep discount'] },
+  { field: 'note', header: 'Note', aliases: ['notes'] }
+];
+
+// Written on export for the reader; skipped when the file is imported again
+const EXPORT_ONLY_COLUMNS = ['Net Price', 'Policy Compliance', 'Policy Score', 'Policy Issues', 'Required Approvals'];
+
+// Quote fields shown with ROE display labels, keyed to the rule set label groups
+const LABEL_FIELDS = { dealType: 'dealTypes', segment: 'segments', region: 'regions' };
+
+const LABEL_NAMES = { dealType: 'deal type', segment: 'segment', region: 'region' };
+
+const NUMERIC_LINE_FIELDS = ['quantity', 'unitPrice', 'discount'];
+
+const NUMERIC_QUOTE_FIELDS = ['seats', 'termYears', 'taxRate'];
+
+export const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  xml: { extension: 'xml', mimeType: 'application/xml' }
+};
+
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const findColumn = (columns, header) => columns.find(column => (
+  [column.header, ...column.aliases].some(name => normalizeHeader(name) === header)
+));
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// "$1,500.00" -> "1500.00"; numbers pass through
+const cleanNumber = (value) => (typeof value === 'string' ? value.replace(/[$,%\s]/g, '') : value);
+
+// Spreadsheets often write 7/21/2025; the quote model uses 2025-07-21
+const toIsoDate = (value) => {
+  const match = String(value).trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!match) return String(value).trim();
+  return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+};
+
+// Display label for a key or label ("enterprise" -> "Enterprise"); null when the rule set has neither
+const toLabel = (labels, value) => {
+  const text = String(value).trim().toLowerCase();
+  const key = Object.keys(labels).find(candidate => candidate.toLowerCase() === text || labels[candidate].toLowerCase() === text);
+  return key ? labels[key] : null;
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    node[key] = node[key] || {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+};
+
+// RFC 4180 rows; quoted cells may hold commas, quotes and line breaks
+export const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Text starting with = + - @ would run as a formula in a spreadsheet, so it is exported with a leading '
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+
+// Validated quote fields and line items; each line's `where` ("Row 3") prefixes its errors
+const buildQuote = ({ fields, lines }) => {
+  const errors = [];
+  const quote = {};
+
+  Object.entries(fields).forEach(([field, value]) => {
+    if (isBlank(value)) return;
+
+    if (LABEL_FIELDS[field]) {
+      const labels = policyRulesEngine.ruleSet.labels[LABEL_FIELDS[field]];
+      const label = toLabel(labels, value);
+      if (label) {
+        quote[field] = label;
+      } else {
+        errors.push(`Unknown ${LABEL_NAMES[field]} "${value}" (expected ${Object.values(labels).join(', ')})`);
+      }
+      return;
+    }
+
+    if (field === 'customer') {
+      quote.customer = value;
+      return;
+    }
+
+    if (field === 'currency') {
+      const code = String(value).trim().toUpperCase();
+      if (/^[A-Z]{3}$/.test(code)) {
+        quote.currency = code;
+      } else {
+        errors.push(`Currency must be a three-letter code such as USD, not "${value}"`);
+      }
+      return;
+    }
+
+    const raw = NUMERIC_QUOTE_FIELDS.includes(field) ? cleanNumber(value) : value;
+    const updates = normalizeQuoteChanges({ [field]: field === 'startDate' ? toIsoDate(raw) : raw });
+    const error = validateQuoteChanges(updates);
+    if (error) {
+      errors.push(error);
+    } else {
+      Object.assign(quote, updates);
+    }
+  });
+
+  quote.lineItems = lines.map(({ where, values }, index) => {
+    const item = { id: `line-${index + 1}`, name: '', quantity: 1, unitPrice: 0, discount: 0, features: [] };
+
+    Object.entries(values).forEach(([field, value]) => {
+      if (isBlank(value) || field === 'features') return;
+      const updates = normalizeQuoteChanges({ [field]: NUMERIC_LINE_FIELDS.includes(field) ? cleanNumber(value) : value });
+      const error = validateLineItemChanges(updates);
+      if (error) {
+        errors.push(`${where}: ${error}`);
+      } else {
+        Object.assign(item, updates);
+      }
+    });
+
+    if (!String(item.name).trim()) errors.push(`${where}: Product name is required`);
+    item.features = (values.features || []).map(feature => (typeof feature === 'string' ? { name: feature } : feature));
+    return item;
+  });
+
+  if (quote.lineItems.length === 0) errors.push('The file has no products');
+  if (quote.customer && isBlank(quote.customer.name)) errors.push('Customer name is required when customer details are given');
+
+  return errors.length > 0
+    ? { success: false, error: errors[0], errors }
+    : { success: true, quote: { name: 'Imported Quote', status: 'Draft', ...quote } };
+};
+
+// Spreadsheet import; unrecognised columns are reported as warnings and otherwise ignored
+export const parseQuoteCsv = (text) => {
+  const rows = parseCsv(text);
+  const headerIndex = rows.findIndex(row => row.some(cell => !isBlank(cell)));
+  if (headerIndex === -1) return { success: false, error: 'The file is empty', errors: ['The file is empty'] };
+
+  const headers = rows[headerIndex].map(normalizeHeader);
+  const columns = headers.map(header => {
+    const quoteColumn = findColumn(QUOTE_COLUMNS, header);
+    if (quoteColumn) return { ...quoteColumn, level: 'quote' };
+    const lineColumn = findColumn(LINE_COLUMNS, header);
+    return lineColumn ? { ...lineColumn, level: 'line' } : null;
+  });
+
+  const skipped = EXPORT_ONLY_COLUMNS.map(normalizeHeader);
+  const warnings = headers
+    .filter((header, index) => header && !columns[index] && !skipped.includes(header))
+    .map(header => `Column "${header}" is not recognised and was skipped`);
+
+  if (!columns.some(column => column?.level === 'line' && column.field === 'name')) {
+    return { success: false, error: 'No product column found (expected "Product")', errors: ['No product column found (expected "Product")'], warnings };
+  }
+
+  const fields = {};
+  const lines = [];
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    if (row.every(isBlank)) return;
+
+    const values = {};
+    columns.forEach((column, index) => {
+      // Undo the formula guard added on export
+      const value = row[index]?.startsWith("'") && FORMULA_START.test(row[index].slice(1)) ? row[index].slice(1) : row[index];
+      if (!column || isBlank(value)) return;
+
+      if (column.level === 'line') {
+        values[column.field] = value.trim();
+      } else if (fields[column.field] === undefined) {
+        // The first row with a value wins for quote columns
+        fields[column.field] = column.percent ? String(Number(cleanNumber(value)) / 100) : value.trim();
+      }
+    });
+
+    if (Object.keys(values).length > 0) {
+      lines.push({ where: `Row ${headerIndex + offset + 2}`, values });
+    }
+  });
+
+  const customer = {};
+  Object.keys(fields).filter(field => field.startsWith('customer.')).forEach(field => {
+    setPath(customer, field.slice('customer.'.length), fields[field]);
+    delete fields[field];
+  });
+  // Spreadsheets carry a single contact, which is used for billing as well
+  if (Object.keys(customer).length > 0) {
+    fields.customer = {
+      ...customer,
+      primaryContact: { name: '', email: '', phone: '', ...customer.primaryContact },
+      billingContact: { name: '', email: '', phone: '', ...customer.primaryContact },
+      address: {}
+    };
+  }
+
+  return { ...buildQuote({ fields, lines }), warnings };
+};
+
+// JSON import: a file from exportQuote ({ quote: {...} }) or a bare quote with lineItems or products
+export const parseQuoteJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { success: false, error: 'The file is not valid JSON', errors: ['The file is not valid JSON'] };
+  }
+
+  const source = data && typeof data.quote === 'object' ? data.quote : data;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { success: false, error: 'Expected a quote object', errors: ['Expected a quote object'] };
+  }
+
+  const fields = Object.fromEntries(QUOTE_COLUMNS
+    .filter(column => !column.field.startsWith('customer.'))
+    .map(column => [column.field, source[column.field]]));
+  if (source.customer && typeof source.customer === 'object') {
+    fields.customer = {
+      primaryContact: { name: '', email: '', phone: '' },
+      billingContact: { name: '', email: '', phone: '' },
+      address: {},
+      ...source.customer
+    };
+  }
+
+  const items = Array.isArray(source.lineItems) ? source.lineItems : source.products;
+  const lines = (Array.isArray(items) ? items : []).map((item, index) => ({
+    where: `Line ${index + 1}`,
+    values: {
+      ...Object.fromEntries(LINE_COLUMNS.map(column => [column.field, item?.[column.field]])),
+      features: Array.isArray(item?.features) ? item.features : []
+    }
+  }));
+
+  return { ...buildQuote({ fields, lines }), warnings: [] };
+};
+
+// Format from the file extension, falling back to the content
+export const detectImportFormat = (filename = '', text = '') => {
+  const extension = String(filename).toLowerCase().split('.').pop();
+  if (extension === 'json' || extension === 'csv') return extension;
+  return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+};
+
+export const parseQuoteImport = (text, { format, filename } = {}) => {
+  const resolved = format || detectImportFormat(filename, text);
+  if (resolved === 'json') return parseQuoteJson(text);
+  if (resolved === 'csv') return parseQuoteCsv(text);
+  return { success: false, error: `Unsupported import format: ${resolved}`, errors: [`Unsupported import format: ${resolved}`] };
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const xmlElement = (name, value, indent) => `${indent}<${name}>${escapeXml(value)}</${name}>`;
+
+const quoteCsv = (quote, policyCheck) => {
+  const policyValues = policyCheck
+    ? [policyCheck.overallCompliance, policyCheck.score, policyCheck.violations.join('; '), policyCheck.approvals.join('; ')]
+    : ['', '', '', ''];
+  const quoteValues = QUOTE_COLUMNS.map(column => {
+    const value = column.field.split('.').reduce((node, key) => node?.[key], quote);
+    return column.percent ? Math.round((Number(value) || 0) * 10000) / 100 : value;
+  });
+  const lineItems = quote.lineItems.length > 0 ? quote.lineItems : [{}];
+
+  return toCsv([
+    [...QUOTE_COLUMNS, ...LINE_COLUMNS].map(column => column.header).concat(EXPORT_ONLY_COLUMNS),
+    ...lineItems.map(item => [
+      ...quoteValues,
+      ...LINE_COLUMNS.map(column => item[column.field]),
+      item.id ? getLineNetPrice(item) : '',
+      ...policyValues
+    ])
+  ]);
+};
+
+const quoteXml = (quote, totals, policyCheck, exportedAt) => {
+  const contact = quote.customer?.primaryContact || {};
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<CPQQuote id="${escapeXml(quote.id)}" status="${escapeXml(quote.status)}" exportedAt="${exportedAt}">`,
+    xmlElement('Name', quote.name, '  '),
+    xmlElement('Opportunity', quote.opportunityName, '  '),
+    '  <Customer>',
+    xmlElement('Name', quote.customer?.name, '    '),
+    '    <Contact>',
+    xmlElement('Name', contact.name, '      '),
+    xmlElement('Email', contact.email, '      '),
+    xmlElement('Phone', contact.phone, '      '),
+    '    </Contact>',
+    '  </Customer>',
+    '  <Deal>',
+    xmlElement('DealType', quote.dealType, '    '),
+    xmlElement('Segment', quote.segment, '    '),
+    xmlElement('Region', quote.region, '    '),
+    xmlElement('Currency', quote.currency, '    '),
+    xmlElement('Seats', quote.seats, '    '),
+    xmlElement('StartDate', quote.startDate, '    '),
+    xmlElement('TermYears', quote.termYears, '    '),
+    xmlElement('TaxRate', quote.taxRate, '    '),
+    '  </Deal>',
+    '  <LineItems>',
+    ...quote.lineItems.flatMap(item => [
+      `    <LineItem id="${escapeXml(item.id)}">`,
+      xmlElement('ProductName', item.name, '      '),
+      xmlElement('Quantity', item.quantity, '      '),
+      xmlElement('UnitPrice', item.unitPrice, '      '),
+      xmlElement('DiscountPercent', item.discount || 0, '      '),
+      xmlElement('NetPrice', getLineNetPrice(item), '      '),
+      '    </LineItem>'
+    ]),
+    '  </LineItems>',
+    '  <Totals>',
+    xmlElement('ListTotal', totals.listTotal, '    '),
+    xmlElement('DiscountAmount', totals.discountAmount, '    '),
+    xmlElement('EffectiveDiscountPercent', totals.effectiveDiscount, '    '),
+    xmlElement('Subtotal', totals.subtotal, '    '),
+    xmlElement('Tax', totals.tax, '    '),
+    xmlElement('Total', totals.total, '    '),
+    '  </Totals>'
+  ];
+
+  if (policyCheck) {
+    lines.push(
+      `  <PolicyCheck compliance="${escapeXml(policyCheck.overallCompliance)}" score="${escapeXml(policyCheck.score)}" policyVersion="${escapeXml(policyCheck.policyVersion)}">`,
+      ...policyCheck.violations.map(violation => xmlElement('Violation', violation, '    ')),
+      ...policyCheck.approvals.map(approver => xmlElement('RequiredApproval', approver, '    ')),
+      '  </PolicyCheck>'
+    );
+  }
+
+  lines.push('</CPQQuote>');
+  return lines.join('\n');
+};
+
+// File contents for a quote; `policyCheck` is the summary from quoteGuardrails.summarize
+export const exportQuote = (quote, format, { policyCheck = null, exportedAt = new Date() } = {}) => {
+  const target = EXPORT_FORMATS[format];
+  if (!target) return { success: false, error: `Unsupported export format: ${format}` };
+  if (!quote) return { success: false, error: 'No quote to export' };
+
+  const totals = getQuoteTotals(quote);
+  const timestamp = exportedAt.toISOString();
+  const contentByFormat = {
+    csv: () => quoteCsv(quote, policyCheck),
+    json: () => JSON.stringify({ format: 'cpq-quote', version: 1, exportedAt: timestamp, quote, totals, policyCheck }, null, 2),
+    xml: () => quoteXml(quote, totals, policyCheck, timestamp)
+  };
+  const slug = String(quote.name || 'quote').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'quote';
+
+  return {
+    success: true,
+    filename: `${slug}.${target.extension}`,
+    mimeType: target.mimeType,
+    content: contentByFormat[format]()
+  };
+};
@@ -0,0 +1,217 @@
+// Retrieval Evaluator for Red Phone Agent
+// Scores retrievers and scenario matching against a golden question set and diffs the results against a baseline
+
+import knowledgeBaseService from '../services/knowledgeBaseService.js';
+import hybridRetriever from '../services/hybridRetriever.js';
+import vectorSearch from './vectorSearchSimulation.js';
+import { findMatchingScenario } from '../data/realScenarios.js';
+
+export const RETRIEVAL_METRICS = ['recall', 'mrr', 'ndcg', 'numberRecall'];
+
+// Golden set format: { version, questions: [{ id, question, relevantDocuments: { docId: grade },
+// expectedScenario: scenarioId | null, expectedNumbers: [number], tags }] }
+export const validateGoldenSet = (goldenSet) => {
+  const errors = [];
+  const ids = new Set();
+
+  if (!goldenSet || !Array.isArray(goldenSet.questions)) {
+    return { valid: false, errors: ['Golden set must have a questions array'] };
+  }
+
+  goldenSet.questions.forEach((item, index) => {
+    const label = item.id || `#${index}`;
+    if (!item.id) errors.push(`Question ${label} is missing an id`);
+    if (ids.has(item.id)) errors.push(`Question ${label} is duplicated`);
+    ids.add(item.id);
+
+    if (!item.question || typeof item.question !== 'string') errors.push(`Question ${label} has no question text`);
+    if (!item.relevantDocuments || typeof item.relevantDocuments !== 'object') {
+      errors.push(`Question ${label} must map relevantDocuments to grades`);
+    } else if (Object.values(item.relevantDocuments).some(grade => typeof grade !== 'number' || grade <= 0)) {
+      errors.push(`Question ${label} has a non-positive relevance grade`);
+    }
+    if (item.expectedScenario !== null && typeof item.expectedScenario !== 'string') {
+      errors.push(`Question ${label} expectedScenario must be a scenario ID or null`);
+    }
+    if (!Array.isArray(item.expectedNumbers)) errors.push(`Question ${label} expectedNumbers must be an array`);
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+export const recallAtK = (rankedIds, relevantIds, k) => {
+  if (relevantIds.length === 0) return null;
+  const top = new Set(rankedIds.slice(0, k));
+  return relevantIds.filter(id => top.has(id)).length / relevantIds.length;
+};
+
+export const reciprocalRank = (rankedIds, relevantIds) => {
+  const relevant = new Set(relevantIds);
+  const index = rankedIds.findIndex(id => relevant.has(id));
+  return index === -1 ? 0 : 1 / (index + 1);
+};
+
+// nDCG with exponential gain (2^grade - 1) so grade 3 documents dominate
+export const ndcgAtK = (rankedIds, grades, k) => {
+  const dcg = values => values.reduce((sum, grade, index) => sum + (Math.pow(2, grade) - 1) / Math.log2(index + 2), 0);
+  const ideal = dcg(Object.values(grades).sort((a, b) => b - a).slice(0, k));
+  if (ideal === 0) return null;
+  return dcg(rankedIds.slice(0, k).map(id => grades[id] || 0)) / ideal;
+};
+
+// Share of expected policy figures that appear as standalone numbers in the retrieved text
+export const numberRecall = (texts, expectedNumbers) => {
+  if (expectedNumbers.length === 0) return null;
+  const found = new Set((texts.join(' ').match(/\d+(?:\.\d+)?/g) || []).map(Number));
+  return expectedNumbers.filter(number => found.has(number)).length / expectedNumbers.length;
+};
+
+// Retrievers return ranked [{ id, text }] using the vector search document IDs
+export const createDefaultRetrievers = () => ({
+  keyword: async (question, k) => knowledgeBaseService.rankDocuments(question, { limit: k }).map(match => ({
+    id: match.meta.documentId,
+    text: vectorSearch.documents.find(document => document.id === match.meta.documentId)?.content || ''
+  })),
+  semantic: async (question, k) => (await vectorSearch.semanticSearchAsync(question, { limit: k })).results
+    .map(result => ({ id: result.id, text: result.content })),
+  hybrid: async (question, k) => (await hybridRetriever.retrieve(question, { limit: k })).results
+    .map(result => ({ id: result.id, text: result.content }))
+});
+
+const average = values => {
+  const scored = values.filter(value => value !== null);
+  return scored.length > 0 ? round(scored.reduce((sum, value) => sum + value, 0) / scored.length) : null;
+};
+
+const round = value => Math.round(value * 1e4) / 1e4;
+
+export const evaluateRetriever = async (name, retrieve, questions, { k = 5 } = {}) => {
+  const perQuestion = [];
+
+  for (const item of questions) {
+    const relevantIds = Object.keys(item.relevantDocuments);
+    if (relevantIds.length === 0 && item.expectedNumbers.length === 0) continue;
+
+    const ranked = await retrieve(item.question, k);
+    const rankedIds = ranked.map(result => result.id);
+
+    perQuestion.push({
+      id: item.id,
+      retrieved: rankedIds.slice(0, k),
+      recall: recallAtK(rankedIds, relevantIds, k),
+      mrr: relevantIds.length > 0 ? reciprocalRank(rankedIds, relevantIds) : null,
+      ndcg: ndcgAtK(rankedIds, item.relevantDocuments, k),
+      numberRecall: numberRecall(ranked.slice(0, k).map(result => result.text), item.expectedNumbers)
+    });
+  }
+
+  return {
+    name,
+    k,
+    questions: perQuestion.length,
+    ...Object.fromEntries(RETRIEVAL_METRICS.map(metric => [metric, average(perQuestion.map(result => result[metric]))])),
+    perQuestion
+  };
+};
+
+export const evaluateScenarios = (questions, matcher = findMatchingScenario) => {
+  const misses = [];
+  questions.forEach(item => {
+    const actual = matcher(item.question)?.id || null;
+    if (actual !== item.expectedScenario) {
+      misses.push({ id: item.id, expected: item.expectedScenario, actual });
+    }
+  });
+
+  return {
+    total: questions.length,
+    correct: questions.length - misses.length,
+    accuracy: questions.length > 0 ? round((questions.length - misses.length) / questions.length) : null,
+    misses
+  };
+};
+
+export const runEvaluation = async (goldenSet, { retrievers = createDefaultRetrievers(), k = 5, scenarioMatcher } = {}) => {
+  const validation = validateGoldenSet(goldenSet);
+  if (!validation.valid) {
+    throw new Error(`Invalid golden set: ${validation.errors.join('; ')}`);
+  }
+
+  const results = {};
+  for (const [name, retrieve] of Object.entries(retrievers)) {
+    results[name] = await evaluateRetriever(name, retrieve, goldenSet.questions, { k });
+  }
+
+  return {
+    goldenSetVersion: goldenSet.version,
+    k,
+    retrievers: results,
+    scenarios: evaluateScenarios(goldenSet.questions, scenarioMatcher)
+  };
+};
+
+// Aggregate numbers only, suitable for committing as the baseline
+export const toBaseline = (report) => ({
+  goldenSetVersion: report.goldenSetVersion,
+  k: report.k,
+  retrievers: Object.fromEntries(Object.entries(report.retrievers).map(([name, result]) => [
+    name,
+    Object.fromEntries(RETRIEVAL_METRICS.map(metric => [metric, result[metric]]))
+  ])),
+  scenarios: { accuracy: report.scenarios.accuracy }
+});
+
+// Changes beyond the tolerance are reported as regressions or improvements
+export const diffAgainstBaseline = (report, baseline, { tolerance = 0.005 } = {}) => {
+  const changes = [];
+  const current = toBaseline(report);
+
+  const compare = (scope, metric, before, after) => {
+    if (before === null || before === undefined || after === null) return;
+    const delta = round(after - before);
+    if (Math.abs(delta) > tolerance) {
+      changes.push({ scope, metric, baseline: before, current: after, delta });
+    }
+  };
+
+  Object.entries(current.retrievers).forEach(([name, metrics]) => {
+    RETRIEVAL_METRICS.forEach(metric => compare(name, metric, baseline?.retrievers?.[name]?.[metric], metrics[metric]));
+  });
+  compare('scenarios', 'accuracy', baseline?.scenarios?.accuracy, current.scenarios.accuracy);
+
+  return {
+    comparable: Boolean(baseline) && baseline.goldenSetVersion === report.goldenSetVersion && baseline.k === report.k,
+    regressions: changes.filter(change => change.delta < 0),
+    improvements: changes.filter(change => change.delta > 0)
+  };
+};
+
+const formatMetric = value => (value === null || value === undefined ? '  n/a ' : value.toFixed(4));
+
+export const formatReport = (report, diff = null) => {
+  const lines = [`Retrieval evaluation (golden set v${report.goldenSetVersion}, k=${report.k})`, ''];
+  lines.push(`${'retriever'.padEnd(10)} ${RETRIEVAL_METRICS.map(metric => metric.padStart(12)).join(' ')}`);
+
+  Object.values(report.retrievers).forEach(result => {
+    lines.push(`${result.name.padEnd(10)} ${RETRIEVAL_METRICS.map(metric => formatMetric(result[metric]).padStart(12)).join(' ')}`);
+  });
+
+  const { scenarios } = report;
+  lines.push('', `Scenario match accuracy: ${formatMetric(scenarios.accuracy)} (${scenarios.correct}/${scenarios.total})`);
+  scenarios.misses.forEach(miss => {
+    lines.push(`  - ${miss.id}: expected ${miss.expected || 'none'}, got ${miss.actual || 'none'}`);
+  });
+
+  if (diff) {
+    lines.push('', diff.comparable ? 'Against baseline:' : 'Baseline is missing or was built with a different golden set or k');
+    [...diff.regressions, ...diff.improvements].forEach(change => {
+      const sign = change.delta > 0 ? '+' : '';
+      lines.push(`  ${change.delta > 0 ? '▲' : '▼'} ${change.scope}.${change.metric}: ${formatMetric(change.baseline)} → ${formatMetric(change.current)} (${sign}${change.delta})`);
+    });
+    if (diff.comparable && diff.regressions.length === 0 && diff.improvements.length === 0) {
+      lines.push('  No changes beyond tolerance');
+    }
+  }
+
+  return lines.join('\n');
+};
@@ -0,0 +1,100 @@
+// Slot Validators for Red Phone Agent
+// Typed parsers for slot-filling answers; each returns { valid: true, value } or { valid: false, error }
+
+import { DATE_PATTERN, AMOUNT_PATTERN, parseDate, parseAmount } from './caseFieldExtractors.js';
+
+const WORD_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+const invalid = error => ({ valid: false, error });
+
+const formatList = values => (values.length > 1 ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}` : `${values[0]}`);
+
+// Dates: ISO, US slash dates and month names. options.future rejects dates before today
+const validateDate = (input, { now = new Date(), future = false } = {}) => {
+  const match = String(input).match(new RegExp(DATE_PATTERN, 'i'));
+  const value = match ? parseDate(match[1], now) : null;
+  if (!value) {
+    return invalid('I couldn\'t read that as a date. Try something like "June 1, 2025" or 2025-06-01.');
+  }
+
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (future && new Date(`${value}T00:00:00`) < today) {
+    return invalid(`${value} is in the past. Please give a date from today onwards.`);
+  }
+  return { valid: true, value };
+};
+
+// Currency: "$250k", "1.2 million", "80,000 USD"; percentages are never read as amounts
+const validateCurrency = (input, { min = 1 } = {}) => {
+  const match = String(input).match(new RegExp(`${AMOUNT_PATTERN}(?!\\s*%|\\d)`, 'i'));
+  const value = match ? parseAmount(match[1]) : null;
+  if (value === null) {
+    return invalid('I need an amount in USD, for example "$250,000" or "250k".');
+  }
+  if (value < min) {
+    return invalid(`The amount must be at least $${min.toLocaleString()}.`);
+  }
+  return { valid: true, value };
+};
+
+const validatePercent = (input, { min = 0, max = 100 } = {}) => {
+  const match = String(input).match(/(\d+(?:\.\d+)?)\s*(?:%|percent)?/i);
+  const value = match ? parseFloat(match[1]) : NaN;
+  if (Number.isNaN(value)) {
+    return invalid('I need a percentage, for example "15%".');
+  }
+  if (value < min || value > max) {
+    return invalid(`The percentage must be between ${min}% and ${max}%.`);
+  }
+  return { valid: true, value };
+};
+
+// Whole years, e.g. "3", "three", "a 2-year deal". options.allowed limits the choices
+const validateYears = (input, { allowed = null } = {}) => {
+  const match = String(input).toLowerCase().match(/\b(\d+|one|two|three|four|five)\b/);
+  const value = match ? (WORD_NUMBERS[match[1]] || parseInt(match[1], 10)) : NaN;
+  if (Number.isNaN(value) || value <= 0) {
+    return invalid('I need the number of years, for example "3".');
+  }
+  if (allowed && !allowed.includes(value)) {
+    return invalid(`Deals can run for ${formatList(allowed)} years.`);
+  }
+  return { valid: true, value };
+};
+
+// Negations win, so "No, legal hasn't approved it" is not read as an approval
+const validateBoolean = (input) => {
+  if (/\b(no|nope|not|pending|n)\b|n't\b/i.test(input)) return { valid: true, value: false };
+  if (/\b(yes|yep|yeah|confirmed|y)\b/i.test(input)) return { valid: true, value: true };
+  return invalid('Please answer yes or no.');
+};
+
+// Free text; options.pattern extracts and checks a specific format such as an opportunity ID
+const validateText = (input, { minLength = 3, pattern = null, example = null } = {}) => {
+  const text = String(input).trim();
+  if (pattern) {
+    const match = text.match(pattern);
+    return match ? { valid: true, value: match[0].toUpperCase() } : invalid(`That doesn't look right${example ? ` — expected something like ${example}` : ''}.`);
+  }
+  if (text.length < minLength) {
+    return invalid('Could you give me a bit more detail?');
+  }
+  return { valid: true, value: text };
+};
+
+export const slotValidators = {
+  date: validateDate,
+  currency: validateCurrency,
+  percent: validatePercent,
+  years: validateYears,
+  boolean: validateBoolean,
+  text: validateText
+};
+
+export const validateSlot = (type, input, options = {}) => {
+  const validator = slotValidators[type];
+  if (!validator) {
+    throw new Error(`Unknown slot type "${type}"`);
+  }
+  return validator(input, options);
+};
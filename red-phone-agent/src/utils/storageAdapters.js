@@ -0,0 +1,61 @@
+// Storage adapters for Red Phone Agent client-side persistence
+// JSON values in localStorage when available, otherwise in memory
+
+export const createMemoryStorage = () => {
+  const values = new Map();
+
+  return {
+    type: 'memory',
+    load(key) {
+      return values.has(key) ? JSON.parse(values.get(key)) : null;
+    },
+    save(key, value) {
+      values.set(key, JSON.stringify(value));
+      return true;
+    },
+    remove(key) {
+      values.delete(key);
+    }
+  };
+};
+
+export const isLocalStorageAvailable = () => {
+  try {
+    return typeof window !== 'undefined' && Boolean(window.localStorage);
+  } catch (error) {
+    return false; // Access can throw when storage is disabled
+  }
+};
+
+export const createLocalStorage = (prefix = 'rpa:') => ({
+  type: 'localStorage',
+  load(key) {
+    try {
+      const raw = window.localStorage.getItem(`${prefix}${key}`);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn(`Unable to read ${key} from localStorage:`, error.message);
+      return null;
+    }
+  },
+  save(key, value) {
+    try {
+      window.localStorage.setItem(`${prefix}${key}`, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      console.warn(`Unable to persist ${key} to localStorage:`, error.message);
+      return false;
+    }
+  },
+  remove(key) {
+    try {
+      window.localStorage.removeItem(`${prefix}${key}`);
+    } catch (error) {
+      // Nothing to clean up when storage is unavailable
+    }
+  }
+});
+
+export const createDefaultStorage = () => (
+  isLocalStorageAvailable() ? createLocalStorage() : createMemoryStorage()
+);
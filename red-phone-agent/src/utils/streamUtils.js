@@ -0,0 +1,95 @@
+// Streaming helpers for Red Phone Agent
+// Async iterators over server-sent events and simulated token streams
+
+const wait = (ms, signal) => new Promise(resolve => {
+  if (ms <= 0 || signal?.aborted) {
+    resolve();
+    return;
+  }
+
+  const timeoutId = setTimeout(done, ms);
+  function done() {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener?.('abort', done);
+    resolve();
+  }
+  signal?.addEventListener?.('abort', done);
+});
+
+// Split text into word-sized chunks, keeping whitespace attached so chunks join back exactly
+export const chunkText = (text, wordsPerChunk = 1) => {
+  const words = (text || '').match(/\S+\s*|\s+/g) || [];
+  const chunks = [];
+
+  for (let i = 0; i < words.length; i += wordsPerChunk) {
+    chunks.push(words.slice(i, i + wordsPerChunk).join(''));
+  }
+
+  return chunks;
+};
+
+// Replay a complete response as a stream of deltas; stops quietly when the signal aborts
+export async function* simulateStream(text, { signal, chunkDelay = 15, wordsPerChunk = 1 } = {}) {
+  for (const chunk of chunkText(text, wordsPerChunk)) {
+    if (signal?.aborted) return;
+    yield chunk;
+    await wait(chunkDelay, signal);
+  }
+}
+
+// Turn `data: {...}` SSE blocks into JSON payloads; returns the unparsed remainder
+const parseEventBlocks = (text) => {
+  const blocks = text.split('\n\n');
+  const remainder = blocks.pop();
+  const events = [];
+
+  blocks.forEach(block => {
+    const data = block
+      .split('\n')
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('\n');
+
+    if (!data || data === '[DONE]') return;
+
+    try {
+      events.push(JSON.parse(data));
+    } catch (error) {
+      console.warn('Skipping malformed stream event:', data);
+    }
+  });
+
+  return { events, remainder };
+};
+
+// Iterate the events of a fetch Response carrying server-sent events.
+// Falls back to reading the whole body where streaming bodies are unsupported.
+export async function* readEventStream(response) {
+  if (!response.body?.getReader) {
+    const { events } = parseEventBlocks(`${await response.text()}\n\n`);
+    yield* events;
+    return;
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const { events, remainder } = parseEventBlocks(buffer);
+      buffer = remainder;
+      yield* events;
+    }
+
+    yield* parseEventBlocks(`${buffer}\n\n`).events;
+  } finally {
+    reader.releaseLock?.();
+  }
+}
+
+export const isAbortError = (error) => error?.name === 'AbortError';
@@ -0,0 +1,110 @@
+// In-memory vector index for Red Phone Agent semantic search
+// Cosine top-k search over normalized vectors, with compact snapshots for persistence
+
+export const SNAPSHOT_VERSION = 1;
+
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Snapshots store vectors sparsely as [index, value] pairs rounded to 5 decimals
+const toSparse = vector => vector.reduce((pairs, value, index) => {
+  if (value !== 0) pairs.push([index, Math.round(value * 1e5) / 1e5]);
+  return pairs;
+}, []);
+
+const fromSparse = (pairs, dimensions) => {
+  const vector = new Array(dimensions).fill(0);
+  pairs.forEach(([index, value]) => {
+    vector[index] = value;
+  });
+  return vector;
+};
+
+class VectorIndex {
+  constructor({ dimensions = null } = {}) {
+    this.dimensions = dimensions;
+    this.entries = new Map(); // id -> { vector, hash }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  has(id) {
+    return this.entries.has(id);
+  }
+
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  ids() {
+    return [...this.entries.keys()];
+  }
+
+  upsert(id, vector, hash = null) {
+    if (this.dimensions === null) this.dimensions = vector.length;
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector for ${id} has ${vector.length} dimensions, index expects ${this.dimensions}`);
+    }
+    this.entries.set(id, { vector, hash });
+  }
+
+  remove(id) {
+    return this.entries.delete(id);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // Top-k entries by cosine similarity; filter(id) can exclude entries before scoring
+  search(queryVector, { k = 10, filter = null, minScore = -Infinity } = {}) {
+    const scored = [];
+
+    this.entries.forEach((entry, id) => {
+      if (filter && !filter(id)) return;
+      const score = cosineSimilarity(queryVector, entry.vector);
+      if (score >= minScore) scored.push({ id, score });
+    });
+
+    return scored.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  toSnapshot(extra = {}) {
+    return {
+      version: SNAPSHOT_VERSION,
+      dimensions: this.dimensions,
+      createdAt: new Date().toISOString(),
+      ...extra,
+      entries: [...this.entries].map(([id, entry]) => ({
+        id,
+        hash: entry.hash,
+        vector: toSparse(entry.vector)
+      }))
+    };
+  }
+
+  static fromSnapshot(snapshot) {
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.entries)) {
+      return null;
+    }
+
+    const index = new VectorIndex({ dimensions: snapshot.dimensions });
+    snapshot.entries.forEach(entry => {
+      index.upsert(entry.id, fromSparse(entry.vector, snapshot.dimensions), entry.hash);
+    });
+    return index;
+  }
+}
+
+export default VectorIndex;
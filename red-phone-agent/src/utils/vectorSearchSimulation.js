@@ -1,15 +1,152 @@
-// Vector Search Simulation for Red Phone Agent
-// Simulates semantic search capabilities using keyword matching and contextual relevance
+// Vector Search for Red Phone Agent
+// Embedding-based semantic search over ROE sections, historical cases and guidelines
 
 import rulesOfEngagement from '../data/rulesOfEngagement.js';
 import historicalCases from '../data/historicalCases.js';
 import caseCreationGuidelines from '../data/caseCreationGuidelines.js';
+import VectorIndex from './vectorIndex.js';
+import { createHashedTfidfEmbedder, hashString } from './embeddingProviders.js';
+import { createDefaultStorage } from './storageAdapters.js';
+
+const SNAPSHOT_KEY = 'vector-index';
+
+// focusArea accepts the document type or its plural
+const FOCUS_AREAS = {
+  roe: 'roe',
+  case: 'case',
+  cases: 'case',
+  guideline: 'guideline',
+  guidelines: 'guideline'
+};
 
 class VectorSearchSimulation {
-  constructor() {
+  constructor({ embedder = createHashedTfidfEmbedder(), storage = createDefaultStorage() } = {}) {
+    this.embedder = embedder;
+    this.storage = storage;
+    this.fullRebuildRatio = 0.5; // Re-fit the whole corpus when more than half the documents changed
     this.documents = this.prepareDocuments();
     this.semanticMappings = this.buildSemanticMappings();
     this.contextualPatterns = this.buildContextualPatterns();
+    this.index = new VectorIndex();
+    this.indexStats = null;
+
+    if (!this.embedder.isAsync) {
+      this.buildIndexSync();
+    }
+  }
+
+  // Text embedded for each document
+  getEmbeddingText(doc) {
+    return `${doc.title} ${doc.searchableText}`;
+  }
+
+  getDocumentHash(doc) {
+    return hashString(`${doc.type}|${this.getEmbeddingText(doc)}`).toString(36);
+  }
+
+  // Work out what changed since the persisted snapshot
+  planIndexUpdate() {
+    const snapshot = this.storage.load(SNAPSHOT_KEY);
+    const compatible = snapshot &&
+      snapshot.embedder === this.embedder.name &&
+      (!this.embedder.dimensions || snapshot.dimensions === this.embedder.dimensions);
+    const restored = compatible ? VectorIndex.fromSnapshot(snapshot) : null;
+    const restoredState = restored && this.embedder.setState ? this.embedder.setState(snapshot.embedderState) : true;
+
+    if (!restored || restoredState === false) {
+      return { mode: 'full', changed: this.documents, removed: [] };
+    }
+
+    const currentIds = new Set(this.documents.map(doc => doc.id));
+    const changed = this.documents.filter(doc => restored.get(doc.id)?.hash !== this.getDocumentHash(doc));
+    const removed = restored.ids().filter(id => !currentIds.has(id));
+
+    if (changed.length + removed.length > this.documents.length * this.fullRebuildRatio) {
+      return { mode: 'full', changed: this.documents, removed: [] };
+    }
+
+    this.index = restored;
+    return { mode: changed.length + removed.length === 0 ? 'snapshot' : 'incremental', changed, removed };
+  }
+
+  // Apply corpus statistics for a plan before embedding its documents
+  prepareEmbedder(plan) {
+    if (plan.mode === 'full') {
+      this.index = new VectorIndex({ dimensions: this.embedder.dimensions });
+      this.embedder.fit?.(this.documents.map(doc => this.getEmbeddingText(doc)));
+      return;
+    }
+
+    if (plan.changed.length > 0 || plan.removed.length > 0) {
+      const replaced = [...plan.removed, ...plan.changed.map(doc => doc.id)]
+        .filter(id => this.index.has(id))
+        .map(id => this.index.get(id).vector);
+      this.embedder.partialFit?.({
+        add: plan.changed.map(doc => this.getEmbeddingText(doc)),
+        remove: replaced
+      });
+      plan.removed.forEach(id => this.index.remove(id));
+    }
+  }
+
+  commitIndexUpdate(plan, vectors) {
+    plan.changed.forEach((doc, i) => {
+      this.index.upsert(doc.id, vectors[i], this.getDocumentHash(doc));
+    });
+
+    this.indexStats = {
+      mode: plan.mode,
+      documents: this.index.size,
+      embedded: plan.changed.length,
+      removed: plan.removed.length,
+      reused: this.index.size - plan.changed.length,
+      embedder: this.embedder.name,
+      indexedAt: new Date().toISOString()
+    };
+
+    if (plan.mode !== 'snapshot') {
+      this.saveSnapshot();
+    }
+    return this.indexStats;
+  }
+
+  buildIndexSync({ full = false } = {}) {
+    const plan = full ? { mode: 'full', changed: this.documents, removed: [] } : this.planIndexUpdate();
+    this.prepareEmbedder(plan);
+    const vectors = plan.changed.length > 0 ? this.embedder.embed(plan.changed.map(doc => this.getEmbeddingText(doc))) : [];
+    return this.commitIndexUpdate(plan, vectors);
+  }
+
+  // Builds or incrementally refreshes the index; required before searching with async embedders
+  async buildIndex({ full = false } = {}) {
+    const plan = full ? { mode: 'full', changed: this.documents, removed: [] } : this.planIndexUpdate();
+    this.prepareEmbedder(plan);
+    const vectors = plan.changed.length > 0 ? await this.embedder.embed(plan.changed.map(doc => this.getEmbeddingText(doc))) : [];
+    return this.commitIndexUpdate(plan, vectors);
+  }
+
+  // Re-read the data files and re-embed only documents whose content changed
+  refreshDocuments() {
+    this.documents = this.prepareDocuments();
+    return this.embedder.isAsync ? this.buildIndex() : this.buildIndexSync();
+  }
+
+  // Swap the embedding provider; the index is rebuilt from scratch for the new vector space
+  async useEmbedder(embedder) {
+    this.embedder = embedder;
+    this.index = new VectorIndex({ dimensions: embedder.dimensions });
+    return this.buildIndex({ full: true });
+  }
+
+  saveSnapshot() {
+    return this.storage.save(SNAPSHOT_KEY, this.index.toSnapshot({
+      embedder: this.embedder.name,
+      embedderState: this.embedder.getState ? this.embedder.getState() : null
+    }));
+  }
+
+  getIndexStats() {
+    return this.indexStats;
   }
 
   // Prepare documents for vector simulation
@@ -83,12 +220,13 @@ class VectorSearchSimulation {
       .trim();
   }
 
+  // Keys carry most of the meaning in the ROE data (e.g. newBusiness.enterprise.max), so keep them
   extractSearchableText(obj) {
     if (typeof obj === 'string') return obj;
     if (typeof obj === 'number') return obj.toString();
     if (Array.isArray(obj)) return obj.map(item => this.extractSearchableText(item)).join(' ');
     if (typeof obj === 'object' && obj !== null) {
-      return Object.values(obj).map(value => this.extractSearchableText(value)).join(' ');
+      return Object.entries(obj).map(([key, value]) => `${key} ${this.extractSearchableText(value)}`).join(' ');
     }
     return '';
   }
@@ -209,36 +347,45 @@ class VectorSearchSimulation {
     };
   }
 
-  // Main vector search simulation function
+  // Main semantic search: cosine top-k over document embeddings
   semanticSearch(query, options = {}) {
+    if (this.embedder.isAsync) {
+      throw new Error(`Embedding provider "${this.embedder.name}" is async; use semanticSearchAsync()`);
+    }
+    return this.rankResults(query, this.embedder.embed([query])[0], options);
+  }
+
+  async semanticSearchAsync(query, options = {}) {
+    const [queryVector] = await this.embedder.embed([query]);
+    return this.rankResults(query, queryVector, options);
+  }
+
+  rankResults(query, queryVector, options = {}) {
     const {
       limit = 10,
-      threshold = 0.3,
+      threshold = 0.05,
       includeMetadata = true,
       focusArea = null // 'roe', 'cases', 'guidelines'
     } = options;
 
     // Parse query and extract context
     const queryAnalysis = this.analyzeQuery(query);
-    
-    // Filter documents based on focus area
-    let searchDocuments = this.documents;
-    if (focusArea) {
-      searchDocuments = this.documents.filter(doc => doc.type === focusArea);
-    }
-
-    // Calculate semantic similarity for each document
-    const results = searchDocuments.map(doc => {
-      const similarity = this.calculateSemanticSimilarity(queryAnalysis, doc);
+    const documentsById = new Map(this.documents.map(doc => [doc.id, doc]));
+    const focusType = focusArea ? FOCUS_AREAS[focusArea] || focusArea : null;
+
+    const results = this.index.search(queryVector, {
+      k: limit,
+      minScore: threshold,
+      filter: id => documentsById.has(id) && (!focusType || documentsById.get(id).type === focusType)
+    }).map(({ id, score }) => {
+      const document = documentsById.get(id);
+      const similarity = Math.max(0, Math.min(score, 1));
       return {
-        document: doc,
+        document,
         similarity,
-        matchReasons: this.getMatchReasons(queryAnalysis, doc, similarity)
+        matchReasons: this.getMatchReasons(queryAnalysis, document, similarity)
       };
-    })
-    .filter(result => result.similarity >= threshold)
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, limit);
+    });
 
     return {
       query: query,
@@ -333,92 +480,10 @@ class VectorSearchSimulation {
     return entities;
   }
 
-  calculateSemanticSimilarity(queryAnalysis, document) {
-    let similarity = 0;
-    
-    // Base text similarity using expanded synonyms
-    const textSimilarity = this.calculateTextSimilarity(queryAnalysis.synonyms, document.searchableText);
-    similarity += textSimilarity * 0.4;
-    
-    // Context matching bonus
-    const contextBonus = this.calculateContextBonus(queryAnalysis.context, document.metadata);
-    similarity += contextBonus * 0.3;
-    
-    // Intent-based relevance
-    const intentRelevance = this.calculateIntentRelevance(queryAnalysis.intent, document);
-    similarity += intentRelevance * 0.2;
-    
-    // Document importance weight
-    similarity += (document.metadata.importance || 0.5) * 0.1;
-    
-    return Math.min(similarity, 1.0);
-  }
-
-  calculateTextSimilarity(queryTerms, documentText) {
-    const docWords = documentText.toLowerCase().split(/\s+/);
-    const matches = queryTerms.filter(term => 
-      docWords.some(word => word.includes(term) || term.includes(word))
-    );
-    
-    return queryTerms.length > 0 ? matches.length / queryTerms.length : 0;
-  }
-
-  calculateContextBonus(queryContext, docMetadata) {
-    let bonus = 0;
-    
-    if (queryContext.dealType && docMetadata.dealType === queryContext.dealType) {
-      bonus += 0.3;
-    }
-    
-    if (queryContext.segment && docMetadata.segment === queryContext.segment) {
-      bonus += 0.3;
-    }
-    
-    if (queryContext.region && docMetadata.region === queryContext.region) {
-      bonus += 0.2;
-    }
-    
-    if (queryContext.urgency && docMetadata.priority) {
-      const urgencyMap = { critical: 'Critical', high: 'High', medium: 'Medium', low: 'Low' };
-      if (docMetadata.priority === urgencyMap[queryContext.urgency]) {
-        bonus += 0.2;
-      }
-    }
-    
-    return bonus;
-  }
-
-  calculateIntentRelevance(intent, document) {
-    const intentRelevance = {
-      'policy_question': {
-        'roe': 0.9,
-        'case': 0.3,
-        'guideline': 0.6
-      },
-      'case_creation': {
-        'roe': 0.4,
-        'case': 0.7,
-        'guideline': 0.9
-      },
-      'precedent_search': {
-        'roe': 0.2,
-        'case': 0.9,
-        'guideline': 0.3
-      },
-      'guidance_request': {
-        'roe': 0.6,
-        'case': 0.5,
-        'guideline': 0.9
-      }
-    };
-    
-    return intentRelevance[intent]?.[document.type] || 0.5;
-  }
-
   getMatchReasons(queryAnalysis, document, similarity) {
     const reasons = [];
     
-    if (similarity > 0.8) {
+    if (similarity > 0.5) {
       reasons.push('High relevance match');
     }
     
@@ -475,8 +540,14 @@ class VectorSearchSimulation {
 
   // Advanced search with filters
   advancedSearch(query, filters = {}) {
-    const results = this.semanticSearch(query, { limit: 50 });
-    
+    return this.applyFilters(this.semanticSearch(query, { limit: 50 }), filters);
+  }
+
+  async advancedSearchAsync(query, filters = {}) {
+    return this.applyFilters(await this.semanticSearchAsync(query, { limit: 50 }), filters);
+  }
+
+  applyFilters(results, filters) {
     // Apply post-search filters
     let filteredResults = results.results;
     
@@ -514,4 +585,5 @@ class VectorSearchSimulation {
 // Create singleton instance
 const vectorSearch = new VectorSearchSimulation();
 
+export { VectorSearchSimulation };
 export default vectorSearch;